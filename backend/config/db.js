@@ -1,6 +1,7 @@
 const mysql = require('mysql2/promise');
 require('dotenv').config();
 const { decrypt } = require('../utils/encryption');
+const { SERVER_TIMEZONE } = require('../utils/timezone');
 
 // Singleton internal pool (for users, settings, etc.)
 let internalPool = null;
@@ -48,6 +49,19 @@ const getConnectionConfig = async (connectionId) => {
     return rows[0];
 };
 
+/**
+ * Timezone the DATETIME/TIMESTAMP values of a connection are stored in.
+ * The legacy localhost pool (no connectionId) uses the server timezone.
+ */
+const getConnectionTimezone = async (connectionId) => {
+    if (!connectionId) return SERVER_TIMEZONE;
+    const [rows] = await getInternalPool().execute(
+        'SELECT timezone FROM database_connections WHERE id = ?',
+        [connectionId]
+    );
+    return rows[0]?.timezone || SERVER_TIMEZONE;
+};
+
 /**
  * Get pool for a specific connection ID and optional database
  */
@@ -149,5 +163,6 @@ module.exports = {
     createRemoteConnection,
     getDbConnection,
     getConnectionPool,
+    getConnectionTimezone,
     clearConnectionPool
 };
@@ -17,6 +17,14 @@ const auth = (req, res, next) => {
     }
 };
 
+// For EventSource requests, which cannot send headers: also takes ?token=
+const streamAuth = (req, res, next) => {
+    if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    auth(req, res, next);
+};
+
 const adminOnly = (req, res, next) => {
     if (req.user.role !== 'admin') {
         return res.status(403).json({ error: 'Access denied. Admin only.' });
@@ -24,4 +32,4 @@ const adminOnly = (req, res, next) => {
     next();
 };
 
-module.exports = { auth, adminOnly };
+module.exports = { auth, streamAuth, adminOnly };
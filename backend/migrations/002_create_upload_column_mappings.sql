@@ -0,0 +1,18 @@
+-- Migration: Create upload_column_mappings table
+-- Run this on the dataflow_pro database
+
+CREATE TABLE IF NOT EXISTS upload_column_mappings (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  connection_id INT NOT NULL DEFAULT 0,
+  database_name VARCHAR(255) NOT NULL,
+  table_name VARCHAR(255) NOT NULL,
+  mapping TEXT NOT NULL,
+  updated_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_target (connection_id, database_name, table_name),
+  FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Note: connection_id 0 is used for uploads without a connectionId (legacy localhost pool)
+-- mapping holds JSON: { "columns": { "<file header>": "<table column>" | null } }
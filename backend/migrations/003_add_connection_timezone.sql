@@ -0,0 +1,7 @@
+-- Migration: Add timezone to database_connections
+-- Run this on the dataflow_pro database
+
+ALTER TABLE database_connections ADD COLUMN timezone VARCHAR(64) NULL AFTER is_active;
+
+-- Note: timezone is the zone DATETIME/TIMESTAMP values of the connection are stored in,
+-- an IANA name ('Asia/Jakarta') or an offset ('+07:00'). NULL means the server timezone.
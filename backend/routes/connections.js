@@ -3,13 +3,14 @@ const router = express.Router();
 const { getInternalPool, createRemoteConnection } = require('../config/db');
 const { auth, adminOnly } = require('../middleware/auth');
 const { encrypt, decrypt } = require('../utils/encryption');
+const { normalizeTimezone } = require('../utils/timezone');
 
 // Get all database connections
 router.get('/', auth, async (req, res) => {
     try {
         console.log('GET /api/connections request received');
         const [connections] = await getInternalPool().execute(
-            'SELECT id, name, host, port, username, is_default, is_active, created_at FROM database_connections WHERE is_active = TRUE ORDER BY is_default DESC, name ASC'
+            'SELECT id, name, host, port, username, is_default, is_active, timezone, created_at FROM database_connections WHERE is_active = TRUE ORDER BY is_default DESC, name ASC'
         );
         console.log('GET /api/connections success, found:', connections.length);
         res.json(connections);
@@ -24,7 +25,7 @@ router.get('/:id', auth, async (req, res) => {
     try {
         const { id } = req.params;
         const [connections] = await getInternalPool().execute(
-            'SELECT id, name, host, port, username, is_default, is_active, created_at FROM database_connections WHERE id = ? AND is_active = TRUE',
+            'SELECT id, name, host, port, username, is_default, is_active, timezone, created_at FROM database_connections WHERE id = ? AND is_active = TRUE',
             [id]
         );
 
@@ -89,6 +90,13 @@ router.post('/', auth, adminOnly, async (req, res) => {
             return res.status(400).json({ error: 'Name, host, username, and password are required.' });
         }
 
+        let timezone;
+        try {
+            timezone = normalizeTimezone(req.body.timezone);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+
         // Encrypt password
         const encryptedPassword = encrypt(password);
 
@@ -100,8 +108,8 @@ router.post('/', auth, adminOnly, async (req, res) => {
         }
 
         const [result] = await getInternalPool().execute(
-            'INSERT INTO database_connections (name, host, port, username, password, is_default, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [name, host, port || 3306, username, encryptedPassword, is_default || false, req.user.id]
+            'INSERT INTO database_connections (name, host, port, username, password, is_default, timezone, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [name, host, port || 3306, username, encryptedPassword, is_default || false, timezone, req.user.id]
         );
 
         res.status(201).json({
@@ -146,6 +154,15 @@ router.put('/:id', auth, adminOnly, async (req, res) => {
             updates.push('password = ?');
             params.push(encrypt(password));
         }
+        // Empty clears the setting back to the server timezone
+        if (req.body.timezone !== undefined) {
+            try {
+                params.push(normalizeTimezone(req.body.timezone));
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
+            updates.push('timezone = ?');
+        }
 
         if (updates.length === 0 && is_default === undefined) {
             return res.status(400).json({ error: 'No fields to update.' });
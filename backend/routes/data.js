@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const xlsx = require('xlsx');
-const { getDbConnection, getConnectionPool } = require('../config/db');
+const { Types } = require('mysql2');
+const { getDbConnection, getConnectionPool, getConnectionTimezone } = require('../config/db');
+const { normalizeTimezone, convertWallClock } = require('../utils/timezone');
+const { mysqlToExcelSerial } = require('../utils/dateFormatter');
 const { auth, adminOnly } = require('../middleware/auth');
 const { checkDbPermission } = require('../middleware/permissions');
 
@@ -49,12 +52,42 @@ router.post('/:database/query', auth, adminOnly, async (req, res) => {
     }
 });
 
+const TIME_TYPES = [Types.DATETIME, Types.TIMESTAMP];
+const DATE_TYPES = [Types.DATE, Types.NEWDATE];
+
+// Date and time columns as Excel dates. SheetJS converts JS Dates with the
+// server's timezone, so the serials are computed from the wall-clock text.
+const writeDateCells = (worksheet, fields, rowCount) => {
+    fields.forEach((field, c) => {
+        const isTime = TIME_TYPES.includes(field.type);
+        if (!isTime && !DATE_TYPES.includes(field.type)) return;
+        for (let r = 1; r <= rowCount; r++) {
+            const cell = worksheet[xlsx.utils.encode_cell({ r, c })];
+            const serial = cell && mysqlToExcelSerial(cell.v);
+            if (serial === null || serial === undefined) continue;
+            worksheet[xlsx.utils.encode_cell({ r, c })] = {
+                t: 'n',
+                v: serial,
+                z: isTime ? 'yyyy-mm-dd hh:mm:ss' : 'yyyy-mm-dd'
+            };
+        }
+    });
+};
+
 // Export to Excel - MUST be before /:database/:table
+// Query timezone: zone the DATETIME/TIMESTAMP values are written in, default the connection's
 router.get('/:database/:table/export', auth, checkDbPermission, async (req, res) => {
     try {
         const { database, table } = req.params;
         const { search, searchColumn, dateColumn, dateFrom, dateTo } = req.query;
 
+        let exportTimezone;
+        try {
+            exportTimezone = normalizeTimezone(req.query.timezone);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+
         const { connectionId } = req.query;
         let pool;
         if (connectionId) {
@@ -82,11 +115,27 @@ router.get('/:database/:table/export', auth, checkDbPermission, async (req, res)
             whereClause = 'WHERE ' + conditions.join(' AND ');
         }
 
-        const [rows] = await pool.execute(`SELECT * FROM \`${table}\` ${whereClause}`, params);
+        // Dates as text: mysql2 would build JS Dates in the server's timezone
+        const [rows, fields] = await pool.query(
+            { sql: `SELECT * FROM \`${table}\` ${whereClause}`, dateStrings: true },
+            params
+        );
+
+        const tableTimezone = await getConnectionTimezone(connectionId);
+        const targetTimezone = exportTimezone || tableTimezone;
+        const timeColumns = fields.filter(f => TIME_TYPES.includes(f.type)).map(f => f.name);
+        if (targetTimezone !== tableTimezone) {
+            rows.forEach(row => {
+                timeColumns.forEach(col => {
+                    if (row[col]) row[col] = convertWallClock(row[col].slice(0, 19), tableTimezone, targetTimezone);
+                });
+            });
+        }
 
         // Create Excel workbook
         const workbook = xlsx.utils.book_new();
-        const worksheet = xlsx.utils.json_to_sheet(rows);
+        const worksheet = xlsx.utils.json_to_sheet(rows, { header: fields.map(f => f.name) });
+        writeDateCells(worksheet, fields, rows.length);
         xlsx.utils.book_append_sheet(workbook, worksheet, table);
 
         const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
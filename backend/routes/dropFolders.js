@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const { getInternalPool, getConnectionPool, getDbConnection } = require('../config/db');
+const { auth, adminOnly } = require('../middleware/auth');
+const { FILE_DUPLICATE_POLICIES } = require('../utils/fileDuplicates');
+const { POLL_SECONDS, DROP_DUPLICATE_MODES, parseFolderInput, listFolders, getFolder, listFiles, getLatestFiles } = require('../utils/dropFolders');
+
+// Error message when the target table is missing or lacks a duplicate check field, null when fine
+const checkTarget = async (folder) => {
+    const pool = folder.connectionId
+        ? await getConnectionPool(folder.connectionId, folder.database)
+        : await getDbConnection(folder.database);
+    let columns;
+    try {
+        [columns] = await pool.execute(`DESCRIBE \`${folder.table}\``);
+    } catch (err) {
+        return `Table ${folder.database}.${folder.table} not found.`;
+    }
+    const missing = folder.duplicateCheckFields.filter(field => !columns.some(c => c.Field === field));
+    return missing.length > 0 ? `Duplicate check fields not in the table: ${missing.join(', ')}.` : null;
+};
+
+const folderValues = (folder) => [
+    folder.name,
+    folder.path,
+    folder.pattern,
+    folder.connectionId,
+    folder.database,
+    folder.table,
+    folder.duplicateMode,
+    JSON.stringify(folder.duplicateCheckFields),
+    folder.fileDuplicatePolicy,
+    JSON.stringify(folder.sheetOptions),
+    JSON.stringify(folder.csvOptions),
+    folder.sourceTimezone,
+    folder.atomic,
+    folder.undoable,
+    folder.isActive
+];
+
+// List drop folders with the last file each one picked up
+router.get('/', auth, adminOnly, async (req, res) => {
+    try {
+        const [folders, latest] = await Promise.all([listFolders(), getLatestFiles()]);
+        res.json({
+            folders: folders.map(folder => ({ ...folder, lastFile: latest[folder.id] || null })),
+            pollSeconds: POLL_SECONDS,
+            duplicateModes: DROP_DUPLICATE_MODES,
+            fileDuplicatePolicies: FILE_DUPLICATE_POLICIES
+        });
+    } catch (error) {
+        console.error('List drop folders error:', error);
+        res.status(500).json({ error: 'Failed to list drop folders.' });
+    }
+});
+
+// Files picked up from a folder, newest first
+router.get('/:id/files', auth, adminOnly, async (req, res) => {
+    try {
+        const folder = await getFolder(req.params.id);
+        if (!folder) {
+            return res.status(404).json({ error: 'Drop folder not found.' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        res.json({ files: await listFiles(folder.id, limit) });
+    } catch (error) {
+        console.error('List drop folder files error:', error);
+        res.status(500).json({ error: 'Failed to list drop folder files.' });
+    }
+});
+
+// Create a drop folder
+router.post('/', auth, adminOnly, async (req, res) => {
+    try {
+        const { folder, error } = parseFolderInput(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const targetError = await checkTarget(folder);
+        if (targetError) {
+            return res.status(400).json({ error: targetError });
+        }
+
+        const [result] = await getInternalPool().execute(
+            `INSERT INTO drop_folders
+             (name, path, pattern, connection_id, database_name, table_name, duplicate_mode, duplicate_check_fields,
+              file_duplicate_policy, sheet_options, csv_options, source_timezone, atomic, undoable, is_active, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [...folderValues(folder), req.user.id]
+        );
+
+        res.status(201).json({ success: true, id: result.insertId, message: 'Drop folder created.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'This folder is already watched.' });
+        }
+        console.error('Create drop folder error:', error);
+        res.status(500).json({ error: 'Failed to create drop folder.' });
+    }
+});
+
+// Update a drop folder; files already picked up keep the settings they were queued with
+router.put('/:id', auth, adminOnly, async (req, res) => {
+    try {
+        const existing = await getFolder(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Drop folder not found.' });
+        }
+
+        const { folder, error } = parseFolderInput(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const targetError = await checkTarget(folder);
+        if (targetError) {
+            return res.status(400).json({ error: targetError });
+        }
+
+        await getInternalPool().execute(
+            `UPDATE drop_folders
+             SET name = ?, path = ?, pattern = ?, connection_id = ?, database_name = ?, table_name = ?, duplicate_mode = ?,
+                 duplicate_check_fields = ?, file_duplicate_policy = ?, sheet_options = ?, csv_options = ?, source_timezone = ?,
+                 atomic = ?, undoable = ?, is_active = ?
+             WHERE id = ?`,
+            [...folderValues(folder), existing.id]
+        );
+
+        res.json({ success: true, message: 'Drop folder updated.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'This folder is already watched.' });
+        }
+        console.error('Update drop folder error:', error);
+        res.status(500).json({ error: 'Failed to update drop folder.' });
+    }
+});
+
+// Stop watching a folder; files on disk and imports already queued are left alone
+router.delete('/:id', auth, adminOnly, async (req, res) => {
+    try {
+        const [result] = await getInternalPool().execute('DELETE FROM drop_folders WHERE id = ?', [req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Drop folder not found.' });
+        }
+        res.json({ success: true, message: 'Drop folder deleted.' });
+    } catch (error) {
+        console.error('Delete drop folder error:', error);
+        res.status(500).json({ error: 'Failed to delete drop folder.' });
+    }
+});
+
+module.exports = router;
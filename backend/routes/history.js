@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const { getInternalPool, getConnectionPool, getDbConnection } = require('../config/db');
+const { auth, adminOnly } = require('../middleware/auth');
+const { undoImport } = require('../utils/importUndo');
+
+const HISTORY_COLUMNS = `id, task_id AS taskId, user_id AS userId, username, original_name AS originalName,
+    file_hash AS fileHash, file_size AS fileSize, connection_id AS connectionId, database_name AS \`database\`,
+    table_name AS \`table\`, duplicate_mode AS duplicateMode, atomic, undoable, status, total_rows AS totalRows,
+    inserted_rows AS insertedRows, updated_rows AS updatedRows, skipped_rows AS skippedRows,
+    rejected_rows AS rejectedRows, error_count AS errorCount, error_message AS errorMessage,
+    started_at AS startedAt, completed_at AS completedAt, duration_ms AS durationMs,
+    undone_at AS undoneAt, undone_by AS undoneBy, undo_result AS undoResult`;
+
+/**
+ * SQL condition limiting operators to the databases in their allowed_databases.
+ * Same rules as verifyDatabaseAccess: "connId:db" entries, and plain "db" entries
+ * for the default connection (1). Imports without a connection count as connection 1.
+ */
+const buildAccessCondition = async (user) => {
+    if (user.role === 'admin') return { sql: null, params: [] };
+
+    const [users] = await getInternalPool().execute(
+        'SELECT allowed_databases FROM users WHERE id = ?',
+        [user.id]
+    );
+    const allowed = JSON.parse(users[0]?.allowed_databases || '[]');
+    if (allowed.length === 0) return { sql: 'FALSE', params: [] };
+
+    const conditions = [];
+    const params = [];
+    allowed.forEach(entry => {
+        const parts = entry.split(':');
+        const [connectionId, dbName] = parts.length === 2 ? parts : ['1', entry];
+        if (connectionId === '1') {
+            conditions.push('((connection_id = 1 OR connection_id IS NULL) AND database_name = ?)');
+            params.push(dbName);
+        } else {
+            conditions.push('(connection_id = ? AND database_name = ?)');
+            params.push(parseInt(connectionId), dbName);
+        }
+    });
+    return { sql: `(${conditions.join(' OR ')})`, params };
+};
+
+const connectionCondition = (connectionId) => {
+    if (!connectionId) return { sql: null, params: [] };
+    const id = parseInt(connectionId);
+    // Imports without a connection went to the default connection
+    return id === 1
+        ? { sql: '(connection_id = 1 OR connection_id IS NULL)', params: [] }
+        : { sql: 'connection_id = ?', params: [id] };
+};
+
+const whereClause = (conditions) => {
+    const active = conditions.filter(c => c.sql);
+    return {
+        sql: active.length > 0 ? `WHERE ${active.map(c => c.sql).join(' AND ')}` : '',
+        params: active.flatMap(c => c.params)
+    };
+};
+
+// List imports, newest first
+// Query: connectionId, database, table, userId, from, to (YYYY-MM-DD, inclusive), page, limit
+router.get('/', auth, async (req, res) => {
+    try {
+        const { connectionId, database, table, userId, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const where = whereClause([
+            await buildAccessCondition(req.user),
+            connectionCondition(connectionId),
+            { sql: database ? 'database_name = ?' : null, params: [database] },
+            { sql: table ? 'table_name = ?' : null, params: [table] },
+            { sql: userId ? 'user_id = ?' : null, params: [parseInt(userId)] },
+            { sql: from ? 'completed_at >= ?' : null, params: [from] },
+            { sql: to ? 'completed_at < DATE_ADD(?, INTERVAL 1 DAY)' : null, params: [to] }
+        ]);
+
+        const pool = getInternalPool();
+        const [[{ total }]] = await pool.execute(
+            `SELECT COUNT(*) AS total FROM import_history ${where.sql}`,
+            where.params
+        );
+        const [items] = await pool.query(
+            `SELECT ${HISTORY_COLUMNS} FROM import_history ${where.sql}
+             ORDER BY completed_at DESC, id DESC LIMIT ? OFFSET ?`,
+            [...where.params, limit, (page - 1) * limit]
+        );
+
+        res.json({ items, total, page, limit });
+    } catch (error) {
+        console.error('Get import history error:', error);
+        res.status(500).json({ error: 'Failed to fetch import history.' });
+    }
+});
+
+// Tables and users that appear in the history (filter options)
+router.get('/filters', auth, async (req, res) => {
+    try {
+        const where = whereClause([
+            await buildAccessCondition(req.user),
+            connectionCondition(req.query.connectionId)
+        ]);
+
+        const pool = getInternalPool();
+        const [tables] = await pool.execute(
+            `SELECT DISTINCT database_name AS \`database\`, table_name AS \`table\`
+             FROM import_history ${where.sql} ORDER BY database_name, table_name`,
+            where.params
+        );
+        const [users] = await pool.execute(
+            `SELECT DISTINCT user_id AS id, username FROM import_history
+             ${where.sql ? `${where.sql} AND` : 'WHERE'} user_id IS NOT NULL ORDER BY username`,
+            where.params
+        );
+
+        res.json({ tables, users });
+    } catch (error) {
+        console.error('Get import history filters error:', error);
+        res.status(500).json({ error: 'Failed to fetch history filters.' });
+    }
+});
+
+// The most recent import of each table (Dashboard)
+router.get('/latest', auth, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+        const where = whereClause([
+            await buildAccessCondition(req.user),
+            connectionCondition(req.query.connectionId)
+        ]);
+
+        const [items] = await getInternalPool().query(
+            `SELECT ${HISTORY_COLUMNS} FROM import_history
+             WHERE id IN (
+                 SELECT MAX(id) FROM import_history ${where.sql}
+                 GROUP BY connection_id, database_name, table_name
+             )
+             ORDER BY completed_at DESC LIMIT ?`,
+            [...where.params, limit]
+        );
+
+        res.json(items);
+    } catch (error) {
+        console.error('Get latest imports error:', error);
+        res.status(500).json({ error: 'Failed to fetch latest imports.' });
+    }
+});
+
+// Reverse an undoable import: restore overwritten rows and delete inserted ones
+router.post('/:id/undo', auth, adminOnly, async (req, res) => {
+    try {
+        const pool = getInternalPool();
+        const [[entry]] = await pool.execute('SELECT * FROM import_history WHERE id = ?', [req.params.id]);
+
+        if (!entry) {
+            return res.status(404).json({ error: 'Import not found.' });
+        }
+        if (!entry.undoable) {
+            return res.status(400).json({ error: 'This import was not recorded for undo.' });
+        }
+        if (entry.undone_at) {
+            return res.status(400).json({ error: 'This import has already been undone.' });
+        }
+
+        // Claim the entry first so two admins can't undo it at the same time
+        const [claim] = await pool.execute(
+            'UPDATE import_history SET undone_at = NOW(), undone_by = ? WHERE id = ? AND undone_at IS NULL',
+            [req.user.username, entry.id]
+        );
+        if (claim.affectedRows === 0) {
+            return res.status(400).json({ error: 'This import has already been undone.' });
+        }
+
+        let result;
+        try {
+            const targetPool = entry.connection_id
+                ? await getConnectionPool(entry.connection_id, entry.database_name)
+                : await getDbConnection(entry.database_name);
+            result = await undoImport(targetPool, { taskId: entry.task_id, table: entry.table_name });
+        } catch (err) {
+            await pool.execute('UPDATE import_history SET undone_at = NULL, undone_by = NULL WHERE id = ?', [entry.id]);
+            throw err;
+        }
+
+        await pool.execute('UPDATE import_history SET undo_result = ? WHERE id = ?', [JSON.stringify(result), entry.id]);
+        console.log(`[Undo] Import ${entry.id} (${entry.database_name}.${entry.table_name}) undone by ${req.user.username}: ${result.deletedRows} deleted, ${result.restoredRows} restored`);
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Undo import error:', error);
+        res.status(500).json({ error: error.message || 'Failed to undo import.' });
+    }
+});
+
+module.exports = router;
@@ -7,6 +7,10 @@ const xlsx = require('xlsx');
 const { getConnectionPool, getInternalPool } = require('../config/db'); // Use shared connection pool logic
 const { auth } = require('../middleware/auth');
 const { verifyDatabaseAccess } = require('../middleware/permissions');
+const { parseSheetOptions } = require('../utils/sheetReader');
+const { parseCsvOptions } = require('../utils/csvDialect');
+const { readRows } = require('../utils/fileFormats');
+const { isArchive, expandArchive } = require('../utils/archive');
 
 // Configure multer
 const upload = multer({
@@ -26,6 +30,28 @@ const checkAccess = async (userId, userRole, dbName, connectionId) => {
     return verifyDatabaseAccess(userPermissions, dbName, connectionId);
 };
 
+// Helper: Read the uploaded file's rows (Excel, ODS, CSV/TSV, JSON, NDJSON).
+// CSV is read in its detected dialect (encoding, delimiter, quote... form fields
+// override it); of a .gz / .zip the first data file is read.
+const readLookupRows = async (req, sheetReadOptions) => {
+    let source = { filePath: req.file.path, originalName: req.file.originalname || '' };
+    let unpacked = null;
+    if (isArchive(source.originalName)) {
+        [unpacked] = await expandArchive(source.filePath, source.originalName, path.dirname(source.filePath), { limit: 1 });
+        source = unpacked;
+    }
+
+    try {
+        return await readRows(source.filePath, path.extname(source.originalName).toLowerCase(), {
+            sheetOptions: parseSheetOptions(req.body),
+            sheetReadOptions,
+            csvOptions: parseCsvOptions(req.body)
+        });
+    } finally {
+        if (unpacked && fs.existsSync(unpacked.filePath)) fs.unlinkSync(unpacked.filePath);
+    }
+};
+
 // POST /process
 router.post('/process', auth, upload.single('file'), async (req, res) => {
     let filePath = null;
@@ -55,12 +81,9 @@ router.post('/process', auth, upload.single('file'), async (req, res) => {
             return res.status(403).json({ error: 'Access denied to this database' });
         }
 
-        // 2. Read Excel
-        const workbook = xlsx.readFile(filePath);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
+        // 2. Read the file (optional sheet, headerRow and skipFooterRows form fields for Excel)
         // Use raw: false to ensure all values are read as strings (preserves leading zeros)
-        let data = xlsx.utils.sheet_to_json(worksheet, { defval: '', raw: false });
+        let data = await readLookupRows(req, { defval: '', raw: false });
 
         if (data.length === 0) {
             fs.unlinkSync(filePath);
@@ -236,11 +259,8 @@ router.post('/process-custom', auth, upload.single('file'), async (req, res) =>
             return res.status(403).json({ error: 'Access denied to this database' });
         }
 
-        // 2. Read Excel
-        const workbook = xlsx.readFile(filePath);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        let data = xlsx.utils.sheet_to_json(worksheet, { defval: '' });
+        // 2. Read the file (optional sheet, headerRow and skipFooterRows form fields for Excel)
+        let data = await readLookupRows(req, { defval: '' });
 
         if (data.length === 0) {
             fs.unlinkSync(filePath);
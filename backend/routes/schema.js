@@ -7,6 +7,10 @@ const { getDbConnection, getConnectionPool } = require('../config/db');
 const { auth, adminOnly } = require('../middleware/auth');
 const { checkDbPermission } = require('../middleware/permissions');
 const { analyzeFile } = require('../utils/fileAnalyzer');
+const { parseSheetOptions } = require('../utils/sheetReader');
+const { parseCsvOptions } = require('../utils/csvDialect');
+const { ALLOWED_EXTENSIONS, UNSUPPORTED_MESSAGE } = require('../utils/fileFormats');
+const { isArchive, expandArchive } = require('../utils/archive');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -26,10 +30,10 @@ const upload = multer({
     storage,
     fileFilter: (req, file, cb) => {
         const ext = path.extname(file.originalname).toLowerCase();
-        if (['.csv', '.xlsx', '.xls'].includes(ext)) {
+        if (ALLOWED_EXTENSIONS.includes(ext)) {
             cb(null, true);
         } else {
-            cb(new Error('Only CSV and Excel files are allowed.'));
+            cb(new Error(UNSUPPORTED_MESSAGE));
         }
     },
     limits: { fileSize: 100 * 1024 * 1024 } // 100MB limit
@@ -37,23 +41,38 @@ const upload = multer({
 
 // Analyze uploaded file for schema suggestions
 router.post('/analyze', auth, upload.single('file'), async (req, res) => {
+    let unpacked = null;
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded.' });
         }
 
-        const ext = path.extname(req.file.originalname).toLowerCase().replace('.', '');
-        const analysis = await analyzeFile(req.file.path, ext);
+        // .gz / .zip: the first data file inside is analyzed
+        if (isArchive(req.file.originalname)) {
+            try {
+                [unpacked] = await expandArchive(req.file.path, req.file.originalname, path.dirname(req.file.path), { limit: 1 });
+            } catch (err) {
+                fs.unlinkSync(req.file.path);
+                return res.status(400).json({ error: err.message });
+            }
+        }
+        const source = unpacked || { filePath: req.file.path, originalName: req.file.originalname };
+
+        const ext = path.extname(source.originalName).toLowerCase().replace('.', '');
+        // Excel: optional sheet, headerRow and skipFooterRows form fields
+        // CSV: optional encoding, delimiter, quote, escape and lineEnding form fields
+        const analysis = await analyzeFile(source.filePath, ext, parseSheetOptions(req.body), parseCsvOptions(req.body));
 
         // Cleanup uploaded file
         fs.unlinkSync(req.file.path);
+        if (unpacked) fs.unlinkSync(unpacked.filePath);
 
-        res.json(analysis);
+        res.json({ ...analysis, fileName: source.originalName });
     } catch (error) {
         console.error('Analyze error:', error);
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
-        }
+        [req.file && req.file.path, unpacked && unpacked.filePath].forEach(filePath => {
+            if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        });
         res.status(500).json({ error: 'Failed to analyze file.' });
     }
 });
@@ -4,145 +4,181 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const xlsx = require('xlsx');
-const csv = require('csv-parser');
 const { Worker } = require('worker_threads');
-const { getDbConnection, getConnectionPool } = require('../config/db');
-const { auth } = require('../middleware/auth');
+const { getDbConnection, getConnectionPool, getConnectionTimezone, getInternalPool } = require('../config/db');
+const { auth, streamAuth } = require('../middleware/auth');
 const { checkDbPermission } = require('../middleware/permissions');
-const { formatToMysql, isDateColumn } = require('../utils/dateFormatter');
+const { formatToMysql, detectDateFormat, isDateColumn } = require('../utils/dateFormatter');
+const { normalizeTimezone } = require('../utils/timezone');
+const { NUMBER_LOCALE_NAMES, coerceNumber, isNumericType, isIntegerType } = require('../utils/numberParser');
+const { cleanHeader, suggestMapping, resolveMapping } = require('../utils/columnMapper');
+const { parseTransforms, getComputedColumns, createTransformer } = require('../utils/columnTransforms');
+const { parseCsvOptions, resolveCsvDialect, createCsvReader } = require('../utils/csvDialect');
+const { ALLOWED_EXTENSIONS, MIME_TYPES, UNSUPPORTED_MESSAGE, formatOf, csvHints, readRows } = require('../utils/fileFormats');
+const { JSON_HEADER_ROWS, readJsonRows, collectHeaders, fillMissing } = require('../utils/jsonRows');
+const { isArchive, expandArchive } = require('../utils/archive');
+const { buildColumnRules, validateValue, isRequired } = require('../utils/columnValidator');
+const { createRejectedRowsWriter } = require('../utils/rejectedRows');
+const { DEFAULT_CHUNK_SIZE, MAX_CHUNK_SIZE, cleanupStaleSessions, createSession, getSession, writeChunk, finalizeSession, completeSession, removeSession } = require('../utils/chunkedUpload');
+const { hashFile, recordImport } = require('../utils/importHistory');
+const { loadIndexes, checkKeyCoverage, createDuplicateLookup } = require('../utils/duplicateCheck');
+const { FILE_DUPLICATE_POLICIES, createFileKeyIndex } = require('../utils/fileDuplicates');
+const { TAG_COLUMN, prepareUndo, createUndoLog, undoImport } = require('../utils/importUndo');
+const { createBulkLoader, isLocalInfileDisabled } = require('../utils/bulkLoader');
+const { assertReplaceable, tableExists, createStagingTable, dropStagingTable, swapInStagingTable, startBackupCleanup } = require('../utils/tableSwap');
+const { parseMirrorOptions, createMirrorKeySet } = require('../utils/mirrorSync');
+const { createTaskId, createJob, getJob, getJobByTaskId, listJobs, listFilePaths, deleteJob, enqueueJob, requeueInterruptedJob, requestStop, createStopCheck, saveJobProgress, subscribeJobProgress, startImportQueue: startJobQueue } = require('../utils/importJobs');
+const { PREVIEW_ROWS, IMPORT_READ_OPTIONS, parseSheetOptions, getWorksheet, getSheetLayout, readHeaderKeys, readSheetRows, readSheetData, listSheets } = require('../utils/sheetReader');
 
 /**
- * Parse file using Worker Thread to avoid blocking main event loop
- * For large files, parsing happens in a separate thread
+ * Read header row and a few sample rows (used by the column mapping step)
+ * sheetOptions: { sheet, headerRow } for Excel files
+ * csvOptions: dialect overrides for CSV files; the dialect used is returned as csvDialect
  */
-function parseFileWithWorker(filePath, ext, taskId) {
-    return new Promise((resolve, reject) => {
-        // For smaller files (< 5MB), use main thread for speed
-        const stats = fs.statSync(filePath);
-        const fileSizeMB = stats.size / (1024 * 1024);
+function readFileHeaders(filePath, ext, sampleSize = 5, sheetOptions = {}, csvOptions = {}) {
+    const format = formatOf(ext);
+    if (format === 'json' || format === 'ndjson') {
+        return readJsonHeaders(filePath, format, sampleSize);
+    }
 
-        if (fileSizeMB < 5) {
-            // Small file - parse directly
-            try {
-                if (ext === '.csv') {
-                    const rows = [];
-                    fs.createReadStream(filePath)
-                        .pipe(csv())
-                        .on('data', (row) => rows.push(row))
-                        .on('end', () => resolve(rows))
-                        .on('error', reject);
-                } else {
-                    const workbook = xlsx.readFile(filePath, {
-                        type: 'file',
-                        dense: false,
-                        cellDates: true,
-                        cellNF: false,
-                        cellText: false
-                    });
-                    const sheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[sheetName];
-                    if (!sheet) throw new Error(`Sheet "${sheetName}" is empty`);
-                    const rows = xlsx.utils.sheet_to_json(sheet, { defval: null });
-                    resolve(rows);
-                }
-            } catch (err) {
-                reject(err);
+    return new Promise((resolve, reject) => {
+        try {
+            if (format === 'csv') {
+                let headers = [];
+                const sampleRows = [];
+                const csvDialect = resolveCsvDialect(filePath, csvOptions, csvHints(ext));
+                const { source, parser } = createCsvReader(filePath, csvDialect, {
+                    mapHeaders: ({ header }) => cleanHeader(header)
+                });
+                const finish = () => {
+                    source.destroy();
+                    resolve({ headers, sampleRows, csvDialect });
+                };
+                parser
+                    .on('headers', (h) => { headers = h; })
+                    .on('data', (row) => {
+                        sampleRows.push(row);
+                        if (sampleRows.length >= sampleSize) {
+                            parser.removeAllListeners('data');
+                            finish();
+                        }
+                    })
+                    .on('end', finish)
+                    .on('error', reject);
+            } else {
+                // sheetRows limits how much of the sheet gets parsed
+                const workbook = xlsx.readFile(filePath, {
+                    sheetRows: (sheetOptions.headerRow || 1) + sampleSize,
+                    ...IMPORT_READ_OPTIONS
+                });
+                const { name, worksheet } = getWorksheet(workbook, sheetOptions.sheet);
+                // Footer rows are unknown in a partial read, so they are not skipped here
+                const layout = getSheetLayout(worksheet, { headerRow: sheetOptions.headerRow });
+                if (!layout) throw new Error(`Sheet "${name}" is empty`);
+                // Same header keys as the worker uses, so the mapping matches the parsed rows
+                const headers = readHeaderKeys(worksheet, layout);
+                const sampleRows = readSheetRows(worksheet, layout, headers, layout.firstDataRow, layout.range.e.r);
+                resolve({ headers, sampleRows });
             }
-            return;
+        } catch (err) {
+            reject(err);
         }
+    });
+}
 
-        // Large file - use worker thread
-        console.log(`[Worker] Starting worker thread for ${fileSizeMB.toFixed(2)}MB file`);
+// Headers from the same records as the worker reads them from (JSON_HEADER_ROWS)
+async function readJsonHeaders(filePath, format, sampleSize) {
+    const rows = [];
+    for await (const row of readJsonRows(filePath, format)) {
+        rows.push(row);
+        if (rows.length >= JSON_HEADER_ROWS) break;
+    }
+    const headers = collectHeaders(rows);
+    return { headers, sampleRows: rows.slice(0, sampleSize).map(row => fillMissing(row, headers)) };
+}
+
+/**
+ * Stream file rows from a Worker Thread in batches.
+ * Yields { type: 'meta' | 'batch' | 'done', ... } messages from workers/fileParser.js.
+ * Each batch taken by the consumer is acknowledged, which lets the worker read on;
+ * a slow consumer therefore pauses parsing instead of buffering the whole file.
+ */
+async function* streamFileRows(filePath, ext, taskId, batchSize = 5000, sheetOptions = {}, csvOptions = {}) {
+    const workerPath = path.join(__dirname, '../workers/fileParser.js');
+    const worker = new Worker(workerPath, {
+        workerData: { filePath, ext, taskId, batchSize, sheetOptions, csvOptions }
+    });
 
-        const workerPath = path.join(__dirname, '../workers/fileParser.js');
+    const queue = [];
+    let finished = false;
+    let failure = null;
+    let wakeUp = null;
 
-        // Check if worker file exists
-        if (!fs.existsSync(workerPath)) {
-            console.log('[Worker] Worker file not found, falling back to main thread');
-            // Fallback: parse with yielding to event loop
-            parseWithYield(filePath, ext, taskId)
-                .then(resolve)
-                .catch(reject);
-            return;
+    const notify = () => {
+        if (wakeUp) {
+            const fn = wakeUp;
+            wakeUp = null;
+            fn();
         }
+    };
 
-        const worker = new Worker(workerPath, {
-            workerData: { filePath, ext, taskId }
-        });
-
-        worker.on('message', (msg) => {
-            if (msg.type === 'log') {
-                console.log(`[Worker ${taskId}] ${msg.message}`);
-            } else if (msg.type === 'status') {
-                console.log(`[Worker ${taskId}] Status: ${msg.message}`);
-            } else if (msg.type === 'result') {
-                if (msg.success) {
-                    resolve(msg.rows);
-                } else {
-                    reject(new Error(msg.error));
-                }
-            }
-        });
+    worker.on('message', (msg) => {
+        if (msg.type === 'log') {
+            console.log(`[Worker ${taskId}] ${msg.message}`);
+        } else if (msg.type === 'error') {
+            failure = new Error(msg.error);
+        } else {
+            queue.push(msg);
+        }
+        notify();
+    });
 
-        worker.on('error', (err) => {
-            console.error(`[Worker ${taskId}] Error:`, err);
-            reject(err);
-        });
+    worker.on('error', (err) => {
+        console.error(`[Worker ${taskId}] Error:`, err);
+        failure = err;
+        notify();
+    });
 
-        worker.on('exit', (code) => {
-            if (code !== 0) {
-                reject(new Error(`Worker stopped with exit code ${code}`));
-            }
-        });
+    worker.on('exit', (code) => {
+        if (code !== 0 && !failure) {
+            failure = new Error(`Worker stopped with exit code ${code}`);
+        }
+        finished = true;
+        notify();
     });
-}
 
-/**
- * Fallback: Parse file with periodic yields to event loop
- * This allows other requests to be processed between chunks
- */
-async function parseWithYield(filePath, ext, taskId) {
-    return new Promise((resolve, reject) => {
-        // Use setImmediate to yield to event loop
-        setImmediate(() => {
-            try {
-                if (ext === '.csv') {
-                    const rows = [];
-                    fs.createReadStream(filePath)
-                        .pipe(csv())
-                        .on('data', (row) => rows.push(row))
-                        .on('end', () => resolve(rows))
-                        .on('error', reject);
-                } else {
-                    console.log(`[Phase 2 ${taskId}] Reading Excel file (yielded)...`);
-                    const workbook = xlsx.readFile(filePath, {
-                        type: 'file',
-                        dense: false,
-                        cellDates: true,
-                        cellNF: false,
-                        cellText: false
-                    });
-                    const sheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[sheetName];
-                    if (!sheet) throw new Error(`Sheet "${sheetName}" is empty`);
-                    const rows = xlsx.utils.sheet_to_json(sheet, { defval: null });
-                    resolve(rows);
-                }
-            } catch (err) {
-                reject(err);
+    try {
+        while (true) {
+            if (queue.length > 0) {
+                const msg = queue.shift();
+                if (msg.type === 'batch') worker.postMessage({ type: 'ack' });
+                yield msg;
+                if (msg.type === 'done') return;
+                continue;
             }
-        });
-    });
+            if (failure) throw failure;
+            if (finished) throw new Error('Worker exited before finishing the file');
+            await new Promise(resolve => { wakeUp = resolve; });
+        }
+    } finally {
+        // Consumer stopped early (error/abort) - don't leave the worker parsing
+        await worker.terminate();
+    }
 }
 
 // Configure multer
+const UPLOAD_DIR = path.join(__dirname, '../uploads');
+const MAX_CHUNKED_FILE_SIZE = 500 * 1024 * 1024; // 500MB, chunked uploads only
+// 'replace' loads into a staging copy and swaps it in (utils/tableSwap)
+// 'mirror' upserts, then removes rows missing from the file (utils/mirrorSync)
+const DUPLICATE_MODES = ['skip', 'update', 'error', 'replace', 'mirror'];
+
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '../uploads');
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
+        if (!fs.existsSync(UPLOAD_DIR)) {
+            fs.mkdirSync(UPLOAD_DIR, { recursive: true });
         }
-        cb(null, uploadDir);
+        cb(null, UPLOAD_DIR);
     },
     filename: (req, file, cb) => {
         cb(null, `${Date.now()}-${file.originalname}`);
@@ -153,131 +189,29 @@ const upload = multer({
     storage,
     fileFilter: (req, file, cb) => {
         const ext = path.extname(file.originalname).toLowerCase();
-        if (['.csv', '.xlsx', '.xls'].includes(ext)) {
+        if (ALLOWED_EXTENSIONS.includes(ext)) {
             cb(null, true);
         } else {
-            cb(new Error('Only CSV and Excel files are allowed.'));
+            cb(new Error(UNSUPPORTED_MESSAGE));
         }
     },
     limits: { fileSize: 200 * 1024 * 1024 } // 200MB limit
 });
 
-// Store upload progress in memory AND persist to disk
-const uploadProgress = new Map();
-
-// Store pending files metadata (files uploaded but not yet processed)
-const pendingFiles = new Map();
-
-// Helper: Paths for persistent storage
-const PENDING_FILES_PATH = path.join(__dirname, '../uploads/.pending.json');
-const PROGRESS_FILE_PATH = path.join(__dirname, '../uploads/.progress.json');
-
-// =====================================================
-// PROGRESS PERSISTENCE FUNCTIONS
-// =====================================================
-
-const saveProgress = () => {
-    try {
-        const data = Array.from(uploadProgress.entries());
-        fs.writeFileSync(PROGRESS_FILE_PATH, JSON.stringify(data, null, 2));
-    } catch (err) {
-        console.error('Failed to save progress:', err);
-    }
-};
-
-const loadProgress = () => {
-    try {
-        if (fs.existsSync(PROGRESS_FILE_PATH)) {
-            const data = JSON.parse(fs.readFileSync(PROGRESS_FILE_PATH, 'utf8'));
-            let loadedCount = 0;
-            let staleCount = 0;
-
-            data.forEach(([key, value]) => {
-                // Only load if not too old (max 24 hours)
-                const age = Date.now() - parseInt(key);
-                if (age < 24 * 60 * 60 * 1000) {
-                    // Check if the referenced file still exists in pendingFiles
-                    const fileExists = value.fileId && pendingFiles.has(value.fileId);
-
-                    // For 'processing' status, only keep if file exists
-                    if (value.status === 'processing') {
-                        if (fileExists) {
-                            uploadProgress.set(key, value);
-                            loadedCount++;
-                        } else {
-                            staleCount++;
-                            console.log(`[Cleanup] Removing stale progress for missing file: ${value.fileName}`);
-                        }
-                    } else {
-                        // Keep completed/error entries for a while (for UI showing)
-                        uploadProgress.set(key, value);
-                        loadedCount++;
-                    }
-                }
-            });
-
-            console.log(`Loaded ${loadedCount} progress entries`);
-            if (staleCount > 0) {
-                console.log(`[Cleanup] Removed ${staleCount} stale progress entries`);
-                saveProgress(); // Save cleaned up progress
-            }
-        }
-    } catch (err) {
-        console.error('Failed to load progress:', err);
-    }
-};
-
-// =====================================================
-// PENDING FILES PERSISTENCE FUNCTIONS  
-// =====================================================
-
-const savePendingFiles = () => {
-    try {
-        const data = Array.from(pendingFiles.entries());
-        fs.writeFileSync(PENDING_FILES_PATH, JSON.stringify(data, null, 2));
-    } catch (err) {
-        console.error('Failed to save pending files:', err);
-    }
-};
-
-const loadPendingFiles = () => {
-    try {
-        if (fs.existsSync(PENDING_FILES_PATH)) {
-            const data = JSON.parse(fs.readFileSync(PENDING_FILES_PATH, 'utf8'));
-            let resetCount = 0;
-            data.forEach(([key, value]) => {
-                // Only add if file still exists
-                if (fs.existsSync(value.filePath)) {
-                    // Reset "processing" to "pending" on server restart
-                    // (process was interrupted by restart)
-                    if (value.status === 'processing') {
-                        value.status = 'pending';
-                        value.taskId = null;
-                        resetCount++;
-                    }
-                    pendingFiles.set(key, value);
-                }
-            });
-            console.log(`Loaded ${pendingFiles.size} pending files`);
-            if (resetCount > 0) {
-                console.log(`Reset ${resetCount} stuck "processing" files to "pending"`);
-                savePendingFiles();
-            }
-        }
-    } catch (err) {
-        console.error('Failed to load pending files:', err);
-    }
-};
-
-// Load on startup
-loadPendingFiles();
-loadProgress();
+// Progress of the single-request upload route (POST /:database/:table).
+// Two-phase uploads keep their state in the import_jobs table (utils/importJobs.js).
+const legacyProgress = new Map();
 
 // =====================================================
 // AUTO-CLEANUP ORPHAN FILES
 // =====================================================
 
-const cleanupOrphanFiles = () => {
+// Other instances may be between writing a file and creating its import_jobs
+// row (multer upload, chunked finalize, drop folder, legacy route), so a file
+// is only an orphan once it has gone untracked this long
+const ORPHAN_MIN_AGE = 24 * 60 * 60 * 1000;
+
+const cleanupOrphanFiles = async () => {
     try {
         const uploadDir = path.join(__dirname, '../uploads');
         if (!fs.existsSync(uploadDir)) return;
@@ -287,10 +221,7 @@ const cleanupOrphanFiles = () => {
         let freedBytes = 0;
 
         // Get list of tracked file paths
-        const trackedPaths = new Set();
-        pendingFiles.forEach((file) => {
-            trackedPaths.add(file.filePath);
-        });
+        const trackedPaths = new Set(await listFilePaths());
 
         files.forEach(file => {
             // Skip hidden files, temp folder, and json files
@@ -302,8 +233,8 @@ const cleanupOrphanFiles = () => {
             // Skip directories
             if (stat.isDirectory()) return;
 
-            // If file is not tracked in pendingFiles, it's orphan
-            if (!trackedPaths.has(filePath)) {
+            // If file is not tracked in import_jobs and old enough, it's orphan
+            if (!trackedPaths.has(filePath) && Date.now() - stat.mtimeMs > ORPHAN_MIN_AGE) {
                 freedBytes += stat.size;
                 fs.unlinkSync(filePath);
                 deletedCount++;
@@ -318,6 +249,9 @@ const cleanupOrphanFiles = () => {
         // Also cleanup old lookup results (older than 7 days)
         cleanupOldLookupResults();
 
+        // And chunked uploads nobody came back for
+        await cleanupStaleSessions();
+
     } catch (err) {
         console.error('Failed to cleanup orphan files:', err);
     }
@@ -334,7 +268,7 @@ const cleanupOldLookupResults = () => {
         let freedBytes = 0;
 
         files.forEach(file => {
-            if (!file.startsWith('lookup_result_')) return;
+            if (!['lookup_result_', 'validation_report_', 'rejected_rows_'].some(prefix => file.startsWith(prefix))) return;
 
             const filePath = path.join(tempDir, file);
             const stat = fs.statSync(filePath);
@@ -348,55 +282,96 @@ const cleanupOldLookupResults = () => {
         });
 
         if (deletedCount > 0) {
-            console.log(`[Cleanup] Deleted ${deletedCount} old lookup results, freed ${(freedBytes / 1024 / 1024).toFixed(2)} MB`);
+            console.log(`[Cleanup] Deleted ${deletedCount} old lookup results/reports, freed ${(freedBytes / 1024 / 1024).toFixed(2)} MB`);
         }
     } catch (err) {
         console.error('Failed to cleanup lookup results:', err);
     }
 };
 
-// Run cleanup on startup
-cleanupOrphanFiles();
-
 // =====================================================
 // TWO-PHASE UPLOAD ENDPOINTS
 // =====================================================
 
-// Phase 1: Upload file only (store to VPS)
-router.post('/file', auth, upload.single('file'), async (req, res) => {
+/**
+ * Unpack an uploaded .gz / .zip into its data files (utils/archive); the
+ * archive itself is removed. Other files are returned as they are.
+ * Resolves to [{ originalName, filePath, size, mimetype }].
+ */
+const unpackUpload = async (uploaded) => {
+    if (!isArchive(uploaded.originalName)) return [uploaded];
+
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded.' });
-        }
+        const files = await expandArchive(uploaded.filePath, uploaded.originalName, UPLOAD_DIR);
+        console.log(`[Phase 1] Unpacked ${uploaded.originalName}: ${files.map(f => f.originalName).join(', ')}`);
+        return files.map(file => ({ ...file, mimetype: MIME_TYPES[path.extname(file.originalName).toLowerCase()] }));
+    } finally {
+        if (fs.existsSync(uploaded.filePath)) fs.unlinkSync(uploaded.filePath);
+    }
+};
 
+/**
+ * Register uploaded files as pending (Phase 1 result).
+ * Returns the response body for the upload endpoints: fileId and file are the
+ * first file, files lists every file (several when a zip held more than one).
+ */
+const registerPendingFiles = async (uploads, userId) => {
+    const files = [];
+    for (const { originalName, filePath, size, mimetype } of uploads) {
         const fileId = `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         const fileInfo = {
             fileId,
-            originalName: req.file.originalname,
-            filePath: req.file.path,
-            size: req.file.size,
-            mimetype: req.file.mimetype,
+            originalName,
+            filePath,
+            size,
+            mimetype,
             uploadedAt: new Date().toISOString(),
-            uploadedBy: req.user.id,
-            status: 'pending' // pending | processing | completed | error
+            uploadedBy: userId
         };
 
-        pendingFiles.set(fileId, fileInfo);
-        savePendingFiles();
+        await createJob(fileInfo);
 
         console.log(`[Phase 1] File uploaded: ${fileInfo.originalName} (${(fileInfo.size / 1024 / 1024).toFixed(2)} MB) -> ${fileId}`);
 
-        res.json({
-            success: true,
-            fileId,
-            message: 'File uploaded successfully. Ready for processing.',
-            file: {
-                id: fileId,
-                name: fileInfo.originalName,
-                size: fileInfo.size,
-                uploadedAt: fileInfo.uploadedAt
-            }
+        files.push({
+            id: fileId,
+            name: fileInfo.originalName,
+            size: fileInfo.size,
+            uploadedAt: fileInfo.uploadedAt
         });
+    }
+
+    return {
+        success: true,
+        fileId: files[0].id,
+        message: files.length > 1
+            ? `${files.length} files unpacked from the archive. Ready for processing.`
+            : 'File uploaded successfully. Ready for processing.',
+        file: files[0],
+        files
+    };
+};
+
+// Phase 1: Upload file only (store to VPS)
+router.post('/file', auth, upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded.' });
+        }
+
+        let uploads;
+        try {
+            uploads = await unpackUpload({
+                originalName: req.file.originalname,
+                filePath: req.file.path,
+                size: req.file.size,
+                mimetype: req.file.mimetype
+            });
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        res.json(await registerPendingFiles(uploads, req.user.id));
 
     } catch (error) {
         console.error('File upload error:', error);
@@ -404,26 +379,185 @@ router.post('/file', auth, upload.single('file'), async (req, res) => {
     }
 });
 
-// Get list of pending files
-router.get('/pending', auth, (req, res) => {
+// =====================================================
+// CHUNKED UPLOAD (Phase 1 for large files)
+// init -> PUT chunk N (any order, retries allowed) -> finalize with CRC32
+// =====================================================
+
+// Sessions are private to the user who started them; finalized ones only answer a repeated finalize
+const findChunkSession = async (req, res, finalized = false) => {
+    const session = await getSession(req.params.uploadId);
+    if (!session || session.uploadedBy !== req.user.id || (session.completedAt && !finalized)) {
+        res.status(404).json({ error: 'Upload session not found or expired.' });
+        return null;
+    }
+    return session;
+};
+
+const chunkStatus = (session) => ({
+    uploadId: session.uploadId,
+    fileName: session.fileName,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks: session.receivedChunks
+});
+
+router.post('/chunked/init', auth, async (req, res) => {
     try {
-        const userFiles = [];
-        pendingFiles.forEach((file, fileId) => {
-            // Only show files for this user (or all for admin)
-            if (file.uploadedBy === req.user.id || req.user.role === 'admin') {
-                userFiles.push({
-                    fileId,
-                    name: file.originalName,
-                    size: file.size,
-                    uploadedAt: file.uploadedAt,
-                    status: file.status,
-                    taskId: file.taskId || null
-                });
+        const { fileName } = req.body;
+        const size = parseInt(req.body.size);
+        const chunkSize = parseInt(req.body.chunkSize) || DEFAULT_CHUNK_SIZE;
+
+        if (!fileName || !(size > 0)) {
+            return res.status(400).json({ error: 'fileName and size are required.' });
+        }
+        if (!ALLOWED_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+            return res.status(400).json({ error: UNSUPPORTED_MESSAGE });
+        }
+        if (size > MAX_CHUNKED_FILE_SIZE) {
+            return res.status(413).json({ error: `File exceeds the ${MAX_CHUNKED_FILE_SIZE / 1024 / 1024}MB limit.` });
+        }
+        if (chunkSize < 64 * 1024 || chunkSize > MAX_CHUNK_SIZE) {
+            return res.status(400).json({ error: `chunkSize must be between 64KB and ${MAX_CHUNK_SIZE / 1024 / 1024}MB.` });
+        }
+
+        const session = await createSession({ fileName: path.basename(fileName), size, chunkSize, userId: req.user.id });
+        console.log(`[Phase 1] Chunked upload started: ${session.fileName} (${(size / 1024 / 1024).toFixed(2)} MB, ${session.totalChunks} chunks) -> ${session.uploadId}`);
+
+        res.json(chunkStatus(session));
+    } catch (error) {
+        console.error('Chunked upload init error:', error);
+        res.status(500).json({ error: 'Failed to start upload.' });
+    }
+});
+
+// Which chunks the server already has, so the browser can continue
+router.get('/chunked/:uploadId', auth, async (req, res) => {
+    try {
+        const session = await findChunkSession(req, res);
+        if (!session) return;
+        res.json(chunkStatus(session));
+    } catch (error) {
+        console.error('Chunked upload status error:', error);
+        res.status(500).json({ error: 'Failed to get upload status.' });
+    }
+});
+
+router.put('/chunked/:uploadId/chunk/:index',
+    auth,
+    express.raw({ type: 'application/octet-stream', limit: MAX_CHUNK_SIZE }),
+    async (req, res) => {
+        try {
+            const session = await findChunkSession(req, res);
+            if (!session) return;
+
+            if (!Buffer.isBuffer(req.body)) {
+                return res.status(400).json({ error: 'Chunk must be sent as application/octet-stream.' });
+            }
+
+            try {
+                await writeChunk(session, parseInt(req.params.index), req.body, req.get('X-Chunk-Checksum'));
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
             }
+
+            res.json({ success: true, received: session.receivedChunks.length, totalChunks: session.totalChunks });
+        } catch (error) {
+            console.error('Chunk upload error:', error);
+            res.status(500).json({ error: 'Failed to store chunk.' });
+        }
+    }
+);
+
+router.post('/chunked/:uploadId/finalize', auth, async (req, res) => {
+    try {
+        const session = await findChunkSession(req, res, true);
+        if (!session) return;
+        if (session.completedAt) {
+            // The browser retried after losing the response
+            if (session.result) return res.json(session.result);
+            return res.status(503).json({ error: 'Upload is still being finalized.' });
+        }
+
+        const { checksum } = req.body;
+        if (!checksum) {
+            return res.status(400).json({ error: 'checksum is required.' });
+        }
+
+        // Same location and naming as multer uses for single-request uploads
+        const filePath = path.join(UPLOAD_DIR, `${Date.now()}-${session.fileName}`);
+        try {
+            await finalizeSession(session, checksum, filePath);
+        } catch (err) {
+            if (err.finalizing) return res.status(503).json({ error: err.message });
+            return res.status(400).json({ error: err.message, missingChunks: err.missingChunks });
+        }
+
+        let uploads;
+        try {
+            uploads = await unpackUpload({
+                originalName: session.fileName,
+                filePath,
+                size: session.size,
+                mimetype: MIME_TYPES[path.extname(session.fileName).toLowerCase()]
+            });
+        } catch (err) {
+            await removeSession(session.uploadId);
+            return res.status(400).json({ error: err.message });
+        }
+
+        let result;
+        try {
+            result = await registerPendingFiles(uploads, req.user.id);
+            await completeSession(session.uploadId, result);
+        } catch (err) {
+            // A finalized session without a result would answer every retry with 503
+            await removeSession(session.uploadId).catch(() => {});
+            throw err;
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Chunked upload finalize error:', error);
+        res.status(500).json({ error: 'Failed to finalize upload.' });
+    }
+});
+
+// Abandon an upload
+router.delete('/chunked/:uploadId', auth, async (req, res) => {
+    try {
+        const session = await findChunkSession(req, res);
+        if (!session) return;
+        await removeSession(session.uploadId);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Chunked upload cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel upload.' });
+    }
+});
+
+router.get('/pending', auth, async (req, res) => {
+    try {
+        // Only show files for this user (or all for admin), newest first
+        const jobs = await listJobs({
+            waitingFiles: true,
+            userId: req.user.role === 'admin' ? null : req.user.id
         });
 
-        // Sort by uploadedAt descending
-        userFiles.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+        const userFiles = jobs
+            .filter(job => fs.existsSync(job.filePath))
+            .map(job => {
+                // A finished dry run leaves the file ready for the real import
+                const validated = job.status === 'completed' && job.dryRun;
+                return {
+                    fileId: job.fileId,
+                    name: job.originalName,
+                    size: job.size,
+                    uploadedAt: job.uploadedAt,
+                    status: validated ? 'pending' : job.status,
+                    taskId: validated ? null : job.taskId || null
+                };
+            });
 
         res.json(userFiles);
     } catch (error) {
@@ -433,31 +567,35 @@ router.get('/pending', auth, (req, res) => {
 });
 
 // Get list of active processing tasks (for reconnection after browser refresh)
-router.get('/active-tasks', auth, (req, res) => {
+router.get('/active-tasks', auth, async (req, res) => {
     try {
-        const activeTasks = [];
-        uploadProgress.forEach((progress, taskId) => {
-            // Only show processing tasks (not completed/error)
-            if (progress.status === 'processing') {
-                activeTasks.push({
-                    taskId,
-                    fileId: progress.fileId,
-                    fileName: progress.fileName,
-                    database: progress.database,
-                    table: progress.table,
-                    totalRows: progress.totalRows,
-                    processedRows: progress.processedRows,
-                    insertedRows: progress.insertedRows,
-                    skippedRows: progress.skippedRows,
-                    updatedRows: progress.updatedRows,
-                    startedAt: progress.startedAt,
-                    status: progress.status
-                });
-            }
-        });
+        // Queued, processing and resumable tasks (not completed/error)
+        const jobs = await listJobs({ statuses: ['queued', 'processing', 'interrupted'] });
 
-        // Sort by startedAt descending (newest first)
-        activeTasks.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+        const activeTasks = jobs.map(({ taskId, progress, options, dryRun }) => ({
+            taskId,
+            fileId: progress.fileId,
+            fileName: progress.fileName,
+            database: progress.database,
+            table: progress.table,
+            totalRows: progress.totalRows,
+            processedRows: progress.processedRows,
+            insertedRows: progress.insertedRows,
+            skippedRows: progress.skippedRows,
+            updatedRows: progress.updatedRows,
+            queuedAt: progress.queuedAt,
+            startedAt: progress.startedAt,
+            status: progress.status,
+            checkpointRows: progress.checkpoint?.rowsCommitted || 0,
+            paused: progress.paused || null,
+            // What the Pause / Cancel buttons may offer
+            dryRun,
+            atomic: !!options.atomic,
+            undoable: !!options.undoable
+        }));
+
+        // Sort by startedAt descending (newest first), queued tasks last
+        activeTasks.sort((a, b) => new Date(b.startedAt || 0) - new Date(a.startedAt || 0));
 
         res.json(activeTasks);
     } catch (error) {
@@ -466,84 +604,604 @@ router.get('/active-tasks', auth, (req, res) => {
     }
 });
 
-// Phase 2: Process pending file to database
+// =====================================================
+// COLUMN MAPPING (file header -> table column)
+// =====================================================
+
+// Columns whose file values go through the date engine: date types, plus names that suggest a date.
+// Numeric columns (total_time, updated_by) are left to the number parser whatever their name.
+const getDateColumns = (columns) => {
+    const dateColumns = columns
+        .filter(c => ['date', 'datetime', 'timestamp'].some(t => c.Type.toLowerCase().includes(t)))
+        .map(c => c.Field);
+
+    // Also check column names for date patterns
+    columns.forEach(c => {
+        if (isDateColumn(c.Field) && !isNumericType(c.Type) && !dateColumns.includes(c.Field)) {
+            dateColumns.push(c.Field);
+        }
+    });
+    return dateColumns;
+};
+
+// { [column]: format } from a request or saved mapping; empty formats mean "detect per value"
+const parseDateFormats = (input) => {
+    let formats = input;
+    if (typeof formats === 'string') {
+        try {
+            formats = JSON.parse(formats);
+        } catch (e) {
+            formats = null;
+        }
+    }
+    const result = {};
+    Object.entries(formats || {}).forEach(([column, format]) => {
+        if (typeof format === 'string' && format.trim()) result[column] = format.trim();
+    });
+    return result;
+};
+
+// Mappings are stored per connection/database/table in dataflow_pro.
+// connection_id 0 means the legacy localhost pool (no connectionId).
+const getSavedMapping = async (connectionId, database, table) => {
+    const [rows] = await getInternalPool().execute(
+        'SELECT mapping FROM upload_column_mappings WHERE connection_id = ? AND database_name = ? AND table_name = ?',
+        [parseInt(connectionId) || 0, database, table]
+    );
+    if (rows.length === 0) return null;
+    try {
+        return JSON.parse(rows[0].mapping);
+    } catch (e) {
+        return null;
+    }
+};
+
+const saveMapping = async (connectionId, database, table, mapping, userId) => {
+    await getInternalPool().execute(
+        `INSERT INTO upload_column_mappings (connection_id, database_name, table_name, mapping, updated_by)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE mapping = VALUES(mapping), updated_by = VALUES(updated_by)`,
+        [parseInt(connectionId) || 0, database, table, JSON.stringify(mapping), userId]
+    );
+};
+
+// Get file headers, table columns, saved mapping and suggestions for a pending file
+router.get('/mapping/:fileId', auth, checkDbPermission, async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const { database, table, connectionId } = req.query;
+
+        if (!database || !table) {
+            return res.status(400).json({ error: 'Database and table are required.' });
+        }
+
+        const fileInfo = await getJob(fileId);
+        if (!fileInfo || !fs.existsSync(fileInfo.filePath)) {
+            return res.status(404).json({ error: 'File not found.' });
+        }
+
+        let pool;
+        if (connectionId) {
+            pool = await getConnectionPool(parseInt(connectionId), database);
+        } else {
+            pool = await getDbConnection(database);
+        }
+        const [columns] = await pool.execute(`DESCRIBE \`${table}\``);
+        const tableColumns = columns.map(c => c.Field);
+
+        const ext = path.extname(fileInfo.originalName).toLowerCase();
+        const { headers, sampleRows, csvDialect } = await readFileHeaders(fileInfo.filePath, ext, 5, parseSheetOptions(req.query), parseCsvOptions(req.query));
+
+        const saved = await getSavedMapping(connectionId, database, table);
+        const suggestions = suggestMapping(headers, tableColumns);
+
+        // Saved mapping wins over suggestions for headers it knows about
+        if (saved && saved.columns) {
+            headers.forEach(header => {
+                if (Object.prototype.hasOwnProperty.call(saved.columns, header)) {
+                    const column = saved.columns[header];
+                    suggestions[header] = {
+                        column: tableColumns.includes(column) ? column : null,
+                        match: 'saved',
+                        score: 1
+                    };
+                }
+            });
+        }
+
+        res.json({
+            fileColumns: headers,
+            tableColumns: columns.map(c => ({ name: c.Field, type: c.Type, key: c.Key })),
+            sampleRows,
+            savedMapping: saved,
+            suggestions,
+            // CSV only: dialect the file was read with, overrides applied
+            csvDialect: csvDialect || null
+        });
+    } catch (error) {
+        console.error('Get column mapping error:', error);
+        res.status(500).json({ error: error.message || 'Failed to read column mapping.' });
+    }
+});
+
+// Distinct text values per column read for date format detection
+const MAX_DATE_SAMPLES = 10000;
+
+// Detect the format of every mapped date column, reading the whole file
+// Body: database, table, connectionId, columnMapping, sheet, headerRow, skipFooterRows,
+// encoding, delimiter, quote, escape, lineEnding
+router.post('/date-formats/:fileId', auth, checkDbPermission, async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const { database, table, connectionId, columnMapping = null } = req.body;
+
+        if (!database || !table) {
+            return res.status(400).json({ error: 'Database and table are required.' });
+        }
+
+        const fileInfo = await getJob(fileId);
+        if (!fileInfo || !fs.existsSync(fileInfo.filePath)) {
+            return res.status(404).json({ error: 'File not found.' });
+        }
+
+        const pool = connectionId
+            ? await getConnectionPool(parseInt(connectionId), database)
+            : await getDbConnection(database);
+        const [columns] = await pool.execute(`DESCRIBE \`${table}\``);
+        const dateColumns = getDateColumns(columns);
+
+        const ext = path.extname(fileInfo.originalName).toLowerCase();
+        const samples = {};
+        for await (const msg of streamFileRows(fileInfo.filePath, ext, `dates-${fileId}`, 5000, parseSheetOptions(req.body), parseCsvOptions(req.body))) {
+            if (msg.type === 'meta') {
+                const { mapping } = resolveMapping(msg.headers, columns.map(c => c.Field), columnMapping);
+                Object.entries(mapping)
+                    .filter(([, column]) => dateColumns.includes(column))
+                    .forEach(([header, column]) => { samples[column] = { header, values: new Set() }; });
+            } else if (msg.type === 'batch') {
+                msg.rows.forEach(row => {
+                    Object.values(samples).forEach(sample => {
+                        const value = row[sample.header];
+                        if (typeof value === 'string' && value.trim() && sample.values.size < MAX_DATE_SAMPLES) {
+                            sample.values.add(value.trim());
+                        }
+                    });
+                });
+            }
+        }
+
+        const result = {};
+        Object.entries(samples).forEach(([column, sample]) => {
+            result[column] = {
+                header: sample.header,
+                type: columns.find(c => c.Field === column).Type,
+                ...detectDateFormat([...sample.values])
+            };
+        });
+
+        res.json({ columns: result });
+    } catch (error) {
+        console.error('Detect date formats error:', error);
+        res.status(500).json({ error: error.message || 'Failed to detect date formats.' });
+    }
+});
+
+// File rows shown in the transformation preview
+const TRANSFORM_PREVIEW_ROWS = 20;
+
+// Values of the first rows before and after the transformations, as the import will read them
+// Body: database, table, connectionId, columnMapping, transforms, sheet, headerRow,
+// encoding, delimiter, quote, escape, lineEnding
+router.post('/transform-preview/:fileId', auth, checkDbPermission, async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const { database, table, connectionId, columnMapping = null } = req.body;
+
+        if (!database || !table) {
+            return res.status(400).json({ error: 'Database and table are required.' });
+        }
+
+        const { transforms, error: transformError } = parseTransforms(req.body.transforms);
+        if (transformError) {
+            return res.status(400).json({ error: transformError });
+        }
+
+        const fileInfo = await getJob(fileId);
+        if (!fileInfo || !fs.existsSync(fileInfo.filePath)) {
+            return res.status(404).json({ error: 'File not found.' });
+        }
+
+        const pool = connectionId
+            ? await getConnectionPool(parseInt(connectionId), database)
+            : await getDbConnection(database);
+        const [columns] = await pool.execute(`DESCRIBE \`${table}\``);
+        const tableColumns = columns.map(c => c.Field);
+
+        const ext = path.extname(fileInfo.originalName).toLowerCase();
+        const { headers, sampleRows } = await readFileHeaders(fileInfo.filePath, ext, TRANSFORM_PREVIEW_ROWS, parseSheetOptions(req.body), parseCsvOptions(req.body));
+
+        // Same columns as the import: mapped ones first, then the ones transformations fill
+        const { mapping } = resolveMapping(headers, tableColumns, columnMapping);
+        const headerOf = {};
+        Object.entries(mapping).forEach(([header, column]) => { headerOf[column] = header; });
+        const computed = getComputedColumns(transforms, Object.values(mapping), tableColumns);
+        const previewColumns = Object.keys(transforms).filter(column => headerOf[column] || computed.includes(column));
+
+        const transform = createTransformer(transforms);
+        const rows = sampleRows.map(row => {
+            const values = {};
+            previewColumns.forEach(column => {
+                const before = headerOf[column] ? row[headerOf[column]] : null;
+                values[column] = { before, after: transform(column, before, row) };
+            });
+            return values;
+        });
+
+        res.json({
+            columns: previewColumns.map(column => ({ column, header: headerOf[column] || null, computed: computed.includes(column) })),
+            // Columns with transformations that will not be written (not mapped, not in the table)
+            unusedColumns: Object.keys(transforms).filter(column => !previewColumns.includes(column)),
+            rows
+        });
+    } catch (error) {
+        console.error('Transform preview error:', error);
+        res.status(500).json({ error: error.message || 'Failed to preview transformations.' });
+    }
+});
+
+// Save mapping for a table without processing a file
+router.put('/mapping/:database/:table', auth, checkDbPermission, async (req, res) => {
+    try {
+        const { database, table } = req.params;
+        const { connectionId, columns, dateFormats, numberLocale = 'auto' } = req.body;
+
+        if (!columns || typeof columns !== 'object') {
+            return res.status(400).json({ error: 'Column mapping is required.' });
+        }
+        if (!NUMBER_LOCALE_NAMES.includes(numberLocale)) {
+            return res.status(400).json({ error: `numberLocale must be one of: ${NUMBER_LOCALE_NAMES.join(', ')}.` });
+        }
+        const { transforms, error: transformError } = parseTransforms(req.body.transforms);
+        if (transformError) {
+            return res.status(400).json({ error: transformError });
+        }
+
+        await saveMapping(connectionId, database, table, { columns, dateFormats: parseDateFormats(dateFormats), numberLocale, transforms }, req.user.id);
+        res.json({ success: true, message: 'Column mapping saved.' });
+    } catch (error) {
+        console.error('Save column mapping error:', error);
+        res.status(500).json({ error: 'Failed to save column mapping.' });
+    }
+});
+
+// Check how well the table's indexes serve a duplicate check
+// Query: fields (comma separated), duplicateMode, connectionId
+router.get('/duplicate-check/:database/:table', auth, checkDbPermission, async (req, res) => {
+    try {
+        const { database, table } = req.params;
+        const { connectionId, duplicateMode = 'skip' } = req.query;
+        const fields = (req.query.fields || '').split(',').map(f => f.trim()).filter(Boolean);
+
+        if (fields.length === 0) {
+            return res.json({ indexed: true, index: null, uniqueKey: null, warnings: [] });
+        }
+
+        const pool = connectionId
+            ? await getConnectionPool(parseInt(connectionId), database)
+            : await getDbConnection(database);
+
+        res.json(checkKeyCoverage(await loadIndexes(pool, table), fields, duplicateMode));
+    } catch (error) {
+        console.error('Duplicate check coverage error:', error);
+        res.status(500).json({ error: 'Failed to check indexes for duplicate check.' });
+    }
+});
+
+// Phase 2: Queue pending file for import into the database
 router.post('/process/:fileId', auth, async (req, res) => {
     const { fileId } = req.params;
-    const taskId = Date.now().toString();
+    const taskId = createTaskId();
 
     try {
-        const fileInfo = pendingFiles.get(fileId);
+        const fileInfo = await getJob(fileId);
         if (!fileInfo) {
             return res.status(404).json({ error: 'File not found.' });
         }
 
         if (!fs.existsSync(fileInfo.filePath)) {
-            pendingFiles.delete(fileId);
-            savePendingFiles();
+            await deleteJob(fileId);
             return res.status(404).json({ error: 'File no longer exists on server.' });
         }
 
-        if (fileInfo.status === 'processing') {
+        if (fileInfo.status === 'processing' || fileInfo.status === 'queued') {
             return res.status(400).json({ error: 'File is already being processed.', taskId: fileInfo.taskId });
         }
 
-        const { database, table, batchSize = 5000, duplicateMode = 'skip', duplicateCheckFields = [], connectionId } = req.body;
+        const {
+            database,
+            table,
+            batchSize = 5000,
+            duplicateMode = 'skip', // 'skip' | 'update' | 'error' | 'replace' (swap in the file as the whole table) | 'mirror'
+            duplicateCheckFields = [],
+            fileDuplicatePolicy = 'report', // rows sharing a check-field key inside the file
+            connectionId,
+            columnMapping = null, // { [fileHeader]: tableColumn | null }
+            dateFormats: dateFormatsInput = null, // { [tableColumn]: 'dd/MM/yyyy HH:mm' }
+            sourceTimezone: sourceTimezoneInput = null, // timezone of the file's times, default: the connection's
+            numberLocale = 'auto', // separators of numeric text: 'id' 1.234,5 | 'en' 1,234.5 (see utils/numberParser)
+            transforms: transformsInput = null, // { [tableColumn]: [{ type: 'trim' }, ...] } (see utils/columnTransforms)
+            saveMapping: shouldSaveMapping = false,
+            dryRun = false, // validate only, nothing is written to the table
+            atomic = false, // one transaction: all rows are committed or none
+            undoable = false, // keep an undo log so an admin can reverse the import
+            bulkLoad = false, // LOAD DATA LOCAL INFILE instead of INSERT (plain append imports only)
+            mirror: mirrorInput = {} // mirror mode: { action, flagColumn, flagValue, maxDeletePercent, previewTaskId }
+        } = req.body;
+        // Excel only: { sheet, headerRow, skipFooterRows }
+        const sheetOptions = parseSheetOptions(req.body);
+        // CSV only: { encoding, delimiter, quote, escape, lineEnding } overrides of the detected dialect
+        const csvOptions = parseCsvOptions(req.body);
+        const dateFormats = parseDateFormats(dateFormatsInput);
 
         if (!database || !table) {
             return res.status(400).json({ error: 'Database and table are required.' });
         }
 
-        // Update file status
-        fileInfo.status = 'processing';
-        fileInfo.taskId = taskId;
-        fileInfo.database = database;
-        fileInfo.table = table;
-        pendingFiles.set(fileId, fileInfo);
-        savePendingFiles();
+        if (!DUPLICATE_MODES.includes(duplicateMode)) {
+            return res.status(400).json({ error: `duplicateMode must be one of: ${DUPLICATE_MODES.join(', ')}.` });
+        }
 
-        // Initialize progress
-        uploadProgress.set(taskId, {
-            status: 'processing',
-            phase: 'parsing', // parsing | inserting
-            fileId,
-            fileName: fileInfo.originalName,
+        if (duplicateMode === 'replace' && !dryRun && (atomic || undoable)) {
+            return res.status(400).json({ error: 'Replace mode already swaps the table in all at once and keeps a backup; atomic and undoable do not apply.' });
+        }
+
+        let mirror = null;
+        if (duplicateMode === 'mirror') {
+            mirror = parseMirrorOptions(mirrorInput, duplicateCheckFields);
+            if (mirror.error) {
+                return res.status(400).json({ error: mirror.error });
+            }
+            if (undoable && !dryRun) {
+                return res.status(400).json({ error: 'Mirror imports can not be undone; use atomic to make them all-or-nothing.' });
+            }
+
+            // A real run needs the dry run of this file that previewed the rows to remove
+            if (!dryRun) {
+                const preview = fileInfo.progress;
+                const previewed = preview.dryRun && preview.status === 'completed' && preview.mirror
+                    && fileInfo.taskId === mirrorInput.previewTaskId
+                    && fileInfo.database === database && fileInfo.table === table
+                    && String(fileInfo.connectionId || '') === String(connectionId || '')
+                    && preview.mirror.action === mirror.action
+                    && preview.mirror.fields.join(',') === duplicateCheckFields.join(',');
+                if (!previewed) {
+                    return res.status(400).json({ error: 'Run a validation (dry run) in mirror mode first to preview how many rows will be removed.' });
+                }
+                if (preview.mirror.percent > mirror.maxDeletePercent) {
+                    return res.status(400).json({ error: `The preview removes ${preview.mirror.missingRows} rows (${preview.mirror.percent}%), more than the ${mirror.maxDeletePercent}% limit.` });
+                }
+            }
+        }
+
+        if (!FILE_DUPLICATE_POLICIES.includes(fileDuplicatePolicy)) {
+            return res.status(400).json({ error: `fileDuplicatePolicy must be one of: ${FILE_DUPLICATE_POLICIES.join(', ')}.` });
+        }
+
+        if (!NUMBER_LOCALE_NAMES.includes(numberLocale)) {
+            return res.status(400).json({ error: `numberLocale must be one of: ${NUMBER_LOCALE_NAMES.join(', ')}.` });
+        }
+
+        const { transforms, error: transformError } = parseTransforms(transformsInput);
+        if (transformError) {
+            return res.status(400).json({ error: transformError });
+        }
+
+        if (bulkLoad && !dryRun && (duplicateCheckFields.length > 0 || undoable)) {
+            return res.status(400).json({ error: 'Bulk load only works for plain append imports: no duplicate check fields and no undo log.' });
+        }
+
+        let sourceTimezone;
+        try {
+            sourceTimezone = normalizeTimezone(sourceTimezoneInput);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+
+        if (columnMapping && shouldSaveMapping) {
+            try {
+                await saveMapping(connectionId, database, table, { columns: columnMapping, dateFormats, numberLocale, transforms }, req.user.id);
+            } catch (err) {
+                // Not fatal: the import still runs with the mapping from the request
+                console.error('Failed to save column mapping:', err);
+            }
+        }
+
+        // Starting over discards the checkpoint of an interrupted run.
+        // The queue worker picks the job up once a slot (global and per table) is free.
+        const queued = await enqueueJob(fileId, {
+            taskId,
+            connectionId,
             database,
             table,
-            totalRows: 0,
-            processedRows: 0,
-            insertedRows: 0,
-            skippedRows: 0,
-            updatedRows: 0,
-            errors: [],
-            startedAt: new Date().toISOString()
+            options: {
+                batchSize,
+                duplicateMode,
+                duplicateCheckFields,
+                fileDuplicatePolicy,
+                connectionId,
+                columnMapping,
+                dateFormats,
+                sourceTimezone,
+                numberLocale,
+                transforms,
+                sheetOptions,
+                csvOptions,
+                dryRun: !!dryRun,
+                atomic: !!atomic && !dryRun,
+                undoable: !!undoable && !dryRun,
+                bulkLoad: !!bulkLoad && !dryRun,
+                mirror
+            },
+            progress: {
+                dryRun: !!dryRun,
+                atomic: !!atomic && !dryRun,
+                undoable: !!undoable && !dryRun,
+                ignoredColumns: []
+            }
         });
-        saveProgress();
 
-        // Send immediate response
+        if (!queued) {
+            return res.status(400).json({ error: 'File is already being processed.' });
+        }
+
         res.json({
             success: true,
             taskId,
-            message: 'Processing started. Browser can be closed safely.',
+            message: dryRun
+                ? 'Validation queued. No data will be written.'
+                : 'Import queued. Browser can be closed safely.',
             file: {
                 id: fileId,
                 name: fileInfo.originalName
-            }
+            },
+            ignoredColumns: columnMapping
+                ? Object.keys(columnMapping).filter(header => !columnMapping[header])
+                : []
         });
 
-        // Process in background
-        processFileToDatabase(fileId, taskId, database, table, batchSize, duplicateMode, duplicateCheckFields, connectionId);
-
     } catch (error) {
         console.error('Process file error:', error);
         res.status(500).json({ error: 'Failed to start processing.' });
     }
 });
 
+// List the sheets of a pending Excel file with the first rows of each
+router.get('/file/:fileId/sheets', auth, async (req, res) => {
+    try {
+        const fileInfo = await getJob(req.params.fileId);
+        if (!fileInfo || !fs.existsSync(fileInfo.filePath)) {
+            return res.status(404).json({ error: 'File not found.' });
+        }
+
+        const ext = path.extname(fileInfo.originalName).toLowerCase();
+        if (formatOf(ext) !== 'sheet') {
+            return res.json({ sheets: [] });
+        }
+
+        const workbook = xlsx.readFile(fileInfo.filePath, { sheetRows: PREVIEW_ROWS });
+        res.json({ sheets: listSheets(workbook) });
+    } catch (error) {
+        console.error('List sheets error:', error);
+        res.status(500).json({ error: 'Failed to read sheets.' });
+    }
+});
+
+// Resume an import interrupted by a restart from its last committed batch
+router.post('/resume/:taskId', auth, async (req, res) => {
+    try {
+        const { taskId } = req.params;
+        const job = await getJobByTaskId(taskId);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Task not found.' });
+        }
+        if (job.status !== 'interrupted' || !job.progress.checkpoint) {
+            return res.status(400).json({ error: 'Task is not resumable.' });
+        }
+        if (!fs.existsSync(job.filePath)) {
+            return res.status(404).json({ error: 'File no longer exists on server.' });
+        }
+
+        if (!await requeueInterruptedJob(job.fileId)) {
+            return res.status(400).json({ error: 'Task is not resumable.' });
+        }
+
+        const { checkpoint } = job.progress;
+        res.json({
+            success: true,
+            taskId,
+            resumeFrom: checkpoint.rowsCommitted,
+            message: `Resuming from row ${checkpoint.rowsCommitted}.`
+        });
+
+    } catch (error) {
+        console.error('Resume task error:', error);
+        res.status(500).json({ error: 'Failed to resume task.' });
+    }
+});
+
+// Pause a running import after its current batch; POST /resume/:taskId continues it
+router.post('/pause/:taskId', auth, async (req, res) => {
+    try {
+        const job = await getJobByTaskId(req.params.taskId);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Task not found.' });
+        }
+        if (job.uploadedBy !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to pause this task.' });
+        }
+        if (job.options.atomic || job.dryRun) {
+            return res.status(400).json({ error: 'Atomic imports and dry runs cannot be paused, only cancelled.' });
+        }
+
+        const result = await requestStop(job.fileId, { action: 'pause', by: req.user.username, at: new Date().toISOString() });
+        if (result !== 'requested') {
+            return res.status(400).json({ error: 'Only a running task can be paused.' });
+        }
+
+        console.log(`[Phase 2 ${job.taskId}] Pause requested by ${req.user.username}`);
+        res.json({ success: true, message: 'The task pauses after the current batch.' });
+
+    } catch (error) {
+        console.error('Pause task error:', error);
+        res.status(500).json({ error: 'Failed to pause task.' });
+    }
+});
+
+/**
+ * Cancel a queued or running import. A running import stops after its current
+ * batch; with rollback: true, what it wrote is removed again (atomic imports
+ * always roll back, other imports need the undo log). The file stays pending.
+ */
+router.post('/cancel/:taskId', auth, async (req, res) => {
+    try {
+        const job = await getJobByTaskId(req.params.taskId);
+        const rollback = !!req.body.rollback;
+
+        if (!job) {
+            return res.status(404).json({ error: 'Task not found.' });
+        }
+        if (job.uploadedBy !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to cancel this task.' });
+        }
+        if (rollback && !job.options.atomic && !job.options.undoable) {
+            return res.status(400).json({ error: 'Only atomic or undoable imports can be rolled back.' });
+        }
+
+        const result = await requestStop(job.fileId, { action: 'cancel', rollback, by: req.user.username, at: new Date().toISOString() });
+        if (!result) {
+            return res.status(400).json({ error: 'Only a queued or running task can be cancelled.' });
+        }
+
+        console.log(`[Phase 2 ${job.taskId}] Cancel${rollback ? ' with rollback' : ''} requested by ${req.user.username}`);
+        res.json({
+            success: true,
+            cancelled: result === 'cancelled',
+            message: result === 'cancelled' ? 'Task cancelled.' : 'The task stops after the current batch.'
+        });
+
+    } catch (error) {
+        console.error('Cancel task error:', error);
+        res.status(500).json({ error: 'Failed to cancel task.' });
+    }
+});
+
 // Delete pending file
-router.delete('/file/:fileId', auth, (req, res) => {
+router.delete('/file/:fileId', auth, async (req, res) => {
     try {
         const { fileId } = req.params;
-        const fileInfo = pendingFiles.get(fileId);
+        const fileInfo = await getJob(fileId);
 
         if (!fileInfo) {
             return res.status(404).json({ error: 'File not found.' });
@@ -554,7 +1212,7 @@ router.delete('/file/:fileId', auth, (req, res) => {
             return res.status(403).json({ error: 'Not authorized to delete this file.' });
         }
 
-        if (fileInfo.status === 'processing') {
+        if (fileInfo.status === 'processing' || fileInfo.status === 'queued') {
             return res.status(400).json({ error: 'Cannot delete file while processing.' });
         }
 
@@ -563,8 +1221,7 @@ router.delete('/file/:fileId', auth, (req, res) => {
             fs.unlinkSync(fileInfo.filePath);
         }
 
-        pendingFiles.delete(fileId);
-        savePendingFiles();
+        await deleteJob(fileId);
 
         console.log(`[Delete] Pending file removed: ${fileInfo.originalName}`);
 
@@ -576,23 +1233,194 @@ router.delete('/file/:fileId', auth, (req, res) => {
     }
 });
 
-// Background processing function
-async function processFileToDatabase(fileId, taskId, database, table, batchSize, duplicateMode, duplicateCheckFieldsInput, connectionId) {
-    const fileInfo = pendingFiles.get(fileId);
-    if (!fileInfo) return;
+// =====================================================
+// DRY-RUN VALIDATION REPORT
+// =====================================================
+
+// Report rows beyond this are counted but not written to the xlsx
+const MAX_REPORT_ROWS = 100000;
+const SAMPLE_ERROR_COUNT = 50;
+// Unreadable numbers listed in the progress of a real import (all are in the rejected-rows file)
+const MAX_NUMBER_EXAMPLES = 20;
+
+const summarizeValidation = (validation, reportRows) => ({
+    ...validation,
+    sampleErrors: reportRows.slice(0, SAMPLE_ERROR_COUNT),
+    truncated: validation.errorCount > reportRows.length
+});
+
+const writeValidationReport = (taskId, validation, reportRows) => {
+    if (reportRows.length === 0 && validation.missingRequiredColumns.length === 0) return null;
+
+    const rows = [
+        // Missing required columns fail every row, so they are listed once
+        ...validation.missingRequiredColumns.map(col => ({
+            Row: 'ALL',
+            Column: col,
+            'File Column': '',
+            Value: '',
+            Reason: 'Required column (NOT NULL, no default) is not mapped from the file'
+        })),
+        ...reportRows
+    ];
+
+    const ws = xlsx.utils.json_to_sheet(rows, { header: ['Row', 'Column', 'File Column', 'Value', 'Reason'] });
+    const wb = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(wb, ws, 'Errors');
+
+    const tempDir = path.join(__dirname, '../uploads/temp');
+    if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
+
+    const fileKey = `validation_report_${taskId}.xlsx`;
+    xlsx.writeFile(wb, path.join(tempDir, fileKey));
+    return fileKey;
+};
+
+// Render a value the way MySQL prints it in a duplicate-key message
+const formatKeyValue = (value) => {
+    if (value === null || value === undefined) return 'NULL';
+    if (value instanceof Date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+    }
+    return String(value);
+};
+
+// Download dry-run report or rejected rows file (?format=xlsx converts the CSV)
+router.get('/report/:fileKey', auth, (req, res) => {
+    try {
+        const { fileKey } = req.params;
+        // Basic validation to prevent path traversal
+        if (!fileKey.match(/^(validation_report|rejected_rows)_[a-zA-Z0-9_.-]+\.(xlsx|csv)$/)) {
+            return res.status(400).json({ error: 'Invalid file key' });
+        }
+
+        const filePath = path.join(__dirname, '../uploads/temp', fileKey);
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'File not found or expired' });
+        }
+
+        if (req.query.format === 'xlsx' && fileKey.endsWith('.csv')) {
+            // raw keeps values like 0812... as text
+            const workbook = xlsx.readFile(filePath, { raw: true });
+            const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileKey.replace(/\.csv$/, '.xlsx')}"`);
+            return res.send(buffer);
+        }
+
+        res.download(filePath, fileKey, (err) => {
+            if (err) console.error('Report download error:', err);
+        });
+
+    } catch (error) {
+        console.error('Report download error:', error);
+        res.status(500).json({ error: 'Download failed' });
+    }
+});
+
+// Atomic imports rely on ROLLBACK, which MyISAM and friends silently ignore
+const assertTransactional = async (pool, table) => {
+    const [[info]] = await pool.query(
+        'SELECT ENGINE FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+        [table]
+    );
+    if (info && info.ENGINE && info.ENGINE.toLowerCase() !== 'innodb') {
+        throw new Error(`Atomic import needs a transactional (InnoDB) table, but \`${table}\` uses ${info.ENGINE}`);
+    }
+};
+
+// Runs one claimed import job (called by the queue in utils/importJobs.js)
+async function processFileToDatabase(job) {
+    const { fileId, taskId, database, table, connectionId, filePath, options } = job;
+    const {
+        batchSize = 5000,
+        duplicateMode = 'skip',
+        duplicateCheckFields: duplicateCheckFieldsInput = [],
+        fileDuplicatePolicy = 'report'
+    } = options;
+
+    const ext = path.extname(job.originalName).toLowerCase();
+    const progress = job.progress;
+    const saveProgress = () => saveJobProgress(fileId, progress);
+    // Set when resuming an interrupted import
+    const checkpoint = progress.checkpoint || null;
+    if (checkpoint) {
+        progress.resumedAt = new Date().toISOString();
+        delete progress.paused;
+    }
+    const rejected = createRejectedRowsWriter(taskId, checkpoint ? checkpoint.rejectedRows : 0);
+
+    // Written to import_history once the import has finished or failed
+    const recordHistory = () => recordImport({
+        taskId,
+        userId: job.uploadedBy,
+        originalName: job.originalName,
+        fileHash: progress.fileHash,
+        fileSize: job.size,
+        connectionId,
+        database,
+        table,
+        duplicateMode,
+        atomic: options.atomic,
+        undoable: !!undo,
+        progress,
+        startedAt: progress.startedAt,
+        completedAt: new Date(progress.completedAt)
+    });
+
+    // Atomic mode: every statement runs on this connection inside one transaction
+    let txConn = null;
+    // Undoable imports: set up once the mapped columns are known
+    let undo = null;
+    let processed = 0, inserted = 0, skipped = 0, updated = 0, batchNumber = 0;
+    let pool;
+    // Set when the job was paused or cancelled from the Active Tasks panel
+    let stopRequest = null;
+    // LOAD DATA fast path, null when rows are written with INSERT
+    let bulkLoader = null;
+    // Replace mode: rows are written to this copy of the table until it is swapped in
+    let stagingTable = null;
+    // Mirror mode: the file's keys, kept in a temporary table on mirrorConn (or txConn)
+    const mirror = duplicateMode === 'mirror' ? options.mirror : null;
+    let mirrorKeys = null;
+    let mirrorConn = null;
+
+    const releaseMirror = async () => {
+        if (mirrorKeys) {
+            const keys = mirrorKeys;
+            mirrorKeys = null;
+            try {
+                await keys.drop();
+            } catch (err) {
+                console.error(`[Phase 2 ${taskId}] Failed to drop mirror keys:`, err.message);
+            }
+        }
+        if (mirrorConn) {
+            mirrorConn.release();
+            mirrorConn = null;
+        }
+    };
 
-    const filePath = fileInfo.filePath;
-    const ext = path.extname(fileInfo.originalName).toLowerCase();
+    const setCounters = () => {
+        progress.processedRows = processed;
+        progress.insertedRows = inserted;
+        progress.skippedRows = skipped;
+        progress.updatedRows = updated;
+    };
 
     try {
         // Get database connection
-        let pool;
         if (connectionId) {
             pool = await getConnectionPool(parseInt(connectionId), database);
         } else {
             pool = await getDbConnection(database);
         }
 
+        if (!options.dryRun && !progress.fileHash) {
+            progress.fileHash = await hashFile(filePath);
+        }
+
         // Parse duplicate check fields
         let duplicateCheckFields = [];
         if (typeof duplicateCheckFieldsInput === 'string') {
@@ -609,203 +1437,771 @@ async function processFileToDatabase(fileId, taskId, database, table, batchSize,
         const [columns] = await pool.execute(`DESCRIBE \`${table}\``);
         const validColumns = columns.map(c => c.Field);
 
-        const dateColumns = columns
-            .filter(c => ['date', 'datetime', 'timestamp'].some(t => c.Type.toLowerCase().includes(t)))
-            .map(c => c.Field);
+        const dateColumns = getDateColumns(columns);
+        // Per-column formats chosen in the mapping step; other date columns are guessed
+        const dateFormats = parseDateFormats(options.dateFormats);
+
+        // Times in DATETIME/TIMESTAMP columns move from the file's timezone to the connection's.
+        // DATE columns hold calendar dates and are never shifted.
+        const tableTimezone = await getConnectionTimezone(connectionId);
+        const zones = { from: options.sourceTimezone || tableTimezone, to: tableTimezone };
+        const zonedColumns = columns.filter(c => /^(datetime|timestamp)/i.test(c.Type)).map(c => c.Field);
+        if (zones.from !== zones.to) {
+            console.log(`[Phase 2 ${taskId}] Converting times from ${zones.from} to ${zones.to}`);
+        }
 
-        columns.forEach(c => {
-            if (isDateColumn(c.Field) && !dateColumns.includes(c.Field)) {
-                dateColumns.push(c.Field);
+        // Numeric text ('Rp 1.234.567,89') is read with the upload's number locale
+        const numberLocale = options.numberLocale || 'auto';
+        // Cleaning steps per table column, run before date and number formatting
+        const transforms = options.transforms || {};
+        const transform = createTransformer(transforms);
+        const numericColumns = columns.filter(c => isNumericType(c.Type)).map(c => c.Field);
+        const integerColumns = columns.filter(c => isIntegerType(c.Type)).map(c => c.Field);
+
+        if (options.atomic) {
+            await assertTransactional(pool, table);
+            txConn = await pool.getConnection();
+            await txConn.beginTransaction();
+            console.log(`[Phase 2 ${taskId}] Atomic import: running in a single transaction`);
+        }
+        const db = txConn || pool;
+
+        if (duplicateMode === 'replace' && !options.dryRun) {
+            if (checkpoint && progress.replace && progress.replace.stagingTable) {
+                // The interrupted run's rows are already in its staging table
+                stagingTable = progress.replace.stagingTable;
+                if (!await tableExists(pool, stagingTable)) {
+                    stagingTable = null;
+                    throw new Error('Staging table of the interrupted run no longer exists, start the import over');
+                }
+            } else {
+                await assertReplaceable(pool, table);
+                stagingTable = await createStagingTable(pool, table, taskId);
+                progress.replace = { stagingTable };
             }
-        });
+            console.log(`[Phase 2 ${taskId}] Replace mode: loading into ${stagingTable}`);
+        }
+        // Where rows are written; `table` itself is only touched by the final swap in replace mode
+        const writeTable = stagingTable || table;
+
+        let mapping = {};
+        let sourceColumns = [];
+        // Table columns filled by transformations alone (no file column mapped to them)
+        let computedColumns = [];
+        let columnNames = [];
+        let effectiveBatchSize = batchSize;
+        let rowsToResumeSkip = 0;
+
+        if (checkpoint) {
+            ({ rowsCommitted: processed, insertedRows: inserted, skippedRows: skipped, updatedRows: updated, batchNumber } = checkpoint);
+            rowsToResumeSkip = checkpoint.rowsCommitted;
+            console.log(`[Phase 2 ${taskId}] Resuming from row ${checkpoint.rowsCommitted}`);
+        }
 
-        let rows = [];
+        // Saved after every committed batch so a restart can resume from here
+        const saveCheckpoint = async () => {
+            rejected.flush();
+            progress.checkpoint = {
+                rowsCommitted: processed,
+                insertedRows: inserted,
+                skippedRows: skipped,
+                updatedRows: updated,
+                rejectedRows: rejected.count,
+                fileDuplicatesRemoved: progress.fileDuplicates ? progress.fileDuplicates.removedRows : 0,
+                batchNumber,
+                savedAt: new Date().toISOString()
+            };
+            await saveProgress();
+        };
 
-        // Parse file using Worker Thread (non-blocking)
-        console.log(`[Phase 2 ${taskId}] Parsing file with Worker: ${fileInfo.originalName}`);
-        rows = await parseFileWithWorker(filePath, ext, taskId);
+        /**
+         * Checked between batches. A pause saves the checkpoint and returns true
+         * (the caller returns; a resume continues from there), a cancel throws.
+         * Atomic imports and dry runs have no checkpoint, so they are only cancelled.
+         */
+        const checkStop = createStopCheck(fileId);
+        const stopRequested = async () => {
+            stopRequest = await checkStop();
+            if (!stopRequest) return false;
+            if (stopRequest.action !== 'pause' || txConn || options.dryRun) {
+                throw new Error(`Cancelled by ${stopRequest.by}`);
+            }
 
-        if (!rows || rows.length === 0) {
-            throw new Error('No data found in file');
-        }
+            await saveCheckpoint();
+            setCounters();
+            progress.status = 'interrupted';
+            progress.phase = 'paused';
+            progress.paused = { by: stopRequest.by, at: stopRequest.at };
+            await saveProgress();
+            console.log(`[Phase 2 ${taskId}] Paused by ${stopRequest.by} after row ${processed}`);
+            return true;
+        };
 
-        console.log(`[Phase 2 ${taskId}] Parsed ${rows.length} rows`);
+        // Dry-run state
+        const rules = options.dryRun ? buildColumnRules(columns, dateFormats, numberLocale) : null;
+        const validation = {
+            validRows: 0,
+            invalidRows: 0,
+            errorCount: 0,
+            errorsByColumn: {},
+            missingRequiredColumns: []
+        };
+        const reportRows = [];
+        let headerRow = 1;
+
+        // Called once the worker has read the header row
+        const prepareColumns = (fileColumns) => {
+            // Map file headers to table columns (exact matches only when no mapping was given)
+            const resolved = resolveMapping(fileColumns, validColumns, options.columnMapping);
+            mapping = resolved.mapping;
+            sourceColumns = Object.keys(mapping);
+            columnNames = sourceColumns.map(header => mapping[header]);
+            computedColumns = getComputedColumns(transforms, columnNames, validColumns);
+            columnNames.push(...computedColumns);
+            // Undoable imports tag every written row with the task id when the table has a tag column
+            if (options.undoable && !rules && validColumns.includes(TAG_COLUMN) && !columnNames.includes(TAG_COLUMN)) {
+                columnNames.push(TAG_COLUMN);
+            }
 
-        // Update progress - move to inserting phase
-        const progress = uploadProgress.get(taskId);
-        progress.totalRows = rows.length;
-        progress.phase = 'inserting';
-        saveProgress();
+            progress.ignoredColumns = resolved.ignoredColumns;
+            if (resolved.ignoredColumns.length > 0) {
+                console.log(`[Phase 2 ${taskId}] Ignored file columns: ${resolved.ignoredColumns.join(', ')}`);
+            }
+            const unusedTransforms = Object.keys(transforms).filter(col => !columnNames.includes(col));
+            if (unusedTransforms.length > 0) {
+                console.log(`[Phase 2 ${taskId}] Transformations not applied (column not in the file or table): ${unusedTransforms.join(', ')}`);
+            }
 
-        // Process in batches
-        const fileColumns = Object.keys(rows[0] || {});
-        // Filter columns: intersection of file columns and valid table columns
-        const columnNames = fileColumns.filter(col => validColumns.includes(col));
+            if (columnNames.length === 0) {
+                throw new Error('No matching columns found between file and table');
+            }
 
-        if (columnNames.length === 0) {
-            throw new Error('No matching columns found between file and table');
-        }
+            // Auto-adjust batch size to avoid MySQL placeholder limit (65535)
+            const maxPlaceholders = 65535;
+            const maxBatchForColumns = Math.floor(maxPlaceholders / columnNames.length);
+            effectiveBatchSize = Math.min(batchSize, maxBatchForColumns);
 
-        // Auto-adjust batch size to avoid MySQL placeholder limit (65535)
-        const maxPlaceholders = 65535;
-        const maxBatchForColumns = Math.floor(maxPlaceholders / columnNames.length);
-        const effectiveBatchSize = Math.min(batchSize, maxBatchForColumns);
+            if (effectiveBatchSize < batchSize) {
+                console.log(`[Phase 2 ${taskId}] Adjusted batch size from ${batchSize} to ${effectiveBatchSize} (${columnNames.length} columns × ${effectiveBatchSize} = ${columnNames.length * effectiveBatchSize} placeholders)`);
+            }
 
-        if (effectiveBatchSize < batchSize) {
-            console.log(`[Phase 2 ${taskId}] Adjusted batch size from ${batchSize} to ${effectiveBatchSize} (${columnNames.length} columns × ${effectiveBatchSize} = ${columnNames.length * effectiveBatchSize} placeholders)`);
-        }
+            if (rules) {
+                // NOT NULL columns without a default that the file never fills
+                validation.missingRequiredColumns = Object.values(rules)
+                    .filter(rule => isRequired(rule) && !columnNames.includes(rule.name))
+                    .map(rule => rule.name);
+            }
+        };
 
-        let processed = 0, inserted = 0, skipped = 0, updated = 0;
+        const addValidationError = (rowNumber, column, header, value, reason) => {
+            validation.errorCount++;
+            validation.errorsByColumn[column] = (validation.errorsByColumn[column] || 0) + 1;
+            if (reportRows.length < MAX_REPORT_ROWS) {
+                reportRows.push({
+                    Row: rowNumber,
+                    Column: column,
+                    'File Column': header || '',
+                    Value: value === null || value === undefined ? '' : String(value),
+                    Reason: reason
+                });
+            }
+        };
 
-        for (let i = 0; i < rows.length; i += effectiveBatchSize) {
-            const batch = rows.slice(i, i + effectiveBatchSize);
+        // Calls fn(column, value, header) for every written column of a file row, with the
+        // value after the transformations; computed columns have no header
+        const forEachField = (row, fn) => {
+            sourceColumns.forEach(header => {
+                const col = mapping[header];
+                fn(col, transform(col, row[header], row), header);
+            });
+            computedColumns.forEach(col => fn(col, transform(col, null, row), null));
+        };
 
-            // Format dates
-            const formattedBatch = batch.map(row => {
-                const formattedRow = {};
-                columnNames.forEach(col => {
-                    let val = row[col];
-                    // If date column, format it
-                    if (dateColumns.includes(col) && val !== null && val !== '') {
-                        val = formatToMysql(val);
+        // Dry run: coerce every mapped value against the column type, nothing is written
+        const validateBatch = (batch) => {
+            batch.forEach((row, idx) => {
+                const rowNumber = headerRow + processed + idx + 1;
+                let rowValid = validation.missingRequiredColumns.length === 0;
+
+                forEachField(row, (col, value, header) => {
+                    const result = validateValue(rules[col], value);
+                    if (result.error) {
+                        rowValid = false;
+                        addValidationError(rowNumber, col, header, value, result.error);
                     }
-                    formattedRow[col] = val;
                 });
-                return formattedRow;
+
+                if (rowValid) validation.validRows++;
+                else validation.invalidRows++;
             });
 
-            let rowsToInsert = formattedBatch;
+            processed += batch.length;
+        };
+
+        // Unique indexes, loaded on first use to explain rows dropped by INSERT IGNORE
+        let uniqueKeys = null;
+        const getUniqueKeys = async () => {
+            if (!uniqueKeys) {
+                const [indexRows] = await db.query(`SHOW INDEX FROM \`${table}\` WHERE Non_unique = 0`);
+                uniqueKeys = {};
+                indexRows
+                    .sort((a, b) => a.Seq_in_index - b.Seq_in_index)
+                    .forEach(idx => {
+                        (uniqueKeys[idx.Key_name] = uniqueKeys[idx.Key_name] || []).push(idx.Column_name);
+                    });
+            }
+            return uniqueKeys;
+        };
+
+        const upsert = (duplicateMode === 'update' || !!mirror) && duplicateCheckFields.length > 0;
+
+        // Plain append imports may use LOAD DATA LOCAL INFILE; the undo log and
+        // duplicate checks need to see every batch, so they always use INSERT
+        if (options.bulkLoad && !options.dryRun && !options.undoable && duplicateCheckFields.length === 0) {
+            bulkLoader = createBulkLoader(taskId, writeTable);
+        }
+        // Time spent writing to the table, for the task summary (kept across a resume)
+        if (!options.dryRun) {
+            progress.writeStats = { rows: 0, ms: 0, ...progress.writeStats, method: bulkLoader ? 'load_data' : 'insert' };
+        }
+
+        const recordWriteTime = (rowCount, ms) => {
+            const stats = progress.writeStats;
+            stats.rows += rowCount;
+            stats.ms += ms;
+            stats.rowsPerSecond = stats.ms > 0 ? Math.round(stats.rows / (stats.ms / 1000)) : null;
+        };
+
+        // The server does not allow local infile: this and every later batch use INSERT
+        const stopBulkLoad = (err) => {
+            bulkLoader.cleanup();
+            bulkLoader = null;
+            progress.writeStats.method = 'insert';
+            progress.writeStats.fallback = err.message;
+            progress.warnings.push(`LOAD DATA LOCAL INFILE is not allowed by the server, rows are written with INSERT (${err.message})`);
+            console.warn(`[Phase 2 ${taskId}] LOAD DATA LOCAL INFILE refused, falling back to INSERT: ${err.message}`);
+        };
+
+        // Existing-row lookup on duplicateCheckFields, created on first use
+        let duplicateLookup = null;
+        const getDuplicateLookup = async () => {
+            if (!duplicateLookup) duplicateLookup = await createDuplicateLookup(db, table, duplicateCheckFields);
+            return duplicateLookup;
+        };
+
+        // Slow or ineffective duplicate checks are reported up front
+        // (in replace mode check fields only find duplicates within the file)
+        progress.warnings = [];
+        if (duplicateCheckFields.length > 0 && !stagingTable) {
+            const coverage = checkKeyCoverage(await loadIndexes(db, table), duplicateCheckFields, duplicateMode);
+            // Without the key, the upsert would insert a second copy of every row it should update
+            if (mirror && !coverage.uniqueKey) {
+                throw new Error(`Mirror mode needs a UNIQUE key on (${duplicateCheckFields.join(', ')})`);
+            }
+            progress.warnings.push(...coverage.warnings);
+        }
+
+        if (mirror) {
+            if (!txConn) mirrorConn = await pool.getConnection();
+            mirrorKeys = await createMirrorKeySet(txConn || mirrorConn, { table, fields: duplicateCheckFields, columns, options: mirror });
+        }
+
+        const buildInsertSql = (rowCount) => {
+            const columnList = columnNames.map(c => `\`${c}\``).join(', ');
+            const placeholders = Array(rowCount).fill(`(${columnNames.map(() => '?').join(', ')})`).join(', ');
+
+            if (upsert) {
+                let updateClause = columnNames
+                    .filter(c => !duplicateCheckFields.includes(c))
+                    .map(c => `\`${c}\` = VALUES(\`${c}\`)`)
+                    .join(', ');
+                // A mirror-flagged row that is back in the file gets the flag column's default again
+                if (mirror && mirror.flagColumn && !columnNames.includes(mirror.flagColumn)) {
+                    updateClause = [updateClause, `\`${mirror.flagColumn}\` = DEFAULT(\`${mirror.flagColumn}\`)`].filter(Boolean).join(', ');
+                }
+                let sql = `INSERT INTO \`${writeTable}\` (${columnList}) VALUES ${placeholders}`;
+                if (updateClause) sql += ` ON DUPLICATE KEY UPDATE ${updateClause}`;
+                return sql;
+            }
+            return `INSERT IGNORE INTO \`${writeTable}\` (${columnList}) VALUES ${placeholders}`;
+        };
+
+        const runInsert = (conn, entries) => {
+            const values = entries.flatMap(e => columnNames.map(col => e.values[col]));
+            return conn.execute(buildInsertSql(entries.length), values);
+        };
 
-            // Duplicate check logic
-            if (duplicateCheckFields.length > 0) {
-                const checkFieldsStr = duplicateCheckFields.map(f => `\`${f}\``).join(', ');
-                const checkValues = [];
-                duplicateCheckFields.forEach(field => {
-                    const values = formattedBatch.map(r => r[field]).filter(v => v !== null && v !== undefined);
-                    if (values.length > 0) {
-                        checkValues.push({ field, values: [...new Set(values)] });
+        // Run one INSERT (or LOAD DATA) on a dedicated connection so SHOW WARNINGS belongs to it
+        const executeInsert = async (entries, bulk = !!bulkLoader) => {
+            const conn = txConn || await pool.getConnection();
+            const startedAt = Date.now();
+            try {
+                let result;
+                if (bulk) {
+                    try {
+                        [result] = await bulkLoader.load(conn, columnNames, entries.map(e => e.values));
+                    } catch (err) {
+                        if (!isLocalInfileDisabled(err)) throw err;
+                        stopBulkLoad(err);
+                        [result] = await runInsert(conn, entries);
                     }
+                } else {
+                    [result] = await runInsert(conn, entries);
+                }
+                let warnings = [];
+                if (!upsert && result.affectedRows < entries.length) {
+                    [warnings] = await conn.query('SHOW WARNINGS');
+                }
+                recordWriteTime(entries.length, Date.now() - startedAt);
+                return { result, warnings };
+            } finally {
+                if (!txConn) conn.release();
+            }
+        };
+
+        // Match "Duplicate entry 'x' for key 'y'" warnings to the rows INSERT IGNORE dropped.
+        // Warnings come in row order; MySQL shortens long key values in the message.
+        const identifyIgnoredRows = async (entries, warnings) => {
+            const keys = await getUniqueKeys();
+            const matched = new Set();
+            let cursor = 0;
+
+            for (const warning of warnings) {
+                const m = warning.Code === 1062 && String(warning.Message).match(/^Duplicate entry '([\s\S]*)' for key '([^']+)'$/);
+                if (!m) continue;
+
+                const [, entryValue, keyName] = m;
+                const keyColumns = keys[keyName] || keys[keyName.split('.').pop()];
+                if (!keyColumns) continue;
+
+                const truncated = entryValue.endsWith('...');
+                const expected = (truncated ? entryValue.slice(0, -3) : entryValue).toLowerCase();
+                const matches = (entry) => {
+                    const actual = keyColumns.map(c => formatKeyValue(entry.values[c])).join('-').toLowerCase();
+                    return truncated ? actual.startsWith(expected) : actual === expected;
+                };
+
+                let idx = entries.findIndex((e, i) => i >= cursor && !matched.has(i) && matches(e));
+                if (idx === -1) idx = entries.findIndex((e, i) => !matched.has(i) && matches(e));
+                if (idx === -1) continue;
+
+                matched.add(idx);
+                cursor = idx + 1;
+                rejected.add(entries[idx].source, entries[idx].rowNumber, `Ignored: duplicate value '${entryValue}' for key '${keyName}'`);
+            }
+
+            return matched.size;
+        };
+
+        const applyResult = async (entries, { result, warnings }) => {
+            if (upsert) {
+                const affected = result.affectedRows;
+                const changed = result.changedRows || 0;
+                inserted += (affected - changed) / 2;
+                updated += changed;
+                return;
+            }
+
+            inserted += result.affectedRows;
+            const ignored = entries.length - result.affectedRows;
+            if (ignored > 0) {
+                skipped += ignored;
+                const identified = await identifyIgnoredRows(entries, warnings);
+                if (identified < ignored) {
+                    progress.errors.push({
+                        batch: batchNumber,
+                        error: `${ignored - identified} rows ignored by INSERT IGNORE could not be identified`
+                    });
+                }
+            }
+        };
+
+        const insertBatch = async (batch) => {
+            batchNumber++;
+            const firstRowNumber = headerRow + processed + 1;
+
+            // Keep each source row next to its formatted values for the rejected-rows file
+            const entries = batch.map((row, idx) => {
+                const numberErrors = [];
+                const values = formatRow(row, numberErrors);
+                if (undo && undo.tagColumn) values[undo.tagColumn] = taskId;
+                return { source: row, rowNumber: firstRowNumber + idx, values, numberErrors };
+            });
+
+            // Numbers the locale can't read would be truncated by MySQL or fail the batch: reject the row
+            let rowsToInsert = entries.filter(e => {
+                if (e.numberErrors.length === 0) return true;
+                addNumberErrors(e.rowNumber, e.numberErrors);
+                rejected.add(e.source, e.rowNumber, e.numberErrors.map(p => `${p.column}: ${p.error} '${p.value}'`).join('; '));
+                return false;
+            });
+
+            // Rows sharing their key with another row of the file, per fileDuplicatePolicy
+            if (fileKeys && fileDuplicatePolicy !== 'report') {
+                const candidates = rowsToInsert;
+                rowsToInsert = candidates.filter(e => {
+                    const reason = fileKeys.check(e.values, e.rowNumber);
+                    if (!reason) return true;
+                    rejected.add(e.source, e.rowNumber, reason);
+                    return false;
                 });
+                const removed = candidates.length - rowsToInsert.length;
+                skipped += removed;
+                progress.fileDuplicates.removedRows += removed;
+            }
 
-                if (checkValues.length > 0) {
-                    const whereConditions = checkValues.map(cv =>
-                        `\`${cv.field}\` IN (${cv.values.map(() => '?').join(',')})`
-                    ).join(' OR ');
-                    const queryParams = checkValues.flatMap(cv => cv.values);
-
-                    const [existingRows] = await pool.execute(
-                        `SELECT ${checkFieldsStr} FROM \`${table}\` WHERE ${whereConditions}`,
-                        queryParams
-                    );
-
-                    const existingSet = new Set(
-                        existingRows.map(row =>
-                            duplicateCheckFields.map(f => String(row[f])).join('||')
-                        )
-                    );
-
-                    if (duplicateMode === 'error' && existingSet.size > 0) {
-                        throw new Error(`Duplicate rows detected: ${existingSet.size} existing records`);
-                    }
+            // Duplicate check on the full key tuple ('update' and 'mirror' leave it to ON DUPLICATE KEY UPDATE,
+            // a 'replace' staging table starts empty)
+            if (rowsToInsert.length > 0 && duplicateCheckFields.length > 0 && (duplicateMode === 'skip' || duplicateMode === 'error')) {
+                const candidates = rowsToInsert;
+                const lookup = await getDuplicateLookup();
+                const existing = await lookup(candidates.map(e => duplicateCheckFields.map(f => e.values[f])));
 
-                    if (duplicateMode === 'skip') {
-                        rowsToInsert = formattedBatch.filter(row => {
-                            const key = duplicateCheckFields.map(f => String(row[f])).join('||');
-                            return !existingSet.has(key);
-                        });
-                        skipped += (formattedBatch.length - rowsToInsert.length);
-                    }
+                if (duplicateMode === 'error' && existing.size > 0) {
+                    const firstRow = candidates[Math.min(...existing)].rowNumber;
+                    throw new Error(`Duplicate rows detected: ${existing.size} rows already exist (first at row ${firstRow})`);
+                }
+
+                if (duplicateMode === 'skip' && existing.size > 0) {
+                    rowsToInsert = candidates.filter((e, idx) => {
+                        if (!existing.has(idx)) return true;
+                        rejected.add(e.source, e.rowNumber, `Skipped: already exists (${duplicateCheckFields.join(', ')})`);
+                        return false;
+                    });
+                    skipped += (candidates.length - rowsToInsert.length);
                 }
             }
 
             if (rowsToInsert.length > 0) {
-                const values = rowsToInsert.map(row => columnNames.map(col => row[col]));
-                const placeholders = values.map(() => `(${columnNames.map(() => '?').join(', ')})`).join(', ');
-                const flatValues = values.flat();
+                const rowValues = rowsToInsert.map(e => e.values);
+                const existedBefore = undo ? await undo.beforeInsert(db, rowValues) : null;
+                try {
+                    await applyResult(rowsToInsert, await executeInsert(rowsToInsert));
+                } catch (err) {
+                    // A failed batch fails the whole atomic import; the transaction is rolled back below
+                    if (txConn) {
+                        throw new Error(`Batch ${batchNumber} (rows ${firstRowNumber}-${firstRowNumber + batch.length - 1}) failed: ${err.message}`);
+                    }
 
-                let sql;
-                if (duplicateMode === 'update' && duplicateCheckFields.length > 0) {
-                    const updateClause = columnNames
-                        .filter(c => !duplicateCheckFields.includes(c))
-                        .map(c => `\`${c}\` = VALUES(\`${c}\`)`)
-                        .join(', ');
-                    sql = `INSERT INTO \`${table}\` (${columnNames.map(c => `\`${c}\``).join(', ')}) VALUES ${placeholders}`;
-                    if (updateClause) sql += ` ON DUPLICATE KEY UPDATE ${updateClause}`;
-                } else {
-                    sql = `INSERT IGNORE INTO \`${table}\` (${columnNames.map(c => `\`${c}\``).join(', ')}) VALUES ${placeholders}`;
+                    // Retry row by row so only the bad rows are rejected
+                    console.error(`[Phase 2 ${taskId}] Batch ${batchNumber} failed, retrying row by row:`, err.message);
+                    let failed = 0;
+                    for (const entry of rowsToInsert) {
+                        try {
+                            await applyResult([entry], await executeInsert([entry], false));
+                        } catch (rowErr) {
+                            failed++;
+                            rejected.add(entry.source, entry.rowNumber, rowErr.message);
+                        }
+                    }
+                    progress.errors.push({
+                        batch: batchNumber,
+                        error: `${err.message} (retried row by row: ${failed} of ${rowsToInsert.length} rows rejected)`
+                    });
                 }
+                if (undo) await undo.afterInsert(db, rowValues, existedBefore);
+            }
 
-                try {
-                    const [result] = await pool.execute(sql, flatValues);
-                    if (duplicateMode === 'update') {
-                        const affected = result.affectedRows;
-                        const changed = result.changedRows || 0;
-                        inserted += (affected - changed) / 2;
-                        updated += changed;
+            processed += batch.length;
+        };
+
+        // File values as they are written to the table columns.
+        // Numbers that can't be read keep their file value and are listed in numberErrors.
+        const formatRow = (row, numberErrors = null) => {
+            const values = {};
+            forEachField(row, (col, value) => {
+                let val = value;
+                // If date column, format it
+                if (dateColumns.includes(col) && val !== null && val !== '') {
+                    val = formatToMysql(val, dateFormats[col], zonedColumns.includes(col) ? zones : null);
+                } else if (numericColumns.includes(col)) {
+                    const result = coerceNumber(val, numberLocale, integerColumns.includes(col));
+                    if (result.error) {
+                        if (numberErrors) numberErrors.push({ column: col, value: val, error: result.error });
                     } else {
-                        inserted += result.affectedRows;
-                        skipped += (rowsToInsert.length - result.affectedRows);
+                        val = result.value;
                     }
-                } catch (err) {
-                    console.error('Batch insert error:', err);
-                    uploadProgress.get(taskId).errors.push({
-                        batch: Math.floor(i / batchSize) + 1,
-                        error: err.message
+                }
+                values[col] = val;
+            });
+            return values;
+        };
+
+        // Summary of unreadable numbers for the status panel (kept across a resume with the progress)
+        const addNumberErrors = (rowNumber, errors) => {
+            if (!progress.numberErrors) {
+                progress.numberErrors = { locale: numberLocale, rows: 0, columns: {}, examples: [] };
+            }
+            const summary = progress.numberErrors;
+            summary.rows++;
+            errors.forEach(({ column, value, error }) => {
+                summary.columns[column] = (summary.columns[column] || 0) + 1;
+                if (summary.examples.length < MAX_NUMBER_EXAMPLES) {
+                    summary.examples.push({ row: rowNumber, column, value: String(value), error });
+                }
+            });
+        };
+
+        // First pass over the file: where each duplicateCheckFields key occurs
+        let fileKeys = null;
+        if (duplicateCheckFields.length > 0) {
+            progress.phase = 'scanning';
+            saveProgress();
+            console.log(`[Phase 2 ${taskId}] Scanning file for duplicate keys (${duplicateCheckFields.join(', ')})`);
+
+            fileKeys = createFileKeyIndex(duplicateCheckFields, fileDuplicatePolicy);
+            let rowNumber = 0;
+            for await (const msg of streamFileRows(filePath, ext, taskId, batchSize, options.sheetOptions, options.csvOptions)) {
+                if (msg.type === 'meta') {
+                    prepareColumns(msg.headers);
+                    rowNumber = msg.headerRow || 1;
+                } else if (msg.type === 'batch') {
+                    const valuesList = msg.rows.map(row => formatRow(row));
+                    valuesList.forEach(values => fileKeys.add(values, ++rowNumber));
+                    if (mirrorKeys) await mirrorKeys.add(valuesList);
+                    if (await stopRequested()) return;
+                }
+            }
+
+            progress.fileDuplicates = {
+                policy: fileDuplicatePolicy,
+                fields: duplicateCheckFields,
+                ...fileKeys.summary(),
+                removedRows: checkpoint ? checkpoint.fileDuplicatesRemoved || 0 : 0
+            };
+            const { duplicateKeys, duplicateRows } = progress.fileDuplicates;
+            console.log(`[Phase 2 ${taskId}] Duplicates within the file: ${duplicateKeys} keys in ${duplicateRows} rows (policy: ${fileDuplicatePolicy})`);
+        }
+
+        // What the mirror would remove; a dry run only reports it as the preview
+        if (mirrorKeys) {
+            progress.mirror = await mirrorKeys.plan();
+            const { missingRows, tableRows, percent, maxDeletePercent } = progress.mirror;
+            console.log(`[Phase 2 ${taskId}] Mirror: ${missingRows} of ${tableRows} rows are not in the file (${percent}%)`);
+            if (!rules && progress.mirror.exceedsCap) {
+                throw new Error(`Mirror stopped before writing: ${missingRows} of ${tableRows} rows (${percent}%) are not in the file, more than the ${maxDeletePercent}% limit`);
+            }
+        }
+
+        // Stream rows from the Worker Thread; inserting overlaps with parsing
+        console.log(`[Phase 2 ${taskId}] Streaming file with Worker: ${job.originalName}`);
+
+        for await (const msg of streamFileRows(filePath, ext, taskId, batchSize, options.sheetOptions, options.csvOptions)) {
+            if (msg.type === 'meta') {
+                headerRow = msg.headerRow || 1;
+                prepareColumns(msg.headers);
+                const unmappedCheckFields = duplicateCheckFields.filter(f => !columnNames.includes(f));
+                if (unmappedCheckFields.length > 0) {
+                    progress.warnings.push(`Check fields not in the file: ${unmappedCheckFields.join(', ')}. Rows are never matched as duplicates on them.`);
+                }
+                progress.warnings.forEach(warning => console.warn(`[Phase 2 ${taskId}] ${warning}`));
+                if (options.undoable && !rules) {
+                    const { primaryKey, tagColumn } = prepareUndo(table, validColumns, await getUniqueKeys(), columnNames);
+                    undo = createUndoLog({
+                        taskId,
+                        table,
+                        tableColumns: validColumns,
+                        primaryKey,
+                        tagColumn,
+                        checkColumns: upsert ? duplicateCheckFields : []
                     });
                 }
+                rejected.setHeaders(msg.headers);
+                // Excel row count is known up front; CSV is estimated while reading
+                progress.totalRows = msg.totalRows || 0;
+                progress.totalRowsEstimated = msg.totalRows === null;
+                saveProgress();
+            } else if (msg.type === 'batch') {
+                progress.phase = rules ? 'validating' : 'inserting';
+                progress.parsedRows = msg.rowsRead;
+                if (progress.totalRowsEstimated) {
+                    const ratio = msg.bytesRead / Math.max(msg.totalBytes, 1);
+                    progress.totalRows = Math.max(msg.rowsRead, Math.round(msg.rowsRead / Math.max(ratio, 0.0001)));
+                }
+
+                if (rules) {
+                    validateBatch(msg.rows);
+                    progress.validation = summarizeValidation(validation, reportRows);
+                    await stopRequested();
+                } else {
+                    // Rows before the checkpoint were committed by the interrupted run
+                    let rows = msg.rows;
+                    if (rowsToResumeSkip > 0) {
+                        const skipCount = Math.min(rowsToResumeSkip, rows.length);
+                        rows = rows.slice(skipCount);
+                        rowsToResumeSkip -= skipCount;
+                    }
+
+                    for (let i = 0; i < rows.length; i += effectiveBatchSize) {
+                        await insertBatch(rows.slice(i, i + effectiveBatchSize));
+                        // Nothing is committed before the end of an atomic import, so there is nothing to resume from
+                        if (txConn) rejected.flush();
+                        else await saveCheckpoint();
+                        if (await stopRequested()) return;
+                    }
+                    progress.rejectedRows = rejected.count;
+                }
+
+                // Update progress and save to import_jobs
+                setCounters();
+                saveProgress();
+            } else if (msg.type === 'done') {
+                progress.totalRows = msg.totalRows;
+                progress.totalRowsEstimated = false;
             }
+        }
 
-            processed += batch.length;
+        if (processed === 0) {
+            throw new Error('No data found in file');
+        }
 
-            // Update progress and save to disk
-            const progress = uploadProgress.get(taskId);
-            progress.processedRows = processed;
-            progress.insertedRows = inserted;
-            progress.skippedRows = skipped;
-            progress.updatedRows = updated;
+        console.log(`[Phase 2 ${taskId}] Parsed ${processed} rows`);
+
+        if (rules) {
+            progress.validation = summarizeValidation(validation, reportRows);
+            progress.reportFile = writeValidationReport(taskId, validation, reportRows);
+            progress.status = 'completed';
+            progress.phase = 'completed';
+            progress.completedAt = new Date().toISOString();
+            // The file is kept so it can be imported after fixing the mapping/data
+            await saveProgress();
+
+            console.log(`[Phase 2 ${taskId}] Dry run completed: ${validation.validRows} valid, ${validation.invalidRows} invalid rows`);
+            return;
+        }
+
+        // Rows whose key is not in the file; inside the transaction of an atomic import
+        if (mirrorKeys) {
+            progress.phase = 'mirroring';
+            saveProgress();
+            const removedRows = await mirrorKeys.removeMissing();
+            progress.mirror = { ...progress.mirror, removedRows };
+            await releaseMirror();
+            console.log(`[Phase 2 ${taskId}] Mirror: ${removedRows} rows ${mirror.action === 'flag' ? `flagged in ${mirror.flagColumn}` : 'deleted'}`);
+        }
+
+        if (txConn) {
+            progress.phase = 'committing';
+            saveProgress();
+            await txConn.commit();
+            txConn.release();
+            txConn = null;
+            console.log(`[Phase 2 ${taskId}] Transaction committed`);
+        }
+
+        if (stagingTable) {
+            progress.phase = 'swapping';
             saveProgress();
+            progress.replace = await swapInStagingTable(pool, { table, stagingTable, expectedRows: inserted, taskId, connectionId, database });
+            stagingTable = null;
+            console.log(`[Phase 2 ${taskId}] Swapped in ${progress.replace.newRows} rows, previous ${progress.replace.previousRows} rows kept as ${progress.replace.backupTable}`);
         }
 
         // Mark complete
+        progress.rejectedRows = rejected.count;
+        progress.rejectedFile = rejected.close();
         progress.status = 'completed';
         progress.phase = 'completed';
         progress.completedAt = new Date().toISOString();
-        saveProgress();
+        await saveProgress();
+        await recordHistory();
 
-        // Update file status
-        fileInfo.status = 'completed';
-        pendingFiles.set(fileId, fileInfo);
-        savePendingFiles();
-
-        // Cleanup file after successful processing
+        // Cleanup file after successful processing; the job row stays as the record of the import
         if (fs.existsSync(filePath)) {
             fs.unlinkSync(filePath);
         }
-        pendingFiles.delete(fileId);
-        savePendingFiles();
 
         console.log(`[Phase 2 ${taskId}] Completed: ${inserted} inserted, ${updated} updated, ${skipped} skipped`);
+        const { writeStats } = progress;
+        console.log(`[Phase 2 ${taskId}] Wrote ${writeStats.rows} rows in ${writeStats.ms} ms with ${writeStats.method === 'load_data' ? 'LOAD DATA' : 'INSERT'} (${writeStats.rowsPerSecond || 0} rows/s)`);
+
+    } catch (error) {
+        if (stopRequest) {
+            console.log(`[Phase 2 ${taskId}] Cancelled by ${stopRequest.by} after row ${processed}`);
+            setCounters();
+        } else {
+            console.error(`[Phase 2 ${taskId}] Error:`, error);
+        }
+
+        // Before the rollback: the key table lives on txConn in atomic mode
+        await releaseMirror();
 
-        // Keep progress for 30 minutes then delete (longer for reconnection)
-        setTimeout(() => {
-            uploadProgress.delete(taskId);
+        if (txConn) {
+            progress.phase = 'rolling_back';
             saveProgress();
-        }, 30 * 60 * 1000);
+            try {
+                await txConn.rollback();
+                console.log(`[Phase 2 ${taskId}] Transaction rolled back, ${inserted} inserted / ${updated} updated rows discarded`);
+                // The table is unchanged; keep what would have been written for the UI
+                progress.phase = 'rolled_back';
+                progress.rolledBack = {
+                    insertedRows: inserted,
+                    updatedRows: updated,
+                    processedRows: processed,
+                    at: new Date().toISOString()
+                };
+                progress.insertedRows = 0;
+                progress.updatedRows = 0;
+                if (undo) await undo.discard();
+            } catch (rollbackError) {
+                console.error(`[Phase 2 ${taskId}] Rollback failed:`, rollbackError);
+                progress.errors.push({ error: `Rollback failed: ${rollbackError.message}` });
+            } finally {
+                txConn.release();
+            }
+        }
 
-    } catch (error) {
-        console.error(`[Phase 2 ${taskId}] Error:`, error);
-        const progress = uploadProgress.get(taskId);
-        if (progress) {
-            progress.status = 'error';
-            progress.errors.push({ error: error.message });
+        // Cancelled with rollback: the undo log removes what the committed batches wrote
+        if (stopRequest && stopRequest.rollback && undo && !options.atomic) {
+            progress.phase = 'rolling_back';
             saveProgress();
+            try {
+                const result = await undoImport(pool, { taskId, table });
+                console.log(`[Phase 2 ${taskId}] Rolled back: ${result.deletedRows} deleted, ${result.restoredRows} restored`);
+                progress.rolledBack = {
+                    insertedRows: inserted,
+                    updatedRows: updated,
+                    processedRows: processed,
+                    ...result,
+                    at: new Date().toISOString()
+                };
+                progress.insertedRows = 0;
+                progress.updatedRows = 0;
+                // Nothing left to undo from the history
+                undo = null;
+            } catch (rollbackError) {
+                console.error(`[Phase 2 ${taskId}] Rollback failed:`, rollbackError);
+                progress.errors.push({ error: `Rollback failed: ${rollbackError.message}` });
+            }
+        }
+
+        // Replace mode: the target table was never touched, only the staging copy is dropped
+        if (stagingTable) {
+            try {
+                await dropStagingTable(pool, stagingTable);
+                progress.replace = { ...progress.replace, discarded: true };
+                console.log(`[Phase 2 ${taskId}] Dropped staging table ${stagingTable}, \`${table}\` is unchanged`);
+            } catch (dropError) {
+                console.error(`[Phase 2 ${taskId}] Failed to drop staging table ${stagingTable}:`, dropError);
+                progress.errors.push({ error: `Failed to drop staging table ${stagingTable}: ${dropError.message}` });
+            }
         }
 
-        // Update file status
-        fileInfo.status = 'error';
-        fileInfo.lastError = error.message;
-        pendingFiles.set(fileId, fileInfo);
-        savePendingFiles();
+        if (stopRequest) {
+            progress.phase = progress.rolledBack ? 'rolled_back' : 'cancelled';
+            progress.cancelled = { by: stopRequest.by, at: stopRequest.at, rolledBack: !!progress.rolledBack };
+        }
+        progress.status = 'error';
+        progress.completedAt = new Date().toISOString();
+        progress.errors.push({ error: error.message });
+        // Rows rejected before the failure are still downloadable
+        progress.rejectedRows = rejected.count;
+        progress.rejectedFile = rejected.close();
+        await saveProgress();
+        if (!options.dryRun) await recordHistory();
+    } finally {
+        if (bulkLoader) bulkLoader.cleanup();
+        await releaseMirror();
     }
 }
 
@@ -914,21 +2310,145 @@ router.get('/template/:database/:table', auth, checkDbPermission, async (req, re
     }
 });
 
+// Progress of a two-phase job (with its fileId) or of a single-request upload
+const loadProgress = async (taskId) => {
+    const job = await getJobByTaskId(taskId);
+    return job
+        ? { fileId: job.fileId, progress: job.progress }
+        : { fileId: null, progress: legacyProgress.get(taskId) || null };
+};
+
 // Get upload progress
-router.get('/progress/:taskId', auth, (req, res) => {
-    const { taskId } = req.params;
-    const progress = uploadProgress.get(taskId);
+router.get('/progress/:taskId', auth, async (req, res) => {
+    try {
+        const { progress } = await loadProgress(req.params.taskId);
+
+        if (!progress) {
+            return res.status(404).json({ error: 'Task not found.' });
+        }
+
+        res.json(progress);
+    } catch (error) {
+        console.error('Get progress error:', error);
+        res.status(500).json({ error: 'Failed to get progress.' });
+    }
+});
+
+const STREAM_POLL_INTERVAL = 2000;
+const STREAM_HEARTBEAT_INTERVAL = 15000;
+const FINAL_STATUSES = ['completed', 'error'];
 
-    if (!progress) {
+/**
+ * Upload progress as Server-Sent Events: a "progress" event with the same
+ * object as GET /progress/:taskId whenever it changes, then "end" once the
+ * task has completed or failed. Any number of clients can watch one task.
+ * Updates saved by this instance are pushed as they happen; jobs running on
+ * another instance and single-request uploads are re-read every 2 seconds.
+ */
+router.get('/progress/:taskId/stream', streamAuth, async (req, res) => {
+    const { taskId } = req.params;
+    let current;
+    try {
+        current = await loadProgress(taskId);
+    } catch (error) {
+        console.error('Progress stream error:', error);
+        return res.status(500).json({ error: 'Failed to get progress.' });
+    }
+    if (!current.progress) {
         return res.status(404).json({ error: 'Task not found.' });
     }
 
-    res.json(progress);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Let nginx pass events through instead of buffering them
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let lastSent = null;
+    let lastPushAt = 0;
+    let reading = false;
+    let unsubscribe = null;
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(pollTimer);
+        clearInterval(heartbeatTimer);
+        if (unsubscribe) unsubscribe();
+        res.end();
+    };
+
+    const send = (progress) => {
+        if (closed) return;
+        const data = JSON.stringify(progress);
+        if (data !== lastSent) {
+            lastSent = data;
+            res.write(`event: progress\ndata: ${data}\n\n`);
+        }
+        if (FINAL_STATUSES.includes(progress.status)) {
+            res.write('event: end\ndata: {}\n\n');
+            close();
+        }
+    };
+
+    const poll = async () => {
+        if (reading || Date.now() - lastPushAt < STREAM_POLL_INTERVAL) return;
+        reading = true;
+        try {
+            const { progress } = await loadProgress(taskId);
+            if (progress) {
+                send(progress);
+            } else {
+                // The file was deleted
+                res.write('event: end\ndata: {}\n\n');
+                close();
+            }
+        } catch (error) {
+            console.error('Progress stream error:', error);
+        } finally {
+            reading = false;
+        }
+    };
+
+    const pollTimer = setInterval(poll, STREAM_POLL_INTERVAL);
+    const heartbeatTimer = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_INTERVAL);
+    req.on('close', close);
+
+    if (current.fileId) {
+        unsubscribe = subscribeJobProgress(current.fileId, (progress) => {
+            lastPushAt = Date.now();
+            send(progress);
+        });
+    }
+    send(current.progress);
 });
 
 // Batch upload with duplicate prevention
 router.post('/:database/:table', auth, checkDbPermission, upload.single('file'), async (req, res) => {
-    const taskId = Date.now().toString();
+    const taskId = createTaskId();
+    const startedAt = new Date();
+    let fileHash = null;
+    // The upload, or the file unpacked from it when it is an archive
+    let filePath = null;
+
+    // Written to import_history once the upload has finished or failed
+    const recordHistory = (progress) => recordImport({
+        taskId,
+        userId: req.user.id,
+        originalName: req.file.originalname,
+        fileHash,
+        fileSize: req.file.size,
+        connectionId: req.body.connectionId,
+        database: req.params.database,
+        table: req.params.table,
+        duplicateMode: req.body.duplicateMode || 'skip',
+        progress,
+        startedAt
+    });
 
     try {
         if (!req.file) {
@@ -945,7 +2465,7 @@ router.post('/:database/:table', auth, checkDbPermission, upload.single('file'),
             : []; // Array of field names to check for duplicates
 
         // Initialize progress
-        uploadProgress.set(taskId, {
+        legacyProgress.set(taskId, {
             status: 'processing',
             totalRows: 0,
             processedRows: 0,
@@ -959,8 +2479,16 @@ router.post('/:database/:table', auth, checkDbPermission, upload.single('file'),
         res.json({ taskId, message: 'Upload started. Use /progress/:taskId to check status.' });
 
         // Process file in background
-        const filePath = req.file.path;
-        const ext = path.extname(req.file.originalname).toLowerCase();
+        filePath = req.file.path;
+        let ext = path.extname(req.file.originalname).toLowerCase();
+        if (isArchive(req.file.originalname)) {
+            // Only the first data file of an archive is imported by this route
+            const [file] = await expandArchive(filePath, req.file.originalname, UPLOAD_DIR, { limit: 1 });
+            fs.unlinkSync(filePath);
+            filePath = file.filePath;
+            ext = path.extname(file.originalName).toLowerCase();
+        }
+        fileHash = await hashFile(filePath);
 
         // Get table structure for date columns
         const { connectionId } = req.body;
@@ -971,45 +2499,28 @@ router.post('/:database/:table', auth, checkDbPermission, upload.single('file'),
             pool = await getDbConnection(database);
         }
         const [columns] = await pool.execute(`DESCRIBE \`${table}\``);
-        const dateColumns = columns
-            .filter(c => ['date', 'datetime', 'timestamp'].some(t => c.Type.toLowerCase().includes(t)))
-            .map(c => c.Field);
-
-        // Also check column names for date patterns
-        columns.forEach(c => {
-            if (isDateColumn(c.Field) && !dateColumns.includes(c.Field)) {
-                dateColumns.push(c.Field);
-            }
-        });
+        const dateColumns = getDateColumns(columns);
 
         let rows = [];
 
         try {
             console.log(`[Upload ${taskId}] Parsing file: ${req.file.originalname} (${(req.file.size / 1024 / 1024).toFixed(2)} MB)`);
 
-            if (ext === '.csv') {
-                rows = await parseCsv(filePath);
+            if (formatOf(ext) !== 'sheet') {
+                rows = await readRows(filePath, ext, { csvOptions: parseCsvOptions(req.body) });
             } else {
                 // For large Excel files, use stream option to reduce memory
                 console.log(`[Upload ${taskId}] Reading Excel file...`);
                 const workbook = xlsx.readFile(filePath, {
                     type: 'file',
                     dense: false,  // Use sparse format for large files
-                    cellDates: true,
-                    cellNF: false,
+                    ...IMPORT_READ_OPTIONS,
                     cellText: false
                 });
 
                 console.log(`[Upload ${taskId}] Excel loaded, sheets: ${workbook.SheetNames.join(', ')}`);
 
-                const sheetName = workbook.SheetNames[0];
-                const sheet = workbook.Sheets[sheetName];
-
-                if (!sheet) {
-                    throw new Error(`Sheet "${sheetName}" is empty or could not be read`);
-                }
-
-                rows = xlsx.utils.sheet_to_json(sheet, { defval: null });
+                ({ rows } = readSheetData(workbook));
                 console.log(`[Upload ${taskId}] Parsed ${rows.length} rows from Excel`);
             }
 
@@ -1019,7 +2530,7 @@ router.post('/:database/:table', auth, checkDbPermission, upload.single('file'),
 
         } catch (parseError) {
             console.error(`[Upload ${taskId}] Parse error:`, parseError);
-            const progress = uploadProgress.get(taskId);
+            const progress = legacyProgress.get(taskId);
             progress.status = 'error';
             progress.errors.push({
                 error: `Failed to parse file: ${parseError.message}`,
@@ -1035,7 +2546,7 @@ router.post('/:database/:table', auth, checkDbPermission, upload.single('file'),
 
         // Update total
         console.log(`[Upload ${taskId}] Total rows to process: ${rows.length}`);
-        uploadProgress.get(taskId).totalRows = rows.length;
+        legacyProgress.get(taskId).totalRows = rows.length;
 
         // Process in batches
         const columnNames = Object.keys(rows[0] || {});
@@ -1043,6 +2554,7 @@ router.post('/:database/:table', auth, checkDbPermission, upload.single('file'),
         let inserted = 0;
         let skipped = 0;
         let updated = 0;
+        let findDuplicates = null;
 
         for (let i = 0; i < rows.length; i += batchSize) {
             const batch = rows.slice(i, i + batchSize);
@@ -1063,53 +2575,18 @@ router.post('/:database/:table', auth, checkDbPermission, upload.single('file'),
             // Duplicate detection logic
             let rowsToInsert = formattedBatch;
 
-            if (duplicateCheckFields.length > 0) {
-                // Pre-check for duplicates based on specified fields
-                const checkFieldsStr = duplicateCheckFields.map(f => `\`${f}\``).join(', ');
-
-                // Build WHERE clause for checking
-                const checkValues = [];
-                duplicateCheckFields.forEach(field => {
-                    const values = formattedBatch.map(r => r[field]).filter(v => v !== null && v !== undefined);
-                    if (values.length > 0) {
-                        checkValues.push({ field, values: [...new Set(values)] });
-                    }
-                });
+            // 'update' mode uses ON DUPLICATE KEY UPDATE below
+            if (duplicateCheckFields.length > 0 && duplicateMode !== 'update') {
+                if (!findDuplicates) findDuplicates = await createDuplicateLookup(pool, table, duplicateCheckFields);
+                const existing = await findDuplicates(formattedBatch.map(row => duplicateCheckFields.map(f => row[f])));
 
-                if (checkValues.length > 0) {
-                    // Query existing records
-                    const whereConditions = checkValues.map(cv =>
-                        `\`${cv.field}\` IN (${cv.values.map(() => '?').join(',')})`
-                    ).join(' OR ');
-
-                    const queryParams = checkValues.flatMap(cv => cv.values);
-
-                    const [existingRows] = await pool.execute(
-                        `SELECT ${checkFieldsStr} FROM \`${table}\` WHERE ${whereConditions}`,
-                        queryParams
-                    );
-
-                    // Create lookup set for duplicates
-                    const existingSet = new Set(
-                        existingRows.map(row =>
-                            duplicateCheckFields.map(f => String(row[f])).join('||')
-                        )
-                    );
-
-                    // Filter based on duplicate mode
-                    if (duplicateMode === 'error' && existingSet.size > 0) {
-                        throw new Error(`Duplicate rows detected. Found ${existingSet.size} existing records that match your data.`);
-                    }
+                if (duplicateMode === 'error' && existing.size > 0) {
+                    throw new Error(`Duplicate rows detected. Found ${existing.size} rows that already exist in the table.`);
+                }
 
-                    if (duplicateMode === 'skip') {
-                        // Filter out duplicates
-                        rowsToInsert = formattedBatch.filter(row => {
-                            const key = duplicateCheckFields.map(f => String(row[f])).join('||');
-                            return !existingSet.has(key);
-                        });
-                        skipped += (formattedBatch.length - rowsToInsert.length);
-                    }
-                    // 'update' mode will use ON DUPLICATE KEY UPDATE below
+                if (duplicateMode === 'skip') {
+                    rowsToInsert = formattedBatch.filter((row, idx) => !existing.has(idx));
+                    skipped += (formattedBatch.length - rowsToInsert.length);
                 }
             }
 
@@ -1158,7 +2635,7 @@ router.post('/:database/:table', auth, checkDbPermission, upload.single('file'),
                     }
                 } catch (error) {
                     console.error('Batch insert error:', error);
-                    uploadProgress.get(taskId).errors.push({
+                    legacyProgress.get(taskId).errors.push({
                         batch: i / batchSize + 1,
                         error: error.message
                     });
@@ -1168,7 +2645,7 @@ router.post('/:database/:table', auth, checkDbPermission, upload.single('file'),
             processed += batch.length;
 
             // Update progress
-            const progress = uploadProgress.get(taskId);
+            const progress = legacyProgress.get(taskId);
             progress.processedRows = processed;
             progress.insertedRows = inserted;
             progress.skippedRows = skipped;
@@ -1176,40 +2653,122 @@ router.post('/:database/:table', auth, checkDbPermission, upload.single('file'),
         }
 
         // Mark complete
-        const finalProgress = uploadProgress.get(taskId);
+        const finalProgress = legacyProgress.get(taskId);
         finalProgress.status = 'completed';
+        await recordHistory(finalProgress);
 
         // Cleanup file
         fs.unlinkSync(filePath);
 
         // Keep progress for 5 minutes then delete
-        setTimeout(() => uploadProgress.delete(taskId), 5 * 60 * 1000);
+        setTimeout(() => legacyProgress.delete(taskId), 5 * 60 * 1000);
 
     } catch (error) {
         console.error('Upload error:', error);
-        const progress = uploadProgress.get(taskId);
+        const progress = legacyProgress.get(taskId);
         if (progress) {
             progress.status = 'error';
             progress.errors.push({ error: error.message });
+            await recordHistory(progress);
         }
 
         // Cleanup file on error
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
-        }
+        [req.file && req.file.path, filePath].forEach(file => {
+            if (file && fs.existsSync(file)) fs.unlinkSync(file);
+        });
     }
 });
 
-// Helper to parse CSV
-const parseCsv = (filePath) => {
-    return new Promise((resolve, reject) => {
-        const rows = [];
-        fs.createReadStream(filePath)
-            .pipe(csv())
-            .on('data', (row) => rows.push(row))
-            .on('end', () => resolve(rows))
-            .on('error', reject);
-    });
+// =====================================================
+// DROP FOLDERS
+// =====================================================
+
+/**
+ * Queue a file picked up from a drop folder (utils/dropFolders) for import
+ * into the folder's target, with the column mapping saved for that table.
+ * The file itself stays in the drop folder; the jobs read a link or copy of it
+ * in uploads/ (an archive is unpacked there). Resolves to the fileIds of the
+ * queued jobs.
+ */
+const importDroppedFile = async (folder, filePath, originalName) => {
+    const saved = await getSavedMapping(folder.connectionId, folder.database, folder.table);
+    const { transforms, error: transformError } = parseTransforms(saved && saved.transforms);
+    if (transformError) {
+        throw new Error(`Saved transformations of ${folder.table}: ${transformError}`);
+    }
+
+    if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    const jobPath = path.join(UPLOAD_DIR, `${Date.now()}-${path.basename(originalName)}`);
+    try {
+        fs.linkSync(filePath, jobPath);
+    } catch (err) {
+        // Other filesystem than uploads/
+        fs.copyFileSync(filePath, jobPath);
+    }
+
+    const ext = path.extname(originalName).toLowerCase();
+    const uploads = await unpackUpload({ originalName, filePath: jobPath, size: fs.statSync(jobPath).size, mimetype: MIME_TYPES[ext] });
+    const { files } = await registerPendingFiles(uploads, folder.createdBy);
+
+    const options = {
+        batchSize: 5000,
+        duplicateMode: folder.duplicateMode,
+        duplicateCheckFields: folder.duplicateCheckFields,
+        fileDuplicatePolicy: folder.fileDuplicatePolicy,
+        connectionId: folder.connectionId,
+        columnMapping: saved ? saved.columns : null,
+        dateFormats: parseDateFormats(saved && saved.dateFormats),
+        sourceTimezone: folder.sourceTimezone,
+        numberLocale: (saved && saved.numberLocale) || 'auto',
+        transforms,
+        sheetOptions: folder.sheetOptions,
+        csvOptions: folder.csvOptions,
+        dryRun: false,
+        atomic: folder.atomic,
+        undoable: folder.undoable,
+        bulkLoad: false,
+        mirror: null,
+        dropFolderId: folder.id
+    };
+
+    const fileIds = [];
+    try {
+        for (const file of files) {
+            await enqueueJob(file.id, {
+                taskId: createTaskId(),
+                connectionId: folder.connectionId,
+                database: folder.database,
+                table: folder.table,
+                options,
+                progress: {
+                    dryRun: false,
+                    atomic: folder.atomic,
+                    undoable: folder.undoable,
+                    ignoredColumns: [],
+                    dropFolder: folder.name
+                }
+            });
+            fileIds.push(file.id);
+        }
+    } catch (err) {
+        // Files that did not make it into the queue would wait as pending uploads forever
+        for (const file of files.filter(f => !fileIds.includes(f.id))) {
+            const job = await getJob(file.id);
+            if (job && fs.existsSync(job.filePath)) fs.unlinkSync(job.filePath);
+            await deleteJob(file.id);
+        }
+        throw err;
+    }
+    return fileIds;
+};
+
+// Called by server.js once the import_jobs table exists
+const startImportQueue = async () => {
+    await startJobQueue(processFileToDatabase, { uploadDir: UPLOAD_DIR });
+    await cleanupOrphanFiles();
+    startBackupCleanup();
 };
 
 module.exports = router;
+module.exports.startImportQueue = startImportQueue;
+module.exports.importDroppedFile = importDroppedFile;
@@ -41,6 +41,9 @@ const dataRoutes = require('./routes/data');
 const uploadRoutes = require('./routes/upload');
 const connectionsRoutes = require('./routes/connections');
 const lookupRoutes = require('./routes/lookup');
+const historyRoutes = require('./routes/history');
+const dropFolderRoutes = require('./routes/dropFolders');
+const { startDropFolderWatcher } = require('./utils/dropFolders');
 console.log('Routes imported');
 
 const app = express();
@@ -63,6 +66,8 @@ app.use('/api/data', dataRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/connections', connectionsRoutes);
 app.use('/api/lookup', lookupRoutes);
+app.use('/api/history', historyRoutes);
+app.use('/api/drop-folders', dropFolderRoutes);
 console.log('Routes mounted');
 
 // Health check
@@ -121,6 +126,7 @@ const initDatabase = async () => {
         password TEXT NOT NULL,
         is_default BOOLEAN DEFAULT FALSE,
         is_active BOOLEAN DEFAULT TRUE,
+        timezone VARCHAR(64) NULL,
         created_by INT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -145,6 +151,233 @@ const initDatabase = async () => {
             console.log('Default localhost connection created');
         }
 
+        // Step 7: Create upload_column_mappings table
+        console.log('Creating upload_column_mappings table if not exists...');
+        await internalPool.execute(`
+      CREATE TABLE IF NOT EXISTS upload_column_mappings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        connection_id INT NOT NULL DEFAULT 0,
+        database_name VARCHAR(255) NOT NULL,
+        table_name VARCHAR(255) NOT NULL,
+        mapping TEXT NOT NULL,
+        updated_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_target (connection_id, database_name, table_name),
+        FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+        // Step 8: Create import_jobs table (upload queue, replaces uploads/.pending.json and .progress.json)
+        console.log('Creating import_jobs table if not exists...');
+        await internalPool.execute(`
+      CREATE TABLE IF NOT EXISTS import_jobs (
+        id VARCHAR(64) PRIMARY KEY,
+        task_id VARCHAR(32) NULL,
+        status ENUM('pending', 'queued', 'processing', 'interrupted', 'completed', 'error') NOT NULL DEFAULT 'pending',
+        phase VARCHAR(32) NULL,
+        original_name VARCHAR(512) NOT NULL,
+        file_path VARCHAR(1024) NOT NULL,
+        file_size BIGINT NOT NULL DEFAULT 0,
+        mimetype VARCHAR(255) NULL,
+        uploaded_by INT NULL,
+        connection_id INT NULL,
+        database_name VARCHAR(255) NULL,
+        table_name VARCHAR(255) NULL,
+        dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+        options MEDIUMTEXT NULL,
+        total_rows INT NOT NULL DEFAULT 0,
+        processed_rows INT NOT NULL DEFAULT 0,
+        inserted_rows INT NOT NULL DEFAULT 0,
+        updated_rows INT NOT NULL DEFAULT 0,
+        skipped_rows INT NOT NULL DEFAULT 0,
+        rejected_rows INT NOT NULL DEFAULT 0,
+        errors MEDIUMTEXT NULL,
+        checkpoint TEXT NULL,
+        progress MEDIUMTEXT NULL,
+        worker_id VARCHAR(255) NULL,
+        heartbeat_at DATETIME NULL,
+        stop_request VARCHAR(255) NULL,
+        uploaded_at DATETIME NOT NULL,
+        queued_at DATETIME NULL,
+        started_at DATETIME NULL,
+        completed_at DATETIME NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_task (task_id),
+        INDEX idx_status (status),
+        INDEX idx_target (connection_id, database_name, table_name),
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+        // Step 9: Create import_history table (permanent record of every finished import)
+        console.log('Creating import_history table if not exists...');
+        await internalPool.execute(`
+      CREATE TABLE IF NOT EXISTS import_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        task_id VARCHAR(32) NULL,
+        user_id INT NULL,
+        username VARCHAR(255) NULL,
+        original_name VARCHAR(512) NOT NULL,
+        file_hash CHAR(64) NULL,
+        file_size BIGINT NOT NULL DEFAULT 0,
+        connection_id INT NULL,
+        database_name VARCHAR(255) NOT NULL,
+        table_name VARCHAR(255) NOT NULL,
+        duplicate_mode VARCHAR(16) NULL,
+        atomic BOOLEAN NOT NULL DEFAULT FALSE,
+        undoable BOOLEAN NOT NULL DEFAULT FALSE,
+        status ENUM('completed', 'error') NOT NULL,
+        total_rows INT NOT NULL DEFAULT 0,
+        inserted_rows INT NOT NULL DEFAULT 0,
+        updated_rows INT NOT NULL DEFAULT 0,
+        skipped_rows INT NOT NULL DEFAULT 0,
+        rejected_rows INT NOT NULL DEFAULT 0,
+        error_count INT NOT NULL DEFAULT 0,
+        error_message TEXT NULL,
+        started_at DATETIME NOT NULL,
+        completed_at DATETIME NOT NULL,
+        duration_ms BIGINT NOT NULL DEFAULT 0,
+        undone_at DATETIME NULL,
+        undone_by VARCHAR(255) NULL,
+        undo_result TEXT NULL,
+        INDEX idx_target (database_name, table_name, completed_at),
+        INDEX idx_user (user_id),
+        INDEX idx_completed (completed_at),
+        INDEX idx_file_hash (file_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+        // Step 10: Create import_undo_log table (inserted keys and overwritten rows of undoable imports)
+        console.log('Creating import_undo_log table if not exists...');
+        await internalPool.execute(`
+      CREATE TABLE IF NOT EXISTS import_undo_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        task_id VARCHAR(32) NOT NULL,
+        key_hash CHAR(40) NOT NULL,
+        action ENUM('insert', 'update') NOT NULL,
+        row_key TEXT NOT NULL,
+        before_image MEDIUMTEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_task_key (task_id, key_hash)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+        // Step 11: Add database_connections.timezone to tables created before it existed
+        const [timezoneColumn] = await internalPool.execute(
+            "SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'database_connections' AND COLUMN_NAME = 'timezone'"
+        );
+        if (timezoneColumn.length === 0) {
+            console.log('Adding timezone column to database_connections...');
+            await internalPool.execute('ALTER TABLE database_connections ADD COLUMN timezone VARCHAR(64) NULL AFTER is_active');
+        }
+
+        // Step 12: Add import_jobs.stop_request (pause/cancel of running imports) to tables created before it existed
+        const [stopRequestColumn] = await internalPool.execute(
+            "SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'import_jobs' AND COLUMN_NAME = 'stop_request'"
+        );
+        if (stopRequestColumn.length === 0) {
+            console.log('Adding stop_request column to import_jobs...');
+            await internalPool.execute('ALTER TABLE import_jobs ADD COLUMN stop_request VARCHAR(255) NULL AFTER heartbeat_at');
+        }
+
+        // Step 13: Create replace_backups table (previous contents of tables swapped out by replace imports)
+        console.log('Creating replace_backups table if not exists...');
+        await internalPool.execute(`
+      CREATE TABLE IF NOT EXISTS replace_backups (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        task_id VARCHAR(32) NOT NULL,
+        connection_id INT NULL,
+        database_name VARCHAR(255) NOT NULL,
+        table_name VARCHAR(255) NOT NULL,
+        backup_table VARCHAR(64) NOT NULL,
+        row_count BIGINT NOT NULL DEFAULT 0,
+        created_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL,
+        dropped_at DATETIME NULL,
+        INDEX idx_expires (dropped_at, expires_at),
+        INDEX idx_target (connection_id, database_name, table_name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+        // Step 14: Create drop_folders and drop_folder_files tables (watched folders imported automatically)
+        console.log('Creating drop_folders tables if not exists...');
+        await internalPool.execute(`
+      CREATE TABLE IF NOT EXISTS drop_folders (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        path VARCHAR(512) NOT NULL,
+        pattern VARCHAR(255) NOT NULL DEFAULT '*',
+        connection_id INT NULL,
+        database_name VARCHAR(255) NOT NULL,
+        table_name VARCHAR(255) NOT NULL,
+        duplicate_mode VARCHAR(16) NOT NULL DEFAULT 'skip',
+        duplicate_check_fields TEXT NULL,
+        file_duplicate_policy VARCHAR(16) NOT NULL DEFAULT 'report',
+        sheet_options TEXT NULL,
+        csv_options TEXT NULL,
+        source_timezone VARCHAR(64) NULL,
+        atomic BOOLEAN NOT NULL DEFAULT FALSE,
+        undoable BOOLEAN NOT NULL DEFAULT FALSE,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_path (path),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+        await internalPool.execute(`
+      CREATE TABLE IF NOT EXISTS drop_folder_files (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        folder_id INT NOT NULL,
+        file_name VARCHAR(512) NOT NULL,
+        file_size BIGINT NOT NULL DEFAULT 0,
+        status ENUM('importing', 'processed', 'failed') NOT NULL DEFAULT 'importing',
+        file_ids TEXT NULL,
+        moved_to VARCHAR(1024) NULL,
+        total_rows INT NOT NULL DEFAULT 0,
+        inserted_rows INT NOT NULL DEFAULT 0,
+        updated_rows INT NOT NULL DEFAULT 0,
+        skipped_rows INT NOT NULL DEFAULT 0,
+        rejected_rows INT NOT NULL DEFAULT 0,
+        message TEXT NULL,
+        detected_at DATETIME NOT NULL,
+        completed_at DATETIME NULL,
+        INDEX idx_folder (folder_id, id),
+        INDEX idx_status (status),
+        FOREIGN KEY (folder_id) REFERENCES drop_folders(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+        // Step 15: Create chunk_uploads tables (chunked upload sessions, replaces uploads/.chunks/sessions.json)
+        console.log('Creating chunk_uploads tables if not exists...');
+        await internalPool.execute(`
+      CREATE TABLE IF NOT EXISTS chunk_uploads (
+        upload_id VARCHAR(64) PRIMARY KEY,
+        file_name VARCHAR(512) NOT NULL,
+        file_size BIGINT NOT NULL,
+        chunk_size INT NOT NULL,
+        total_chunks INT NOT NULL,
+        uploaded_by INT NULL,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL,
+        completed_at DATETIME NULL,
+        result TEXT NULL,
+        INDEX idx_updated (updated_at),
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+        await internalPool.execute(`
+      CREATE TABLE IF NOT EXISTS chunk_upload_parts (
+        upload_id VARCHAR(64) NOT NULL,
+        chunk_index INT NOT NULL,
+        PRIMARY KEY (upload_id, chunk_index),
+        FOREIGN KEY (upload_id) REFERENCES chunk_uploads(upload_id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
         console.log('Database initialized successfully.');
     } catch (error) {
         console.error('Database initialization error:', error);
@@ -167,6 +400,10 @@ const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, async () => {
     console.log(`Raw Data server running on port ${PORT}`);
     await initDatabase();
+    // Needs the import_jobs and chunk_uploads tables
+    await uploadRoutes.startImportQueue();
+    // Needs the drop_folders tables and the import queue
+    startDropFolderWatcher(uploadRoutes.importDroppedFile);
 });
 
 // Graceful shutdown
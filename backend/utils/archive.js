@@ -0,0 +1,201 @@
+/**
+ * Archive Utility
+ * .gz and .zip uploads are unpacked right after upload, so everything
+ * downstream only ever sees plain data files:
+ *   .gz   one file, named like the archive without .gz (data.csv.gz -> data.csv)
+ *   .zip  every entry with a supported extension; folders, hidden files and
+ *         macOS metadata are skipped
+ *
+ * Zip entries are read from the central directory and inflated with zlib, so
+ * no archive is loaded into memory. Stored and deflated entries are supported;
+ * zip64 and encrypted archives are rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { DATA_EXTENSIONS, ARCHIVE_EXTENSIONS } = require('./fileFormats');
+
+// Unpacked size limit per archive, against zip bombs
+const MAX_EXPANDED_BYTES = (parseInt(process.env.MAX_EXPANDED_MB) || 2048) * 1024 * 1024;
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT = 0xFFFF;
+
+const isArchive = (fileName) => ARCHIVE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+const isDataFile = (fileName) => DATA_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+const readAt = (fd, position, length) => {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+};
+
+// Fails the pipeline once more than the remaining budget comes out
+const createSizeGuard = (budget) => {
+    let written = 0;
+    return new Transform({
+        transform(chunk, _encoding, callback) {
+            written += chunk.length;
+            if (written > budget.remaining) {
+                return callback(new Error(`Archive unpacks to more than ${MAX_EXPANDED_BYTES / 1024 / 1024}MB`));
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            budget.remaining -= written;
+            callback();
+        }
+    });
+};
+
+/**
+ * Entries of a zip file: [{ name, method, compressedSize, size, localOffset }]
+ */
+const readZipEntries = (zipPath) => {
+    const fd = fs.openSync(zipPath, 'r');
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        const tailLength = Math.min(fileSize, EOCD_SIZE + MAX_COMMENT);
+        const tail = readAt(fd, fileSize - tailLength, tailLength);
+
+        let eocd = -1;
+        for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw new Error('Not a valid zip file');
+
+        const entryCount = tail.readUInt16LE(eocd + 10);
+        const directorySize = tail.readUInt32LE(eocd + 12);
+        const directoryOffset = tail.readUInt32LE(eocd + 16);
+        if (entryCount === 0xFFFF || directoryOffset === 0xFFFFFFFF) {
+            throw new Error('Zip64 archives are not supported, please zip the file without zip64');
+        }
+
+        const directory = readAt(fd, directoryOffset, directorySize);
+        const entries = [];
+        let offset = 0;
+        for (let i = 0; i < entryCount; i++) {
+            if (directory.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('Corrupt zip central directory');
+            const flags = directory.readUInt16LE(offset + 8);
+            const nameLength = directory.readUInt16LE(offset + 28);
+            const extraLength = directory.readUInt16LE(offset + 30);
+            const commentLength = directory.readUInt16LE(offset + 32);
+            const name = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+            entries.push({
+                name,
+                encrypted: (flags & 0x1) === 0x1,
+                method: directory.readUInt16LE(offset + 10),
+                compressedSize: directory.readUInt32LE(offset + 20),
+                size: directory.readUInt32LE(offset + 24),
+                localOffset: directory.readUInt32LE(offset + 42)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+// Start of an entry's data: after its local header, whose extra field may differ from the directory's
+const dataOffset = (zipPath, entry) => {
+    const fd = fs.openSync(zipPath, 'r');
+    try {
+        const header = readAt(fd, entry.localOffset, 30);
+        if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+            throw new Error(`Corrupt zip entry ${entry.name}`);
+        }
+        return entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+const isImportableEntry = (entry) => {
+    if (entry.name.endsWith('/')) return false;
+    const parts = entry.name.split('/');
+    if (parts[0] === '__MACOSX' || parts[parts.length - 1].startsWith('.')) return false;
+    return isDataFile(entry.name);
+};
+
+// Upload directory naming, as multer uses for single files
+const outputPath = (destDir, fileName, index) => path.join(destDir, `${Date.now()}-${index}-${fileName}`);
+
+const expandGzip = async (archivePath, originalName, destDir, budget) => {
+    const fileName = path.basename(originalName).replace(/\.gz$/i, '');
+    if (!isDataFile(fileName)) {
+        throw new Error(`${originalName} does not contain a supported file (name it like data.csv.gz)`);
+    }
+
+    const filePath = outputPath(destDir, fileName, 0);
+    try {
+        await pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), createSizeGuard(budget), fs.createWriteStream(filePath));
+    } catch (err) {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        throw err.code && err.code.startsWith('Z_') ? new Error(`${originalName} is not a valid gzip file`) : err;
+    }
+    return [{ filePath, originalName: fileName, size: fs.statSync(filePath).size }];
+};
+
+const expandZip = async (archivePath, originalName, destDir, budget, limit) => {
+    const entries = readZipEntries(archivePath).filter(isImportableEntry).slice(0, limit);
+    if (entries.length === 0) {
+        throw new Error(`${originalName} contains no supported files (${DATA_EXTENSIONS.join(', ')})`);
+    }
+    const declared = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (declared > budget.remaining) {
+        throw new Error(`Archive unpacks to more than ${MAX_EXPANDED_BYTES / 1024 / 1024}MB`);
+    }
+
+    const files = [];
+    try {
+        for (const [index, entry] of entries.entries()) {
+            if (entry.encrypted) throw new Error(`${entry.name} is password protected`);
+            if (entry.method !== 0 && entry.method !== 8) {
+                throw new Error(`${entry.name} uses an unsupported zip compression method (${entry.method})`);
+            }
+
+            const start = dataOffset(archivePath, entry);
+            const fileName = path.basename(entry.name);
+            const filePath = outputPath(destDir, fileName, index);
+            files.push({ filePath, originalName: fileName, size: 0 });
+
+            const source = entry.compressedSize > 0
+                ? fs.createReadStream(archivePath, { start, end: start + entry.compressedSize - 1 })
+                : Readable.from([]);
+            const steps = entry.method === 8 ? [zlib.createInflateRaw()] : [];
+            await pipeline(source, ...steps, createSizeGuard(budget), fs.createWriteStream(filePath));
+            files[files.length - 1].size = fs.statSync(filePath).size;
+        }
+    } catch (err) {
+        files.forEach(file => fs.existsSync(file.filePath) && fs.unlinkSync(file.filePath));
+        throw err.code && err.code.startsWith('Z_') ? new Error(`${originalName} is corrupt: ${err.message}`) : err;
+    }
+    return files;
+};
+
+/**
+ * Unpack an uploaded archive into destDir.
+ * Resolves to [{ filePath, originalName, size }] of the data files, in archive
+ * order; limit keeps only the first ones (1 for flows that read a single file).
+ * The archive itself is left in place.
+ */
+const expandArchive = async (archivePath, originalName, destDir, { limit = Infinity } = {}) => {
+    const budget = { remaining: MAX_EXPANDED_BYTES };
+    return path.extname(originalName).toLowerCase() === '.gz'
+        ? expandGzip(archivePath, originalName, destDir, budget)
+        : expandZip(archivePath, originalName, destDir, budget, limit);
+};
+
+module.exports = { isArchive, expandArchive };
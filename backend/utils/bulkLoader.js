@@ -0,0 +1,65 @@
+/**
+ * Bulk Load Utility
+ * Fast path for plain append imports: each batch of formatted rows is written
+ * to a temporary TSV file and sent with LOAD DATA LOCAL INFILE, streamed by
+ * mysql2's infileStreamFactory, instead of a multi-row INSERT.
+ *
+ * Rows that collide with a unique key are ignored like with INSERT IGNORE and
+ * reported by SHOW WARNINGS. Servers with local_infile=OFF refuse the statement;
+ * isLocalInfileDisabled tells the caller to fall back to INSERT.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMP_DIR = path.join(__dirname, '../uploads/temp');
+
+// ER_NOT_ALLOWED_COMMAND, ER_CLIENT_LOCAL_FILES_DISABLED (MySQL 8), ER_LOAD_INFILE_CAPABILITY_DISABLED (MariaDB)
+const LOCAL_INFILE_DISABLED_ERRORS = [1148, 3948, 4166];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// One field in the LOAD DATA default format: \N is NULL, backslash escapes
+const toTsvValue = (value) => {
+    if (value === null || value === undefined) return '\\N';
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return '\\N';
+        // Floating dates from the sheet reader keep the wall-clock time in the UTC fields
+        return `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())} ${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}`;
+    }
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    return String(value).replace(/[\\\t\n\r\0]/g, ch => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r', '\0': '\\0' })[ch]);
+};
+
+const isLocalInfileDisabled = (err) => LOCAL_INFILE_DISABLED_ERRORS.includes(err.errno)
+    || /local (infile|data)/i.test(err.message || '');
+
+/**
+ * Loader for one import task; every batch reuses the same temporary file.
+ * load(conn, columns, rows) resolves to the [result] of the LOAD DATA statement.
+ */
+const createBulkLoader = (taskId, table) => {
+    const tempPath = path.join(TEMP_DIR, `bulk_${taskId}.tsv`);
+
+    return {
+        load: async (conn, columns, rows) => {
+            if (!fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR, { recursive: true });
+            const lines = rows.map(values => columns.map(col => toTsvValue(values[col])).join('\t'));
+            await fs.promises.writeFile(tempPath, lines.join('\n') + '\n', 'utf8');
+
+            return conn.query({
+                sql: `LOAD DATA LOCAL INFILE ? IGNORE INTO TABLE \`${table}\` CHARACTER SET utf8mb4
+                      FIELDS TERMINATED BY '\\t' ESCAPED BY '\\\\' LINES TERMINATED BY '\\n'
+                      (${columns.map(c => `\`${c}\``).join(', ')})`,
+                values: [tempPath],
+                infileStreamFactory: () => fs.createReadStream(tempPath)
+            });
+        },
+
+        cleanup: () => {
+            if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+        }
+    };
+};
+
+module.exports = { createBulkLoader, isLocalInfileDisabled };
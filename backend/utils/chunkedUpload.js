@@ -0,0 +1,256 @@
+/**
+ * Chunked Upload Utility
+ * Large files are sent as numbered chunks (init -> chunk N -> finalize) so a
+ * dropped connection only costs the chunk in flight. Chunks are written at
+ * their offset into one .part file in the shared uploads folder.
+ *
+ * Sessions and the chunks received so far live in the chunk_uploads and
+ * chunk_upload_parts tables (dataflow_pro), like import_jobs, so any server
+ * instance can take the next chunk and an upload can continue after a page
+ * refresh or a restart. A finalized session keeps its row with the finalize
+ * response until it expires, so a finalize the browser repeats (its response
+ * was lost) gets the same file back instead of an error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getInternalPool } = require('../config/db');
+
+const CHUNK_DIR = path.join(__dirname, '../uploads/.chunks');
+// Left behind by versions that kept sessions in this file
+const LEGACY_SESSIONS_PATH = path.join(CHUNK_DIR, 'sessions.json');
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_CHUNK_SIZE = 20 * 1024 * 1024;
+const SESSION_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// =====================================================
+// CRC32 (same algorithm as frontend/src/services/chunkedUpload.js)
+// =====================================================
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Pass the previous result as crc to checksum data in pieces
+const crc32 = (buffer, crc = 0) => {
+    let c = (crc ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < buffer.length; i++) {
+        c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+};
+
+const toHex = (crc) => crc.toString(16).padStart(8, '0');
+
+// =====================================================
+// SESSION PERSISTENCE
+// =====================================================
+
+const partPath = (uploadId) => path.join(CHUNK_DIR, `${uploadId}.part`);
+
+const rowToSession = (row, receivedChunks) => ({
+    uploadId: row.upload_id,
+    fileName: row.file_name,
+    size: Number(row.file_size),
+    chunkSize: row.chunk_size,
+    totalChunks: row.total_chunks,
+    receivedChunks,
+    uploadedBy: row.uploaded_by,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+    completedAt: row.completed_at ? new Date(row.completed_at).toISOString() : null,
+    result: row.result ? JSON.parse(row.result) : null
+});
+
+const getReceivedChunks = async (uploadId) => {
+    const [rows] = await getInternalPool().execute(
+        'SELECT chunk_index FROM chunk_upload_parts WHERE upload_id = ? ORDER BY chunk_index',
+        [uploadId]
+    );
+    return rows.map(row => row.chunk_index);
+};
+
+const removeSession = async (uploadId) => {
+    await getInternalPool().execute('DELETE FROM chunk_uploads WHERE upload_id = ?', [uploadId]);
+    const filePath = partPath(uploadId);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+};
+
+/**
+ * Remove sessions nobody came back to for SESSION_MAX_AGE, and .part files
+ * of expired sessions. A .part file without a session row is only removed
+ * once it is that old too, since its session may be created or finished
+ * on another instance right now.
+ */
+const cleanupStaleSessions = async () => {
+    let removed = 0;
+    const [rows] = await getInternalPool().execute(
+        'SELECT upload_id FROM chunk_uploads WHERE updated_at < NOW() - INTERVAL ? SECOND',
+        [SESSION_MAX_AGE / 1000]
+    );
+    for (const row of rows) {
+        await removeSession(row.upload_id);
+        removed++;
+    }
+
+    if (fs.existsSync(CHUNK_DIR)) {
+        const [live] = await getInternalPool().execute('SELECT upload_id FROM chunk_uploads');
+        const liveIds = new Set(live.map(row => row.upload_id));
+        fs.readdirSync(CHUNK_DIR).forEach(file => {
+            const filePath = path.join(CHUNK_DIR, file);
+            if (!file.endsWith('.part') || liveIds.has(path.basename(file, '.part'))) return;
+            if (Date.now() - fs.statSync(filePath).mtimeMs > SESSION_MAX_AGE) {
+                fs.unlinkSync(filePath);
+                removed++;
+            }
+        });
+        if (fs.existsSync(LEGACY_SESSIONS_PATH)) fs.unlinkSync(LEGACY_SESSIONS_PATH);
+    }
+
+    if (removed > 0) {
+        console.log(`[Cleanup] Removed ${removed} abandoned chunked uploads`);
+    }
+};
+
+// =====================================================
+// UPLOAD PROTOCOL
+// =====================================================
+
+const createSession = async ({ fileName, size, chunkSize, userId }) => {
+    const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const totalChunks = Math.max(Math.ceil(size / chunkSize), 1);
+
+    await getInternalPool().execute(
+        `INSERT INTO chunk_uploads (upload_id, file_name, file_size, chunk_size, total_chunks, uploaded_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [uploadId, fileName, size, chunkSize, totalChunks, userId]
+    );
+
+    if (!fs.existsSync(CHUNK_DIR)) fs.mkdirSync(CHUNK_DIR, { recursive: true });
+    fs.writeFileSync(partPath(uploadId), '');
+
+    return getSession(uploadId);
+};
+
+// null when unknown or expired
+const getSession = async (uploadId) => {
+    const [rows] = await getInternalPool().execute(
+        'SELECT * FROM chunk_uploads WHERE upload_id = ? AND updated_at >= NOW() - INTERVAL ? SECOND',
+        [uploadId, SESSION_MAX_AGE / 1000]
+    );
+    if (rows.length === 0) return null;
+    return rowToSession(rows[0], await getReceivedChunks(uploadId));
+};
+
+const expectedChunkLength = (session, index) => {
+    if (index < session.totalChunks - 1) return session.chunkSize;
+    return session.size - session.chunkSize * (session.totalChunks - 1);
+};
+
+/**
+ * Write one chunk at its offset. Sending a chunk twice is harmless,
+ * which lets the browser simply retry after a timeout.
+ * checksum is the CRC32 of the chunk as 8 hex chars (optional)
+ */
+const writeChunk = async (session, index, data, checksum = null) => {
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+        throw new Error(`Chunk index ${index} is out of range (0-${session.totalChunks - 1})`);
+    }
+    const expected = expectedChunkLength(session, index);
+    if (data.length !== expected) {
+        throw new Error(`Chunk ${index} has ${data.length} bytes, expected ${expected}`);
+    }
+    if (checksum && toHex(crc32(data)) !== checksum.toLowerCase()) {
+        throw new Error(`Chunk ${index} checksum mismatch`);
+    }
+
+    const fd = fs.openSync(partPath(session.uploadId), 'r+');
+    try {
+        fs.writeSync(fd, data, 0, data.length, index * session.chunkSize);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    // Chunks may arrive at several instances at once; each only adds its own row
+    const pool = getInternalPool();
+    await pool.execute('INSERT IGNORE INTO chunk_upload_parts (upload_id, chunk_index) VALUES (?, ?)', [session.uploadId, index]);
+    await pool.execute('UPDATE chunk_uploads SET updated_at = NOW() WHERE upload_id = ?', [session.uploadId]);
+    session.receivedChunks = await getReceivedChunks(session.uploadId);
+    session.updatedAt = new Date().toISOString();
+};
+
+const checksumFile = (filePath) => {
+    return new Promise((resolve, reject) => {
+        let crc = 0;
+        fs.createReadStream(filePath)
+            .on('data', (data) => { crc = crc32(data, crc); })
+            .on('end', () => resolve(toHex(crc)))
+            .on('error', reject);
+    });
+};
+
+/**
+ * Check that every chunk arrived and the assembled file matches the
+ * browser's CRC32, then move it to destPath and mark the session finalized.
+ * Throws with finalizing set when another request is finalizing it already.
+ */
+const finalizeSession = async (session, checksum, destPath) => {
+    session.receivedChunks = await getReceivedChunks(session.uploadId);
+    const missing = [];
+    for (let i = 0; i < session.totalChunks; i++) {
+        if (!session.receivedChunks.includes(i)) missing.push(i);
+    }
+    if (missing.length > 0) {
+        const error = new Error(`${missing.length} chunks are still missing`);
+        error.missingChunks = missing;
+        throw error;
+    }
+
+    // Only one finalize request gets the file when the browser sends it twice
+    const [claim] = await getInternalPool().execute(
+        'UPDATE chunk_uploads SET completed_at = NOW(), updated_at = NOW() WHERE upload_id = ? AND completed_at IS NULL',
+        [session.uploadId]
+    );
+    if (claim.affectedRows === 0) {
+        const error = new Error('Upload is still being finalized.');
+        error.finalizing = true;
+        throw error;
+    }
+
+    const filePath = partPath(session.uploadId);
+    const actual = await checksumFile(filePath);
+    if (actual !== String(checksum || '').toLowerCase()) {
+        // The chunks are unusable; the browser has to start over
+        await removeSession(session.uploadId);
+        throw new Error(`Checksum mismatch (expected ${checksum}, got ${actual}). Please upload the file again.`);
+    }
+
+    fs.renameSync(filePath, destPath);
+    await getInternalPool().execute('DELETE FROM chunk_upload_parts WHERE upload_id = ?', [session.uploadId]);
+};
+
+// The finalize response, returned again when the browser repeats the request
+const completeSession = async (uploadId, result) => {
+    await getInternalPool().execute('UPDATE chunk_uploads SET result = ? WHERE upload_id = ?', [JSON.stringify(result), uploadId]);
+};
+
+module.exports = {
+    DEFAULT_CHUNK_SIZE,
+    MAX_CHUNK_SIZE,
+    cleanupStaleSessions,
+    createSession,
+    getSession,
+    writeChunk,
+    finalizeSession,
+    completeSession,
+    removeSession
+};
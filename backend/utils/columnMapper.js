@@ -0,0 +1,142 @@
+/**
+ * Column Mapping Utility
+ * Matches file headers to table columns and resolves saved mappings
+ */
+
+// Remove BOM and surrounding whitespace from a header cell
+const cleanHeader = (header) => {
+    if (header === null || header === undefined) return '';
+    return String(header).replace(/^\uFEFF/, '').trim();
+};
+
+// Case/space/underscore-insensitive key: "Tanggal Transaksi" -> "tanggaltransaksi"
+const normalizeHeader = (header) => {
+    return cleanHeader(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+};
+
+// Similarity between 0 and 1 on normalized names
+const similarity = (a, b) => {
+    const na = normalizeHeader(a);
+    const nb = normalizeHeader(b);
+    if (!na || !nb) return 0;
+    if (na === nb) return 1;
+
+    const maxLen = Math.max(na.length, nb.length);
+    let score = 1 - levenshtein(na, nb) / maxLen;
+
+    // "tgl_transaksi" vs "tgltransaksiharian": containment is a strong hint
+    const shorter = na.length < nb.length ? na : nb;
+    const longer = na.length < nb.length ? nb : na;
+    if (shorter.length >= 4 && longer.includes(shorter)) {
+        score = Math.max(score, 0.8);
+    }
+
+    return score;
+};
+
+const FUZZY_THRESHOLD = 0.75;
+
+// Headers are file data: 'constructor' or '__proto__' must not reach Object.prototype
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Suggest a mapping for every file header.
+ * Each table column is used at most once; stronger matches win.
+ * Returns { [header]: { column, match, score } } where match is
+ * 'exact' | 'normalized' | 'fuzzy' | null
+ */
+const suggestMapping = (fileHeaders, tableColumns) => {
+    const candidates = [];
+
+    fileHeaders.forEach(header => {
+        tableColumns.forEach(column => {
+            let match = null;
+            let score = 0;
+
+            if (header === column) {
+                match = 'exact';
+                score = 3;
+            } else if (normalizeHeader(header) === normalizeHeader(column)) {
+                match = 'normalized';
+                score = 2;
+            } else {
+                const sim = similarity(header, column);
+                if (sim >= FUZZY_THRESHOLD) {
+                    match = 'fuzzy';
+                    score = 1 + sim;
+                }
+            }
+
+            if (match) candidates.push({ header, column, match, score });
+        });
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    const suggestions = Object.create(null);
+    const usedColumns = new Set();
+    fileHeaders.forEach(header => {
+        suggestions[header] = { column: null, match: null, score: 0 };
+    });
+
+    candidates.forEach(c => {
+        if (suggestions[c.header].column || usedColumns.has(c.column)) return;
+        suggestions[c.header] = {
+            column: c.column,
+            match: c.match,
+            score: Math.round(Math.min(c.score - 1, 1) * 100) / 100
+        };
+        usedColumns.add(c.column);
+    });
+
+    return suggestions;
+};
+
+/**
+ * Resolve the effective header -> column mapping for an import.
+ * Without an explicit mapping only exact header matches are used (legacy behaviour).
+ * Returns { mapping, ignoredColumns }
+ */
+const resolveMapping = (fileHeaders, tableColumns, columnMapping = null) => {
+    const mapping = Object.create(null);
+    const usedColumns = new Set();
+
+    fileHeaders.forEach(header => {
+        let target;
+        if (columnMapping) {
+            // Saved mappings may have been made against a trimmed header
+            if (hasOwn(columnMapping, header)) target = columnMapping[header];
+            else if (hasOwn(columnMapping, cleanHeader(header))) target = columnMapping[cleanHeader(header)];
+        } else {
+            target = header;
+        }
+
+        if (typeof target === 'string' && tableColumns.includes(target) && !usedColumns.has(target)) {
+            mapping[header] = target;
+            usedColumns.add(target);
+        }
+    });
+
+    const ignoredColumns = fileHeaders.filter(h => !mapping[h]);
+
+    return { mapping, ignoredColumns };
+};
+
+module.exports = { cleanHeader, normalizeHeader, similarity, suggestMapping, resolveMapping };
@@ -0,0 +1,194 @@
+/**
+ * Column Transforms Utility
+ * Light cleaning of file values between parsing and insert, saved with the
+ * column mapping. Steps are kept per table column and run in order on the
+ * value of the mapped file column:
+ *   trim, upper, lower
+ *   replace  { pattern, replacement, flags }   regular expression replace
+ *   digits                                     keep only 0-9
+ *   msisdn   { prefix: '62' | '0' }            0812..., 62812..., +62 812... -> one form
+ *   map      { values: { Y: 1, N: 0 }, caseSensitive }   other values are kept
+ *   default  { value }                         used when the value is empty
+ *   split    { column, separator, index }      part of a file column (or of the value)
+ *   concat   { columns, separator }            file columns joined, empty ones skipped
+ *
+ * Date and number formatting run afterwards, on the transformed value.
+ * A table column no file column is mapped to still gets a value when its
+ * steps create one (split/concat of a file column, default).
+ */
+
+const TRANSFORM_TYPES = ['trim', 'upper', 'lower', 'replace', 'digits', 'msisdn', 'map', 'default', 'split', 'concat'];
+const MSISDN_PREFIXES = ['62', '0'];
+const MAX_STEPS = 20;
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Text steps leave empty cells alone
+const text = (fn) => (value) => (isEmpty(value) ? value : fn(String(value)));
+
+const normalizeMsisdn = (value, prefix) => {
+    let digits = value.replace(/\D/g, '');
+    if (!digits) return value;
+    if (digits.startsWith('62')) digits = digits.slice(2);
+    else if (digits.startsWith('0')) digits = digits.slice(1);
+    return prefix + digits;
+};
+
+// (value, row) => value for one validated step
+const compileStep = (step) => {
+    switch (step.type) {
+        case 'trim':
+            return text(v => v.trim());
+        case 'upper':
+            return text(v => v.toUpperCase());
+        case 'lower':
+            return text(v => v.toLowerCase());
+        case 'digits':
+            return text(v => v.replace(/\D/g, ''));
+        case 'replace': {
+            const regex = new RegExp(step.pattern, step.flags);
+            return text(v => v.replace(regex, step.replacement));
+        }
+        case 'msisdn':
+            return text(v => normalizeMsisdn(v, step.prefix));
+        case 'map': {
+            const key = (v) => (step.caseSensitive ? String(v).trim() : String(v).trim().toLowerCase());
+            // A Map, so cells like "constructor" don't hit Object.prototype
+            const values = new Map(Object.entries(step.values).map(([from, to]) => [key(from), to]));
+            return (value) => {
+                if (isEmpty(value)) return value;
+                const k = key(value);
+                return values.has(k) ? values.get(k) : value;
+            };
+        }
+        case 'default':
+            return (value) => (isEmpty(value) ? step.value : value);
+        case 'split':
+            return (value, row) => {
+                const source = step.column ? row[step.column] : value;
+                if (isEmpty(source)) return null;
+                const parts = String(source).trim().split(step.separator);
+                const part = parts[step.index < 0 ? parts.length + step.index : step.index];
+                return part === undefined ? null : part.trim();
+            };
+        case 'concat':
+            return (_value, row) => {
+                const parts = step.columns.map(column => row[column]).filter(v => !isEmpty(v));
+                return parts.length > 0 ? parts.join(step.separator) : null;
+            };
+        default:
+            throw new Error(`Unknown transformation ${step.type}`);
+    }
+};
+
+// The step as stored, with defaults filled in; a string is an error message
+const parseStep = (input, column, position) => {
+    const where = `Transformation ${position} of ${column}`;
+    const step = typeof input === 'string' ? { type: input } : input;
+    if (!step || typeof step !== 'object' || !TRANSFORM_TYPES.includes(step.type)) {
+        return `${where}: type must be one of: ${TRANSFORM_TYPES.join(', ')}`;
+    }
+
+    switch (step.type) {
+        case 'replace': {
+            if (typeof step.pattern !== 'string' || !step.pattern) return `${where}: pattern is required`;
+            const flags = step.flags === undefined ? 'g' : String(step.flags);
+            if (!/^[gimsu]*$/.test(flags)) return `${where}: flags may only use g, i, m, s and u`;
+            try {
+                new RegExp(step.pattern, flags);
+            } catch (err) {
+                return `${where}: ${err.message}`;
+            }
+            return { type: 'replace', pattern: step.pattern, replacement: step.replacement == null ? '' : String(step.replacement), flags };
+        }
+        case 'msisdn': {
+            const prefix = step.prefix === undefined ? '62' : String(step.prefix);
+            if (!MSISDN_PREFIXES.includes(prefix)) return `${where}: prefix must be one of: ${MSISDN_PREFIXES.join(', ')}`;
+            return { type: 'msisdn', prefix };
+        }
+        case 'map':
+            if (!step.values || typeof step.values !== 'object' || Array.isArray(step.values) || Object.keys(step.values).length === 0) {
+                return `${where}: values must map file values to table values, e.g. { "Y": 1, "N": 0 }`;
+            }
+            return { type: 'map', values: step.values, caseSensitive: !!step.caseSensitive };
+        case 'default':
+            if (step.value === undefined) return `${where}: value is required`;
+            return { type: 'default', value: step.value };
+        case 'split': {
+            const index = step.index === undefined ? 0 : Number(step.index);
+            if (typeof step.separator !== 'string' || !step.separator) return `${where}: separator is required`;
+            if (!Number.isInteger(index)) return `${where}: index must be a whole number (negative counts from the end)`;
+            return { type: 'split', column: step.column ? String(step.column) : null, separator: step.separator, index };
+        }
+        case 'concat':
+            if (!Array.isArray(step.columns) || step.columns.length === 0) return `${where}: columns must list the file columns to join`;
+            return { type: 'concat', columns: step.columns.map(String), separator: step.separator == null ? ' ' : String(step.separator) };
+        default:
+            return { type: step.type };
+    }
+};
+
+/**
+ * Validate { [tableColumn]: [step, ...] } from a request or saved mapping
+ * (object or JSON text). Returns { transforms } or { error }.
+ */
+const parseTransforms = (input) => {
+    let transforms = input;
+    if (typeof transforms === 'string') {
+        try {
+            transforms = JSON.parse(transforms);
+        } catch (e) {
+            return { error: 'transforms must be valid JSON.' };
+        }
+    }
+    if (transforms === null || transforms === undefined) return { transforms: {} };
+    if (typeof transforms !== 'object' || Array.isArray(transforms)) {
+        return { error: 'transforms must map table columns to a list of steps.' };
+    }
+
+    const result = {};
+    for (const [column, steps] of Object.entries(transforms)) {
+        if (!Array.isArray(steps)) return { error: `Transformations of ${column} must be a list.` };
+        if (steps.length > MAX_STEPS) return { error: `At most ${MAX_STEPS} transformations per column (${column}).` };
+        const parsed = [];
+        for (const [i, input] of steps.entries()) {
+            const step = parseStep(input, column, i + 1);
+            if (typeof step === 'string') return { error: `${step}.` };
+            parsed.push(step);
+        }
+        if (parsed.length > 0) result[column] = parsed;
+    }
+    return { transforms: result };
+};
+
+// Steps that give a column a value without a mapped file column
+const createsValue = (steps) => steps.some(step => step.type === 'concat' || step.type === 'default' || (step.type === 'split' && step.column));
+
+/**
+ * Table columns the transforms fill on their own: not mapped, but present
+ * in the table and with a step that creates a value.
+ */
+const getComputedColumns = (transforms, mappedColumns, tableColumns) => {
+    return Object.entries(transforms)
+        .filter(([column, steps]) => !mappedColumns.includes(column) && tableColumns.includes(column) && createsValue(steps))
+        .map(([column]) => column);
+};
+
+/**
+ * (column, value, row) => transformed value; the value itself for columns
+ * without steps. row is the parsed file row, for split and concat.
+ */
+const createTransformer = (transforms = {}) => {
+    const pipelines = {};
+    Object.entries(transforms).forEach(([column, steps]) => {
+        pipelines[column] = steps.map(compileStep);
+    });
+
+    return (column, value, row) => {
+        const pipeline = pipelines[column];
+        if (!pipeline) return value;
+        return pipeline.reduce((current, step) => step(current, row), value);
+    };
+};
+
+module.exports = { TRANSFORM_TYPES, MSISDN_PREFIXES, parseTransforms, getComputedColumns, createTransformer };
@@ -0,0 +1,238 @@
+/**
+ * Column Validation Utility
+ * Builds rules from DESCRIBE output and checks file values against them
+ * (used by the upload dry-run mode)
+ */
+
+const { parseDate } = require('./dateFormatter');
+const { parseNumber } = require('./numberParser');
+
+const INTEGER_RANGES = {
+    tinyint: { signed: [-128n, 127n], unsigned: [0n, 255n] },
+    smallint: { signed: [-32768n, 32767n], unsigned: [0n, 65535n] },
+    mediumint: { signed: [-8388608n, 8388607n], unsigned: [0n, 16777215n] },
+    int: { signed: [-2147483648n, 2147483647n], unsigned: [0n, 4294967295n] },
+    integer: { signed: [-2147483648n, 2147483647n], unsigned: [0n, 4294967295n] },
+    bigint: { signed: [-9223372036854775808n, 9223372036854775807n], unsigned: [0n, 18446744073709551615n] }
+};
+
+// Max byte length for TEXT family columns
+const TEXT_BYTES = {
+    tinytext: 255,
+    text: 65535,
+    mediumtext: 16777215,
+    longtext: 4294967295
+};
+
+const STRING_TYPES = ['char', 'varchar', 'tinytext', 'text', 'mediumtext', 'longtext', 'enum', 'set'];
+
+/**
+ * Build validation rule for one DESCRIBE row
+ */
+const buildColumnRule = (column) => {
+    const type = column.Type.toLowerCase();
+    const baseType = type.match(/^[a-z]+/)[0];
+    const extra = (column.Extra || '').toLowerCase();
+
+    const rule = {
+        name: column.Field,
+        type,
+        baseType,
+        nullable: column.Null === 'YES',
+        autoIncrement: extra.includes('auto_increment'),
+        hasDefault: column.Default !== null && column.Default !== undefined,
+        isString: STRING_TYPES.includes(baseType)
+    };
+
+    if (INTEGER_RANGES[baseType]) {
+        rule.kind = 'integer';
+        rule.range = INTEGER_RANGES[baseType][type.includes('unsigned') ? 'unsigned' : 'signed'];
+    } else if (['decimal', 'numeric'].includes(baseType)) {
+        const m = type.match(/\((\d+)(?:,\s*(\d+))?\)/);
+        rule.kind = 'decimal';
+        rule.precision = m ? parseInt(m[1]) : 10;
+        rule.scale = m && m[2] ? parseInt(m[2]) : 0;
+        rule.unsigned = type.includes('unsigned');
+    } else if (['float', 'double', 'real'].includes(baseType)) {
+        rule.kind = 'float';
+        rule.unsigned = type.includes('unsigned');
+    } else if (['char', 'varchar'].includes(baseType)) {
+        const m = type.match(/\((\d+)\)/);
+        rule.kind = 'string';
+        rule.maxLength = m ? parseInt(m[1]) : (baseType === 'char' ? 1 : 255);
+    } else if (TEXT_BYTES[baseType]) {
+        rule.kind = 'text';
+        rule.maxBytes = TEXT_BYTES[baseType];
+    } else if (baseType === 'enum' || baseType === 'set') {
+        rule.kind = baseType;
+        // Values keep their original case from the column definition
+        const definition = column.Type.slice(column.Type.indexOf('(') + 1, column.Type.lastIndexOf(')'));
+        rule.values = (definition.match(/'((?:[^']|'')*)'/g) || []).map(v => v.slice(1, -1).replace(/''/g, "'"));
+    } else if (['date', 'datetime', 'timestamp'].includes(baseType)) {
+        rule.kind = baseType;
+    } else if (baseType === 'year') {
+        rule.kind = 'year';
+    } else {
+        rule.kind = 'other';
+    }
+
+    return rule;
+};
+
+// dateFormats: { [column]: format } chosen in the mapping step (see utils/dateFormatter)
+// numberLocale: how numeric text is written in the file (see utils/numberParser)
+const buildColumnRules = (columns, dateFormats = {}, numberLocale = 'auto') => {
+    const rules = {};
+    columns.forEach(c => {
+        rules[c.Field] = buildColumnRule(c);
+        if (dateFormats[c.Field]) rules[c.Field].dateFormat = dateFormats[c.Field];
+        rules[c.Field].numberLocale = numberLocale;
+    });
+    return rules;
+};
+
+// Columns that must get a value from the file
+const isRequired = (rule) => !rule.nullable && !rule.autoIncrement && !rule.hasDefault;
+
+const isEmpty = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+const validateNumber = (rule, value) => {
+    // Same parsing as the import itself: separators of the upload's locale, no currency or %
+    const parsed = parseNumber(value, rule.numberLocale);
+    if (parsed === null) {
+        const expected = rule.kind === 'integer' ? 'integer' : 'number';
+        return { error: rule.numberLocale && rule.numberLocale !== 'auto' ? `Not a valid ${expected} (${rule.numberLocale} format)` : `Not a valid ${expected}` };
+    }
+    const str = String(parsed);
+
+    if (rule.kind === 'integer') {
+        if (typeof value === 'number' && !Number.isInteger(value)) {
+            return { error: `Not an integer: ${value}` };
+        }
+        if (!/^[-+]?\d+(\.0+)?$/.test(str)) {
+            return { error: 'Not a valid integer' };
+        }
+        const n = BigInt(str.replace(/\.0+$/, ''));
+        if (n < rule.range[0] || n > rule.range[1]) {
+            return { error: `Out of range for ${rule.type} (${rule.range[0]} to ${rule.range[1]})` };
+        }
+        return { value: typeof value === 'number' ? value : str.replace(/\.0+$/, '') };
+    }
+
+    if (typeof value !== 'number' && !/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(str)) {
+        return { error: 'Not a valid number' };
+    }
+    const num = Number(str);
+    if (!Number.isFinite(num)) {
+        return { error: 'Not a valid number' };
+    }
+    if (rule.unsigned && num < 0) {
+        return { error: `Negative value not allowed for ${rule.type}` };
+    }
+
+    if (rule.kind === 'decimal') {
+        const maxIntegerDigits = rule.precision - rule.scale;
+        const integerDigits = Math.trunc(Math.abs(num)).toString().replace(/^0$/, '').length;
+        if (integerDigits > maxIntegerDigits) {
+            return { error: `Out of range for ${rule.type} (max ${maxIntegerDigits} digits before the decimal point)` };
+        }
+    }
+
+    return { value: num };
+};
+
+const validateDate = (rule, value) => {
+    // Same parsing as the import itself, so a valid row here is written the same way
+    const formatted = parseDate(value, rule.dateFormat);
+    if (!formatted) {
+        if (value instanceof Date) return { error: 'Invalid date' };
+        return { error: rule.dateFormat ? `Does not match date format ${rule.dateFormat}` : 'Unrecognized date format' };
+    }
+
+    const [date] = formatted.split(' ');
+    const year = parseInt(date);
+    if (rule.kind === 'timestamp' && (year < 1970 || year > 2038)) {
+        return { error: 'Out of range for TIMESTAMP (1970-2038)' };
+    }
+
+    return { value: rule.kind === 'date' ? date : formatted };
+};
+
+/**
+ * Validate and coerce one value.
+ * Returns { value } on success or { error } with a human readable reason.
+ */
+const validateValue = (rule, value) => {
+    if (!rule) return { value };
+
+    // Empty strings are only kept as-is for string columns
+    if (value === null || value === undefined || (!rule.isString && isEmpty(value))) {
+        if (isRequired(rule)) {
+            return { error: 'Value required (NOT NULL column)' };
+        }
+        return { value: null };
+    }
+
+    switch (rule.kind) {
+        case 'integer':
+        case 'decimal':
+        case 'float':
+            return validateNumber(rule, value);
+
+        case 'string': {
+            const str = String(value);
+            if ([...str].length > rule.maxLength) {
+                return { error: `Too long: ${[...str].length} characters (max ${rule.maxLength})` };
+            }
+            return { value: str };
+        }
+
+        case 'text': {
+            const str = String(value);
+            if (Buffer.byteLength(str, 'utf8') > rule.maxBytes) {
+                return { error: `Too long for ${rule.type} (max ${rule.maxBytes} bytes)` };
+            }
+            return { value: str };
+        }
+
+        case 'enum': {
+            const str = String(value).trim();
+            const match = rule.values.find(v => v.toLowerCase() === str.toLowerCase());
+            if (match === undefined) {
+                return { error: `Not an allowed value (${rule.values.join(', ')})` };
+            }
+            return { value: match };
+        }
+
+        case 'set': {
+            const parts = String(value).split(',').map(p => p.trim()).filter(Boolean);
+            const matched = [];
+            for (const part of parts) {
+                const match = rule.values.find(v => v.toLowerCase() === part.toLowerCase());
+                if (match === undefined) {
+                    return { error: `"${part}" is not an allowed value (${rule.values.join(', ')})` };
+                }
+                matched.push(match);
+            }
+            return { value: matched.join(',') };
+        }
+
+        case 'date':
+        case 'datetime':
+        case 'timestamp':
+            return validateDate(rule, value);
+
+        case 'year': {
+            const str = String(value).trim();
+            if (!/^\d{4}$/.test(str) || parseInt(str) < 1901 || parseInt(str) > 2155) {
+                return { error: 'Not a valid YEAR (1901-2155)' };
+            }
+            return { value: parseInt(str) };
+        }
+
+        default:
+            return { value };
+    }
+};
+
+module.exports = { buildColumnRule, buildColumnRules, validateValue, isRequired };
@@ -0,0 +1,229 @@
+/**
+ * CSV Dialect Utility
+ * Sniffs how a CSV file is written from its first 64 KB, without reading it
+ * fully: encoding (BOM, UTF-16 without BOM, UTF-8 or else Windows-1252),
+ * delimiter, quote character, escape character and line ending.
+ *
+ * Every CSV reader (import worker, column mapping, /schema/analyze, lookup)
+ * opens files with createCsvReader, so a dialect that was detected or
+ * overridden in the upload UI is read the same way everywhere.
+ */
+
+const fs = require('fs');
+const { Transform } = require('stream');
+const csv = require('csv-parser');
+
+const SNIFF_BYTES = 64 * 1024;
+const SNIFF_LINES = 50;
+
+const CSV_ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'];
+const DELIMITERS = [',', ';', '\t', '|'];
+const LINE_ENDINGS = ['lf', 'crlf', 'cr'];
+const DIALECT_FIELDS = ['encoding', 'delimiter', 'quote', 'escape', 'lineEnding'];
+
+const BOMS = [
+    { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+    { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+    { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+const readStart = (filePath, length = SNIFF_BYTES) => {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+const findBom = (buffer) => BOMS.find(({ bytes }) => bytes.every((b, i) => buffer[i] === b)) || null;
+
+const detectEncoding = (buffer) => {
+    const bom = findBom(buffer);
+    if (bom) return { encoding: bom.encoding, bom: true };
+
+    // UTF-16 without BOM: ASCII text has a zero in every other byte
+    let evenZeros = 0, oddZeros = 0;
+    const sample = Math.min(buffer.length, 4096);
+    for (let i = 0; i < sample; i++) {
+        if (buffer[i] === 0) {
+            if (i % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+    }
+    if (oddZeros > sample / 4 && evenZeros < oddZeros / 10) return { encoding: 'utf-16le', bom: false };
+    if (evenZeros > sample / 4 && oddZeros < evenZeros / 10) return { encoding: 'utf-16be', bom: false };
+
+    try {
+        // stream: true tolerates a character cut off at the end of the sample
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+        return { encoding: 'utf-8', bom: false };
+    } catch (e) {
+        return { encoding: 'windows-1252', bom: false };
+    }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const countOutsideQuotes = (line, char, quote) => {
+    let count = 0;
+    let quoted = false;
+    for (const ch of line) {
+        if (ch === quote) quoted = !quoted;
+        else if (ch === char && !quoted) count++;
+    }
+    return count;
+};
+
+/**
+ * Dialect of decoded text. The delimiter is the candidate that splits the
+ * most lines into the same number of fields.
+ */
+const sniffText = (text, truncated = false) => {
+    const firstBreak = text.search(/[\r\n]/);
+    let lineEnding = 'lf';
+    if (firstBreak !== -1 && text[firstBreak] === '\r') {
+        lineEnding = text[firstBreak + 1] === '\n' ? 'crlf' : 'cr';
+    }
+
+    let lines = text.split(/\r\n|\n|\r/);
+    // The last line of a partial read may be cut off
+    if (truncated && lines.length > 1) lines.pop();
+    lines = lines.filter(line => line.trim() !== '').slice(0, SNIFF_LINES);
+
+    // Quote: the character that opens fields; single quotes only when double quotes never do
+    const opensField = (quoteChar) => {
+        const pattern = new RegExp(`(^|[${DELIMITERS.map(escapeRegExp).join('')}])${escapeRegExp(quoteChar)}`, 'g');
+        return lines.reduce((sum, line) => sum + (line.match(pattern) || []).length, 0);
+    };
+    const quote = opensField('"') === 0 && opensField("'") >= 2 ? "'" : '"';
+
+    let best = { delimiter: ',', consistency: 0, fields: 0 };
+    DELIMITERS.forEach(delimiter => {
+        const counts = lines.map(line => countOutsideQuotes(line, delimiter, quote)).filter(n => n > 0);
+        if (counts.length === 0) return;
+        const frequency = new Map();
+        counts.forEach(n => frequency.set(n, (frequency.get(n) || 0) + 1));
+        const [fields, lineCount] = Array.from(frequency.entries()).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+        const consistency = lineCount / lines.length;
+        if (consistency > best.consistency || (consistency === best.consistency && fields > best.fields)) {
+            best = { delimiter, consistency, fields };
+        }
+    });
+
+    // Backslash escapes (\") instead of doubled quotes (""); a quote pair after
+    // a delimiter is an empty field, after a backslash the end of an escape
+    const q = escapeRegExp(quote);
+    const backslashed = new RegExp(`\\\\${q}`).test(text)
+        && !new RegExp(`[^\\\\\\r\\n${DELIMITERS.map(escapeRegExp).join('')}]${q}${q}`).test(text);
+
+    return {
+        delimiter: best.delimiter,
+        quote,
+        escape: backslashed ? '\\' : quote,
+        lineEnding
+    };
+};
+
+/**
+ * { encoding, bom, delimiter, quote, escape, lineEnding } of a file
+ */
+const detectCsvDialect = (filePath) => {
+    const buffer = readStart(filePath);
+    const { encoding, bom } = detectEncoding(buffer);
+    const text = new TextDecoder(encoding).decode(buffer, { stream: true });
+    return { encoding, bom, ...sniffText(text, buffer.length === SNIFF_BYTES) };
+};
+
+/**
+ * Dialect overrides from a request (query or form fields); unknown or
+ * invalid values are left to detection.
+ */
+const parseCsvOptions = (input = {}) => {
+    const options = {};
+    const isChar = (value) => typeof value === 'string' && value.length === 1 && !/[\r\n]/.test(value);
+
+    if (CSV_ENCODINGS.includes(String(input.encoding || '').toLowerCase())) options.encoding = input.encoding.toLowerCase();
+    if (isChar(input.delimiter)) options.delimiter = input.delimiter;
+    if (isChar(input.quote)) options.quote = input.quote;
+    if (isChar(input.escape)) options.escape = input.escape;
+    if (LINE_ENDINGS.includes(input.lineEnding)) options.lineEnding = input.lineEnding;
+    return options;
+};
+
+/**
+ * Detected dialect with the overrides applied; overridden lists the fields
+ * that were set by hand. hints replace detection where the file type already
+ * tells (a .tsv file is tab-separated).
+ */
+const resolveCsvDialect = (filePath, overrides = {}, hints = {}) => {
+    const detected = { ...detectCsvDialect(filePath), ...hints };
+    const options = parseCsvOptions(overrides);
+    return {
+        ...detected,
+        ...options,
+        // A custom quote keeps doubling as its own escape unless an escape was given too
+        escape: options.escape || (options.quote ? options.quote : detected.escape),
+        detected,
+        overridden: DIALECT_FIELDS.filter(field => options[field] !== undefined)
+    };
+};
+
+// Re-encodes the file as UTF-8 for csv-parser, which only reads UTF-8
+const createDecoder = (encoding) => {
+    const decoder = new TextDecoder(encoding);
+    return new Transform({
+        transform(chunk, _encoding, callback) {
+            callback(null, Buffer.from(decoder.decode(chunk, { stream: true }), 'utf8'));
+        },
+        flush(callback) {
+            const rest = decoder.decode();
+            callback(null, rest ? Buffer.from(rest, 'utf8') : undefined);
+        }
+    });
+};
+
+/**
+ * Open a CSV file in the given dialect (from resolveCsvDialect).
+ * Returns { source, parser }: listen to the parser's 'headers' / 'data' /
+ * 'end' events; source.bytesRead is the progress in the file.
+ */
+const createCsvReader = (filePath, dialect, parserOptions = {}) => {
+    const utf8 = dialect.encoding === 'utf-8';
+    // The decoder drops a UTF-16 BOM itself; a UTF-8 BOM is skipped here
+    const bom = utf8 ? findBom(readStart(filePath, 3)) : null;
+    const source = fs.createReadStream(filePath, { start: bom && bom.encoding === 'utf-8' ? 3 : 0 });
+
+    const parser = csv({
+        separator: dialect.delimiter,
+        quote: dialect.quote,
+        escape: dialect.escape,
+        // csv-parser finds \n and \r\n by itself; bare \r has to be named
+        ...(dialect.lineEnding === 'cr' ? { newline: '\r' } : {}),
+        ...parserOptions
+    });
+
+    const stream = utf8 ? source : source.pipe(createDecoder(dialect.encoding));
+    stream.pipe(parser);
+    source.on('error', (err) => parser.destroy(err));
+
+    return { source, parser };
+};
+
+// Readable summary for logs
+const describeDialect = (dialect) => {
+    const show = (ch) => (ch === '\t' ? 'tab' : ch);
+    return `encoding=${dialect.encoding} delimiter=${show(dialect.delimiter)} quote=${show(dialect.quote)} escape=${show(dialect.escape)} lineEnding=${dialect.lineEnding}`;
+};
+
+module.exports = {
+    CSV_ENCODINGS,
+    LINE_ENDINGS,
+    detectCsvDialect,
+    parseCsvOptions,
+    resolveCsvDialect,
+    createCsvReader,
+    describeDialect
+};
@@ -1,110 +1,284 @@
 /**
  * Date Normalization Utility
- * Converts various date formats to MySQL standard: YYYY-MM-DD HH:mm:ss
+ * The one date engine for imports: converts file values to MySQL's
+ * YYYY-MM-DD HH:mm:ss, either with an explicit per-column format
+ * ('dd/MM/yyyy HH:mm') or by trying the common formats in order.
+ * Month names are read in Indonesian and English.
+ *
+ * Excel dates have no timezone. Serial numbers and Date objects made by
+ * excelSerialToDate hold the cell's wall-clock time in their UTC fields, so
+ * they read the same whatever the server timezone is. Moving values between
+ * timezones is explicit: pass { from, to } zones (see utils/timezone).
+ *
+ * Format tokens: yyyy yy | MMMM MMM (month name) MM M | dd d | HH H | mm m | ss s
+ * Other characters match themselves, any whitespace matches any whitespace
+ * and 'quoted' text is literal. Numeric tokens accept one or two digits
+ * unless another number follows without a separator (yyyyMMdd).
  */
 
-const MONTH_MAP = {
-    'jan': '01', 'january': '01',
-    'feb': '02', 'february': '02',
-    'mar': '03', 'march': '03',
-    'apr': '04', 'april': '04',
-    'may': '05',
-    'jun': '06', 'june': '06',
-    'jul': '07', 'july': '07',
-    'aug': '08', 'august': '08',
-    'sep': '09', 'september': '09',
-    'oct': '10', 'october': '10',
-    'nov': '11', 'november': '11',
-    'dec': '12', 'december': '12'
+const { normalizeTimezone, convertWallClock } = require('./timezone');
+
+// Month names per locale, index 0 = January
+const MONTH_NAMES = {
+    en: [
+        ['jan', 'january'], ['feb', 'february'], ['mar', 'march'], ['apr', 'april'],
+        ['may'], ['jun', 'june'], ['jul', 'july'], ['aug', 'august'],
+        ['sep', 'sept', 'september'], ['oct', 'october'], ['nov', 'november'], ['dec', 'december']
+    ],
+    id: [
+        ['jan', 'januari'], ['feb', 'peb', 'februari', 'pebruari'], ['mar', 'maret'], ['apr', 'april'],
+        ['mei'], ['jun', 'juni'], ['jul', 'juli'], ['agu', 'agt', 'agus', 'agustus'],
+        ['sep', 'sept', 'september'], ['okt', 'oktober'], ['nov', 'nop', 'november', 'nopember'], ['des', 'desember']
+    ]
 };
 
-const formatToMysql = (value) => {
-    if (!value || value === '' || value === null || value === undefined) {
-        return null;
-    }
+// name -> month number; the locales don't share a name with different months
+const MONTH_MAP = {};
+Object.values(MONTH_NAMES).forEach(months => {
+    months.forEach((names, i) => names.forEach(name => { MONTH_MAP[name] = i + 1; }));
+});
 
-    // Already in MySQL format
-    if (/^\d{4}-\d{2}-\d{2}(\s\d{2}:\d{2}:\d{2})?$/.test(value)) {
-        return value.length === 10 ? `${value} 00:00:00` : value;
-    }
+// Formats tried when a column has no explicit format, and offered by detection.
+// Day-first comes before month-first: 01/02/2024 is 1 February unless told otherwise.
+const DATE_PATTERNS = [
+    'yyyy-MM-dd', 'yyyy/MM/dd', 'yyyyMMdd',
+    'dd/MM/yyyy', 'MM/dd/yyyy', 'dd-MM-yyyy', 'MM-dd-yyyy', 'dd.MM.yyyy',
+    'dd/MM/yy', 'MM/dd/yy', 'dd-MM-yy',
+    'dd-MMM-yyyy', 'dd-MMM-yy', 'dd MMM yyyy', 'dd MMMM yyyy', 'MMM dd, yyyy', 'MMMM dd, yyyy'
+];
+const TIME_PATTERNS = ['', ' HH:mm', ' HH:mm:ss'];
+const DATE_FORMATS = [
+    ...DATE_PATTERNS.flatMap(date => TIME_PATTERNS.map(time => date + time)),
+    "yyyy-MM-dd'T'HH:mm", "yyyy-MM-dd'T'HH:mm:ss"
+];
+
+const TOKENS = {
+    yyyy: 'year', yy: 'shortYear',
+    MMMM: 'monthName', MMM: 'monthName', MM: 'month', M: 'month',
+    dd: 'day', d: 'day',
+    HH: 'hour', H: 'hour',
+    mm: 'minute', m: 'minute',
+    ss: 'second', s: 'second'
+};
+const TOKEN_PATTERN = /yyyy|yy|MMMM|MMM|MM|M|dd|d|HH|H|mm|m|ss|s|'[^']*'|\s+|./g;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compiledFormats = new Map();
+
+// Format string -> { regex, parts } (cached, formats repeat for every row)
+const compileFormat = (format) => {
+    if (compiledFormats.has(format)) return compiledFormats.get(format);
+
+    const tokens = format.match(TOKEN_PATTERN) || [];
+    const parts = [];
+    let source = '';
+
+    tokens.forEach((token, i) => {
+        const part = TOKENS[token];
+        if (part === 'year') {
+            source += '(\\d{4})';
+        } else if (part === 'shortYear') {
+            source += '(\\d{2})';
+        } else if (part === 'monthName') {
+            source += '([a-z]+)\\.?';
+        } else if (part) {
+            const isNumber = (t) => TOKENS[t] && TOKENS[t] !== 'monthName';
+            source += isNumber(tokens[i - 1]) || isNumber(tokens[i + 1]) ? '(\\d{2})' : '(\\d{1,2})';
+        } else if (token.length > 1 && token.startsWith("'") && token.endsWith("'")) {
+            source += escapeRegex(token.slice(1, -1));
+        } else if (/^\s+$/.test(token)) {
+            source += '\\s+';
+        } else {
+            source += escapeRegex(token);
+        }
+        if (part) parts.push(part);
+    });
+
+    const compiled = { regex: new RegExp(`^${source}$`, 'i'), parts };
+    compiledFormats.set(format, compiled);
+    return compiled;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const isValidCalendarDate = (y, m, d) => {
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+};
 
-    let day, month, year;
-    const str = String(value).trim();
+const toMysql = ({ year, month, day, hour = 0, minute = 0, second = 0 }) =>
+    `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+
+/**
+ * Parse text with one format. Returns 'YYYY-MM-DD HH:mm:ss', or null when
+ * the text doesn't match or isn't a real date/time.
+ */
+const parseWithFormat = (text, format) => {
+    const { regex, parts } = compileFormat(format);
+    const m = String(text).trim().match(regex);
+    if (!m) return null;
 
-    // DD/MM/YYYY or DD-MM-YYYY
-    const slashDash1 = str.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/);
-    if (slashDash1) {
-        [, day, month, year] = slashDash1;
-        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')} 00:00:00`;
+    const date = {};
+    for (let i = 0; i < parts.length; i++) {
+        const raw = m[i + 1];
+        const part = parts[i];
+        if (part === 'monthName') {
+            date.month = MONTH_MAP[raw.toLowerCase()];
+            if (!date.month) return null;
+        } else if (part === 'shortYear') {
+            const n = parseInt(raw);
+            date.year = n > 50 ? 1900 + n : 2000 + n;
+        } else {
+            date[part] = parseInt(raw);
+        }
     }
 
-    // YYYY/MM/DD or YYYY-MM-DD (with possible time)
-    const isoFormat = str.match(/^(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})(?:\s+(\d{2}:\d{2}:\d{2}))?$/);
-    if (isoFormat) {
-        [, year, month, day] = isoFormat;
-        const time = isoFormat[4] || '00:00:00';
-        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')} ${time}`;
+    if (!date.year || !date.month || !date.day) return null;
+    if (!isValidCalendarDate(date.year, date.month, date.day)) return null;
+    if ((date.hour || 0) > 23 || (date.minute || 0) > 59 || (date.second || 0) > 59) return null;
+
+    return toMysql(date);
+};
+
+// Excel serial day numbers (1982-2064 range, so plain numbers aren't taken for dates)
+const isExcelSerial = (n) => n > 30000 && n < 60000;
+
+// Serial -> Date with the serial's wall-clock time in the UTC fields
+const excelSerialToDate = (serial) => new Date(Math.round((serial - 25569) * 86400) * 1000);
+
+// 'YYYY-MM-DD[ HH:mm:ss]' -> Excel serial (inverse of excelSerialToDate); null for zero dates
+const mysqlToExcelSerial = (text) => {
+    const m = String(text).match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2}))?/);
+    if (!m || m[1] === '0000' || m[2] === '00' || m[3] === '00') return null;
+    const [year, month, day, hour = 0, minute = 0, second = 0] = m.slice(1).map(n => parseInt(n || 0));
+    return Date.UTC(year, month - 1, day, hour, minute, second) / 86400000 + 25569;
+};
+
+const floatingToMysql = (date) =>
+    `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+
+// Offset or zone after the time of ISO and log timestamps ('...T05:00:00.123Z',
+// '... 12:00:00 +0700'). Fractions of a second are dropped with it.
+const ZONE_SUFFIX = /(\d:\d{2}(?::\d{2})?)(?:\.\d+)?\s*(Z|UTC|GMT|[+-]\d{2}:?\d{2})?$/i;
+
+// -> { text without the suffix, zone it names or null }
+const splitZone = (text) => {
+    const m = text.match(ZONE_SUFFIX);
+    if (!m || m[0] === m[1]) return { text, zone: null };
+    try {
+        return { text: text.slice(0, m.index) + m[1], zone: m[2] ? normalizeTimezone(m[2]) : null };
+    } catch (e) {
+        return { text, zone: null };
     }
+};
 
-    // MM-DD-YYYY or MM/DD/YYYY (US format)
-    const usFormat = str.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/);
-    if (usFormat) {
-        // Assume DD/MM/YYYY for non-US locales, but this is already handled above
-        [, month, day, year] = usFormat;
-        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')} 00:00:00`;
+/**
+ * Move a parsed value from the source to the target timezone of `zones`.
+ * A value with its own offset uses that instead of zones.from. Dates without
+ * a time of day are calendar dates, not instants, and stay as they are.
+ */
+const shiftZone = (wallClock, hasTime, zones, ownZone = null) => {
+    if (!zones || !zones.to || !hasTime) return wallClock;
+    return convertWallClock(wallClock, ownZone || zones.from, zones.to);
+};
+
+/**
+ * Parse any file value: Excel dates (Date objects from excelSerialToDate and
+ * serial numbers) and text. Text is read with `format` when given, else with
+ * the first of DATE_FORMATS that fits. With `zones` ({ from, to }) times are
+ * converted from the file's timezone to the table's.
+ * Returns 'YYYY-MM-DD HH:mm:ss' or null.
+ */
+const parseDate = (value, format = null, zones = null) => {
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        const hasTime = value.getUTCHours() + value.getUTCMinutes() + value.getUTCSeconds() > 0;
+        return shiftZone(floatingToMysql(value), hasTime, zones);
+    }
+    if (typeof value === 'number') {
+        if (!isExcelSerial(value)) return null;
+        return shiftZone(floatingToMysql(excelSerialToDate(value)), !Number.isInteger(value), zones);
     }
 
-    // DD-MMM-YY or DD-MMM-YYYY (e.g., 04-DEC-24 or 04-DEC-2024)
-    const monthName = str.match(/^(\d{1,2})[\/\-]([a-zA-Z]{3,9})[\/\-](\d{2,4})$/);
-    if (monthName) {
-        day = monthName[1].padStart(2, '0');
-        const monthStr = monthName[2].toLowerCase();
-        month = MONTH_MAP[monthStr];
-        year = monthName[3];
+    const trimmed = String(value).trim();
+    if (trimmed === '') return null;
 
-        if (year.length === 2) {
-            year = parseInt(year) > 50 ? `19${year}` : `20${year}`;
-        }
+    if (!format && /^\d+(\.\d+)?$/.test(trimmed) && isExcelSerial(parseFloat(trimmed))) {
+        return parseDate(parseFloat(trimmed), null, zones);
+    }
 
-        if (month) {
-            return `${year}-${month}-${day} 00:00:00`;
+    const { text, zone } = splitZone(trimmed);
+    let parsed = null;
+    if (format) {
+        parsed = parseWithFormat(text, format);
+    } else {
+        for (const candidate of DATE_FORMATS) {
+            parsed = parseWithFormat(text, candidate);
+            if (parsed) break;
         }
     }
+    if (!parsed) return null;
+    return shiftZone(parsed, /\d:\d{2}/.test(text), zones, zone);
+};
+
+/**
+ * Value for a date column. Unparseable values are returned unchanged so
+ * MySQL's own error names them.
+ */
+const formatToMysql = (value, format = null, zones = null) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const parsed = parseDate(value, format, zones);
+    return parsed === null ? value : parsed;
+};
 
-    // MMM DD, YYYY (e.g., Dec 4, 2024)
-    const monthFirst = str.match(/^([a-zA-Z]{3,9})\s+(\d{1,2}),?\s+(\d{4})$/);
-    if (monthFirst) {
-        const monthStr = monthFirst[1].toLowerCase();
-        month = MONTH_MAP[monthStr];
-        day = monthFirst[2].padStart(2, '0');
-        year = monthFirst[3];
+/**
+ * Pick the format for a column from its text values (Date objects and
+ * numbers need none). The format that reads the most values wins; when
+ * another format reads the same values as different dates (01/02 as
+ * dd/MM or MM/dd) the column is flagged ambiguous.
+ * Returns { format, ambiguous, alternatives, matched, total, unmatched }
+ */
+const detectDateFormat = (values) => {
+    const texts = values
+        .filter(v => typeof v === 'string' && v.trim() !== '')
+        .map(v => splitZone(v.trim()).text);
 
-        if (month) {
-            return `${year}-${month}-${day} 00:00:00`;
-        }
+    if (texts.length === 0) {
+        return { format: null, ambiguous: false, alternatives: [], matched: 0, total: 0, unmatched: [] };
     }
 
-    // Excel serial date number
-    if (/^\d+(\.\d+)?$/.test(str) && parseFloat(str) > 30000 && parseFloat(str) < 60000) {
-        const excelDate = parseFloat(str);
-        const jsDate = new Date((excelDate - 25569) * 86400 * 1000);
-        const y = jsDate.getFullYear();
-        const m = String(jsDate.getMonth() + 1).padStart(2, '0');
-        const d = String(jsDate.getDate()).padStart(2, '0');
-        const h = String(jsDate.getHours()).padStart(2, '0');
-        const min = String(jsDate.getMinutes()).padStart(2, '0');
-        const s = String(jsDate.getSeconds()).padStart(2, '0');
-        return `${y}-${m}-${d} ${h}:${min}:${s}`;
+    const results = DATE_FORMATS.map(format => {
+        const parsed = texts.map(text => parseWithFormat(text, format));
+        return { format, parsed, matched: parsed.filter(Boolean).length };
+    });
+    const bestCount = Math.max(...results.map(r => r.matched));
+    if (bestCount === 0) {
+        return { format: null, ambiguous: false, alternatives: [], matched: 0, total: texts.length, unmatched: texts.slice(0, 5) };
     }
 
-    // Return original if no pattern matches
-    return value;
+    const [best, ...tied] = results.filter(r => r.matched === bestCount);
+    const alternatives = tied
+        .filter(r => r.parsed.some((p, i) => p !== best.parsed[i]))
+        .map(r => r.format);
+
+    return {
+        format: best.format,
+        ambiguous: alternatives.length > 0,
+        alternatives,
+        matched: bestCount,
+        total: texts.length,
+        unmatched: texts.filter((text, i) => !best.parsed[i]).slice(0, 5)
+    };
 };
 
 const isDateColumn = (columnName) => {
-    const dateKeywords = ['date', 'time', 'created', 'updated', 'modified', 'timestamp', 'tanggal', 'waktu'];
+    if (!columnName) return false;
+    const dateKeywords = ['date', 'time', 'created', 'updated', 'modified', 'timestamp', 'tanggal', 'tgl', 'waktu'];
     const lowerName = columnName.toLowerCase();
     return dateKeywords.some(keyword => lowerName.includes(keyword));
 };
 
-module.exports = { formatToMysql, isDateColumn };
+module.exports = { MONTH_NAMES, DATE_FORMATS, excelSerialToDate, mysqlToExcelSerial, parseDate, formatToMysql, detectDateFormat, isDateColumn };
@@ -0,0 +1,401 @@
+/**
+ * Drop Folders
+ * Directories on the server that other systems copy daily files into (scp,
+ * rsync), imported without anyone re-uploading them. Folders are configured
+ * by an admin in the drop_folders table (dataflow_pro) with a file name
+ * pattern, a target table, the duplicate settings and how the files are read
+ * (sheet and header row, CSV dialect, timezone of their times); the column
+ * mapping is the one saved for the target table (PUT /upload/mapping).
+ *
+ * Every DROP_FOLDER_POLL_SECONDS each active folder is listed. A matching
+ * file is taken once its size and modification time did not change between
+ * two scans, so a copy still in progress is left alone. Files move through
+ * subfolders of the drop folder:
+ *   processing/  claimed by a rename (one server instance wins) and queued
+ *                in the import queue (utils/importJobs)
+ *   processed/   every import of the file completed
+ *   failed/      an import failed or was cancelled, or the file could not be queued
+ * Moved files get a timestamp prefix, so a file dropped again the next day
+ * does not collide. The result of every file is kept in drop_folder_files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getInternalPool } = require('../config/db');
+const { getJob } = require('./importJobs');
+const { ALLOWED_EXTENSIONS } = require('./fileFormats');
+const { FILE_DUPLICATE_POLICIES } = require('./fileDuplicates');
+const { parseSheetOptions } = require('./sheetReader');
+const { parseCsvOptions } = require('./csvDialect');
+const { normalizeTimezone } = require('./timezone');
+
+const POLL_SECONDS = parseInt(process.env.DROP_FOLDER_POLL_SECONDS) || 30;
+// When set, drop folders must be inside this directory
+const DROP_FOLDERS_ROOT = process.env.DROP_FOLDERS_ROOT ? path.resolve(process.env.DROP_FOLDERS_ROOT) : null;
+
+// A claimed file without import jobs after this long was left behind by a stopped server
+const UNQUEUED_MINUTES = 10;
+
+const SUBFOLDERS = { processing: 'processing', processed: 'processed', failed: 'failed' };
+// Modes that need a person to look first (mirror removes rows after a dry-run preview) are left out
+const DROP_DUPLICATE_MODES = ['skip', 'update', 'error', 'replace'];
+
+const parseJson = (text, fallback) => {
+    if (!text) return fallback;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return fallback;
+    }
+};
+
+const rowToFolder = (row) => ({
+    id: row.id,
+    name: row.name,
+    path: row.path,
+    pattern: row.pattern,
+    connectionId: row.connection_id,
+    database: row.database_name,
+    table: row.table_name,
+    duplicateMode: row.duplicate_mode,
+    duplicateCheckFields: parseJson(row.duplicate_check_fields, []),
+    fileDuplicatePolicy: row.file_duplicate_policy,
+    sheetOptions: parseSheetOptions(parseJson(row.sheet_options, {})),
+    csvOptions: parseCsvOptions(parseJson(row.csv_options, {})),
+    sourceTimezone: row.source_timezone,
+    atomic: !!row.atomic,
+    undoable: !!row.undoable,
+    isActive: !!row.is_active,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const rowToFile = (row) => ({
+    id: row.id,
+    folderId: row.folder_id,
+    fileName: row.file_name,
+    fileSize: Number(row.file_size),
+    status: row.status,
+    fileIds: parseJson(row.file_ids, []),
+    movedTo: row.moved_to,
+    totalRows: row.total_rows,
+    insertedRows: row.inserted_rows,
+    updatedRows: row.updated_rows,
+    skippedRows: row.skipped_rows,
+    rejectedRows: row.rejected_rows,
+    message: row.message,
+    detectedAt: row.detected_at,
+    completedAt: row.completed_at
+});
+
+// "sales_*.csv, *.xlsx" -> case-insensitive match on the file name; * and ? are wildcards
+const matchesPattern = (fileName, pattern) => {
+    return (pattern || '*').split(',').map(p => p.trim()).filter(Boolean).some(p => {
+        const source = p.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+        return new RegExp(`^${source}$`, 'i').test(fileName);
+    });
+};
+
+// Error message for a folder path that can't be watched, null when it can
+const checkFolderPath = (dir) => {
+    if (!path.isAbsolute(dir)) return 'The folder path must be absolute.';
+    const resolved = path.resolve(dir);
+    if (DROP_FOLDERS_ROOT && resolved !== DROP_FOLDERS_ROOT && !resolved.startsWith(DROP_FOLDERS_ROOT + path.sep)) {
+        return `Drop folders must be inside ${DROP_FOLDERS_ROOT}.`;
+    }
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) return `Folder ${resolved} does not exist on the server.`;
+    try {
+        fs.accessSync(resolved, fs.constants.R_OK | fs.constants.W_OK);
+    } catch (e) {
+        return `The server can not read and write ${resolved}.`;
+    }
+    return null;
+};
+
+/**
+ * Validate a folder from a request body. Returns { folder } (database column
+ * values) or { error }.
+ */
+const parseFolderInput = (body) => {
+    const {
+        name,
+        path: dir,
+        pattern = '*',
+        connectionId = null,
+        database,
+        table,
+        duplicateMode = 'skip',
+        duplicateCheckFields = [],
+        fileDuplicatePolicy = 'report',
+        sheetOptions = {}, // Excel: { sheet, headerRow, skipFooterRows }
+        csvOptions = {}, // CSV: { encoding, delimiter, quote, escape, lineEnding }, the rest is detected per file
+        sourceTimezone: sourceTimezoneInput = null, // timezone of the files' times, default: the connection's
+        atomic = false,
+        undoable = false,
+        isActive = true
+    } = body;
+
+    if (!name || !String(name).trim()) return { error: 'Name is required.' };
+    if (!dir || !String(dir).trim()) return { error: 'Folder path is required.' };
+    if (!database || !table) return { error: 'Database and table are required.' };
+    if (!DROP_DUPLICATE_MODES.includes(duplicateMode)) {
+        return { error: `duplicateMode must be one of: ${DROP_DUPLICATE_MODES.join(', ')}.` };
+    }
+    if (!Array.isArray(duplicateCheckFields)) return { error: 'duplicateCheckFields must be a list of columns.' };
+    if (!FILE_DUPLICATE_POLICIES.includes(fileDuplicatePolicy)) {
+        return { error: `fileDuplicatePolicy must be one of: ${FILE_DUPLICATE_POLICIES.join(', ')}.` };
+    }
+    if (duplicateMode === 'replace' && (atomic || undoable)) {
+        return { error: 'Replace mode already swaps the table in all at once and keeps a backup; atomic and undoable do not apply.' };
+    }
+
+    let sourceTimezone;
+    try {
+        sourceTimezone = normalizeTimezone(sourceTimezoneInput);
+    } catch (e) {
+        return { error: e.message };
+    }
+
+    const pathError = checkFolderPath(String(dir).trim());
+    if (pathError) return { error: pathError };
+
+    return {
+        folder: {
+            name: String(name).trim(),
+            path: path.resolve(String(dir).trim()),
+            pattern: String(pattern).trim() || '*',
+            connectionId: connectionId ? parseInt(connectionId) : null,
+            database,
+            table,
+            duplicateMode,
+            duplicateCheckFields,
+            fileDuplicatePolicy,
+            sheetOptions: parseSheetOptions(sheetOptions || {}),
+            csvOptions: parseCsvOptions(csvOptions || {}),
+            sourceTimezone,
+            atomic: !!atomic,
+            undoable: !!undoable,
+            isActive: !!isActive
+        }
+    };
+};
+
+const listFolders = async () => {
+    const [rows] = await getInternalPool().execute('SELECT * FROM drop_folders ORDER BY name');
+    return rows.map(rowToFolder);
+};
+
+const getFolder = async (id) => {
+    const [rows] = await getInternalPool().execute('SELECT * FROM drop_folders WHERE id = ?', [id]);
+    return rows.length > 0 ? rowToFolder(rows[0]) : null;
+};
+
+const listFiles = async (folderId, limit = 100) => {
+    const [rows] = await getInternalPool().query(
+        'SELECT * FROM drop_folder_files WHERE folder_id = ? ORDER BY id DESC LIMIT ?',
+        [folderId, limit]
+    );
+    return rows.map(rowToFile);
+};
+
+// The most recent file of every folder: { [folderId]: file }
+const getLatestFiles = async () => {
+    const [rows] = await getInternalPool().query(
+        'SELECT * FROM drop_folder_files WHERE id IN (SELECT MAX(id) FROM drop_folder_files GROUP BY folder_id)'
+    );
+    const latest = {};
+    rows.forEach(row => { latest[row.folder_id] = rowToFile(row); });
+    return latest;
+};
+
+// =====================================================
+// WATCHER
+// =====================================================
+
+let importer = null;
+let scanning = false;
+// Size and mtime of every file at the previous scan, by path
+const lastSeen = new Map();
+
+const timestamp = () => new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, '');
+
+const ensureSubfolders = (dir) => {
+    Object.values(SUBFOLDERS).forEach(sub => {
+        const subPath = path.join(dir, sub);
+        if (!fs.existsSync(subPath)) fs.mkdirSync(subPath);
+    });
+};
+
+/**
+ * Mark a file as finished and move it out of processing/. Only the instance
+ * whose update changes the row moves the file.
+ */
+const finishFile = async (file, folder, status, result) => {
+    const [update] = await getInternalPool().execute(
+        `UPDATE drop_folder_files
+         SET status = ?, message = ?, total_rows = ?, inserted_rows = ?, updated_rows = ?, skipped_rows = ?, rejected_rows = ?, completed_at = NOW()
+         WHERE id = ? AND status = 'importing'`,
+        [status, result.message || null, result.totalRows || 0, result.insertedRows || 0, result.updatedRows || 0,
+            result.skippedRows || 0, result.rejectedRows || 0, file.id]
+    );
+    if (update.affectedRows === 0) return;
+
+    const source = file.movedTo;
+    const target = path.join(folder ? folder.path : path.dirname(path.dirname(source)), SUBFOLDERS[status], path.basename(source));
+    try {
+        fs.renameSync(source, target);
+        await getInternalPool().execute('UPDATE drop_folder_files SET moved_to = ? WHERE id = ?', [target, file.id]);
+    } catch (err) {
+        console.error(`[Drop Folder] Failed to move ${source} to ${SUBFOLDERS[status]}/:`, err.message);
+    }
+    console.log(`[Drop Folder] ${file.fileName} ${status}${result.message ? `: ${result.message}` : ''}`);
+};
+
+// Take a settled file into processing/ and queue its import
+const claimFile = async (folder, fileName, size) => {
+    const claimedPath = path.join(folder.path, SUBFOLDERS.processing, `${timestamp()}-${fileName}`);
+    try {
+        fs.renameSync(path.join(folder.path, fileName), claimedPath);
+    } catch (err) {
+        // Another instance took it first, or it was removed
+        if (err.code === 'ENOENT') return;
+        throw err;
+    }
+
+    const [insert] = await getInternalPool().execute(
+        `INSERT INTO drop_folder_files (folder_id, file_name, file_size, status, moved_to, detected_at)
+         VALUES (?, ?, ?, 'importing', ?, NOW())`,
+        [folder.id, fileName, size, claimedPath]
+    );
+    const file = { id: insert.insertId, fileName, movedTo: claimedPath };
+    console.log(`[Drop Folder] ${folder.name}: queueing ${fileName} -> ${folder.database}.${folder.table}`);
+
+    try {
+        const fileIds = await importer(folder, claimedPath, fileName);
+        await getInternalPool().execute('UPDATE drop_folder_files SET file_ids = ? WHERE id = ?', [JSON.stringify(fileIds), file.id]);
+    } catch (err) {
+        await finishFile(file, folder, 'failed', { message: err.message });
+    }
+};
+
+const scanFolder = async (folder) => {
+    if (checkFolderPath(folder.path)) return;
+    ensureSubfolders(folder.path);
+
+    const entries = fs.readdirSync(folder.path, { withFileTypes: true });
+    for (const entry of entries) {
+        if (!entry.isFile() || entry.name.startsWith('.')) continue;
+        if (!ALLOWED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) continue;
+        if (!matchesPattern(entry.name, folder.pattern)) continue;
+
+        const filePath = path.join(folder.path, entry.name);
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (e) {
+            continue;
+        }
+
+        // Only a file that stopped growing since the previous scan is complete
+        const signature = `${stat.size}:${stat.mtimeMs}`;
+        const previous = lastSeen.get(filePath);
+        lastSeen.set(filePath, { signature, scannedAt: Date.now() });
+        if (!previous || previous.signature !== signature) continue;
+
+        lastSeen.delete(filePath);
+        await claimFile(folder, entry.name, stat.size);
+    }
+};
+
+// Finish files whose imports are all done; a paused import keeps its file in processing/
+const checkImports = async (folders) => {
+    const [rows] = await getInternalPool().execute(
+        `SELECT *, file_ids IS NULL AND detected_at < NOW() - INTERVAL ${UNQUEUED_MINUTES} MINUTE AS abandoned
+         FROM drop_folder_files WHERE status = 'importing'`
+    );
+    for (const row of rows) {
+        const file = rowToFile(row);
+        const folder = folders.find(f => f.id === file.folderId);
+        if (!row.file_ids) {
+            if (row.abandoned) await finishFile(file, folder, 'failed', { message: 'The server stopped before the file was queued' });
+            continue;
+        }
+
+        const jobs = await Promise.all(file.fileIds.map(getJob));
+        if (jobs.some(job => job && job.status !== 'completed' && job.status !== 'error')) continue;
+
+        const result = { totalRows: 0, insertedRows: 0, updatedRows: 0, skippedRows: 0, rejectedRows: 0 };
+        const errors = [];
+        jobs.forEach((job, i) => {
+            if (!job) {
+                errors.push(`Import job ${file.fileIds[i]} was deleted`);
+                return;
+            }
+            const { progress } = job;
+            ['totalRows', 'insertedRows', 'updatedRows', 'skippedRows', 'rejectedRows'].forEach(field => {
+                result[field] += progress[field] || 0;
+            });
+            if (job.status === 'error') {
+                const last = progress.errors[progress.errors.length - 1];
+                errors.push(`${job.originalName}: ${last ? last.error : 'import failed'}`);
+            }
+        });
+
+        result.message = errors.length > 0
+            ? errors.join('; ')
+            : `${result.insertedRows} inserted, ${result.updatedRows} updated, ${result.skippedRows} skipped, ${result.rejectedRows} rejected`;
+        await finishFile(file, folder, errors.length > 0 ? 'failed' : 'processed', result);
+    }
+};
+
+const tick = async () => {
+    if (scanning) return;
+    scanning = true;
+    try {
+        const folders = await listFolders();
+        for (const folder of folders.filter(f => f.isActive)) {
+            try {
+                await scanFolder(folder);
+            } catch (err) {
+                console.error(`[Drop Folder] Failed to scan ${folder.path}:`, err.message);
+            }
+        }
+        await checkImports(folders);
+
+        // Forget files that were removed before they settled
+        const cutoff = Date.now() - POLL_SECONDS * 3 * 1000;
+        lastSeen.forEach((seen, filePath) => {
+            if (seen.scannedAt < cutoff) lastSeen.delete(filePath);
+        });
+    } catch (err) {
+        console.error('Drop folder watcher error:', err);
+    } finally {
+        scanning = false;
+    }
+};
+
+/**
+ * Start watching. Called once the drop_folders tables and the import queue exist.
+ * importFn(folder, filePath, originalName) queues the imports of one file and
+ * resolves to the fileIds of its import jobs.
+ */
+const startDropFolderWatcher = (importFn) => {
+    if (importer) return;
+    importer = importFn;
+    setInterval(tick, POLL_SECONDS * 1000).unref();
+    console.log(`[Drop Folder] Watching drop folders every ${POLL_SECONDS}s`);
+    tick();
+};
+
+module.exports = {
+    POLL_SECONDS,
+    DROP_DUPLICATE_MODES,
+    matchesPattern,
+    parseFolderInput,
+    listFolders,
+    getFolder,
+    listFiles,
+    getLatestFiles,
+    startDropFolderWatcher
+};
@@ -0,0 +1,108 @@
+/**
+ * Duplicate Check Utility
+ * Finds which rows of a batch already exist in the table, matching the full
+ * tuple of duplicateCheckFields. The batch keys are joined against the table
+ * in SQL, so values compare the way MySQL compares them (column collation,
+ * '001' = 1) and the lookup can use an index on the check fields.
+ */
+
+// Keys per lookup query; keeps the derived table and the placeholder count small
+const LOOKUP_CHUNK_SIZE = 1000;
+
+/**
+ * Indexes of a table as [{ name, unique, columns }] (columns in index order)
+ */
+const loadIndexes = async (db, table) => {
+    const [rows] = await db.query(`SHOW INDEX FROM \`${table}\``);
+    const byName = new Map();
+    rows
+        .sort((a, b) => a.Seq_in_index - b.Seq_in_index)
+        .forEach(row => {
+            if (!byName.has(row.Key_name)) {
+                byName.set(row.Key_name, { name: row.Key_name, unique: Number(row.Non_unique) === 0, columns: [] });
+            }
+            byName.get(row.Key_name).columns.push(row.Column_name);
+        });
+    return Array.from(byName.values());
+};
+
+/**
+ * How well the table's indexes serve a duplicate check on these fields.
+ * indexed: some index starts with one of the fields, so lookups don't scan the table
+ * uniqueKey: a UNIQUE index made of check fields only (what "update" and "mirror" modes rely on)
+ * warnings: readable problems, empty when the check is well supported
+ */
+const checkKeyCoverage = (indexes, fields, duplicateMode) => {
+    const fieldSet = new Set(fields);
+
+    // Leading columns that are all check fields (the part of the index a lookup can use)
+    const usablePrefix = (index) => {
+        let n = 0;
+        while (n < index.columns.length && fieldSet.has(index.columns[n])) n++;
+        return n;
+    };
+
+    const best = indexes.reduce((found, index) => (usablePrefix(index) > (found ? usablePrefix(found) : 0) ? index : found), null);
+    const uniqueKey = indexes.find(index => index.unique && index.columns.every(c => fieldSet.has(c))) || null;
+    const fieldList = fields.join(', ');
+    const warnings = [];
+
+    if (!best) {
+        warnings.push(`No index covers (${fieldList}): every batch scans the whole table. Add an index on these columns.`);
+    } else if (usablePrefix(best) < fieldSet.size) {
+        warnings.push(`Index ${best.name} only covers ${best.columns.slice(0, usablePrefix(best)).join(', ')} of (${fieldList}); an index on all check fields is faster.`);
+    }
+    if (duplicateMode === 'update' && !uniqueKey) {
+        warnings.push(`Update mode needs a UNIQUE key on (${fieldList}); without it existing rows are not updated and duplicates get inserted.`);
+    }
+    if (duplicateMode === 'mirror' && !uniqueKey) {
+        warnings.push(`Mirror mode needs a UNIQUE key on (${fieldList}); the import stops before writing without it.`);
+    }
+
+    return {
+        indexed: !!best,
+        index: best ? best.name : null,
+        uniqueKey: uniqueKey ? uniqueKey.name : null,
+        warnings
+    };
+};
+
+/**
+ * Lookup for one import: lookup(keyRows) resolves to the Set of positions in
+ * keyRows (arrays of values in fields order) that already exist in the table.
+ * Keys with a NULL part never match, just like in a UNIQUE index.
+ */
+const createDuplicateLookup = async (db, table, fields) => {
+    // The batch keys are cast to each column's collation; comparing two different
+    // implicit collations would fail with "Illegal mix of collations"
+    const [columns] = await db.query(`SHOW FULL COLUMNS FROM \`${table}\``);
+    const join = fields.map(f => {
+        const collation = columns.find(c => c.Field === f)?.Collation;
+        if (!collation) return `t.\`${f}\` = k.\`${f}\``;
+        const charset = collation.split('_')[0];
+        return `t.\`${f}\` = CONVERT(k.\`${f}\` USING ${charset}) COLLATE ${collation}`;
+    }).join(' AND ');
+    const select = `SELECT ? AS __pos, ${fields.map(f => `? AS \`${f}\``).join(', ')}`;
+
+    return async (keyRows) => {
+        const found = new Set();
+        const candidates = [];
+        keyRows.forEach((key, i) => {
+            if (key.every(v => v !== null && v !== undefined)) candidates.push(i);
+        });
+
+        for (let start = 0; start < candidates.length; start += LOOKUP_CHUNK_SIZE) {
+            const chunk = candidates.slice(start, start + LOOKUP_CHUNK_SIZE);
+            const [rows] = await db.query(
+                `SELECT DISTINCT k.__pos FROM (${chunk.map(() => select).join(' UNION ALL ')}) AS k
+                 JOIN \`${table}\` AS t ON ${join}`,
+                chunk.flatMap(i => [i, ...keyRows[i]])
+            );
+            rows.forEach(row => found.add(Number(row.__pos)));
+        }
+
+        return found;
+    };
+};
+
+module.exports = { loadIndexes, checkKeyCoverage, createDuplicateLookup };
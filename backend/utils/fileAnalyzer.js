@@ -1,8 +1,14 @@
 const xlsx = require('xlsx');
-const csv = require('csv-parser');
-const fs = require('fs');
+const { readSheetData, listSheets } = require('./sheetReader');
+const { resolveCsvDialect, createCsvReader } = require('./csvDialect');
+const { formatOf, csvHints } = require('./fileFormats');
+const { JSON_HEADER_ROWS, readJsonRows, collectHeaders } = require('./jsonRows');
 
-const inferColumnType = (values) => {
+const SAMPLE_ROWS = 100;
+const { parseNumber } = require('./numberParser');
+
+// numberLocale: see utils/numberParser; 'auto' reads both 1.234,5 and 1,234.5
+const inferColumnType = (values, numberLocale = 'auto') => {
     let hasNull = false;
     let allInt = true;
     let allFloat = true;
@@ -18,13 +24,17 @@ const inferColumnType = (values) => {
         const str = String(val).trim();
         maxLength = Math.max(maxLength, str.length);
 
+        // Numbers as the import reads them: separators, currency and % allowed
+        const number = parseNumber(val, numberLocale);
+        const numberText = number === null ? null : String(number);
+
         // Check integer
-        if (!/^-?\d+$/.test(str)) {
+        if (numberText === null || !/^-?\d+$/.test(numberText) || numberText.replace('-', '').length > 11) {
             allInt = false;
         }
 
         // Check float
-        if (!/^-?\d+(\.\d+)?$/.test(str)) {
+        if (numberText === null || !/^-?\d+(\.\d+)?$/.test(numberText)) {
             allFloat = false;
         }
 
@@ -40,24 +50,24 @@ const inferColumnType = (values) => {
         }
     }
 
-    if (allInt && !hasNull && maxLength <= 11) return 'INT';
+    if (allInt && !hasNull) return 'INT';
     if (allFloat && !hasNull) return 'DECIMAL(15,2)';
     if (allDate) return 'DATETIME';
     if (maxLength <= 255) return `VARCHAR(${Math.max(50, Math.ceil(maxLength / 50) * 50)})`;
     return 'TEXT';
 };
 
-const analyzeExcel = (filePath) => {
+// sheetOptions: { sheet, headerRow, skipFooterRows } (see utils/sheetReader)
+const analyzeExcel = (filePath, sheetOptions = {}) => {
     const workbook = xlsx.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const sheet = workbook.Sheets[sheetName];
-    const data = xlsx.utils.sheet_to_json(sheet, { defval: null });
+    const { sheetName, headers, rows: data } = readSheetData(workbook, sheetOptions);
+    const sheets = listSheets(workbook);
 
     if (data.length === 0) {
-        return { columns: [], sampleData: [] };
+        return { columns: [], sampleData: [], sheet: sheetName, sheets };
     }
 
-    const columnNames = Object.keys(data[0]);
+    const columnNames = headers;
     const sampleSize = Math.min(100, data.length);
     const columns = [];
 
@@ -77,54 +87,87 @@ const analyzeExcel = (filePath) => {
     return {
         columns,
         sampleData: data.slice(0, 5),
-        totalRows: data.length
+        totalRows: data.length,
+        sheet: sheetName,
+        sheets
     };
 };
 
-const analyzeCsv = (filePath) => {
+// Suggested columns from the sampled rows of a CSV or JSON file
+const suggestColumns = (columnNames, rows) => columnNames.map(colName => {
+    const values = rows.map(row => row[colName]);
+    const suggestedType = inferColumnType(values);
+
+    return {
+        name: colName.replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase(),
+        originalName: colName,
+        type: suggestedType,
+        nullable: true,
+        primaryKey: false
+    };
+});
+
+// csvOptions: dialect overrides (see utils/csvDialect); the dialect used is returned as csvDialect
+// hints: dialect the extension implies (tab for .tsv)
+const analyzeCsv = (filePath, csvOptions = {}, hints = {}) => {
     return new Promise((resolve, reject) => {
         const rows = [];
         let columnNames = [];
+        let csvDialect;
+        try {
+            csvDialect = resolveCsvDialect(filePath, csvOptions, hints);
+        } catch (err) {
+            return reject(err);
+        }
 
-        fs.createReadStream(filePath)
-            .pipe(csv())
+        createCsvReader(filePath, csvDialect).parser
             .on('headers', (headers) => {
                 columnNames = headers;
             })
             .on('data', (row) => {
-                if (rows.length < 100) rows.push(row);
+                if (rows.length < SAMPLE_ROWS) rows.push(row);
             })
             .on('end', () => {
-                const columns = columnNames.map(colName => {
-                    const values = rows.map(row => row[colName]);
-                    const suggestedType = inferColumnType(values);
-
-                    return {
-                        name: colName.replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase(),
-                        originalName: colName,
-                        type: suggestedType,
-                        nullable: true,
-                        primaryKey: false
-                    };
-                });
-
                 resolve({
-                    columns,
+                    columns: suggestColumns(columnNames, rows),
                     sampleData: rows.slice(0, 5),
-                    totalRows: rows.length
+                    totalRows: rows.length,
+                    csvDialect
                 });
             })
             .on('error', reject);
     });
 };
 
-const analyzeFile = async (filePath, fileType) => {
-    if (fileType === 'xlsx' || fileType === 'xls') {
-        return analyzeExcel(filePath);
-    } else if (fileType === 'csv') {
-        return await analyzeCsv(filePath);
+// Columns are the keys of the first JSON_HEADER_ROWS records, as the import reads them
+const analyzeJson = async (filePath, format) => {
+    const rows = [];
+    let totalRows = 0;
+    for await (const row of readJsonRows(filePath, format)) {
+        if (rows.length < JSON_HEADER_ROWS) rows.push(row);
+        totalRows++;
+    }
+
+    const sample = rows.slice(0, SAMPLE_ROWS);
+    return {
+        columns: suggestColumns(collectHeaders(rows), sample),
+        sampleData: sample.slice(0, 5),
+        totalRows
+    };
+};
+
+// fileType: extension without the dot
+const analyzeFile = async (filePath, fileType, sheetOptions = {}, csvOptions = {}) => {
+    const ext = `.${fileType}`;
+    const format = formatOf(ext);
+    if (format === 'sheet') {
+        return analyzeExcel(filePath, sheetOptions);
+    } else if (format === 'csv') {
+        return await analyzeCsv(filePath, csvOptions, csvHints(ext));
+    } else if (format === 'json' || format === 'ndjson') {
+        return await analyzeJson(filePath, format);
     }
     throw new Error('Unsupported file type');
 };
 
-module.exports = { analyzeFile, analyzeExcel, analyzeCsv, inferColumnType };
+module.exports = { analyzeFile, analyzeExcel, analyzeCsv, analyzeJson, inferColumnType };
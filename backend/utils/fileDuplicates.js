@@ -0,0 +1,96 @@
+/**
+ * In-File Duplicate Utility
+ * Finds rows of the uploaded file that share their duplicateCheckFields key
+ * with another row of the same file. Keys are collected in a first pass over
+ * the file, so every policy decides row by row without looking ahead, also
+ * when an interrupted import resumes halfway through the file.
+ */
+
+const crypto = require('crypto');
+
+// report: import every row, only count them | keep_first / keep_last: import one row per key
+// reject_all: import none of the rows that share a key
+const FILE_DUPLICATE_POLICIES = ['report', 'keep_first', 'keep_last', 'reject_all'];
+const MAX_EXAMPLES = 20;
+
+// Compared like MySQL's default (_ci, PAD SPACE) collations: case-insensitive,
+// trailing spaces ignored. Keys with an empty part never match, like NULL in a UNIQUE index.
+const fileKey = (values, fields) => {
+    const parts = [];
+    for (const field of fields) {
+        const value = values[field];
+        if (value === null || value === undefined || value === '') return null;
+        parts.push(String(value).toLowerCase().replace(/\s+$/, ''));
+    }
+    // A short hash keeps the index small for files with millions of rows
+    return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('base64');
+};
+
+/**
+ * Index of the keys in one file. add() every row in file order during the
+ * first pass, then check() each row before it is written.
+ */
+const createFileKeyIndex = (fields, policy = 'report') => {
+    const keys = new Map();
+    const examples = [];
+
+    return {
+        add: (values, rowNumber) => {
+            const key = fileKey(values, fields);
+            if (!key) return;
+            const seen = keys.get(key);
+            if (!seen) {
+                keys.set(key, { count: 1, first: rowNumber, last: rowNumber });
+                return;
+            }
+            seen.count++;
+            seen.last = rowNumber;
+            if (seen.count === 2 && examples.length < MAX_EXAMPLES) {
+                examples.push({ values: fields.map(f => values[f]), seen });
+            }
+        },
+
+        // { duplicateKeys, duplicateRows, examples: [{ key, count, firstRow, lastRow }] }
+        summary: () => {
+            let duplicateKeys = 0;
+            let duplicateRows = 0;
+            keys.forEach(({ count }) => {
+                if (count > 1) {
+                    duplicateKeys++;
+                    duplicateRows += count;
+                }
+            });
+            return {
+                duplicateKeys,
+                duplicateRows,
+                examples: examples.map(({ values, seen }) => ({
+                    key: Object.fromEntries(fields.map((f, i) => [f, values[i]])),
+                    count: seen.count,
+                    firstRow: seen.first,
+                    lastRow: seen.last
+                }))
+            };
+        },
+
+        // Reason the row is not imported under the policy, or null to import it
+        check: (values, rowNumber) => {
+            if (policy === 'report') return null;
+            const key = fileKey(values, fields);
+            const seen = key && keys.get(key);
+            if (!seen || seen.count < 2) return null;
+
+            if (policy === 'keep_first' && rowNumber !== seen.first) {
+                return `Skipped: duplicate in file (${fields.join(', ')}), row ${seen.first} kept`;
+            }
+            if (policy === 'keep_last' && rowNumber !== seen.last) {
+                return `Skipped: duplicate in file (${fields.join(', ')}), row ${seen.last} kept`;
+            }
+            if (policy === 'reject_all') {
+                return `Rejected: ${seen.count} rows in file share this key (${fields.join(', ')})`;
+            }
+            return null;
+        }
+    };
+};
+
+module.exports = { FILE_DUPLICATE_POLICIES, createFileKeyIndex };
@@ -0,0 +1,95 @@
+/**
+ * File Formats Utility
+ * Which files can be imported and how each is read:
+ *   'csv'    .csv and .tsv (tab as the default delimiter), see utils/csvDialect
+ *   'json'   .json array of records, see utils/jsonRows
+ *   'ndjson' .ndjson / .jsonl, one record per line
+ *   'sheet'  .xlsx, .xls and .ods workbooks, see utils/sheetReader
+ * .gz and .zip uploads are unpacked into these first (utils/archive).
+ */
+
+const xlsx = require('xlsx');
+const { readSheetData } = require('./sheetReader');
+const { resolveCsvDialect, createCsvReader } = require('./csvDialect');
+const { readJsonRows, collectHeaders, fillMissing } = require('./jsonRows');
+
+const FILE_FORMATS = {
+    '.csv': 'csv',
+    '.tsv': 'csv',
+    '.json': 'json',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson',
+    '.xlsx': 'sheet',
+    '.xls': 'sheet',
+    '.ods': 'sheet'
+};
+
+const DATA_EXTENSIONS = Object.keys(FILE_FORMATS);
+const ARCHIVE_EXTENSIONS = ['.gz', '.zip'];
+const ALLOWED_EXTENSIONS = [...DATA_EXTENSIONS, ...ARCHIVE_EXTENSIONS];
+
+const MIME_TYPES = {
+    '.csv': 'text/csv',
+    '.tsv': 'text/tab-separated-values',
+    '.json': 'application/json',
+    '.ndjson': 'application/x-ndjson',
+    '.jsonl': 'application/x-ndjson',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.xls': 'application/vnd.ms-excel',
+    '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+    '.gz': 'application/gzip',
+    '.zip': 'application/zip'
+};
+
+const UNSUPPORTED_MESSAGE = `Unsupported file type. Allowed: ${ALLOWED_EXTENSIONS.join(', ')}`;
+
+// ext is lower case with the dot, as from path.extname; null when not importable
+const formatOf = (ext) => FILE_FORMATS[ext] || null;
+
+// Dialect hints for files whose extension tells the delimiter
+const csvHints = (ext) => (ext === '.tsv' ? { delimiter: '\t' } : {});
+
+/**
+ * All rows of a data file, for the flows that need them at once (batch
+ * lookup, single-request upload). Imports stream through workers/fileParser.
+ * options: { sheetOptions, sheetReadOptions (for readSheetData), csvOptions }
+ */
+const readRows = async (filePath, ext, options = {}) => {
+    const format = formatOf(ext);
+
+    if (format === 'sheet') {
+        const workbook = xlsx.readFile(filePath);
+        return readSheetData(workbook, options.sheetOptions, options.sheetReadOptions).rows;
+    }
+
+    if (format === 'csv') {
+        const dialect = resolveCsvDialect(filePath, options.csvOptions, csvHints(ext));
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            createCsvReader(filePath, dialect).parser
+                .on('data', (row) => rows.push(row))
+                .on('end', () => resolve(rows))
+                .on('error', reject);
+        });
+    }
+
+    if (format === 'json' || format === 'ndjson') {
+        const rows = [];
+        for await (const row of readJsonRows(filePath, format)) rows.push(row);
+        const headers = collectHeaders(rows);
+        return rows.map(row => fillMissing(row, headers));
+    }
+
+    throw new Error(UNSUPPORTED_MESSAGE);
+};
+
+module.exports = {
+    DATA_EXTENSIONS,
+    ARCHIVE_EXTENSIONS,
+    ALLOWED_EXTENSIONS,
+    MIME_TYPES,
+    UNSUPPORTED_MESSAGE,
+    formatOf,
+    csvHints,
+    readRows
+};
@@ -0,0 +1,86 @@
+/**
+ * Import History Utility
+ * Every finished import (successful or failed) is written to import_history
+ * and kept permanently: who loaded which file into which table, with what
+ * settings and result. Dry runs write nothing and are not recorded.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { getInternalPool } = require('../config/db');
+
+// SHA-256 of the uploaded file, to recognise the same file loaded twice
+const hashFile = (filePath) => {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', (data) => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+};
+
+/**
+ * Record a finished import. Never throws: a failed history write is logged
+ * and must not turn a successful import into a failed one.
+ */
+const recordImport = async ({
+    taskId,
+    userId,
+    originalName,
+    fileHash,
+    fileSize,
+    connectionId,
+    database,
+    table,
+    duplicateMode,
+    atomic = false,
+    undoable = false,
+    progress,
+    startedAt,
+    completedAt = new Date()
+}) => {
+    try {
+        const pool = getInternalPool();
+        const [users] = await pool.execute('SELECT username FROM users WHERE id = ?', [userId || 0]);
+        const errors = progress.errors || [];
+        const started = startedAt ? new Date(startedAt) : completedAt;
+
+        await pool.execute(
+            `INSERT INTO import_history
+             (task_id, user_id, username, original_name, file_hash, file_size, connection_id, database_name, table_name,
+              duplicate_mode, atomic, undoable, status, total_rows, inserted_rows, updated_rows, skipped_rows, rejected_rows,
+              error_count, error_message, started_at, completed_at, duration_ms)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                taskId || null,
+                userId || null,
+                users[0]?.username || null,
+                originalName,
+                fileHash || null,
+                fileSize || 0,
+                connectionId ? parseInt(connectionId) : null,
+                database,
+                table,
+                duplicateMode || null,
+                !!atomic,
+                !!undoable,
+                progress.status === 'completed' ? 'completed' : 'error',
+                progress.totalRows || 0,
+                progress.insertedRows || 0,
+                progress.updatedRows || 0,
+                progress.skippedRows || 0,
+                progress.rejectedRows || 0,
+                errors.length,
+                progress.status === 'completed' ? null : errors[errors.length - 1]?.error || null,
+                started,
+                completedAt,
+                Math.max(completedAt - started, 0)
+            ]
+        );
+    } catch (err) {
+        console.error(`Failed to record import history for task ${taskId}:`, err);
+    }
+};
+
+module.exports = { hashFile, recordImport };
@@ -0,0 +1,604 @@
+/**
+ * Import Job Queue
+ * Uploaded files and their imports live in the import_jobs table (dataflow_pro),
+ * so every server instance sees the same state and nothing is lost on restart.
+ *
+ * One row per uploaded file (id = fileId); task_id identifies the current run.
+ * Status: pending | queued | processing | interrupted | completed | error
+ * (a paused job is interrupted with progress.paused; a cancelled one failed with progress.cancelled)
+ *
+ * Each instance runs a dispatcher that claims queued jobs under a MySQL named
+ * lock, keeping at most IMPORT_MAX_CONCURRENT imports running overall and
+ * IMPORT_MAX_PER_TABLE per target table. Running jobs send a heartbeat; a job
+ * whose heartbeat stops (crash, restart) is marked interrupted or failed.
+ *
+ * Pause and cancel requests are stored on the job (stop_request), so they reach
+ * the runner on whichever instance holds it; it stops between batches.
+ *
+ * Progress saved by this instance is also published to subscribeJobProgress
+ * listeners as it happens (GET /upload/progress/:taskId/stream).
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const os = require('os');
+const path = require('path');
+const { getInternalPool } = require('../config/db');
+
+const MAX_CONCURRENT = parseInt(process.env.IMPORT_MAX_CONCURRENT) || 2;
+const MAX_PER_TABLE = parseInt(process.env.IMPORT_MAX_PER_TABLE) || 1;
+const POLL_INTERVAL = 3000;
+const HEARTBEAT_INTERVAL = 15000;
+const STALE_AFTER_SECONDS = 60;
+const DISPATCH_LOCK = 'dataflow_pro.import_jobs.dispatch';
+const STOP_CHECK_INTERVAL = 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Progress fields stored in their own columns; everything else goes to the progress JSON
+const COLUMN_FIELDS = ['status', 'phase', 'fileId', 'fileName', 'database', 'table', 'totalRows', 'processedRows',
+    'insertedRows', 'updatedRows', 'skippedRows', 'rejectedRows', 'errors', 'checkpoint', 'queuedAt', 'startedAt', 'completedAt'];
+
+const parseJson = (text, fallback) => {
+    if (!text) return fallback;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return fallback;
+    }
+};
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+const toDate = (value) => (value ? new Date(value) : null);
+
+// The progress object served by GET /upload/progress/:taskId
+const toProgress = (row) => ({
+    ...parseJson(row.progress, {}),
+    status: row.status,
+    phase: row.phase,
+    fileId: row.id,
+    fileName: row.original_name,
+    database: row.database_name,
+    table: row.table_name,
+    totalRows: row.total_rows,
+    processedRows: row.processed_rows,
+    insertedRows: row.inserted_rows,
+    updatedRows: row.updated_rows,
+    skippedRows: row.skipped_rows,
+    rejectedRows: row.rejected_rows,
+    errors: parseJson(row.errors, []),
+    checkpoint: parseJson(row.checkpoint, null),
+    queuedAt: toIso(row.queued_at),
+    startedAt: toIso(row.started_at),
+    completedAt: toIso(row.completed_at)
+});
+
+const rowToJob = (row) => ({
+    fileId: row.id,
+    taskId: row.task_id,
+    status: row.status,
+    originalName: row.original_name,
+    filePath: row.file_path,
+    size: Number(row.file_size),
+    mimetype: row.mimetype,
+    uploadedBy: row.uploaded_by,
+    uploadedAt: toIso(row.uploaded_at),
+    connectionId: row.connection_id,
+    database: row.database_name,
+    table: row.table_name,
+    options: parseJson(row.options, {}),
+    dryRun: !!row.dry_run,
+    progress: toProgress(row)
+});
+
+// =====================================================
+// JOB STORE
+// =====================================================
+
+const createJob = async ({ fileId, originalName, filePath, size, mimetype, uploadedBy, uploadedAt }) => {
+    await getInternalPool().execute(
+        `INSERT INTO import_jobs (id, status, original_name, file_path, file_size, mimetype, uploaded_by, uploaded_at)
+         VALUES (?, 'pending', ?, ?, ?, ?, ?, ?)`,
+        [fileId, originalName, filePath, size, mimetype || null, uploadedBy || null, toDate(uploadedAt) || new Date()]
+    );
+};
+
+// task_id is UNIQUE: several requests, drop folders and instances start runs in the same millisecond.
+// Letters, digits and _ only, since replace imports use it in the staging table name.
+const createTaskId = () => `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const getJob = async (fileId) => {
+    const [rows] = await getInternalPool().execute('SELECT * FROM import_jobs WHERE id = ?', [fileId]);
+    return rows.length > 0 ? rowToJob(rows[0]) : null;
+};
+
+const getJobByTaskId = async (taskId) => {
+    const [rows] = await getInternalPool().execute('SELECT * FROM import_jobs WHERE task_id = ?', [taskId]);
+    return rows.length > 0 ? rowToJob(rows[0]) : null;
+};
+
+/**
+ * statuses: only jobs in these states; userId: only jobs uploaded by this user;
+ * waitingFiles: files still on disk waiting for (another) run, i.e. everything
+ * except completed imports (a completed dry run keeps its file)
+ */
+const listJobs = async ({ statuses = null, userId = null, waitingFiles = false } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (waitingFiles) {
+        conditions.push("(status <> 'completed' OR dry_run = TRUE)");
+    }
+    if (statuses) {
+        conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+    }
+    if (userId) {
+        conditions.push('uploaded_by = ?');
+        params.push(userId);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [rows] = await getInternalPool().execute(`SELECT * FROM import_jobs ${where} ORDER BY uploaded_at DESC`, params);
+    return rows.map(rowToJob);
+};
+
+const listFilePaths = async () => {
+    const [rows] = await getInternalPool().execute('SELECT file_path FROM import_jobs');
+    return rows.map(r => r.file_path);
+};
+
+const deleteJob = async (fileId) => {
+    await getInternalPool().execute('DELETE FROM import_jobs WHERE id = ?', [fileId]);
+};
+
+/**
+ * Put a file in the queue for a new run. Resets the counters of any earlier run.
+ * Returns false when the file is already queued or processing.
+ */
+const enqueueJob = async (fileId, { taskId, connectionId, database, table, options, progress = {} }) => {
+    const details = { ...progress };
+    COLUMN_FIELDS.forEach(field => delete details[field]);
+
+    const [result] = await getInternalPool().execute(
+        `UPDATE import_jobs
+         SET task_id = ?, status = 'queued', phase = 'queued', connection_id = ?, database_name = ?, table_name = ?,
+             dry_run = ?, options = ?, progress = ?, total_rows = 0, processed_rows = 0, inserted_rows = 0, updated_rows = 0,
+             skipped_rows = 0, rejected_rows = 0, errors = '[]', checkpoint = NULL, worker_id = NULL,
+             heartbeat_at = NULL, stop_request = NULL, queued_at = NOW(), started_at = NULL, completed_at = NULL
+         WHERE id = ? AND status NOT IN ('queued', 'processing')`,
+        [taskId, connectionId ? parseInt(connectionId) : null, database, table,
+            !!options.dryRun, JSON.stringify(options), JSON.stringify(details), fileId]
+    );
+    if (result.affectedRows > 0) dispatchSoon();
+    return result.affectedRows > 0;
+};
+
+// Queue an interrupted job again; the runner continues from its checkpoint
+const requeueInterruptedJob = async (fileId) => {
+    const [result] = await getInternalPool().execute(
+        `UPDATE import_jobs SET status = 'queued', phase = 'queued', queued_at = NOW(), worker_id = NULL, stop_request = NULL
+         WHERE id = ? AND status = 'interrupted' AND checkpoint IS NOT NULL`,
+        [fileId]
+    );
+    if (result.affectedRows > 0) dispatchSoon();
+    return result.affectedRows > 0;
+};
+
+// =====================================================
+// PAUSE / CANCEL
+// =====================================================
+
+/**
+ * Ask a job to stop: { action: 'pause' | 'cancel', rollback, by, at }.
+ * A queued job never started, so it is cancelled right away ('cancelled');
+ * a processing job gets the request and stops after its current batch
+ * ('requested'). Returns null when the job is neither queued nor processing.
+ */
+const requestStop = async (fileId, request) => {
+    const pool = getInternalPool();
+
+    if (request.action === 'cancel') {
+        const [result] = await pool.execute(
+            `UPDATE import_jobs SET status = 'error', phase = 'cancelled', completed_at = NOW()
+             WHERE id = ? AND status = 'queued'`,
+            [fileId]
+        );
+        if (result.affectedRows > 0) {
+            const job = await getJob(fileId);
+            const progress = job.progress;
+            progress.cancelled = { by: request.by, at: request.at, rolledBack: false };
+            progress.errors.push({ error: `Cancelled by ${request.by}` });
+            await writeProgress(fileId, progress);
+            return 'cancelled';
+        }
+    }
+
+    const [result] = await pool.execute(
+        "UPDATE import_jobs SET stop_request = ? WHERE id = ? AND status = 'processing'",
+        [JSON.stringify(request), fileId]
+    );
+    return result.affectedRows > 0 ? 'requested' : null;
+};
+
+/**
+ * For the runner: returns an async function that resolves to the job's stop
+ * request, or null. Reads the table at most once a second.
+ */
+const createStopCheck = (fileId) => {
+    let request = null;
+    let checkedAt = 0;
+    return async () => {
+        if (request || Date.now() - checkedAt < STOP_CHECK_INTERVAL) return request;
+        checkedAt = Date.now();
+        try {
+            const [rows] = await getInternalPool().execute('SELECT stop_request FROM import_jobs WHERE id = ?', [fileId]);
+            request = rows.length > 0 ? parseJson(rows[0].stop_request, null) : null;
+        } catch (err) {
+            // A failed check must not fail the import; the next batch checks again
+            console.error(`Failed to check stop request of ${fileId}:`, err);
+        }
+        return request;
+    };
+};
+
+// =====================================================
+// LIVE PROGRESS
+// =====================================================
+
+const progressEvents = new EventEmitter();
+// One listener per open progress stream
+progressEvents.setMaxListeners(0);
+
+// Rows and time at the start of the current run, per job
+const runStarts = new Map();
+
+/**
+ * Average rows per second of the current run (a resumed run counts from its
+ * checkpoint) and the estimated seconds left. The last rate is kept once the
+ * job has finished; the estimate is dropped.
+ */
+const addThroughput = (fileId, progress) => {
+    if (progress.status !== 'processing') {
+        runStarts.delete(fileId);
+        delete progress.etaSeconds;
+        return;
+    }
+
+    const processedRows = progress.processedRows || 0;
+    let start = runStarts.get(fileId);
+    if (!start || processedRows < start.rows) {
+        start = { rows: processedRows, at: Date.now() };
+        runStarts.set(fileId, start);
+    }
+
+    const seconds = (Date.now() - start.at) / 1000;
+    if (seconds < 1) return;
+    progress.rowsPerSecond = Math.round((processedRows - start.rows) / seconds);
+    progress.etaSeconds = progress.rowsPerSecond > 0 && progress.totalRows > processedRows
+        ? Math.ceil((progress.totalRows - processedRows) / progress.rowsPerSecond)
+        : null;
+};
+
+/**
+ * Call listener(progress) whenever this instance saves the job's progress.
+ * Returns the unsubscribe function.
+ */
+const subscribeJobProgress = (fileId, listener) => {
+    progressEvents.on(fileId, listener);
+    return () => progressEvents.off(fileId, listener);
+};
+
+// Per-job write chain: writes never overlap and a burst of updates collapses into one
+const writers = new Map();
+
+const writeProgress = async (fileId, progress) => {
+    const details = { ...progress };
+    COLUMN_FIELDS.forEach(field => delete details[field]);
+
+    await getInternalPool().execute(
+        `UPDATE import_jobs
+         SET status = ?, phase = ?, total_rows = ?, processed_rows = ?, inserted_rows = ?, updated_rows = ?,
+             skipped_rows = ?, rejected_rows = ?, errors = ?, checkpoint = ?, progress = ?,
+             started_at = ?, completed_at = ?, heartbeat_at = NOW()
+         WHERE id = ?`,
+        [
+            progress.status,
+            progress.phase || null,
+            progress.totalRows || 0,
+            progress.processedRows || 0,
+            progress.insertedRows || 0,
+            progress.updatedRows || 0,
+            progress.skippedRows || 0,
+            progress.rejectedRows || 0,
+            JSON.stringify(progress.errors || []),
+            progress.checkpoint ? JSON.stringify(progress.checkpoint) : null,
+            JSON.stringify(details),
+            toDate(progress.startedAt),
+            toDate(progress.completedAt),
+            fileId
+        ]
+    );
+};
+
+/**
+ * Persist a job's progress object. Safe to call without awaiting;
+ * await it when the state must be stored before going on (checkpoints).
+ */
+const saveJobProgress = (fileId, progress) => {
+    addThroughput(fileId, progress);
+    progressEvents.emit(fileId, progress);
+
+    let writer = writers.get(fileId);
+    if (!writer) {
+        writer = { latest: null, queued: null, chain: Promise.resolve() };
+        writers.set(fileId, writer);
+    }
+
+    writer.latest = progress;
+    // A write that has not started yet will pick up the latest state
+    if (writer.queued) return writer.queued;
+
+    const write = writer.chain.then(async () => {
+        writer.queued = null;
+        try {
+            await writeProgress(fileId, writer.latest);
+        } catch (err) {
+            console.error(`Failed to save progress of ${fileId}:`, err);
+        }
+        if (writer.chain === write && !writer.queued) writers.delete(fileId);
+    });
+    writer.queued = write;
+    writer.chain = write;
+    return write;
+};
+
+// =====================================================
+// DISPATCHER
+// =====================================================
+
+let runner = null;
+let started = false;
+let dispatching = false;
+let dispatchRequested = false;
+const runningJobs = new Set();
+
+const targetKey = (row) => `${row.connection_id || 0}:${row.database_name}.${row.table_name}`;
+
+// Held across instances, so two dispatchers never count and claim at the same time
+const withDispatchLock = async (fn) => {
+    const conn = await getInternalPool().getConnection();
+    try {
+        const [[{ locked }]] = await conn.query('SELECT GET_LOCK(?, 5) AS locked', [DISPATCH_LOCK]);
+        if (!locked) return [];
+        try {
+            return await fn(conn);
+        } finally {
+            await conn.query('SELECT RELEASE_LOCK(?)', [DISPATCH_LOCK]);
+        }
+    } finally {
+        conn.release();
+    }
+};
+
+/**
+ * Jobs whose instance stopped sending heartbeats. Imports with a checkpoint
+ * become "interrupted" and can be resumed; the rest fail.
+ */
+const recoverStaleJobs = async (conn) => {
+    const [rows] = await conn.query(
+        `SELECT * FROM import_jobs
+         WHERE status = 'processing' AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - INTERVAL ? SECOND)`,
+        [STALE_AFTER_SECONDS]
+    );
+
+    for (const row of rows) {
+        if (runningJobs.has(row.id)) continue;
+
+        const progress = toProgress(row);
+        const options = parseJson(row.options, {});
+        if (progress.checkpoint && !options.dryRun && !options.atomic) {
+            progress.status = 'interrupted';
+            progress.interruptedAt = new Date().toISOString();
+            console.log(`[Import Queue] ${row.original_name} was interrupted, resumable from row ${progress.checkpoint.rowsCommitted}`);
+        } else {
+            progress.status = 'error';
+            progress.errors.push({
+                error: options.atomic
+                    ? 'Interrupted by server restart. The transaction was rolled back, the table is unchanged.'
+                    : 'Interrupted by server restart'
+            });
+            console.log(`[Import Queue] ${row.original_name} was interrupted and marked as failed`);
+        }
+        await writeProgress(row.id, progress);
+    }
+};
+
+// Claim as many queued jobs as the limits allow
+const claimJobs = async (conn) => {
+    const [active] = await conn.query(
+        "SELECT connection_id, database_name, table_name FROM import_jobs WHERE status = 'processing'"
+    );
+    let total = active.length;
+    const perTable = {};
+    active.forEach(row => {
+        perTable[targetKey(row)] = (perTable[targetKey(row)] || 0) + 1;
+    });
+
+    if (total >= MAX_CONCURRENT) return [];
+
+    const [queued] = await conn.query("SELECT * FROM import_jobs WHERE status = 'queued' ORDER BY queued_at, id");
+    const claimed = [];
+
+    for (const row of queued) {
+        if (total >= MAX_CONCURRENT) break;
+        const key = targetKey(row);
+        if ((perTable[key] || 0) >= MAX_PER_TABLE) continue;
+
+        const [result] = await conn.query(
+            `UPDATE import_jobs
+             SET status = 'processing', phase = 'parsing', worker_id = ?, heartbeat_at = NOW(),
+                 started_at = COALESCE(started_at, NOW())
+             WHERE id = ? AND status = 'queued'`,
+            [WORKER_ID, row.id]
+        );
+        if (result.affectedRows === 0) continue;
+
+        total++;
+        perTable[key] = (perTable[key] || 0) + 1;
+        const [[fresh]] = await conn.query('SELECT * FROM import_jobs WHERE id = ?', [row.id]);
+        claimed.push(rowToJob(fresh));
+    }
+
+    return claimed;
+};
+
+const runJob = async (job) => {
+    runningJobs.add(job.fileId);
+    console.log(`[Import Queue] Starting ${job.originalName} -> ${job.database}.${job.table} (task ${job.taskId})`);
+    try {
+        await runner(job);
+    } catch (err) {
+        console.error(`[Import Queue] Job ${job.fileId} crashed:`, err);
+    } finally {
+        runningJobs.delete(job.fileId);
+        dispatchSoon();
+    }
+};
+
+const dispatch = async () => {
+    if (!started) return;
+    if (dispatching) {
+        dispatchRequested = true;
+        return;
+    }
+
+    dispatching = true;
+    try {
+        const claimed = await withDispatchLock(async (conn) => {
+            await recoverStaleJobs(conn);
+            return claimJobs(conn);
+        });
+        claimed.forEach(job => runJob(job));
+    } catch (err) {
+        console.error('Import queue dispatch error:', err);
+    } finally {
+        dispatching = false;
+        if (dispatchRequested) {
+            dispatchRequested = false;
+            setImmediate(dispatch);
+        }
+    }
+};
+
+const dispatchSoon = () => {
+    setImmediate(dispatch);
+};
+
+const sendHeartbeat = async () => {
+    if (runningJobs.size === 0) return;
+    try {
+        await getInternalPool().query(
+            "UPDATE import_jobs SET heartbeat_at = NOW() WHERE worker_id = ? AND status = 'processing'",
+            [WORKER_ID]
+        );
+    } catch (err) {
+        console.error('Import queue heartbeat error:', err);
+    }
+};
+
+// =====================================================
+// LEGACY STATE MIGRATION
+// =====================================================
+
+/**
+ * Move uploads/.pending.json and .progress.json (from before the queue existed)
+ * into import_jobs once, then rename them so they are not read again
+ */
+const migrateLegacyState = async (uploadDir) => {
+    const pendingPath = path.join(uploadDir, '.pending.json');
+    const progressPath = path.join(uploadDir, '.progress.json');
+    if (!fs.existsSync(pendingPath)) return;
+
+    try {
+        const pending = parseJson(fs.readFileSync(pendingPath, 'utf8'), []);
+        const progressEntries = fs.existsSync(progressPath)
+            ? parseJson(fs.readFileSync(progressPath, 'utf8'), [])
+            : [];
+        const progressByTask = new Map(progressEntries);
+        let migrated = 0;
+
+        for (const [fileId, info] of pending) {
+            if (!fs.existsSync(info.filePath)) continue;
+
+            const progress = info.taskId ? progressByTask.get(info.taskId) : null;
+            const resumable = !!(progress && progress.checkpoint && !progress.dryRun);
+            let status = info.status;
+            if (status === 'processing' || status === 'interrupted') {
+                status = resumable ? 'interrupted' : 'pending';
+            }
+            const params = status === 'interrupted' ? progress.checkpoint.params : null;
+
+            const [result] = await getInternalPool().execute(
+                `INSERT IGNORE INTO import_jobs
+                 (id, task_id, status, original_name, file_path, file_size, mimetype, uploaded_by, uploaded_at,
+                  connection_id, database_name, table_name, checkpoint, options)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    fileId,
+                    status === 'pending' ? null : info.taskId || null,
+                    status,
+                    info.originalName,
+                    info.filePath,
+                    info.size || 0,
+                    info.mimetype || null,
+                    info.uploadedBy || null,
+                    toDate(info.uploadedAt) || new Date(),
+                    params && params.connectionId ? parseInt(params.connectionId) : null,
+                    info.database || null,
+                    info.table || null,
+                    params ? JSON.stringify(progress.checkpoint) : null,
+                    params ? JSON.stringify(params) : null
+                ]
+            );
+            migrated += result.affectedRows;
+        }
+
+        fs.renameSync(pendingPath, `${pendingPath}.migrated`);
+        if (fs.existsSync(progressPath)) fs.renameSync(progressPath, `${progressPath}.migrated`);
+        console.log(`[Import Queue] Migrated ${migrated} files from .pending.json`);
+    } catch (err) {
+        console.error('Failed to migrate legacy upload state:', err);
+    }
+};
+
+/**
+ * Start claiming jobs. Called once the import_jobs table exists.
+ * runJobFn(job) runs one import and resolves when it has finished.
+ */
+const startImportQueue = async (runJobFn, { uploadDir } = {}) => {
+    if (started) return;
+    runner = runJobFn;
+    if (uploadDir) await migrateLegacyState(uploadDir);
+
+    started = true;
+    setInterval(dispatch, POLL_INTERVAL).unref();
+    setInterval(sendHeartbeat, HEARTBEAT_INTERVAL).unref();
+    console.log(`[Import Queue] Worker ${WORKER_ID} started (max ${MAX_CONCURRENT} imports, ${MAX_PER_TABLE} per table)`);
+    dispatch();
+};
+
+module.exports = {
+    createTaskId,
+    createJob,
+    getJob,
+    getJobByTaskId,
+    listJobs,
+    listFilePaths,
+    deleteJob,
+    enqueueJob,
+    requeueInterruptedJob,
+    requestStop,
+    createStopCheck,
+    saveJobProgress,
+    subscribeJobProgress,
+    startImportQueue
+};
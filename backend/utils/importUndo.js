@@ -0,0 +1,218 @@
+/**
+ * Import Undo Utility
+ * An undoable import keeps what it needs to reverse itself in import_undo_log:
+ * the primary key of every row it inserted and the full previous values of
+ * every row it overwrote. Tables with an import_batch_id column get their
+ * inserted rows tagged with the task id instead of logging each key.
+ */
+
+const crypto = require('crypto');
+const { getInternalPool } = require('../config/db');
+
+const TAG_COLUMN = 'import_batch_id';
+const UNDO_PAGE_SIZE = 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Row values as JSON, restorable with the same meaning
+// (dates as local 'YYYY-MM-DD HH:MM:SS' like mysql2 reads them, binary as base64)
+const serializeValue = (value) => {
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+    }
+    if (Buffer.isBuffer(value)) return { $base64: value.toString('base64') };
+    if (typeof value === 'bigint') return value.toString();
+    return value;
+};
+
+const deserializeValue = (value) => {
+    if (value && typeof value === 'object' && value.$base64 !== undefined) {
+        return Buffer.from(value.$base64, 'base64');
+    }
+    return value;
+};
+
+const serializeRow = (row, columns) => {
+    const result = {};
+    columns.forEach(col => { result[col] = serializeValue(row[col]); });
+    return result;
+};
+
+const keyHash = (key) => crypto.createHash('sha1').update(JSON.stringify(key)).digest('hex');
+
+const tupleCondition = (columns, count) => {
+    const tuple = `(${columns.map(c => `\`${c}\``).join(', ')})`;
+    const placeholders = Array(count).fill(`(${columns.map(() => '?').join(', ')})`).join(', ');
+    return `${tuple} IN (${placeholders})`;
+};
+
+const writeEntries = async (taskId, entries) => {
+    if (entries.length === 0) return;
+    // The first entry of a key wins: a row inserted by this import and updated
+    // again later in the same file is still deleted on undo
+    await getInternalPool().query(
+        'INSERT IGNORE INTO import_undo_log (task_id, key_hash, action, row_key, before_image) VALUES ?',
+        [entries.map(e => [taskId, keyHash(e.key), e.action, JSON.stringify(e.key), e.before ? JSON.stringify(e.before) : null])]
+    );
+};
+
+/**
+ * Check that an import into this table can be undone and return the settings
+ * for createUndoLog. Throws with a readable reason when it can't.
+ * uniqueKeys: { keyName: [columns] } as read by SHOW INDEX
+ */
+const prepareUndo = (table, tableColumns, uniqueKeys, mappedColumns) => {
+    const primaryKey = uniqueKeys.PRIMARY;
+    if (!primaryKey) {
+        throw new Error(`Undo needs a primary key on \`${table}\``);
+    }
+    const tagColumn = tableColumns.includes(TAG_COLUMN) ? TAG_COLUMN : null;
+    if (!tagColumn && !primaryKey.every(col => mappedColumns.includes(col))) {
+        throw new Error(`Undo needs the primary key (${primaryKey.join(', ')}) in the file, or an \`${TAG_COLUMN}\` column on \`${table}\` to tag imported rows`);
+    }
+    return { primaryKey, tagColumn };
+};
+
+/**
+ * Per-import recorder. Call beforeInsert() right before a batch is written
+ * and afterInsert() once it has been written, with the same rows.
+ * checkColumns: duplicate check fields when the import overwrites (update mode), else []
+ */
+const createUndoLog = ({ taskId, table, tableColumns, primaryKey, tagColumn, checkColumns = [] }) => {
+    const keyMapped = (values) => primaryKey.every(col => values[col] !== undefined);
+
+    // Rows the batch may touch: by primary key (when mapped) or by the duplicate check fields
+    const findExisting = async (db, rows, columns) => {
+        const conditions = [];
+        const params = [];
+
+        const keyed = rows.filter(keyMapped);
+        if (keyed.length > 0) {
+            conditions.push(tupleCondition(primaryKey, keyed.length));
+            keyed.forEach(values => params.push(...primaryKey.map(col => values[col])));
+        }
+        if (checkColumns.length > 0) {
+            conditions.push(tupleCondition(checkColumns, rows.length));
+            rows.forEach(values => params.push(...checkColumns.map(col => values[col])));
+        }
+        if (conditions.length === 0) return [];
+
+        const columnList = columns.map(c => `\`${c}\``).join(', ');
+        const [existing] = await db.query(
+            `SELECT ${columnList} FROM \`${table}\` WHERE ${conditions.join(' OR ')}`,
+            params
+        );
+        return existing;
+    };
+
+    const rowKey = (row) => primaryKey.map(col => serializeValue(row[col]));
+
+    return {
+        tagColumn,
+
+        // Saves the current values of rows the batch will overwrite; returns state for afterInsert
+        beforeInsert: async (db, rows) => {
+            if (checkColumns.length > 0) {
+                const existing = await findExisting(db, rows, tableColumns);
+                await writeEntries(taskId, existing.map(row => ({
+                    key: rowKey(row),
+                    action: 'update',
+                    before: serializeRow(row, tableColumns)
+                })));
+                return existing.map(row => JSON.stringify(rowKey(row)));
+            }
+            if (tagColumn) return [];
+            const existing = await findExisting(db, rows, primaryKey);
+            return existing.map(row => JSON.stringify(rowKey(row)));
+        },
+
+        // Logs the keys that exist now but did not before the batch (tagged rows need no log)
+        afterInsert: async (db, rows, existedBefore) => {
+            if (tagColumn) return;
+            const before = new Set(existedBefore);
+            const after = await findExisting(db, rows, primaryKey);
+            await writeEntries(taskId, after
+                .map(rowKey)
+                .filter(key => !before.has(JSON.stringify(key)))
+                .map(key => ({ key, action: 'insert' })));
+        },
+
+        // Nothing to undo after a rolled back atomic import
+        discard: async () => {
+            await getInternalPool().execute('DELETE FROM import_undo_log WHERE task_id = ?', [taskId]);
+        }
+    };
+};
+
+/**
+ * Reverse an import in one transaction on the target table: restore
+ * overwritten rows, then delete inserted ones. Returns { restoredRows, deletedRows }.
+ */
+const undoImport = async (pool, { taskId, table }) => {
+    const internalPool = getInternalPool();
+    const conn = await pool.getConnection();
+    let restoredRows = 0;
+    let deletedRows = 0;
+
+    try {
+        const [columns] = await conn.query(`SHOW COLUMNS FROM \`${table}\``);
+        const tableColumns = columns.map(c => c.Field);
+        // Same column order as the keys were logged in (index order)
+        const [keyParts] = await conn.query(`SHOW INDEX FROM \`${table}\` WHERE Key_name = 'PRIMARY'`);
+        const primaryKey = keyParts.sort((a, b) => a.Seq_in_index - b.Seq_in_index).map(k => k.Column_name);
+        if (primaryKey.length === 0) {
+            throw new Error(`\`${table}\` no longer has a primary key`);
+        }
+
+        await conn.beginTransaction();
+
+        let lastId = 0;
+        for (;;) {
+            const [entries] = await internalPool.query(
+                'SELECT id, action, row_key, before_image FROM import_undo_log WHERE task_id = ? AND id > ? ORDER BY id LIMIT ?',
+                [taskId, lastId, UNDO_PAGE_SIZE]
+            );
+            if (entries.length === 0) break;
+            lastId = entries[entries.length - 1].id;
+
+            const inserted = entries.filter(e => e.action === 'insert').map(e => JSON.parse(e.row_key));
+            if (inserted.length > 0) {
+                const [result] = await conn.query(
+                    `DELETE FROM \`${table}\` WHERE ${tupleCondition(primaryKey, inserted.length)}`,
+                    inserted.flat()
+                );
+                deletedRows += result.affectedRows;
+            }
+
+            for (const entry of entries.filter(e => e.action === 'update')) {
+                const before = JSON.parse(entry.before_image);
+                // Columns dropped since the import can't be restored
+                const restore = Object.keys(before).filter(col => tableColumns.includes(col));
+                const [result] = await conn.query(
+                    `UPDATE \`${table}\` SET ${restore.map(c => `\`${c}\` = ?`).join(', ')} WHERE ${tupleCondition(primaryKey, 1)}`,
+                    [...restore.map(col => deserializeValue(before[col])), ...JSON.parse(entry.row_key)]
+                );
+                restoredRows += result.affectedRows;
+            }
+        }
+
+        // Tagged rows: restored rows got their old tag back above, the rest were inserted by this import
+        if (tableColumns.includes(TAG_COLUMN)) {
+            const [result] = await conn.query(`DELETE FROM \`${table}\` WHERE \`${TAG_COLUMN}\` = ?`, [taskId]);
+            deletedRows += result.affectedRows;
+        }
+
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback().catch(() => { });
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    await internalPool.execute('DELETE FROM import_undo_log WHERE task_id = ?', [taskId]);
+    return { restoredRows, deletedRows };
+};
+
+module.exports = { TAG_COLUMN, prepareUndo, createUndoLog, undoImport };
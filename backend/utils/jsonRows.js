@@ -0,0 +1,173 @@
+/**
+ * JSON Rows Utility
+ * Streams records out of JSON files without loading them whole:
+ *   NDJSON (.ndjson, .jsonl)  one object per line, blank lines skipped
+ *   JSON (.json)              a top-level array of objects, cut into elements
+ *                             by a small scanner and parsed one at a time
+ *
+ * Records become flat rows like CSV and Excel rows: nested objects and arrays
+ * are kept as JSON text, booleans become 1 / 0 (as MySQL stores them).
+ */
+
+const fs = require('fs');
+
+// Header keys are collected from this many records; later new keys are ignored
+const JSON_HEADER_ROWS = 1000;
+
+const toRow = (record, position) => {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`${position}: expected a JSON object, got ${Array.isArray(record) ? 'an array' : JSON.stringify(record)}`);
+    }
+    const row = {};
+    Object.entries(record).forEach(([key, value]) => {
+        if (value !== null && typeof value === 'object') row[key] = JSON.stringify(value);
+        else if (typeof value === 'boolean') row[key] = value ? 1 : 0;
+        else row[key] = value;
+    });
+    return row;
+};
+
+const parseRecord = (text, position) => {
+    let record;
+    try {
+        record = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${position}: invalid JSON (${err.message})`);
+    }
+    return toRow(record, position);
+};
+
+// Decoded text chunks; stats.bytesRead follows the file position
+async function* readText(filePath, stats) {
+    const decoder = new TextDecoder('utf-8'); // drops a BOM
+    const source = fs.createReadStream(filePath);
+    try {
+        for await (const chunk of source) {
+            stats.bytesRead = source.bytesRead;
+            yield decoder.decode(chunk, { stream: true });
+        }
+        const rest = decoder.decode();
+        if (rest) yield rest;
+    } finally {
+        source.destroy();
+    }
+}
+
+async function* readNdjson(filePath, stats) {
+    let partial = '';
+    let lineNumber = 0;
+
+    const parseLine = (line) => {
+        lineNumber++;
+        return line.trim() ? parseRecord(line, `Line ${lineNumber}`) : null;
+    };
+
+    for await (const text of readText(filePath, stats)) {
+        const lines = (partial + text).split('\n');
+        partial = lines.pop();
+        for (const line of lines) {
+            const row = parseLine(line);
+            if (row) yield row;
+        }
+    }
+    const row = parseLine(partial);
+    if (row) yield row;
+}
+
+async function* readJsonArray(filePath, stats) {
+    let started = false;
+    let ended = false;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let element = '';
+    let count = 0;
+
+    const take = (text) => {
+        if (!text.trim()) {
+            // Only a trailing comma or an empty array leaves nothing between separators
+            if (count > 0 || !ended) throw new Error(`Record ${count + 1}: empty array element`);
+            return null;
+        }
+        count++;
+        return parseRecord(text, `Record ${count}`);
+    };
+
+    for await (const text of readText(filePath, stats)) {
+        const rows = [];
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (!started || ended) {
+                if (/\s/.test(ch)) continue;
+                if (!started && ch === '[') {
+                    started = true;
+                    start = i + 1;
+                    continue;
+                }
+                throw new Error(ended
+                    ? 'Unexpected content after the JSON array'
+                    : 'A JSON file must contain an array of records: [{...}, {...}]. Use .ndjson for one record per line.');
+            }
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === '\\') escaped = true;
+                else if (ch === '"') inString = false;
+                continue;
+            }
+
+            if (ch === '"') {
+                inString = true;
+            } else if (ch === '{' || ch === '[') {
+                depth++;
+            } else if (ch === '}' || ch === ']') {
+                if (depth > 0) {
+                    depth--;
+                    continue;
+                }
+                ended = true;
+                const row = take(element + text.slice(start, i));
+                if (row) rows.push(row);
+                element = '';
+            } else if (ch === ',' && depth === 0) {
+                rows.push(take(element + text.slice(start, i)));
+                element = '';
+                start = i + 1;
+            }
+        }
+
+        if (started && !ended) element += text.slice(start);
+        yield* rows;
+    }
+
+    if (!ended) throw new Error('Unexpected end of JSON file: the array is not closed');
+}
+
+/**
+ * Async iterator over the rows of a JSON ('json') or NDJSON ('ndjson') file.
+ * stats.bytesRead is kept up to date for progress reporting.
+ */
+const readJsonRows = (filePath, format, stats = {}) => {
+    stats.bytesRead = 0;
+    return format === 'ndjson' ? readNdjson(filePath, stats) : readJsonArray(filePath, stats);
+};
+
+// Keys of the rows in order of first appearance
+const collectHeaders = (rows) => {
+    const headers = new Set();
+    rows.forEach(row => Object.keys(row).forEach(key => headers.add(key)));
+    return Array.from(headers);
+};
+
+// Keys a record leaves out are read as empty cells
+const fillMissing = (row, headers) => {
+    headers.forEach(header => {
+        if (!(header in row)) row[header] = null;
+    });
+    return row;
+};
+
+module.exports = { JSON_HEADER_ROWS, readJsonRows, collectHeaders, fillMissing };
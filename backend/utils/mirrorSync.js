@@ -0,0 +1,169 @@
+/**
+ * Mirror Sync Utility
+ * Mirror imports treat the file as the source of truth for a table: rows are
+ * upserted on duplicateCheckFields, then table rows whose key is not in the
+ * file are deleted or flagged (e.g. is_active = 0).
+ *
+ * The file's keys are collected in a temporary table created from the key
+ * columns themselves, so they compare the way MySQL compares them (column
+ * collation, '001' = 1), like utils/duplicateCheck. Temporary tables belong
+ * to one connection: every call must use the connection passed to create.
+ */
+
+const MIRROR_ACTIONS = ['delete', 'flag'];
+const DEFAULT_MAX_DELETE_PERCENT = 10;
+const KEY_CHUNK_SIZE = 1000;
+const MAX_EXAMPLES = 20;
+const KEY_TABLE = 'mirror_file_keys';
+
+const TIME_TYPES = /^(date|datetime|timestamp)/i;
+
+/**
+ * Mirror options from the process request, or { error }.
+ * { action, flagColumn, flagValue, maxDeletePercent }
+ */
+const parseMirrorOptions = (input = {}, duplicateCheckFields = []) => {
+    const action = input.action || 'delete';
+    if (!MIRROR_ACTIONS.includes(action)) {
+        return { error: `mirror.action must be one of: ${MIRROR_ACTIONS.join(', ')}.` };
+    }
+    if (duplicateCheckFields.length === 0) {
+        return { error: 'Mirror mode needs duplicate check fields: rows are matched to the file on them.' };
+    }
+
+    const maxDeletePercent = input.maxDeletePercent === undefined || input.maxDeletePercent === null || input.maxDeletePercent === ''
+        ? DEFAULT_MAX_DELETE_PERCENT
+        : Number(input.maxDeletePercent);
+    if (isNaN(maxDeletePercent) || maxDeletePercent < 0 || maxDeletePercent > 100) {
+        return { error: 'mirror.maxDeletePercent must be a number from 0 to 100.' };
+    }
+
+    const flagColumn = action === 'flag' ? input.flagColumn || null : null;
+    if (action === 'flag' && !flagColumn) {
+        return { error: 'mirror.flagColumn is required to flag missing rows.' };
+    }
+    if (flagColumn && duplicateCheckFields.includes(flagColumn)) {
+        return { error: 'mirror.flagColumn can not be one of the duplicate check fields.' };
+    }
+    const flagValue = input.flagValue === undefined || input.flagValue === '' ? null : input.flagValue;
+
+    return { action, flagColumn, flagValue, maxDeletePercent };
+};
+
+/**
+ * SQL for flagging a row. Without a value, date/time columns get the current
+ * time and a row counts as flagged once the column is set.
+ */
+const flagExpression = (column, flagValue) => {
+    if (flagValue === null && TIME_TYPES.test(column.Type)) {
+        return { set: `t.\`${column.Field}\` = NOW()`, flagged: `t.\`${column.Field}\` IS NOT NULL`, params: [] };
+    }
+    if (flagValue === null) {
+        throw new Error(`Mirror flag column \`${column.Field}\` needs a flag value`);
+    }
+    return { set: `t.\`${column.Field}\` = ?`, flagged: `t.\`${column.Field}\` <=> ?`, params: [flagValue] };
+};
+
+/**
+ * Key set of one mirror import on conn.
+ * add(valuesList) during the scan of the file, plan() before writing,
+ * removeMissing() after the upsert, drop() when done.
+ */
+const createMirrorKeySet = async (conn, { table, fields, columns, options }) => {
+    const keyList = fields.map(f => `\`${f}\``).join(', ');
+    const join = fields.map(f => `k.\`${f}\` = t.\`${f}\``).join(' AND ');
+    const missing = `FROM \`${table}\` AS t LEFT JOIN ${KEY_TABLE} AS k ON ${join} WHERE k.\`${fields[0]}\` IS NULL`;
+
+    let flag = null;
+    if (options.action === 'flag') {
+        const column = columns.find(c => c.Field === options.flagColumn);
+        if (!column) throw new Error(`Mirror flag column \`${options.flagColumn}\` does not exist in \`${table}\``);
+        flag = flagExpression(column, options.flagValue);
+    }
+    // Rows flagged by an earlier mirror import are not counted again
+    const pending = flag ? `${missing} AND NOT (${flag.flagged})` : missing;
+    const pendingParams = flag ? flag.params : [];
+
+    await conn.query(`DROP TEMPORARY TABLE IF EXISTS ${KEY_TABLE}`);
+    // Same column types and collations as the table; the unique key drops repeated keys
+    await conn.query(`CREATE TEMPORARY TABLE ${KEY_TABLE} (UNIQUE KEY uq_key (${keyList})) SELECT ${keyList} FROM \`${table}\` LIMIT 0`);
+
+    let buffer = [];
+    const flush = async () => {
+        if (buffer.length === 0) return;
+        const rows = buffer;
+        buffer = [];
+        await conn.query(`INSERT IGNORE INTO ${KEY_TABLE} (${keyList}) VALUES ?`, [rows]);
+    };
+
+    const count = async (sql, params = []) => {
+        const [[row]] = await conn.query(`SELECT COUNT(*) AS count ${sql}`, params);
+        return Number(row.count);
+    };
+
+    // Share of the table's rows that would be removed
+    const percentOf = (rows, tableRows) => (tableRows > 0 ? Math.round((rows / tableRows) * 10000) / 100 : 0);
+
+    return {
+        // Keys with an empty part never match a row, like NULL in a UNIQUE index
+        add: async (valuesList) => {
+            valuesList.forEach(values => {
+                const key = fields.map(f => values[f]);
+                if (key.some(v => v === null || v === undefined || v === '')) return;
+                buffer.push(key);
+            });
+            if (buffer.length >= KEY_CHUNK_SIZE) await flush();
+        },
+
+        /**
+         * How many rows the mirror would remove right now:
+         * { action, fields, flagColumn, tableRows, fileKeys, missingRows, percent, maxDeletePercent, exceedsCap, examples }
+         */
+        plan: async () => {
+            await flush();
+            const tableRows = await count(`FROM \`${table}\``);
+            const fileKeys = await count(`FROM ${KEY_TABLE}`);
+            const missingRows = await count(pending, pendingParams);
+            const [examples] = await conn.query(`SELECT ${fields.map(f => `t.\`${f}\``).join(', ')} ${pending} LIMIT ${MAX_EXAMPLES}`, pendingParams);
+            const percent = percentOf(missingRows, tableRows);
+
+            return {
+                action: options.action,
+                fields,
+                flagColumn: options.flagColumn,
+                tableRows,
+                fileKeys,
+                missingRows,
+                percent,
+                maxDeletePercent: options.maxDeletePercent,
+                exceedsCap: percent > options.maxDeletePercent,
+                examples
+            };
+        },
+
+        /**
+         * Delete or flag the rows whose key is not in the file.
+         * Checks the safety cap again first: the table may have changed since plan().
+         * Resolves to the number of rows removed.
+         */
+        removeMissing: async () => {
+            await flush();
+            const tableRows = await count(`FROM \`${table}\``);
+            const missingRows = await count(pending, pendingParams);
+            const percent = percentOf(missingRows, tableRows);
+            if (percent > options.maxDeletePercent) {
+                throw new Error(`Mirror stopped: ${missingRows} of ${tableRows} rows (${percent}%) are not in the file, more than the ${options.maxDeletePercent}% limit`);
+            }
+            if (missingRows === 0) return 0;
+
+            const [result] = flag
+                ? await conn.query(`UPDATE \`${table}\` AS t LEFT JOIN ${KEY_TABLE} AS k ON ${join} SET ${flag.set} WHERE k.\`${fields[0]}\` IS NULL AND NOT (${flag.flagged})`, [...flag.params, ...flag.params])
+                : await conn.query(`DELETE t ${missing}`);
+            return result.affectedRows;
+        },
+
+        drop: () => conn.query(`DROP TEMPORARY TABLE IF EXISTS ${KEY_TABLE}`)
+    };
+};
+
+module.exports = { MIRROR_ACTIONS, DEFAULT_MAX_DELETE_PERCENT, parseMirrorOptions, createMirrorKeySet };
@@ -0,0 +1,137 @@
+/**
+ * Number Normalization Utility
+ * Converts file values for numeric columns to plain MySQL numbers
+ * ('1234567.89'), reading thousands and decimal separators per locale and
+ * dropping currency symbols (Rp, IDR, $...), percent signs and spaces.
+ * Negative values may use a leading or trailing minus or (parentheses), and
+ * the ',-' of Rupiah amounts (Rp 1.500.000,-) is ignored.
+ *
+ * Locales:
+ *   id   - 1.234.567,89
+ *   en   - 1,234,567.89
+ *   auto - per value: with both separators the last one is the decimal point,
+ *          a repeated separator groups thousands, a single comma or dot before
+ *          exactly three digits groups thousands (unless the value starts with
+ *          0), any other single comma or dot is the decimal point. Pick 'id' or
+ *          'en' for files with fractions of three decimals.
+ *
+ * Checked cases (auto, integer column unless noted):
+ *   '5.000'        -> 5000       'Rp 5.000'     -> 5000
+ *   '(1.000)'      -> -1000      '1.234'        -> 1234 (also DECIMAL)
+ *   '1,234'        -> 1234       'Rp 1.500.000,-' -> 1500000
+ *   '1.234,50'     -> 1234.50 (DECIMAL)   '1,234.50' -> 1234.50 (DECIMAL)
+ *   '0.125'        -> 0.125 (DECIMAL)     '12,5'     -> 12.5 (DECIMAL), error for INT
+ *   '1.5'          -> 1.5 (DECIMAL)       '1.2345'   -> 1.2345 (DECIMAL)
+ *   '1.23.4'       -> error      '5.000' with 'en' -> 5 ; with 'id' -> 5000
+ */
+
+const NUMBER_LOCALES = {
+    id: { group: '.', decimal: ',' },
+    en: { group: ',', decimal: '.' }
+};
+const NUMBER_LOCALE_NAMES = ['auto', ...Object.keys(NUMBER_LOCALES)];
+
+const CURRENCY_PREFIX = /^(rp\.?|idr|usd|us\$|\$|€|£|¥)\s*/i;
+const CURRENCY_SUFFIX = /\s*(rp|idr|usd)$/i;
+const SCIENTIFIC = /^(\d+\.?\d*|\.\d+)e[-+]?\d+$/i;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Separators of one value in 'auto' mode
+const guessSeparators = (digits) => {
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    if (lastDot >= 0 && lastComma >= 0) {
+        return lastComma > lastDot ? NUMBER_LOCALES.id : NUMBER_LOCALES.en;
+    }
+    const separator = lastComma >= 0 ? ',' : '.';
+    const [grouping, decimal] = separator === ',' ? [NUMBER_LOCALES.en, NUMBER_LOCALES.id] : [NUMBER_LOCALES.id, NUMBER_LOCALES.en];
+    // Repeated: 1.500.000
+    if (digits.indexOf(separator) !== digits.lastIndexOf(separator)) return grouping;
+    // Single before three digits: Rp 5.000, 1,234 (but 0.125 is a fraction)
+    return new RegExp(`^[1-9]\\d{0,2}${escapeRegex(separator)}\\d{3}$`).test(digits) ? grouping : decimal;
+};
+
+/**
+ * Parse a file value as a number. Returns the number as text in MySQL
+ * notation (no float rounding of DECIMAL values), the value itself for
+ * numbers from Excel, or null when it isn't a number in that locale.
+ */
+const parseNumber = (value, locale = 'auto') => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (value === null || value === undefined) return null;
+
+    let text = String(value).replace(/[\s  ]+/g, ' ').trim();
+    if (text === '') return null;
+
+    // Rp 1.500.000,- : no cents
+    text = text.replace(/[.,]-$/, '');
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1).trim();
+    }
+    // Sign before or after the currency: -Rp 1.000, Rp -1.000, 1.000-
+    const takeSign = () => {
+        const m = text.match(/^([-+])\s*/) || text.match(/\s*([-+])$/);
+        if (!m) return;
+        if (m[1] === '-') negative = !negative;
+        text = m.index === 0 ? text.slice(m[0].length) : text.slice(0, m.index);
+    };
+    takeSign();
+    text = text.replace(CURRENCY_PREFIX, '').replace(CURRENCY_SUFFIX, '').replace(/^%\s*|\s*%$/g, '');
+    takeSign();
+    text = text.replace(/ /g, '');
+    if (text === '') return null;
+
+    if (locale !== 'id' && SCIENTIFIC.test(text)) {
+        return (negative ? '-' : '') + text;
+    }
+    if (!/^[\d.,]+$/.test(text)) return null;
+
+    const { group, decimal } = locale === 'auto' ? guessSeparators(text) : (NUMBER_LOCALES[locale] || NUMBER_LOCALES.en);
+    const [integerPart, fraction, extra] = text.split(decimal);
+    if (extra !== undefined) return null;
+    if (fraction !== undefined && !/^\d+$/.test(fraction)) return null;
+
+    // Thousands separators must sit between groups of three digits
+    let digits = integerPart;
+    if (digits.includes(group)) {
+        if (!new RegExp(`^\\d{1,3}(${escapeRegex(group)}\\d{3})+$`).test(digits)) return null;
+        digits = digits.split(group).join('');
+    }
+    if (!/^\d*$/.test(digits) || (digits === '' && fraction === undefined)) return null;
+
+    const normalized = `${digits.replace(/^0+(?=\d)/, '') || '0'}${fraction !== undefined ? `.${fraction}` : ''}`;
+    return negative && /[1-9]/.test(normalized) ? `-${normalized}` : normalized;
+};
+
+// Numeric MySQL column types the import coerces
+const NUMERIC_TYPE = /^(tinyint|smallint|mediumint|int|integer|bigint|decimal|numeric|float|double|real)\b/i;
+const INTEGER_TYPE = /^(tinyint|smallint|mediumint|int|integer|bigint)\b/i;
+
+const isNumericType = (type) => NUMERIC_TYPE.test(type || '');
+const isIntegerType = (type) => INTEGER_TYPE.test(type || '');
+
+/**
+ * Value for a numeric column of the import. Returns { value }, with NULL for
+ * blanks, or { error } when the value isn't a number in the locale.
+ * Integer columns take '1.234,00' but not '12,5'.
+ */
+const coerceNumber = (value, locale = 'auto', integer = false) => {
+    if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+        return { value: null };
+    }
+    const parsed = parseNumber(value, locale);
+    if (parsed === null) {
+        return { error: locale === 'auto' ? 'Not a valid number' : `Not a valid number (${locale} format)` };
+    }
+    if (integer && typeof parsed === 'string' && parsed.includes('.')) {
+        if (!/\.0+$/.test(parsed)) return { error: `Not an integer: ${value}` };
+        return { value: parsed.replace(/\.0+$/, '') };
+    }
+    return { value: parsed };
+};
+
+module.exports = { NUMBER_LOCALES, NUMBER_LOCALE_NAMES, parseNumber, coerceNumber, isNumericType, isIntegerType };
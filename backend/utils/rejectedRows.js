@@ -0,0 +1,77 @@
+/**
+ * Rejected Rows Utility
+ * Collects rows an import could not write and saves them as a CSV with the
+ * original file columns plus the reason, so the file can be fixed and re-uploaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMP_DIR = path.join(__dirname, '../uploads/temp');
+
+const SOURCE_ROW_COLUMN = 'Source Row';
+const REASON_COLUMN = 'Reject Reason';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return '';
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+    }
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Create a writer for one import task.
+ * Rows are buffered per batch; the file is only created once something is rejected.
+ * A resumed task appends to the file of its earlier run (initialCount rows so far).
+ */
+const createRejectedRowsWriter = (taskId, initialCount = 0) => {
+    const fileKey = `rejected_rows_${taskId}.csv`;
+    const filePath = path.join(TEMP_DIR, fileKey);
+    let headers = [];
+    let buffer = [];
+    let count = initialCount;
+    let created = fs.existsSync(filePath);
+
+    return {
+        fileKey,
+
+        get count() {
+            return count;
+        },
+
+        setHeaders(fileHeaders) {
+            headers = fileHeaders;
+        },
+
+        add(row, rowNumber, reason) {
+            count++;
+            buffer.push([...headers.map(h => toCell(row[h])), toCell(rowNumber), toCell(reason)].join(','));
+        },
+
+        flush() {
+            if (buffer.length === 0) return;
+            if (!created) {
+                if (!fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR, { recursive: true });
+                // BOM so Excel opens the file as UTF-8
+                const headerLine = [...headers, SOURCE_ROW_COLUMN, REASON_COLUMN].map(toCell).join(',');
+                fs.writeFileSync(filePath, `\uFEFF${headerLine}\n`);
+                created = true;
+            }
+            fs.appendFileSync(filePath, buffer.join('\n') + '\n');
+            buffer = [];
+        },
+
+        // Returns the file key, or null when nothing was rejected
+        close() {
+            this.flush();
+            return created ? fileKey : null;
+        }
+    };
+};
+
+module.exports = { createRejectedRowsWriter, SOURCE_ROW_COLUMN, REASON_COLUMN };
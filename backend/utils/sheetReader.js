@@ -0,0 +1,185 @@
+/**
+ * Excel Sheet Utility
+ * Sheet selection, header row offset and trailing summary rows for every place
+ * that reads Excel files (upload worker, schema analysis, batch lookup)
+ */
+
+const xlsx = require('xlsx');
+const { cleanHeader } = require('./columnMapper');
+const { excelSerialToDate } = require('./dateFormatter');
+
+const PREVIEW_ROWS = 10;
+const PREVIEW_COLUMNS = 20;
+
+// xlsx.readFile options for sheets whose rows are imported. SheetJS' own
+// cellDates shifts dates by the server's historical UTC offset (seconds off
+// in Asia/Jakarta); readSheetRows converts the serials itself instead.
+const IMPORT_READ_OPTIONS = { cellDates: false, cellNF: true };
+
+/**
+ * Read sheet options from a request body or query string.
+ * headerRow is the 1-based Excel row number; null means the first used row.
+ */
+const parseSheetOptions = (input = {}) => {
+    const headerRow = parseInt(input.headerRow);
+    const skipFooterRows = parseInt(input.skipFooterRows);
+    return {
+        sheet: input.sheet || null,
+        headerRow: headerRow >= 1 ? headerRow : null,
+        skipFooterRows: skipFooterRows > 0 ? skipFooterRows : 0
+    };
+};
+
+const getWorksheet = (workbook, sheetName = null) => {
+    const name = sheetName || workbook.SheetNames[0];
+    const worksheet = workbook.Sheets[name];
+    if (!worksheet) {
+        throw new Error(`Sheet "${name}" not found. Available: ${workbook.SheetNames.join(', ')}`);
+    }
+    return { name, worksheet };
+};
+
+// Last row (0-based) holding a non-empty cell; formatted blank rows don't count
+const findLastDataRow = (worksheet, range) => {
+    let last = range.s.r - 1;
+    Object.keys(worksheet).forEach(addr => {
+        if (addr[0] === '!') return;
+        const cell = worksheet[addr];
+        if (!cell || cell.v === undefined || cell.v === null || cell.v === '') return;
+        const { r } = xlsx.utils.decode_cell(addr);
+        if (r > last) last = r;
+    });
+    return Math.min(last, range.e.r);
+};
+
+/**
+ * Work out where the header and the data are.
+ * Returns null for an empty sheet, otherwise 0-based
+ * { range, headerRowIndex, firstDataRow, lastDataRow }
+ */
+const getSheetLayout = (worksheet, options = {}) => {
+    if (!worksheet['!ref']) return null;
+
+    const range = xlsx.utils.decode_range(worksheet['!ref']);
+    const headerRowIndex = options.headerRow ? options.headerRow - 1 : range.s.r;
+    if (headerRowIndex > range.e.r) {
+        throw new Error(`Header row ${headerRowIndex + 1} is beyond the last row of the sheet (${range.e.r + 1})`);
+    }
+
+    // Trailing summary rows (totals, notes) are counted from the last non-empty row
+    const lastDataRow = findLastDataRow(worksheet, range) - (options.skipFooterRows || 0);
+
+    return { range, headerRowIndex, firstDataRow: headerRowIndex + 1, lastDataRow };
+};
+
+// Header keys follow sheet_to_json naming: blanks become __EMPTY, repeats get _1, _2...
+const readHeaderKeys = (worksheet, layout) => {
+    const { range, headerRowIndex } = layout;
+    const [headerCells = []] = xlsx.utils.sheet_to_json(worksheet, {
+        header: 1,
+        defval: null,
+        range: { s: { r: headerRowIndex, c: range.s.c }, e: { r: headerRowIndex, c: range.e.c } }
+    });
+
+    const seen = {};
+    const headers = [];
+    for (let c = 0; c <= range.e.c - range.s.c; c++) {
+        let key = cleanHeader(headerCells[c]) || '__EMPTY';
+        if (seen[key] !== undefined) {
+            seen[key]++;
+            key = `${key}_${seen[key]}`;
+        } else {
+            seen[key] = 0;
+        }
+        headers.push(key);
+    }
+    return headers;
+};
+
+// Number cells with a date format -> Date (see excelSerialToDate), in place
+const convertDateCells = (worksheet, layout, start, end) => {
+    for (let r = start; r <= end; r++) {
+        for (let c = layout.range.s.c; c <= layout.range.e.c; c++) {
+            const cell = worksheet[xlsx.utils.encode_cell({ r, c })];
+            if (cell && cell.t === 'n' && cell.z && xlsx.SSF.is_date(cell.z)) {
+                cell.t = 'd';
+                cell.v = excelSerialToDate(cell.v);
+            }
+        }
+    }
+};
+
+/**
+ * Convert rows start..end (0-based, inclusive) to objects keyed by header.
+ * Date cells of workbooks read with IMPORT_READ_OPTIONS become Dates.
+ */
+const readSheetRows = (worksheet, layout, headers, start, end, jsonOptions = {}) => {
+    if (start > end) return [];
+    convertDateCells(worksheet, layout, start, end);
+    return xlsx.utils.sheet_to_json(worksheet, {
+        header: headers,
+        defval: null,
+        blankrows: false,
+        ...jsonOptions,
+        range: { s: { r: start, c: layout.range.s.c }, e: { r: end, c: layout.range.e.c } }
+    });
+};
+
+/**
+ * Read a whole sheet with the given options.
+ * Returns { sheetName, headers, rows }
+ */
+const readSheetData = (workbook, options = {}, jsonOptions = {}) => {
+    const { name, worksheet } = getWorksheet(workbook, options.sheet);
+    const layout = getSheetLayout(worksheet, options);
+    if (!layout) return { sheetName: name, headers: [], rows: [] };
+
+    const headers = readHeaderKeys(worksheet, layout);
+    const rows = readSheetRows(worksheet, layout, headers, layout.firstDataRow, layout.lastDataRow, jsonOptions);
+    return { sheetName: name, headers, rows };
+};
+
+/**
+ * Sheet names with the first rows as raw cells, so the user can see
+ * where the real header starts. previewRows[i] is Excel row firstRow + i.
+ */
+const listSheets = (workbook, previewRows = PREVIEW_ROWS) => {
+    return workbook.SheetNames.map(name => {
+        const worksheet = workbook.Sheets[name];
+        // !fullref holds the real size when the workbook was read with sheetRows
+        const ref = worksheet && (worksheet['!fullref'] || worksheet['!ref']);
+        if (!ref) return { name, totalRows: 0, firstRow: 1, previewRows: [] };
+
+        const full = xlsx.utils.decode_range(ref);
+        const range = xlsx.utils.decode_range(worksheet['!ref']);
+        const rows = xlsx.utils.sheet_to_json(worksheet, {
+            header: 1,
+            defval: null,
+            raw: false,
+            blankrows: true,
+            range: {
+                s: { r: range.s.r, c: range.s.c },
+                e: { r: Math.min(range.s.r + previewRows - 1, range.e.r), c: Math.min(range.s.c + PREVIEW_COLUMNS - 1, range.e.c) }
+            }
+        });
+
+        return {
+            name,
+            totalRows: full.e.r - full.s.r + 1,
+            firstRow: range.s.r + 1,
+            previewRows: rows
+        };
+    });
+};
+
+module.exports = {
+    PREVIEW_ROWS,
+    IMPORT_READ_OPTIONS,
+    parseSheetOptions,
+    getWorksheet,
+    getSheetLayout,
+    readHeaderKeys,
+    readSheetRows,
+    readSheetData,
+    listSheets
+};
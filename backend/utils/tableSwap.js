@@ -0,0 +1,159 @@
+/**
+ * Table Swap Utility
+ * Replace imports load the file into a staging copy of the target table
+ * (CREATE TABLE ... LIKE) and swap it in with a single RENAME TABLE, so
+ * readers see either the old or the new contents, never a half-loaded table.
+ *
+ * The previous contents stay as a backup table, recorded in replace_backups
+ * and dropped after REPLACE_BACKUP_DAYS days (default 7).
+ */
+
+const { getDbConnection, getConnectionPool, getInternalPool } = require('../config/db');
+
+const BACKUP_RETENTION_DAYS = parseInt(process.env.REPLACE_BACKUP_DAYS) || 7;
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+const MAX_TABLE_NAME = 64;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// MySQL identifiers are limited to 64 characters: shorten the table part, keep the suffix
+const withSuffix = (table, suffix) => `${table.slice(0, MAX_TABLE_NAME - suffix.length)}${suffix}`;
+
+const stagingTableName = (table, taskId) => withSuffix(table, `__stage_${taskId}`);
+
+const backupTableName = (table, date = new Date()) => withSuffix(
+    table,
+    `__bak_${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+);
+
+/**
+ * CREATE TABLE ... LIKE copies neither foreign keys nor triggers, and RENAME
+ * TABLE takes them along to the backup, so such tables can't be replaced safely.
+ */
+const assertReplaceable = async (pool, table) => {
+    const [foreignKeys] = await pool.query(
+        `SELECT TABLE_NAME, REFERENCED_TABLE_NAME FROM information_schema.KEY_COLUMN_USAGE
+         WHERE TABLE_SCHEMA = DATABASE() AND REFERENCED_TABLE_NAME IS NOT NULL
+           AND (TABLE_NAME = ? OR REFERENCED_TABLE_NAME = ?)
+         LIMIT 1`,
+        [table, table]
+    );
+    if (foreignKeys.length > 0) {
+        const fk = foreignKeys[0];
+        throw new Error(`Replace mode can't be used on \`${table}\`: foreign key between \`${fk.TABLE_NAME}\` and \`${fk.REFERENCED_TABLE_NAME}\``);
+    }
+
+    const [triggers] = await pool.query(
+        'SELECT TRIGGER_NAME FROM information_schema.TRIGGERS WHERE EVENT_OBJECT_SCHEMA = DATABASE() AND EVENT_OBJECT_TABLE = ? LIMIT 1',
+        [table]
+    );
+    if (triggers.length > 0) {
+        throw new Error(`Replace mode can't be used on \`${table}\`: it has trigger \`${triggers[0].TRIGGER_NAME}\``);
+    }
+};
+
+const tableExists = async (pool, table) => {
+    const [rows] = await pool.query(
+        'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+        [table]
+    );
+    return rows.length > 0;
+};
+
+// Empty copy of the table's columns and indexes; a leftover of the same task is started over
+const createStagingTable = async (pool, table, taskId) => {
+    const stagingTable = stagingTableName(table, taskId);
+    await pool.query(`DROP TABLE IF EXISTS \`${stagingTable}\``);
+    await pool.query(`CREATE TABLE \`${stagingTable}\` LIKE \`${table}\``);
+    return stagingTable;
+};
+
+const dropStagingTable = (pool, stagingTable) => pool.query(`DROP TABLE IF EXISTS \`${stagingTable}\``);
+
+const countRows = async (pool, table) => {
+    const [[row]] = await pool.query(`SELECT COUNT(*) AS count FROM \`${table}\``);
+    return Number(row.count);
+};
+
+/**
+ * Check the staging table holds exactly the rows the import wrote, then swap
+ * it in. Throws (leaving the target table untouched) when the counts differ
+ * or nothing was loaded.
+ * Returns { backupTable, previousRows, newRows, swappedAt, expiresAt }.
+ */
+const swapInStagingTable = async (pool, { table, stagingTable, expectedRows, taskId, connectionId, database }) => {
+    const newRows = await countRows(pool, stagingTable);
+    if (newRows !== expectedRows) {
+        throw new Error(`Row count check failed: staging table has ${newRows} rows, the import wrote ${expectedRows}. \`${table}\` was not replaced.`);
+    }
+    if (newRows === 0) {
+        throw new Error(`No rows were loaded, \`${table}\` was not replaced with an empty table.`);
+    }
+
+    const previousRows = await countRows(pool, table);
+    const swappedAt = new Date();
+    const backupTable = backupTableName(table, swappedAt);
+
+    // Both renames happen at once: there is no moment without `table`
+    await pool.query(`RENAME TABLE \`${table}\` TO \`${backupTable}\`, \`${stagingTable}\` TO \`${table}\``);
+
+    const expiresAt = new Date(swappedAt.getTime() + BACKUP_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    try {
+        await getInternalPool().execute(
+            `INSERT INTO replace_backups (task_id, connection_id, database_name, table_name, backup_table, row_count, created_at, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [taskId, connectionId || null, database, table, backupTable, previousRows, swappedAt, expiresAt]
+        );
+    } catch (err) {
+        // The swap is done; an unrecorded backup is only never dropped automatically
+        console.error(`[Replace ${taskId}] Failed to record backup table ${backupTable}:`, err);
+    }
+
+    return {
+        backupTable,
+        previousRows,
+        newRows,
+        swappedAt: swappedAt.toISOString(),
+        expiresAt: expiresAt.toISOString()
+    };
+};
+
+// Drop backup tables past their retention
+const cleanupExpiredBackups = async () => {
+    try {
+        const internalPool = getInternalPool();
+        const [backups] = await internalPool.execute(
+            'SELECT id, connection_id, database_name, backup_table FROM replace_backups WHERE dropped_at IS NULL AND expires_at < NOW()'
+        );
+
+        for (const backup of backups) {
+            try {
+                const pool = backup.connection_id
+                    ? await getConnectionPool(backup.connection_id, backup.database_name)
+                    : await getDbConnection(backup.database_name);
+                await pool.query(`DROP TABLE IF EXISTS \`${backup.backup_table}\``);
+                await internalPool.execute('UPDATE replace_backups SET dropped_at = NOW() WHERE id = ?', [backup.id]);
+                console.log(`[Cleanup] Dropped expired backup table ${backup.database_name}.${backup.backup_table}`);
+            } catch (err) {
+                console.error(`[Cleanup] Failed to drop backup table ${backup.database_name}.${backup.backup_table}:`, err.message);
+            }
+        }
+    } catch (err) {
+        console.error('Failed to cleanup replace backups:', err);
+    }
+};
+
+const startBackupCleanup = () => {
+    cleanupExpiredBackups();
+    setInterval(cleanupExpiredBackups, CLEANUP_INTERVAL).unref();
+};
+
+module.exports = {
+    BACKUP_RETENTION_DAYS,
+    assertReplaceable,
+    tableExists,
+    createStagingTable,
+    dropStagingTable,
+    swapInStagingTable,
+    startBackupCleanup
+};
@@ -0,0 +1,101 @@
+/**
+ * Timezone Utility
+ * DATETIME values are stored as wall-clock time in the timezone of their
+ * connection (database_connections.timezone, server timezone when unset).
+ * Imports convert file values from the upload's source timezone into it,
+ * exports convert stored values into the timezone the user asks for.
+ * Timezones are IANA names ('Asia/Jakarta') or fixed offsets ('+07:00').
+ */
+
+const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const OFFSET_PATTERN = /^([+-])(\d{2}):?(\d{2})$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// '+07:00' -> 420; 'Z', 'UTC' and 'GMT' are 0
+const parseOffset = (text) => {
+    if (/^(Z|UTC|GMT)$/i.test(text)) return 0;
+    const m = String(text).match(OFFSET_PATTERN);
+    if (!m) return null;
+    const minutes = parseInt(m[2]) * 60 + parseInt(m[3]);
+    return m[1] === '-' ? -minutes : minutes;
+};
+
+/**
+ * Canonical form of a timezone setting, null when empty.
+ * Throws for names Intl doesn't know and malformed offsets.
+ */
+const normalizeTimezone = (timezone) => {
+    if (timezone === null || timezone === undefined || String(timezone).trim() === '') return null;
+    const text = String(timezone).trim();
+
+    const offset = parseOffset(text);
+    if (offset !== null) {
+        if (Math.abs(offset) > 14 * 60) throw new Error(`Invalid timezone offset: ${text}`);
+        if (offset === 0) return 'UTC';
+        const abs = Math.abs(offset);
+        return `${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+    }
+
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+    } catch (e) {
+        throw new Error(`Unknown timezone: ${text}`);
+    }
+};
+
+const formatters = new Map();
+
+// Minutes east of UTC of a timezone at an instant (DST-aware for IANA zones)
+const offsetAt = (timezone, utcMillis) => {
+    const fixed = parseOffset(timezone);
+    if (fixed !== null) return fixed;
+
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+    const parts = {};
+    formatters.get(timezone).formatToParts(new Date(utcMillis)).forEach(p => { parts[p.type] = parseInt(p.value); });
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(utcMillis / 1000) * 1000) / 60000);
+};
+
+const WALL_CLOCK = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/;
+
+// 'YYYY-MM-DD HH:mm:ss' in a timezone -> epoch milliseconds
+const wallClockToUtc = (wallClock, timezone) => {
+    const m = wallClock.match(WALL_CLOCK);
+    // MySQL zero dates ('0000-00-00 00:00:00') are no instant
+    if (!m || m[1] === '0000' || m[2] === '00' || m[3] === '00') return null;
+    const asUtc = Date.UTC(parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3]), parseInt(m[4]), parseInt(m[5]), parseInt(m[6]));
+    // Second pass settles wall-clock times next to a DST change
+    let utc = asUtc - offsetAt(timezone, asUtc) * 60000;
+    utc = asUtc - offsetAt(timezone, utc) * 60000;
+    return utc;
+};
+
+// Epoch milliseconds -> 'YYYY-MM-DD HH:mm:ss' in a timezone
+const utcToWallClock = (utcMillis, timezone) => {
+    const d = new Date(utcMillis + offsetAt(timezone, utcMillis) * 60000);
+    return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+};
+
+// Same instant as wall-clock time in another timezone; unchanged when the zones are equal
+const convertWallClock = (wallClock, fromTimezone, toTimezone) => {
+    if (!fromTimezone || !toTimezone || fromTimezone === toTimezone) return wallClock;
+    const utc = wallClockToUtc(wallClock, fromTimezone);
+    return utc === null ? wallClock : utcToWallClock(utc, toTimezone);
+};
+
+module.exports = {
+    SERVER_TIMEZONE,
+    parseOffset,
+    normalizeTimezone,
+    convertWallClock
+};
@@ -1,152 +1,233 @@
 /**
  * Worker Thread for processing large files
  * This runs in a separate thread to avoid blocking the main Node.js event loop
+ *
+ * Rows are streamed to the main thread in batches instead of being collected
+ * into one array. The main thread acknowledges every batch it takes; the worker
+ * never has more than MAX_IN_FLIGHT unacknowledged batches, so memory stays flat
+ * regardless of file size.
+ *
+ * Messages to main thread:
+ *   { type: 'log', message }
+ *   { type: 'meta', headers, headerRow, totalRows, totalBytes }   totalRows is null for CSV and JSON
+ *   { type: 'batch', rows, rowsRead, bytesRead, totalBytes }
+ *   { type: 'done', totalRows }
+ *   { type: 'error', error }
+ * Messages from main thread:
+ *   { type: 'ack' }
  */
 
 const { parentPort, workerData } = require('worker_threads');
 const xlsx = require('xlsx');
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
-
-// Utility function to format dates for MySQL
-const formatToMysql = (value, isDate = false) => {
-    if (value === null || value === undefined || value === '') return null;
-
-    if (isDate) {
-        // Handle Excel serial date numbers
-        if (typeof value === 'number') {
-            const date = new Date((value - 25569) * 86400 * 1000);
-            if (!isNaN(date.getTime())) {
-                return date.toISOString().slice(0, 19).replace('T', ' ');
-            }
-        }
-
-        // Handle date strings
-        if (typeof value === 'string') {
-            const date = new Date(value);
-            if (!isNaN(date.getTime())) {
-                return date.toISOString().slice(0, 19).replace('T', ' ');
-            }
-        }
-
-        // Handle Date objects
-        if (value instanceof Date && !isNaN(value.getTime())) {
-            return value.toISOString().slice(0, 19).replace('T', ' ');
-        }
+const { cleanHeader } = require('../utils/columnMapper');
+const { resolveCsvDialect, createCsvReader, describeDialect } = require('../utils/csvDialect');
+const { formatOf, csvHints } = require('../utils/fileFormats');
+const { JSON_HEADER_ROWS, readJsonRows, collectHeaders, fillMissing } = require('../utils/jsonRows');
+const { IMPORT_READ_OPTIONS, getWorksheet, getSheetLayout, readHeaderKeys, readSheetRows } = require('../utils/sheetReader');
+
+const MAX_IN_FLIGHT = 2;
+
+// =====================================================
+// BACKPRESSURE
+// =====================================================
+
+let inFlight = 0;
+let capacityWaiters = [];
+
+parentPort.on('message', (msg) => {
+    if (msg.type === 'ack') {
+        inFlight = Math.max(0, inFlight - 1);
+        const waiters = capacityWaiters;
+        capacityWaiters = [];
+        waiters.forEach(fn => fn());
     }
+});
+
+const hasCapacity = () => inFlight < MAX_IN_FLIGHT;
 
-    return value;
+const waitForCapacity = () => {
+    if (hasCapacity()) return Promise.resolve();
+    return new Promise(resolve => {
+        const check = () => (hasCapacity() ? resolve() : capacityWaiters.push(check));
+        capacityWaiters.push(check);
+    });
 };
 
-// Check if column name suggests it's a date
-const isDateColumn = (columnName) => {
-    if (!columnName) return false;
-    const lower = columnName.toLowerCase();
-    const datePatterns = ['date', 'tanggal', 'tgl', 'created', 'updated', 'time', 'waktu'];
-    return datePatterns.some(p => lower.includes(p));
+const sendBatch = (rows, rowsRead, bytesRead, totalBytes) => {
+    inFlight++;
+    parentPort.postMessage({ type: 'batch', rows, rowsRead, bytesRead, totalBytes });
 };
 
+// =====================================================
+// PARSERS
+// =====================================================
+
 /**
- * Parse file and return rows
+ * Stream CSV rows; the csv stream is paused while the main thread is busy
  */
-async function parseFile(filePath, ext) {
+function streamCsv(filePath, batchSize, csvOptions = {}, hints = {}) {
     return new Promise((resolve, reject) => {
-        try {
-            if (ext === '.csv') {
-                const rows = [];
-
-                // Auto-detect delimiter by reading first line
-                const firstLine = fs.readFileSync(filePath, 'utf8').split('\n')[0];
-                const commaCount = (firstLine.match(/,/g) || []).length;
-                const semicolonCount = (firstLine.match(/;/g) || []).length;
-                const delimiter = semicolonCount > commaCount ? ';' : ',';
-
-                parentPort.postMessage({
-                    type: 'log',
-                    message: `CSV delimiter detected: "${delimiter}" (commas: ${commaCount}, semicolons: ${semicolonCount})`
-                });
-
-                fs.createReadStream(filePath)
-                    .pipe(csv({
-                        separator: delimiter,
-                        mapHeaders: ({ header }) => header.trim().replace(/^\uFEFF/, '') // Remove BOM and trim
-                    }))
-                    .on('data', (row) => rows.push(row))
-                    .on('end', () => resolve(rows))
-                    .on('error', reject);
-            } else {
-                // Excel file
-                parentPort.postMessage({ type: 'log', message: 'Reading Excel file...' });
-
-                const workbook = xlsx.readFile(filePath, {
-                    type: 'file',
-                    cellDates: true,
-                    cellNF: false,
-                    cellHTML: false,
-                    dense: false,
-                    raw: false
-                });
-
-                const firstSheet = workbook.SheetNames[0];
-                const worksheet = workbook.Sheets[firstSheet];
-
-                parentPort.postMessage({ type: 'log', message: 'Converting to JSON...' });
-
-                let rawRows = xlsx.utils.sheet_to_json(worksheet, {
-                    defval: null,
-                    raw: false,
-                    dateNF: 'yyyy-mm-dd'
-                });
-
-                // Clean Excel keys (trim & remove BOM)
-                const rows = rawRows.map(row => {
-                    const cleanRow = {};
-                    Object.keys(row).forEach(key => {
-                        const cleanKey = key.trim().replace(/^\uFEFF/, '');
-                        cleanRow[cleanKey] = row[key];
-                    });
-                    return cleanRow;
-                });
-
-                parentPort.postMessage({ type: 'log', message: `Parsed ${rows.length} rows` });
-                resolve(rows);
+        const totalBytes = fs.statSync(filePath).size;
+        const dialect = resolveCsvDialect(filePath, csvOptions, hints);
+
+        parentPort.postMessage({ type: 'log', message: `CSV dialect: ${describeDialect(dialect)}` });
+
+        const { source, parser } = createCsvReader(filePath, dialect, {
+            mapHeaders: ({ header }) => cleanHeader(header) // Remove BOM and trim
+        });
+
+        let buffer = [];
+        let rowsRead = 0;
+
+        const flush = () => {
+            if (buffer.length === 0) return;
+            sendBatch(buffer, rowsRead, source.bytesRead, totalBytes);
+            buffer = [];
+            if (!hasCapacity()) {
+                parser.pause();
+                waitForCapacity().then(() => parser.resume());
             }
-        } catch (error) {
-            reject(error);
+        };
+
+        parser
+            .on('headers', (headers) => {
+                parentPort.postMessage({ type: 'meta', headers, headerRow: 1, totalRows: null, totalBytes });
+            })
+            .on('data', (row) => {
+                buffer.push(row);
+                rowsRead++;
+                if (buffer.length >= batchSize) flush();
+            })
+            .on('end', async () => {
+                await waitForCapacity();
+                flush();
+                resolve(rowsRead);
+            })
+            .on('error', reject);
+
+        source.on('error', reject);
+    });
+}
+
+/**
+ * Stream JSON / NDJSON records. The headers are the keys of the first
+ * JSON_HEADER_ROWS records, so those are held back until the meta is sent.
+ */
+async function streamJson(filePath, format, batchSize) {
+    const totalBytes = fs.statSync(filePath).size;
+    const stats = {};
+    let headers = null;
+    let buffer = [];
+    let rowsRead = 0;
+    const ignoredKeys = new Set();
+
+    const sendMeta = () => {
+        headers = collectHeaders(buffer);
+        parentPort.postMessage({ type: 'log', message: `JSON headers from the first ${buffer.length} records: ${headers.join(', ')}` });
+        parentPort.postMessage({ type: 'meta', headers, headerRow: 1, totalRows: null, totalBytes });
+    };
+
+    const flush = async (force = false) => {
+        while (buffer.length >= batchSize || (force && buffer.length > 0)) {
+            const rows = buffer.splice(0, batchSize).map(row => fillMissing(row, headers));
+            await waitForCapacity();
+            sendBatch(rows, rowsRead - buffer.length, stats.bytesRead, totalBytes);
+        }
+    };
+
+    for await (const row of readJsonRows(filePath, format, stats)) {
+        buffer.push(row);
+        rowsRead++;
+        if (!headers) {
+            if (buffer.length >= JSON_HEADER_ROWS) sendMeta();
+            else continue;
+        } else {
+            Object.keys(row).forEach(key => !headers.includes(key) && ignoredKeys.add(key));
         }
+        await flush();
+    }
+
+    if (!headers) sendMeta();
+    await flush(true);
+
+    if (ignoredKeys.size > 0) {
+        parentPort.postMessage({ type: 'log', message: `Keys first seen after record ${JSON_HEADER_ROWS} were ignored: ${Array.from(ignoredKeys).join(', ')}` });
+    }
+    return rowsRead;
+}
+
+/**
+ * Walk an Excel sheet in row ranges. SheetJS has to load the workbook,
+ * but rows are converted and sent one range at a time.
+ */
+async function streamExcel(filePath, batchSize, sheetOptions = {}) {
+    const totalBytes = fs.statSync(filePath).size;
+
+    parentPort.postMessage({ type: 'log', message: 'Reading Excel file...' });
+
+    const workbook = xlsx.readFile(filePath, {
+        type: 'file',
+        ...IMPORT_READ_OPTIONS,
+        cellHTML: false,
+        dense: false
     });
+
+    const { name: sheetName, worksheet } = getWorksheet(workbook, sheetOptions.sheet);
+    const layout = getSheetLayout(worksheet, sheetOptions);
+    if (!layout) {
+        throw new Error(`Sheet "${sheetName}" is empty`);
+    }
+
+    const { headerRowIndex, firstDataRow, lastDataRow } = layout;
+    const headers = readHeaderKeys(worksheet, layout);
+
+    parentPort.postMessage({ type: 'log', message: `Sheet "${sheetName}", header on row ${headerRowIndex + 1}, data rows ${firstDataRow + 1}-${lastDataRow + 1}` });
+
+    const dataRowCount = Math.max(lastDataRow - headerRowIndex, 0);
+    parentPort.postMessage({ type: 'meta', headers, headerRow: headerRowIndex + 1, totalRows: dataRowCount, totalBytes });
+
+    let rowsRead = 0;
+    for (let start = firstDataRow; start <= lastDataRow; start += batchSize) {
+        const end = Math.min(start + batchSize - 1, lastDataRow);
+        const rows = readSheetRows(worksheet, layout, headers, start, end);
+
+        rowsRead += rows.length;
+        await waitForCapacity();
+        // Excel is fully loaded, so progress is measured in rows
+        const bytesRead = Math.round(totalBytes * (end - headerRowIndex) / Math.max(dataRowCount, 1));
+        if (rows.length > 0) sendBatch(rows, rowsRead, bytesRead, totalBytes);
+    }
+
+    return rowsRead;
 }
 
 /**
  * Main worker execution
  */
 async function main() {
-    const { filePath, ext, taskId } = workerData;
+    const { filePath, ext, batchSize = 5000, sheetOptions = {}, csvOptions = {} } = workerData;
 
     try {
-        parentPort.postMessage({
-            type: 'status',
-            status: 'parsing',
-            message: 'Starting file parsing...'
-        });
-
-        const rows = await parseFile(filePath, ext);
-
-        parentPort.postMessage({
-            type: 'result',
-            success: true,
-            rows: rows,
-            totalRows: rows.length
-        });
+        const format = formatOf(ext);
+        let totalRows;
+        if (format === 'csv') {
+            totalRows = await streamCsv(filePath, batchSize, csvOptions, csvHints(ext));
+        } else if (format === 'json' || format === 'ndjson') {
+            totalRows = await streamJson(filePath, format, batchSize);
+        } else {
+            totalRows = await streamExcel(filePath, batchSize, sheetOptions);
+        }
 
+        parentPort.postMessage({ type: 'log', message: `Parsed ${totalRows} rows` });
+        parentPort.postMessage({ type: 'done', totalRows });
     } catch (error) {
-        parentPort.postMessage({
-            type: 'result',
-            success: false,
-            error: error.message
-        });
+        parentPort.postMessage({ type: 'error', error: error.message });
     }
+
+    // Let the main thread release us once everything is flushed
+    parentPort.close();
 }
 
 main();
@@ -18,6 +18,8 @@ import UploadData from './pages/UploadData';
 import UserManagement from './pages/UserManagement';
 import DatabaseServers from './pages/DatabaseServers';
 import BatchLookup from './pages/BatchLookup';
+import ImportHistory from './pages/ImportHistory';
+import DropFolders from './pages/DropFolders';
 
 // Protected Route component
 const ProtectedRoute = ({ children, adminOnly = false }) => {
@@ -67,11 +69,17 @@ const AppRoutes = () => {
                 <Route path="designer" element={<DatabaseDesigner />} />
                 <Route path="explorer" element={<DataExplorer />} />
                 <Route path="upload" element={<UploadData />} />
+                <Route path="history" element={<ImportHistory />} />
                 <Route path="users" element={
                     <ProtectedRoute adminOnly>
                         <UserManagement />
                     </ProtectedRoute>
                 } />
+                <Route path="drop-folders" element={
+                    <ProtectedRoute adminOnly>
+                        <DropFolders />
+                    </ProtectedRoute>
+                } />
                 <Route path="lookup" element={<BatchLookup />} />
                 <Route path="servers" element={<DatabaseServers />} />
             </Route>
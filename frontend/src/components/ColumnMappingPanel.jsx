@@ -0,0 +1,138 @@
+import { Loader2, ArrowRight, Columns, RefreshCw } from 'lucide-react';
+
+const MATCH_BADGES = {
+    saved: { label: 'Tersimpan', className: 'bg-brand-500/20 text-brand-400' },
+    exact: { label: 'Sama persis', className: 'bg-green-500/20 text-green-400' },
+    normalized: { label: 'Mirip', className: 'bg-blue-500/20 text-blue-400' },
+    fuzzy: { label: 'Perkiraan', className: 'bg-yellow-500/20 text-yellow-400' }
+};
+
+// Maps file headers to table columns for the Phase 2 upload step
+const ColumnMappingPanel = ({
+    mappingInfo,
+    mapping,
+    onChange,
+    saveMapping,
+    onSaveMappingChange,
+    onReset,
+    loading = false,
+    disabled = false
+}) => {
+    if (loading) {
+        return (
+            <div className="flex items-center gap-2 text-sm text-gray-400 py-4">
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Membaca header file...
+            </div>
+        );
+    }
+
+    if (!mappingInfo) return null;
+
+    const { fileColumns = [], tableColumns = [], sampleRows = [], suggestions = {} } = mappingInfo;
+    const usedColumns = Object.values(mapping).filter(Boolean);
+    const mappedCount = fileColumns.filter(h => mapping[h]).length;
+    const ignoredCount = fileColumns.length - mappedCount;
+
+    const handleSelect = (header, column) => {
+        onChange({ ...mapping, [header]: column || null });
+    };
+
+    return (
+        <div className="space-y-4 pt-4 border-t border-gray-800">
+            <div className="flex items-center justify-between">
+                <h3 className="text-sm font-medium text-gray-300 flex items-center gap-2">
+                    <Columns className="w-4 h-4 text-brand-400" />
+                    Column Mapping
+                </h3>
+                <div className="flex items-center gap-3 text-xs">
+                    <span className="text-green-400">{mappedCount} dipetakan</span>
+                    <span className={ignoredCount > 0 ? 'text-yellow-400' : 'text-gray-500'}>{ignoredCount} diabaikan</span>
+                    {onReset && (
+                        <button
+                            onClick={onReset}
+                            disabled={disabled}
+                            className="btn-ghost p-1"
+                            title="Kembalikan ke saran otomatis"
+                        >
+                            <RefreshCw className="w-4 h-4" />
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div className="max-h-80 overflow-y-auto rounded-lg border border-gray-800">
+                <table className="w-full text-sm">
+                    <thead className="bg-gray-800/50 text-gray-400 text-xs sticky top-0">
+                        <tr>
+                            <th className="text-left px-3 py-2 font-medium">Header File</th>
+                            <th className="px-2 py-2" />
+                            <th className="text-left px-3 py-2 font-medium">Kolom Tabel</th>
+                            <th className="text-left px-3 py-2 font-medium">Contoh</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-800">
+                        {fileColumns.map(header => {
+                            const suggestion = suggestions[header] || {};
+                            const badge = mapping[header] && mapping[header] === suggestion.column
+                                ? MATCH_BADGES[suggestion.match]
+                                : null;
+                            const sample = sampleRows.find(r => r[header] !== null && r[header] !== undefined && r[header] !== '');
+
+                            return (
+                                <tr key={header} className={mapping[header] ? '' : 'opacity-60'}>
+                                    <td className="px-3 py-2 text-white font-mono text-xs">{header}</td>
+                                    <td className="px-2 py-2 text-gray-600">
+                                        <ArrowRight className="w-4 h-4" />
+                                    </td>
+                                    <td className="px-3 py-2">
+                                        <div className="flex items-center gap-2">
+                                            <select
+                                                value={mapping[header] || ''}
+                                                onChange={(e) => handleSelect(header, e.target.value)}
+                                                className="select-dark py-1 text-xs w-full"
+                                                disabled={disabled}
+                                            >
+                                                <option value="">-- Abaikan --</option>
+                                                {tableColumns.map(col => (
+                                                    <option
+                                                        key={col.name}
+                                                        value={col.name}
+                                                        disabled={col.name !== mapping[header] && usedColumns.includes(col.name)}
+                                                    >
+                                                        {col.name} ({col.type}){col.key === 'PRI' ? ' 🔑' : ''}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                            {badge && (
+                                                <span className={`text-[10px] px-2 py-0.5 rounded whitespace-nowrap ${badge.className}`}>
+                                                    {badge.label}
+                                                </span>
+                                            )}
+                                        </div>
+                                    </td>
+                                    <td className="px-3 py-2 text-gray-500 text-xs truncate max-w-[160px]">
+                                        {sample ? String(sample[header]) : '-'}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={saveMapping}
+                    onChange={(e) => onSaveMappingChange(e.target.checked)}
+                    disabled={disabled}
+                    className="rounded border-gray-700 bg-gray-800"
+                />
+                Simpan mapping untuk upload berikutnya ke tabel ini
+            </label>
+        </div>
+    );
+};
+
+export default ColumnMappingPanel;
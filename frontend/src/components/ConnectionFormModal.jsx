@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { X, Loader2, TestTube, Check, AlertCircle } from 'lucide-react';
 import { connectionsAPI } from '../services/connectionsAPI';
 import { useToast } from '../hooks/useToast';
+import TimezoneSelect from './TimezoneSelect';
 
 const ConnectionFormModal = ({ connection, onClose }) => {
     const [formData, setFormData] = useState({
@@ -10,6 +11,7 @@ const ConnectionFormModal = ({ connection, onClose }) => {
         port: 3306,
         username: '',
         password: '',
+        timezone: '',
         is_default: false
     });
     const [loading, setLoading] = useState(false);
@@ -27,6 +29,7 @@ const ConnectionFormModal = ({ connection, onClose }) => {
                 port: connection.port,
                 username: connection.username,
                 password: '', // Don't populate password for security
+                timezone: connection.timezone || '',
                 is_default: connection.is_default
             });
         }
@@ -105,6 +108,7 @@ const ConnectionFormModal = ({ connection, onClose }) => {
                 host: formData.host,
                 port: parseInt(formData.port) || 3306,
                 username: formData.username,
+                timezone: formData.timezone,
                 is_default: formData.is_default
             };
 
@@ -229,6 +233,22 @@ const ConnectionFormModal = ({ connection, onClose }) => {
                         />
                     </div>
 
+                    {/* Timezone */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                            Timezone
+                        </label>
+                        <TimezoneSelect
+                            name="timezone"
+                            value={formData.timezone}
+                            onChange={handleChange}
+                            emptyLabel="Server timezone"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                            Timezone of the DATETIME values in this server's tables. Imports and exports convert from and to it.
+                        </p>
+                    </div>
+
                     {/* Set as Default */}
                     <div className="flex items-center gap-2">
                         <input
@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { FileText } from 'lucide-react';
+
+export const DEFAULT_CSV_OPTIONS = { encoding: '', delimiter: '', quote: '', escape: '', lineEnding: '' };
+
+// Only send options the user actually set; the rest is detected by the server
+export const toCsvParams = (options) => {
+    const params = {};
+    Object.entries(options).forEach(([key, value]) => {
+        if (value) params[key] = value;
+    });
+    return params;
+};
+
+const ENCODINGS = [
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'utf-16le', label: 'UTF-16 LE' },
+    { value: 'utf-16be', label: 'UTF-16 BE' },
+    { value: 'windows-1252', label: 'Windows-1252' }
+];
+
+const DELIMITERS = [
+    { value: ',', label: 'Comma ( , )' },
+    { value: ';', label: 'Semicolon ( ; )' },
+    { value: '\t', label: 'Tab' },
+    { value: '|', label: 'Pipe ( | )' }
+];
+
+const QUOTES = [
+    { value: '"', label: 'Double quote ( " )' },
+    { value: "'", label: "Single quote ( ' )" }
+];
+
+const ESCAPES = [
+    { value: '"', label: 'Doubled quote ( "" )' },
+    { value: "'", label: "Doubled quote ( '' )" },
+    { value: '\\', label: 'Backslash ( \\ )' }
+];
+
+const LINE_ENDINGS = [
+    { value: 'lf', label: 'LF (Unix)' },
+    { value: 'crlf', label: 'CRLF (Windows)' },
+    { value: 'cr', label: 'CR (old Mac)' }
+];
+
+const CUSTOM = 'custom';
+
+const labelOf = (choices, value) => (choices.find(c => c.value === value) || { label: value }).label;
+
+// Encoding, delimiter, quote, escape and line ending of a CSV file: detected by the server, overridable here
+const CsvOptions = ({ dialect, value, onChange, disabled = false }) => {
+    const [customFields, setCustomFields] = useState([]);
+
+    if (!dialect) return null;
+    const detected = dialect.detected || dialect;
+
+    const update = (changes) => onChange({ ...value, ...changes });
+
+    const renderSelect = (field, label, choices, allowCustom = false) => {
+        const current = value[field];
+        const isCustom = allowCustom && (customFields.includes(field) || (current && !choices.some(c => c.value === current)));
+
+        const handleSelect = (selected) => {
+            if (selected === CUSTOM) {
+                setCustomFields(prev => [...prev, field]);
+                update({ [field]: '' });
+                return;
+            }
+            setCustomFields(prev => prev.filter(f => f !== field));
+            update({ [field]: selected });
+        };
+
+        return (
+            <div>
+                <label className="block text-xs text-gray-500 mb-1">{label}</label>
+                <div className="flex gap-2">
+                    <select
+                        value={isCustom ? CUSTOM : current}
+                        onChange={(e) => handleSelect(e.target.value)}
+                        className="select-dark w-full text-sm"
+                        disabled={disabled}
+                    >
+                        <option value="">Auto (detected: {labelOf(choices, detected[field])})</option>
+                        {choices.map(c => (
+                            <option key={c.value} value={c.value}>{c.label}</option>
+                        ))}
+                        {allowCustom && <option value={CUSTOM}>Custom...</option>}
+                    </select>
+                    {isCustom && (
+                        <input
+                            type="text"
+                            maxLength={1}
+                            value={current}
+                            onChange={(e) => update({ [field]: e.target.value })}
+                            className="input-dark w-14 text-sm text-center font-mono"
+                            placeholder="?"
+                            disabled={disabled}
+                        />
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="space-y-3 pt-4 border-t border-gray-800">
+            <h3 className="text-sm font-medium text-gray-300 flex items-center gap-2">
+                <FileText className="w-4 h-4 text-brand-400" />
+                CSV Format
+            </h3>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-3">
+                {renderSelect('encoding', 'Encoding', ENCODINGS)}
+                {renderSelect('delimiter', 'Delimiter', DELIMITERS, true)}
+                {renderSelect('quote', 'Quote', QUOTES, true)}
+                {renderSelect('escape', 'Escape', ESCAPES, true)}
+                {renderSelect('lineEnding', 'Line ending', LINE_ENDINGS)}
+            </div>
+
+            {dialect.bom && !value.encoding && (
+                <p className="text-xs text-gray-500">Encoding taken from the file's byte order mark (BOM).</p>
+            )}
+        </div>
+    );
+};
+
+export default CsvOptions;
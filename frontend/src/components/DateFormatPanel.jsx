@@ -0,0 +1,136 @@
+import { Loader2, CalendarClock, RefreshCw, AlertTriangle, CheckCircle } from 'lucide-react';
+import TimezoneSelect from './TimezoneSelect';
+
+// Suggestions for the format input; any pattern of these tokens works
+// (yyyy yy MMMM MMM MM M dd d HH H mm m ss s, 'quoted' text is literal)
+const COMMON_FORMATS = [
+    'dd/MM/yyyy',
+    'dd/MM/yyyy HH:mm',
+    'dd/MM/yyyy HH:mm:ss',
+    'MM/dd/yyyy',
+    'yyyy-MM-dd',
+    'yyyy-MM-dd HH:mm:ss',
+    'dd-MM-yyyy',
+    'dd.MM.yyyy',
+    'dd MMMM yyyy',
+    'dd-MMM-yy',
+    'yyyyMMdd'
+];
+
+// Per-column date formats for the Phase 2 upload step, prefilled by detection over the whole file
+const DateFormatPanel = ({
+    detection,
+    formats,
+    onChange,
+    onDetect,
+    timezone,
+    onTimezoneChange,
+    connectionTimezone,
+    detecting = false,
+    disabled = false
+}) => {
+    if (detecting) {
+        return (
+            <div className="flex items-center gap-2 text-sm text-gray-400 py-4">
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Mendeteksi format tanggal...
+            </div>
+        );
+    }
+
+    const columns = Object.entries(detection || {});
+    if (columns.length === 0) return null;
+    // Only times are converted between timezones, DATE columns stay as they are
+    const hasTimes = columns.some(([, result]) => /^(datetime|timestamp)/i.test(result.type));
+
+    return (
+        <div className="space-y-4 pt-4 border-t border-gray-800">
+            <div className="flex items-center justify-between">
+                <h3 className="text-sm font-medium text-gray-300 flex items-center gap-2">
+                    <CalendarClock className="w-4 h-4 text-brand-400" />
+                    Date Formats
+                </h3>
+                {onDetect && (
+                    <button
+                        onClick={onDetect}
+                        disabled={disabled}
+                        className="btn-ghost p-1"
+                        title="Deteksi ulang dari isi file"
+                    >
+                        <RefreshCw className="w-4 h-4" />
+                    </button>
+                )}
+            </div>
+
+            <div className="rounded-lg border border-gray-800 divide-y divide-gray-800">
+                {columns.map(([column, result]) => {
+                    const format = formats[column] || '';
+                    return (
+                        <div key={column} className="px-3 py-2 grid grid-cols-1 md:grid-cols-3 gap-2 items-center">
+                            <div>
+                                <p className="text-white font-mono text-xs">{column}</p>
+                                <p className="text-[10px] text-gray-500">{result.header} • {result.type}</p>
+                            </div>
+                            <div>
+                                <input
+                                    type="text"
+                                    list="date-format-options"
+                                    value={format}
+                                    onChange={(e) => onChange({ ...formats, [column]: e.target.value })}
+                                    placeholder="Otomatis per nilai"
+                                    className="input-dark w-full py-1 text-xs font-mono"
+                                    disabled={disabled}
+                                />
+                            </div>
+                            <div className="text-xs">
+                                {result.total === 0 ? (
+                                    <span className="text-gray-500">Tidak ada nilai teks (tanggal Excel dibaca langsung)</span>
+                                ) : !result.format ? (
+                                    <span className="text-red-400 flex items-center gap-1">
+                                        <AlertTriangle className="w-3 h-3" />
+                                        Format tidak dikenali, contoh: {result.unmatched.join(', ')}
+                                    </span>
+                                ) : result.ambiguous ? (
+                                    <span className="text-yellow-400 flex items-start gap-1">
+                                        <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                                        Ambigu: {result.format} atau {result.alternatives.join(', ')}. Pastikan format benar.
+                                    </span>
+                                ) : (
+                                    <span className={`flex items-center gap-1 ${result.matched === result.total ? 'text-green-400' : 'text-yellow-400'}`}>
+                                        <CheckCircle className="w-3 h-3" />
+                                        {result.format}: {result.matched.toLocaleString()} dari {result.total.toLocaleString()} nilai cocok
+                                    </span>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {hasTimes && onTimezoneChange && (
+                <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Zona waktu file</label>
+                    <TimezoneSelect
+                        value={timezone}
+                        onChange={(e) => onTimezoneChange(e.target.value)}
+                        emptyLabel={`Sama dengan koneksi (${connectionTimezone || 'zona waktu server'})`}
+                        disabled={disabled}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                        Jam di file diubah ke zona waktu koneksi. Nilai dengan offset sendiri (Z, +07:00) memakai offset itu.
+                    </p>
+                </div>
+            )}
+
+            <datalist id="date-format-options">
+                {COMMON_FORMATS.map(format => <option key={format} value={format} />)}
+            </datalist>
+
+            <p className="text-xs text-gray-500">
+                Kosongkan untuk menebak format tiap nilai. Dengan format, nilai yang tidak cocok ditolak.
+            </p>
+        </div>
+    );
+};
+
+export default DateFormatPanel;
@@ -0,0 +1,43 @@
+import { Copy } from 'lucide-react';
+
+const POLICY_LABELS = {
+    report: 'semua baris diimport',
+    keep_first: 'baris pertama disimpan',
+    keep_last: 'baris terakhir disimpan',
+    reject_all: 'semua baris ditolak'
+};
+
+// Keys that occur more than once inside the uploaded file (status.fileDuplicates from the upload progress)
+const FileDuplicatesSummary = ({ summary, dryRun }) => {
+    if (!summary) return null;
+
+    const { policy, duplicateKeys = 0, duplicateRows = 0, removedRows = 0, examples = [] } = summary;
+
+    return (
+        <div className="p-3 bg-yellow-950/30 border border-yellow-500/30 rounded-lg space-y-2">
+            <p className="text-sm font-medium text-yellow-400 flex items-center gap-2">
+                <Copy className="w-4 h-4" />
+                Duplikat di dalam file: {duplicateKeys.toLocaleString()} key di {duplicateRows.toLocaleString()} baris
+            </p>
+            <p className="text-xs text-gray-400">
+                Kebijakan: {POLICY_LABELS[policy] || policy}
+                {!dryRun && policy !== 'report' && ` • ${removedRows.toLocaleString()} baris tidak diimport`}
+            </p>
+            {examples.length > 0 && (
+                <div className="space-y-1 max-h-32 overflow-y-auto">
+                    {examples.map((example, i) => (
+                        <p key={i} className="text-xs text-yellow-300 font-mono">
+                            {Object.entries(example.key).map(([field, value]) => `${field}=${value}`).join(', ')}
+                            <span className="text-gray-500"> • {example.count}× (baris {example.firstRow} … {example.lastRow})</span>
+                        </p>
+                    ))}
+                    {duplicateKeys > examples.length && (
+                        <p className="text-xs text-gray-500">…dan {(duplicateKeys - examples.length).toLocaleString()} key lainnya</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FileDuplicatesSummary;
@@ -0,0 +1,38 @@
+import { CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+
+export const formatDuration = (ms) => {
+    if (!ms) return '0s';
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+// Result of one import_history entry
+const ImportStatusBadge = ({ item }) => {
+    if (item.status === 'error') {
+        return (
+            <span className="inline-flex items-center gap-1 px-2 py-1 rounded text-xs font-medium bg-red-500/20 text-red-400" title={item.errorMessage || ''}>
+                <XCircle className="w-3 h-3" />
+                Failed
+            </span>
+        );
+    }
+    if (item.errorCount > 0 || item.rejectedRows > 0) {
+        return (
+            <span className="inline-flex items-center gap-1 px-2 py-1 rounded text-xs font-medium bg-yellow-500/20 text-yellow-400">
+                <AlertTriangle className="w-3 h-3" />
+                With errors
+            </span>
+        );
+    }
+    return (
+        <span className="inline-flex items-center gap-1 px-2 py-1 rounded text-xs font-medium bg-green-500/20 text-green-400">
+            <CheckCircle className="w-3 h-3" />
+            Completed
+        </span>
+    );
+};
+
+export default ImportStatusBadge;
@@ -14,7 +14,9 @@ import {
     Menu,
     X,
     Server,
-    FileSpreadsheet
+    FileSpreadsheet,
+    History,
+    FolderInput
 } from 'lucide-react';
 
 const navItems = [
@@ -23,12 +25,14 @@ const navItems = [
     { path: '/designer', icon: Table2, label: 'Schema Designer' },
     { path: '/explorer', icon: Database, label: 'Data Explorer' },
     { path: '/upload', icon: Upload, label: 'Upload Data' },
+    { path: '/history', icon: History, label: 'Import History' },
     { path: '/lookup', icon: FileSpreadsheet, label: 'Batch Lookup' },
     { path: '/servers', icon: Server, label: 'Database Servers' },
 ];
 
 const adminItems = [
     { path: '/users', icon: Users, label: 'User Management' },
+    { path: '/drop-folders', icon: FolderInput, label: 'Drop Folders' },
 ];
 
 const Sidebar = () => {
@@ -0,0 +1,95 @@
+import MirrorSummary from './MirrorSummary';
+
+// Options of a mirror import and its mandatory preview: the dry run reports how many
+// table rows are not in the file, and the import only starts once that is confirmed.
+const MirrorOptions = ({ value, onChange, columns, checkFields, preview, confirmed, onConfirmChange, disabled = false }) => {
+    const set = (patch) => onChange({ ...value, ...patch });
+    const overCap = preview && preview.percent > Number(value.maxDeletePercent);
+
+    return (
+        <div className="space-y-3 p-3 bg-gray-800/30 border border-gray-700 rounded-lg">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div>
+                    <label className="block text-xs font-medium text-gray-400 mb-1">Baris yang tidak ada di file</label>
+                    <select
+                        value={value.action}
+                        onChange={(e) => set({ action: e.target.value })}
+                        className="select-dark w-full"
+                        disabled={disabled}
+                    >
+                        <option value="delete">Hapus</option>
+                        <option value="flag">Tandai (soft delete)</option>
+                    </select>
+                </div>
+                {value.action === 'flag' && (
+                    <div>
+                        <label className="block text-xs font-medium text-gray-400 mb-1">Kolom penanda</label>
+                        <div className="flex gap-2">
+                            <select
+                                value={value.flagColumn}
+                                onChange={(e) => set({ flagColumn: e.target.value })}
+                                className="select-dark flex-1"
+                                disabled={disabled}
+                            >
+                                <option value="">Pilih kolom</option>
+                                {columns.filter(col => !checkFields.includes(col.name)).map(col => (
+                                    <option key={col.name} value={col.name}>{col.name} ({col.type})</option>
+                                ))}
+                            </select>
+                            <input
+                                type="text"
+                                value={value.flagValue}
+                                onChange={(e) => set({ flagValue: e.target.value })}
+                                placeholder="nilai, mis. 0"
+                                className="input-dark w-24"
+                                disabled={disabled}
+                            />
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">Kosongkan nilai untuk kolom tanggal: diisi waktu sekarang.</p>
+                    </div>
+                )}
+                <div>
+                    <label className="block text-xs font-medium text-gray-400 mb-1">Batas aman (%)</label>
+                    <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={value.maxDeletePercent}
+                        onChange={(e) => set({ maxDeletePercent: e.target.value })}
+                        className="input-dark w-full"
+                        disabled={disabled}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Import dibatalkan jika lebih dari ini yang akan dihapus/ditandai.</p>
+                </div>
+            </div>
+
+            {checkFields.length === 0 && (
+                <p className="text-xs text-yellow-400">Pilih Check Fields: baris tabel dicocokkan dengan file lewat kolom ini.</p>
+            )}
+
+            {preview ? (
+                <>
+                    <MirrorSummary summary={{ ...preview, maxDeletePercent: value.maxDeletePercent, exceedsCap: overCap }} dryRun />
+                    {!overCap && (
+                        <label className="flex items-start gap-2 text-sm text-gray-400 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={confirmed}
+                                onChange={(e) => onConfirmChange(e.target.checked)}
+                                disabled={disabled}
+                                className="rounded border-gray-700 bg-gray-800 mt-0.5"
+                            />
+                            <span>Saya sudah memeriksa preview ini, lanjutkan import mirror</span>
+                        </label>
+                    )}
+                </>
+            ) : (
+                <p className="text-xs text-gray-500">
+                    Jalankan Validasi (Dry Run) dulu untuk melihat berapa baris yang akan dihapus/ditandai. Proses ke Database aktif setelah preview dikonfirmasi.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default MirrorOptions;
@@ -0,0 +1,43 @@
+import { RefreshCw } from 'lucide-react';
+
+// Table rows whose key is not in the file (status.mirror from the upload progress).
+// A dry run shows what the mirror would remove, a real run what it removed.
+const MirrorSummary = ({ summary, dryRun }) => {
+    if (!summary) return null;
+
+    const { action, flagColumn, tableRows = 0, fileKeys = 0, missingRows = 0, percent = 0, maxDeletePercent, exceedsCap, removedRows, examples = [] } = summary;
+    const verb = action === 'flag' ? `ditandai di kolom ${flagColumn}` : 'dihapus';
+
+    return (
+        <div className={`p-3 rounded-lg space-y-2 border ${exceedsCap ? 'bg-red-950/30 border-red-500/30' : 'bg-gray-800/50 border-gray-700'}`}>
+            <p className="text-sm font-medium text-gray-300 flex items-center gap-2">
+                <RefreshCw className="w-4 h-4 text-brand-400" />
+                {dryRun || removedRows === undefined
+                    ? `Mirror: ${missingRows.toLocaleString()} dari ${tableRows.toLocaleString()} baris tabel tidak ada di file dan akan ${verb} (${percent}%)`
+                    : `Mirror: ${removedRows.toLocaleString()} baris yang tidak ada di file ${verb}`}
+            </p>
+            <p className="text-xs text-gray-400">
+                {fileKeys.toLocaleString()} key unik di file • batas aman {maxDeletePercent}% dari isi tabel
+            </p>
+            {exceedsCap && (
+                <p className="text-xs text-red-400">
+                    Melebihi batas aman: import tidak akan dijalankan. Periksa file, atau naikkan batas jika memang disengaja.
+                </p>
+            )}
+            {examples.length > 0 && (
+                <div className="space-y-1 max-h-32 overflow-y-auto">
+                    {examples.map((example, i) => (
+                        <p key={i} className="text-xs text-gray-300 font-mono">
+                            {Object.entries(example).map(([field, value]) => `${field}=${value}`).join(', ')}
+                        </p>
+                    ))}
+                    {missingRows > examples.length && (
+                        <p className="text-xs text-gray-500">…dan {(missingRows - examples.length).toLocaleString()} baris lainnya</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MirrorSummary;
@@ -0,0 +1,38 @@
+import { Hash } from 'lucide-react';
+
+const LOCALE_LABELS = {
+    auto: 'otomatis',
+    id: 'Indonesia (1.234,5)',
+    en: 'Inggris (1,234.5)'
+};
+
+// Numeric values the upload's number locale could not read (status.numberErrors from the upload progress)
+const NumberErrorsSummary = ({ summary }) => {
+    if (!summary) return null;
+
+    const { locale, rows = 0, columns = {}, examples = [] } = summary;
+
+    return (
+        <div className="p-3 bg-yellow-950/30 border border-yellow-500/30 rounded-lg space-y-2">
+            <p className="text-sm font-medium text-yellow-400 flex items-center gap-2">
+                <Hash className="w-4 h-4" />
+                Angka tidak terbaca: {rows.toLocaleString()} baris tidak diimport
+            </p>
+            <p className="text-xs text-gray-400">
+                Format angka: {LOCALE_LABELS[locale] || locale} • {Object.entries(columns).map(([column, count]) => `${column} (${count.toLocaleString()})`).join(', ')}
+            </p>
+            {examples.length > 0 && (
+                <div className="space-y-1 max-h-32 overflow-y-auto">
+                    {examples.map((example, i) => (
+                        <p key={i} className="text-xs text-yellow-300 font-mono">
+                            Baris {example.row} • {example.column} = "{example.value}"
+                            <span className="text-gray-500"> • {example.error}</span>
+                        </p>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NumberErrorsSummary;
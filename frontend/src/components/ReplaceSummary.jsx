@@ -0,0 +1,16 @@
+import { ArchiveRestore } from 'lucide-react';
+
+// Result of a replace import: the staging table swapped in and the backup of the old contents
+const ReplaceSummary = ({ replace }) => (
+    <div className="p-3 bg-gray-800/50 border border-gray-700 rounded-lg space-y-1">
+        <p className="text-sm text-gray-300 flex items-center gap-2">
+            <ArchiveRestore className="w-4 h-4 text-brand-400" />
+            Tabel diganti: {replace.previousRows.toLocaleString()} baris lama → {replace.newRows.toLocaleString()} baris baru
+        </p>
+        <p className="text-xs text-gray-500">
+            Isi lama disimpan di tabel <span className="font-mono text-gray-400">{replace.backupTable}</span> sampai {new Date(replace.expiresAt).toLocaleString('id-ID')}, setelah itu dihapus otomatis.
+        </p>
+    </div>
+);
+
+export default ReplaceSummary;
@@ -0,0 +1,103 @@
+import { Layers } from 'lucide-react';
+
+export const DEFAULT_SHEET_OPTIONS = { sheet: '', headerRow: '', skipFooterRows: 0 };
+
+// Only send options the user actually set
+export const toSheetParams = (options) => {
+    const params = {};
+    if (options.sheet) params.sheet = options.sheet;
+    if (options.headerRow) params.headerRow = options.headerRow;
+    if (options.skipFooterRows > 0) params.skipFooterRows = options.skipFooterRows;
+    return params;
+};
+
+// Excel sheet, header row and trailing summary rows, with a preview of the selected sheet
+const SheetOptions = ({ sheets = [], value, onChange, disabled = false }) => {
+    if (sheets.length === 0) return null;
+
+    const current = sheets.find(s => s.name === value.sheet) || sheets[0];
+    const headerRow = parseInt(value.headerRow) || current.firstRow;
+
+    const update = (changes) => onChange({ ...value, ...changes });
+
+    return (
+        <div className="space-y-3 pt-4 border-t border-gray-800">
+            <h3 className="text-sm font-medium text-gray-300 flex items-center gap-2">
+                <Layers className="w-4 h-4 text-brand-400" />
+                Excel Sheet
+            </h3>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div>
+                    <label className="block text-xs text-gray-500 mb-1">Sheet</label>
+                    <select
+                        value={current.name}
+                        onChange={(e) => update({ sheet: e.target.value })}
+                        className="select-dark w-full text-sm"
+                        disabled={disabled}
+                    >
+                        {sheets.map(s => (
+                            <option key={s.name} value={s.name}>
+                                {s.name} ({s.totalRows.toLocaleString()} rows)
+                            </option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-xs text-gray-500 mb-1">Header row</label>
+                    <input
+                        type="number"
+                        min="1"
+                        value={value.headerRow}
+                        placeholder={String(current.firstRow)}
+                        onChange={(e) => update({ headerRow: e.target.value })}
+                        className="input-dark w-full text-sm"
+                        disabled={disabled}
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs text-gray-500 mb-1">Skip summary rows at end</label>
+                    <input
+                        type="number"
+                        min="0"
+                        value={value.skipFooterRows}
+                        onChange={(e) => update({ skipFooterRows: Math.max(0, parseInt(e.target.value) || 0) })}
+                        className="input-dark w-full text-sm"
+                        disabled={disabled}
+                    />
+                </div>
+            </div>
+
+            {current.previewRows.length > 0 && (
+                <div className="max-h-56 overflow-auto rounded-lg border border-gray-800">
+                    <table className="w-full text-xs">
+                        <tbody className="divide-y divide-gray-800">
+                            {current.previewRows.map((row, idx) => {
+                                const rowNumber = current.firstRow + idx;
+                                const isHeader = rowNumber === headerRow;
+                                const isAbove = rowNumber < headerRow;
+                                return (
+                                    <tr
+                                        key={rowNumber}
+                                        onClick={() => !disabled && update({ headerRow: String(rowNumber) })}
+                                        className={`cursor-pointer ${isHeader ? 'bg-brand-500/20 text-brand-300 font-medium' : isAbove ? 'text-gray-600' : 'text-gray-400 hover:bg-gray-800/50'}`}
+                                        title="Click to use as header row"
+                                    >
+                                        <td className="px-2 py-1 text-gray-600 text-right w-10">{rowNumber}</td>
+                                        {row.map((cell, c) => (
+                                            <td key={c} className="px-2 py-1 whitespace-nowrap truncate max-w-[140px]">
+                                                {cell ?? ''}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SheetOptions;
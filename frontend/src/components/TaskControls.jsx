@@ -0,0 +1,48 @@
+import { Pause, Square, Undo2 } from 'lucide-react';
+
+// Pause / cancel buttons of a queued or running import (an active task or its progress).
+// Atomic imports and dry runs have no checkpoint, so they can only be cancelled;
+// an atomic import always rolls back, others only when they keep an undo log.
+const TaskControls = ({ task, onPause, onCancel, disabled = false }) => {
+    const running = task.status === 'processing';
+    if (!running && task.status !== 'queued') return null;
+
+    const canPause = running && !task.atomic && !task.dryRun;
+    const canRollback = running && task.undoable && !task.atomic;
+
+    return (
+        <div className="flex items-center gap-2">
+            {canPause && (
+                <button
+                    onClick={onPause}
+                    disabled={disabled}
+                    className="btn-secondary flex items-center gap-1 text-sm py-1 px-3 disabled:opacity-50"
+                >
+                    <Pause className="w-4 h-4" />
+                    Jeda
+                </button>
+            )}
+            <button
+                onClick={() => onCancel(false)}
+                disabled={disabled}
+                className="btn-secondary flex items-center gap-1 text-sm py-1 px-3 text-red-400 disabled:opacity-50"
+            >
+                <Square className="w-4 h-4" />
+                Batalkan
+            </button>
+            {canRollback && (
+                <button
+                    onClick={() => onCancel(true)}
+                    disabled={disabled}
+                    className="btn-secondary flex items-center gap-1 text-sm py-1 px-3 text-red-400 disabled:opacity-50"
+                    title="Batalkan dan hapus lagi baris yang sudah diimport"
+                >
+                    <Undo2 className="w-4 h-4" />
+                    Batalkan & Rollback
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default TaskControls;
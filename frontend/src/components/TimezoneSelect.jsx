@@ -0,0 +1,32 @@
+// Zones offered for connections, uploads and exports. The backend also takes
+// any IANA name or '+07:00' offset; a stored value outside this list is kept as an option.
+const TIMEZONES = [
+    { value: 'Asia/Jakarta', label: 'WIB (Asia/Jakarta, UTC+7)' },
+    { value: 'Asia/Makassar', label: 'WITA (Asia/Makassar, UTC+8)' },
+    { value: 'Asia/Jayapura', label: 'WIT (Asia/Jayapura, UTC+9)' },
+    { value: 'UTC', label: 'UTC' }
+];
+
+// Empty value means "use the default" (emptyLabel says which)
+const TimezoneSelect = ({ value, onChange, emptyLabel, className = 'select-dark w-full', disabled = false, name }) => {
+    const options = value && !TIMEZONES.some(tz => tz.value === value)
+        ? [...TIMEZONES, { value, label: value }]
+        : TIMEZONES;
+
+    return (
+        <select
+            name={name}
+            value={value || ''}
+            onChange={onChange}
+            className={className}
+            disabled={disabled}
+        >
+            <option value="">{emptyLabel}</option>
+            {options.map(tz => (
+                <option key={tz.value} value={tz.value}>{tz.label}</option>
+            ))}
+        </select>
+    );
+};
+
+export default TimezoneSelect;
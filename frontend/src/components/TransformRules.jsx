@@ -0,0 +1,413 @@
+import { useState } from 'react';
+import { Loader2, Wand2, Plus, Trash2, X, AlertTriangle, ArrowRight } from 'lucide-react';
+
+const STEP_TYPES = [
+    { value: 'trim', label: 'Hapus spasi di tepi' },
+    { value: 'upper', label: 'HURUF BESAR' },
+    { value: 'lower', label: 'huruf kecil' },
+    { value: 'replace', label: 'Ganti (regex)' },
+    { value: 'digits', label: 'Hanya angka' },
+    { value: 'msisdn', label: 'Nomor HP (62 / 0)' },
+    { value: 'map', label: 'Petakan nilai (Y=1, N=0)' },
+    { value: 'default', label: 'Nilai default jika kosong' },
+    { value: 'split', label: 'Pecah kolom' },
+    { value: 'concat', label: 'Gabung kolom' }
+];
+
+// A new step with the parameters its type needs
+const newStep = (type) => {
+    switch (type) {
+        case 'replace': return { type, pattern: '', replacement: '', flags: 'g' };
+        case 'msisdn': return { type, prefix: '62' };
+        case 'map': return { type, values: { Y: '1', N: '0' } };
+        case 'default': return { type, value: '' };
+        case 'split': return { type, column: '', separator: ' ', index: 0 };
+        case 'concat': return { type, columns: [], separator: ' ' };
+        default: return { type };
+    }
+};
+
+const formatMapValues = (values) => Object.entries(values || {}).map(([from, to]) => `${from}=${to}`).join(', ');
+
+const parseMapValues = (text) => {
+    const values = {};
+    text.split(',').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) values[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    });
+    return values;
+};
+
+// Kept as typed; the parsed pairs go up on every change
+const MapValuesInput = ({ values, onChange, disabled }) => {
+    const [text, setText] = useState(formatMapValues(values));
+    return (
+        <input
+            type="text"
+            value={text}
+            onChange={(e) => {
+                setText(e.target.value);
+                onChange(parseMapValues(e.target.value));
+            }}
+            placeholder="Y=1, N=0"
+            className="input-dark py-1 text-xs font-mono flex-1 min-w-[140px]"
+            disabled={disabled}
+        />
+    );
+};
+
+const displayValue = (value) => {
+    if (value === null || value === undefined) return <span className="text-gray-600 italic">null</span>;
+    if (value === '') return <span className="text-gray-600 italic">kosong</span>;
+    return String(value);
+};
+
+// Cleaning steps per table column for the Phase 2 upload step, with a preview of the first file rows
+const TransformRules = ({
+    mappingInfo,
+    mapping,
+    transforms,
+    onChange,
+    preview,
+    previewError,
+    previewing = false,
+    disabled = false
+}) => {
+    const [newColumn, setNewColumn] = useState('');
+
+    if (!mappingInfo) return null;
+
+    const { fileColumns = [], tableColumns = [] } = mappingInfo;
+    const headerOf = {};
+    Object.entries(mapping).forEach(([header, column]) => {
+        if (column) headerOf[column] = header;
+    });
+    const columns = Object.keys(transforms);
+
+    const setSteps = (column, steps) => onChange({ ...transforms, [column]: steps });
+
+    const updateStep = (column, index, changes) => {
+        setSteps(column, transforms[column].map((step, i) => (i === index ? { ...step, ...changes } : step)));
+    };
+
+    const removeStep = (column, index) => {
+        const steps = transforms[column].filter((_, i) => i !== index);
+        if (steps.length > 0) {
+            setSteps(column, steps);
+        } else {
+            removeColumn(column);
+        }
+    };
+
+    const removeColumn = (column) => {
+        const next = { ...transforms };
+        delete next[column];
+        onChange(next);
+    };
+
+    const addColumn = () => {
+        if (!newColumn || transforms[newColumn]) return;
+        onChange({ ...transforms, [newColumn]: [newStep('trim')] });
+        setNewColumn('');
+    };
+
+    const renderParams = (column, step, index) => {
+        const update = (changes) => updateStep(column, index, changes);
+        switch (step.type) {
+            case 'replace':
+                return (
+                    <>
+                        <input
+                            type="text"
+                            value={step.pattern}
+                            onChange={(e) => update({ pattern: e.target.value })}
+                            placeholder="Pola regex, mis. \s+"
+                            className="input-dark py-1 text-xs font-mono flex-1 min-w-[120px]"
+                            disabled={disabled}
+                        />
+                        <input
+                            type="text"
+                            value={step.replacement}
+                            onChange={(e) => update({ replacement: e.target.value })}
+                            placeholder="Pengganti"
+                            className="input-dark py-1 text-xs font-mono flex-1 min-w-[100px]"
+                            disabled={disabled}
+                        />
+                        <input
+                            type="text"
+                            value={step.flags}
+                            onChange={(e) => update({ flags: e.target.value })}
+                            title="Flag regex: g (semua), i (abaikan huruf besar/kecil)"
+                            className="input-dark py-1 text-xs font-mono w-14 text-center"
+                            disabled={disabled}
+                        />
+                    </>
+                );
+            case 'msisdn':
+                return (
+                    <select
+                        value={step.prefix}
+                        onChange={(e) => update({ prefix: e.target.value })}
+                        className="select-dark py-1 text-xs"
+                        disabled={disabled}
+                    >
+                        <option value="62">628123456789</option>
+                        <option value="0">08123456789</option>
+                    </select>
+                );
+            case 'map':
+                return (
+                    <>
+                        <MapValuesInput values={step.values} onChange={(values) => update({ values })} disabled={disabled} />
+                        <label className="flex items-center gap-1 text-xs text-gray-400 whitespace-nowrap">
+                            <input
+                                type="checkbox"
+                                checked={!!step.caseSensitive}
+                                onChange={(e) => update({ caseSensitive: e.target.checked })}
+                                className="rounded border-gray-700 bg-gray-800"
+                                disabled={disabled}
+                            />
+                            Beda huruf besar/kecil
+                        </label>
+                    </>
+                );
+            case 'default':
+                return (
+                    <input
+                        type="text"
+                        value={step.value}
+                        onChange={(e) => update({ value: e.target.value })}
+                        placeholder="Nilai default"
+                        className="input-dark py-1 text-xs font-mono flex-1 min-w-[120px]"
+                        disabled={disabled}
+                    />
+                );
+            case 'split':
+                return (
+                    <>
+                        <select
+                            value={step.column || ''}
+                            onChange={(e) => update({ column: e.target.value })}
+                            className="select-dark py-1 text-xs flex-1 min-w-[120px]"
+                            disabled={disabled}
+                        >
+                            <option value="">Nilai kolom ini</option>
+                            {fileColumns.map(header => <option key={header} value={header}>{header}</option>)}
+                        </select>
+                        <input
+                            type="text"
+                            value={step.separator}
+                            onChange={(e) => update({ separator: e.target.value })}
+                            title="Pemisah"
+                            className="input-dark py-1 text-xs font-mono w-14 text-center"
+                            disabled={disabled}
+                        />
+                        <input
+                            type="number"
+                            value={step.index}
+                            onChange={(e) => update({ index: parseInt(e.target.value) || 0 })}
+                            title="Bagian ke- (mulai 0, -1 = terakhir)"
+                            className="input-dark py-1 text-xs w-16"
+                            disabled={disabled}
+                        />
+                    </>
+                );
+            case 'concat':
+                return (
+                    <>
+                        <div className="flex flex-wrap items-center gap-1 flex-1 min-w-[160px]">
+                            {step.columns.map(header => (
+                                <span key={header} className="text-[10px] px-2 py-0.5 rounded bg-gray-800 text-gray-300 flex items-center gap-1">
+                                    {header}
+                                    <button
+                                        onClick={() => update({ columns: step.columns.filter(c => c !== header) })}
+                                        disabled={disabled}
+                                        className="text-gray-500 hover:text-red-400"
+                                    >
+                                        <X className="w-3 h-3" />
+                                    </button>
+                                </span>
+                            ))}
+                            <select
+                                value=""
+                                onChange={(e) => e.target.value && update({ columns: [...step.columns, e.target.value] })}
+                                className="select-dark py-1 text-xs"
+                                disabled={disabled}
+                            >
+                                <option value="">+ kolom file</option>
+                                {fileColumns.filter(h => !step.columns.includes(h)).map(header => (
+                                    <option key={header} value={header}>{header}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <input
+                            type="text"
+                            value={step.separator}
+                            onChange={(e) => update({ separator: e.target.value })}
+                            title="Pemisah"
+                            className="input-dark py-1 text-xs font-mono w-14 text-center"
+                            disabled={disabled}
+                        />
+                    </>
+                );
+            default:
+                return null;
+        }
+    };
+
+    return (
+        <div className="space-y-4 pt-4 border-t border-gray-800">
+            <h3 className="text-sm font-medium text-gray-300 flex items-center gap-2">
+                <Wand2 className="w-4 h-4 text-brand-400" />
+                Transformations
+            </h3>
+
+            {columns.length > 0 && (
+                <div className="rounded-lg border border-gray-800 divide-y divide-gray-800">
+                    {columns.map(column => (
+                        <div key={column} className="px-3 py-2 space-y-2">
+                            <div className="flex items-center justify-between">
+                                <div>
+                                    <p className="text-white font-mono text-xs">{column}</p>
+                                    <p className="text-[10px] text-gray-500">
+                                        {headerOf[column] ? `dari ${headerOf[column]}` : 'tidak dipetakan: diisi dari pecah/gabung kolom atau nilai default'}
+                                    </p>
+                                </div>
+                                <button
+                                    onClick={() => removeColumn(column)}
+                                    disabled={disabled}
+                                    className="btn-ghost p-1 text-gray-500 hover:text-red-400"
+                                    title="Hapus semua transformasi kolom ini"
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+
+                            {transforms[column].map((step, index) => (
+                                <div key={index} className="flex flex-wrap items-center gap-2">
+                                    <span className="text-[10px] text-gray-600 w-4">{index + 1}.</span>
+                                    <select
+                                        value={step.type}
+                                        onChange={(e) => updateStep(column, index, newStep(e.target.value))}
+                                        className="select-dark py-1 text-xs w-44"
+                                        disabled={disabled}
+                                    >
+                                        {STEP_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                                    </select>
+                                    {renderParams(column, step, index)}
+                                    <button
+                                        onClick={() => removeStep(column, index)}
+                                        disabled={disabled}
+                                        className="btn-ghost p-1 text-gray-500 hover:text-red-400"
+                                    >
+                                        <X className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            ))}
+
+                            <button
+                                onClick={() => setSteps(column, [...transforms[column], newStep('trim')])}
+                                disabled={disabled}
+                                className="text-xs text-brand-400 hover:text-brand-300 flex items-center gap-1"
+                            >
+                                <Plus className="w-3 h-3" />
+                                Tambah langkah
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="flex gap-2">
+                <select
+                    value={newColumn}
+                    onChange={(e) => setNewColumn(e.target.value)}
+                    className="select-dark text-sm flex-1"
+                    disabled={disabled}
+                >
+                    <option value="">-- Pilih kolom tabel --</option>
+                    {tableColumns.filter(col => !transforms[col.name]).map(col => (
+                        <option key={col.name} value={col.name}>
+                            {col.name} ({col.type}){headerOf[col.name] ? ` ← ${headerOf[col.name]}` : ''}
+                        </option>
+                    ))}
+                </select>
+                <button
+                    onClick={addColumn}
+                    disabled={disabled || !newColumn}
+                    className="btn-secondary flex items-center gap-2 text-sm disabled:opacity-50"
+                >
+                    <Plus className="w-4 h-4" />
+                    Tambah
+                </button>
+            </div>
+
+            {columns.length > 0 && (
+                previewing ? (
+                    <div className="flex items-center gap-2 text-sm text-gray-400">
+                        <Loader2 className="w-4 h-4 animate-spin" />
+                        Membuat pratinjau...
+                    </div>
+                ) : previewError ? (
+                    <p className="text-xs text-red-400 flex items-start gap-1">
+                        <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                        {previewError}
+                    </p>
+                ) : preview && (
+                    <div className="space-y-2">
+                        {preview.unusedColumns?.length > 0 && (
+                            <p className="text-xs text-yellow-400 flex items-start gap-1">
+                                <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                                Tidak dipakai (kolom tidak dipetakan dan tidak ada langkah yang mengisinya): {preview.unusedColumns.join(', ')}
+                            </p>
+                        )}
+                        {preview.columns.length > 0 && (
+                            <div className="max-h-80 overflow-auto rounded-lg border border-gray-800">
+                                <table className="w-full text-xs">
+                                    <thead className="bg-gray-800/50 text-gray-400 sticky top-0">
+                                        <tr>
+                                            <th className="text-left px-3 py-2 font-medium">#</th>
+                                            {preview.columns.map(c => (
+                                                <th key={c.column} className="text-left px-3 py-2 font-medium font-mono whitespace-nowrap">{c.column}</th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-800">
+                                        {preview.rows.map((row, i) => (
+                                            <tr key={i}>
+                                                <td className="px-3 py-1.5 text-gray-600">{i + 1}</td>
+                                                {preview.columns.map(c => {
+                                                    const { before, after } = row[c.column];
+                                                    const changed = String(before ?? '') !== String(after ?? '') || (before === null) !== (after === null);
+                                                    return (
+                                                        <td key={c.column} className="px-3 py-1.5 font-mono whitespace-nowrap">
+                                                            {changed ? (
+                                                                <span className="flex items-center gap-1">
+                                                                    {!c.computed && <span className="text-gray-500 line-through">{displayValue(before)}</span>}
+                                                                    {!c.computed && <ArrowRight className="w-3 h-3 text-gray-600" />}
+                                                                    <span className="text-green-400">{displayValue(after)}</span>
+                                                                </span>
+                                                            ) : (
+                                                                <span className="text-gray-400">{displayValue(after)}</span>
+                                                            )}
+                                                        </td>
+                                                    );
+                                                })}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                )
+            )}
+
+            <p className="text-xs text-gray-500">
+                Langkah dijalankan berurutan sebelum format tanggal dan angka. Pratinjau memakai 20 baris pertama file.
+            </p>
+        </div>
+    );
+};
+
+export default TransformRules;
@@ -0,0 +1,105 @@
+import { CheckCircle, XCircle, AlertTriangle, Download } from 'lucide-react';
+
+// Result of a dry-run validation (status.validation from the upload progress)
+const ValidationSummary = ({ validation, reportFile, onDownload }) => {
+    if (!validation) return null;
+
+    const {
+        validRows = 0,
+        invalidRows = 0,
+        errorCount = 0,
+        errorsByColumn = {},
+        missingRequiredColumns = [],
+        sampleErrors = [],
+        truncated = false
+    } = validation;
+
+    const columnStats = Object.entries(errorsByColumn).sort((a, b) => b[1] - a[1]);
+
+    return (
+        <div className="space-y-4 pt-4 border-t border-gray-800">
+            <div className="grid grid-cols-3 gap-4">
+                <div className="text-center">
+                    <p className="text-2xl font-bold text-green-400">{validRows.toLocaleString()}</p>
+                    <p className="text-sm text-gray-500 flex items-center justify-center gap-1">
+                        <CheckCircle className="w-3 h-3" /> Valid
+                    </p>
+                </div>
+                <div className="text-center">
+                    <p className="text-2xl font-bold text-red-400">{invalidRows.toLocaleString()}</p>
+                    <p className="text-sm text-gray-500 flex items-center justify-center gap-1">
+                        <XCircle className="w-3 h-3" /> Invalid
+                    </p>
+                </div>
+                <div className="text-center">
+                    <p className="text-2xl font-bold text-yellow-400">{errorCount.toLocaleString()}</p>
+                    <p className="text-sm text-gray-500">Error nilai</p>
+                </div>
+            </div>
+
+            {missingRequiredColumns.length > 0 && (
+                <div className="p-3 bg-red-950/30 border border-red-500/30 rounded-lg">
+                    <p className="text-sm font-medium text-red-400 mb-1 flex items-center gap-2">
+                        <AlertTriangle className="w-4 h-4" />
+                        Kolom wajib (NOT NULL) tidak ada di file:
+                    </p>
+                    <p className="text-xs text-red-300 font-mono">{missingRequiredColumns.join(', ')}</p>
+                </div>
+            )}
+
+            {columnStats.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {columnStats.map(([column, count]) => (
+                        <span key={column} className="text-xs px-2 py-1 rounded bg-red-500/10 text-red-300 font-mono">
+                            {column}: {count.toLocaleString()}
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {sampleErrors.length > 0 && (
+                <div className="max-h-64 overflow-y-auto rounded-lg border border-gray-800">
+                    <table className="w-full text-xs">
+                        <thead className="bg-gray-800/50 text-gray-400 sticky top-0">
+                            <tr>
+                                <th className="text-left px-3 py-2 font-medium">Baris</th>
+                                <th className="text-left px-3 py-2 font-medium">Kolom</th>
+                                <th className="text-left px-3 py-2 font-medium">Nilai</th>
+                                <th className="text-left px-3 py-2 font-medium">Alasan</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-800">
+                            {sampleErrors.map((err, i) => (
+                                <tr key={i}>
+                                    <td className="px-3 py-2 text-gray-400">{err.Row}</td>
+                                    <td className="px-3 py-2 text-white font-mono">{err.Column}</td>
+                                    <td className="px-3 py-2 text-gray-400 truncate max-w-[140px]">{err.Value}</td>
+                                    <td className="px-3 py-2 text-red-300">{err.Reason}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {errorCount > sampleErrors.length && (
+                <p className="text-xs text-gray-500">
+                    Menampilkan {sampleErrors.length} dari {errorCount.toLocaleString()} error.
+                    {truncated && ' Laporan dibatasi 100.000 baris pertama.'}
+                </p>
+            )}
+
+            {reportFile && (
+                <button
+                    onClick={onDownload}
+                    className="btn-secondary flex items-center gap-2 w-full justify-center"
+                >
+                    <Download className="w-4 h-4" />
+                    Download Laporan Error
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default ValidationSummary;
@@ -0,0 +1,31 @@
+import { Gauge } from 'lucide-react';
+import { formatDuration } from './ImportStatusBadge';
+
+const METHOD_LABELS = {
+    load_data: 'LOAD DATA LOCAL INFILE',
+    insert: 'INSERT per batch'
+};
+
+// How fast rows were written to the table (status.writeStats from the upload progress)
+const WriteStatsSummary = ({ stats }) => {
+    if (!stats || !stats.rows) return null;
+
+    return (
+        <div className="p-3 bg-gray-800/50 border border-gray-700 rounded-lg space-y-1">
+            <p className="text-sm text-gray-300 flex items-center gap-2">
+                <Gauge className="w-4 h-4 text-brand-400" />
+                {METHOD_LABELS[stats.method] || stats.method}: {stats.rows.toLocaleString()} baris dalam {stats.ms < 1000 ? `${stats.ms} ms` : formatDuration(stats.ms)}
+                {stats.rowsPerSecond > 0 && (
+                    <span className="text-gray-500">({stats.rowsPerSecond.toLocaleString()} baris/detik)</span>
+                )}
+            </p>
+            {stats.fallback && (
+                <p className="text-xs text-yellow-400">
+                    Server tidak mengizinkan LOAD DATA LOCAL INFILE, baris ditulis dengan INSERT: {stats.fallback}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default WriteStatsSummary;
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { useToast } from '../hooks/useToast';
 import { useConnection } from '../contexts/ConnectionContext';
 import ConnectionSelector from '../components/ConnectionSelector';
+import SheetOptions, { DEFAULT_SHEET_OPTIONS, toSheetParams } from '../components/SheetOptions';
+import CsvOptions, { DEFAULT_CSV_OPTIONS, toCsvParams } from '../components/CsvOptions';
 import { databaseAPI, schemaAPI, lookupAPI } from '../services/api';
 import {
     FileSpreadsheet,
@@ -15,7 +17,8 @@ import {
     Eye,
     Code,
     Settings2,
-    Info
+    Info,
+    RefreshCw
 } from 'lucide-react';
 
 const BatchLookup = () => {
@@ -32,6 +35,10 @@ const BatchLookup = () => {
     const [file, setFile] = useState(null);
     const [analyzing, setAnalyzing] = useState(false);
     const [excelColumns, setExcelColumns] = useState([]);
+    const [sheets, setSheets] = useState([]);
+    const [sheetOptions, setSheetOptions] = useState(DEFAULT_SHEET_OPTIONS);
+    const [csvDialect, setCsvDialect] = useState(null);
+    const [csvOptions, setCsvOptions] = useState(DEFAULT_CSV_OPTIONS);
 
     // Config: Simple
     const [databases, setDatabases] = useState([]);
@@ -102,15 +109,28 @@ const BatchLookup = () => {
         if (!uploadedFile) return;
 
         setFile(uploadedFile);
+        setSheetOptions(DEFAULT_SHEET_OPTIONS);
+        setCsvOptions(DEFAULT_CSV_OPTIONS);
+        const ok = await analyzeFile(uploadedFile, DEFAULT_SHEET_OPTIONS, DEFAULT_CSV_OPTIONS);
+        if (ok) {
+            setStep(2);
+        } else {
+            setFile(null);
+        }
+    };
+
+    const analyzeFile = async (targetFile, options, csv) => {
         setAnalyzing(true);
         try {
-            const res = await schemaAPI.analyzeFile(uploadedFile);
+            const res = await schemaAPI.analyzeFile(targetFile, { ...toSheetParams(options), ...toCsvParams(csv) });
             setExcelColumns(res.data.columns.map(c => c.name));
-            setStep(2);
+            setSheets(res.data.sheets || []);
+            setCsvDialect(res.data.csvDialect || null);
             toast.success(`Analyzed ${res.data.totalRows} rows`);
+            return true;
         } catch (error) {
-            toast.error('Failed to analyze file');
-            setFile(null);
+            toast.error(error.response?.data?.error || 'Failed to analyze file');
+            return false;
         } finally {
             setAnalyzing(false);
         }
@@ -123,6 +143,7 @@ const BatchLookup = () => {
             formData.append('file', file);
             formData.append('connectionId', selectedConnection.id);
             formData.append('database', selectedDb);
+            Object.entries({ ...toSheetParams(sheetOptions), ...toCsvParams(csvOptions) }).forEach(([key, value]) => formData.append(key, value));
 
             let response;
             if (mode === 'simple') {
@@ -211,7 +232,7 @@ const BatchLookup = () => {
                 <div className="card p-8 border-dashed border-2 border-gray-700 hover:border-brand-500 transition-colors text-center">
                     <input
                         type="file"
-                        accept=".xlsx,.xls,.csv"
+                        accept=".xlsx,.xls,.ods,.csv,.tsv,.json,.ndjson,.jsonl,.gz,.zip"
                         onChange={handleFileUpload}
                         className="hidden"
                         id="file-upload"
@@ -226,8 +247,8 @@ const BatchLookup = () => {
                             )}
                         </div>
                         <div>
-                            <p className="text-lg font-medium text-white">Click to upload Excel file</p>
-                            <p className="text-sm text-gray-500 mt-1">Supports .xlsx, .xls, .csv</p>
+                            <p className="text-lg font-medium text-white">Click to upload a data file</p>
+                            <p className="text-sm text-gray-500 mt-1">Supports .xlsx, .xls, .ods, .csv, .tsv, .json, .ndjson, or a .gz / .zip of one</p>
                         </div>
                     </label>
                 </div>
@@ -270,6 +291,31 @@ const BatchLookup = () => {
                                 {file?.name}
                             </div>
 
+                            {(sheets.length > 0 || csvDialect) && (
+                                <div className="space-y-3">
+                                    <SheetOptions
+                                        sheets={sheets}
+                                        value={sheetOptions}
+                                        onChange={setSheetOptions}
+                                        disabled={analyzing || processing}
+                                    />
+                                    <CsvOptions
+                                        dialect={csvDialect}
+                                        value={csvOptions}
+                                        onChange={setCsvOptions}
+                                        disabled={analyzing || processing}
+                                    />
+                                    <button
+                                        onClick={() => analyzeFile(file, sheetOptions, csvOptions)}
+                                        disabled={analyzing || processing}
+                                        className="btn-secondary text-sm flex items-center gap-2 disabled:opacity-50"
+                                    >
+                                        {analyzing ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+                                        Re-analyze
+                                    </button>
+                                </div>
+                            )}
+
                             {mode === 'simple' && (
                                 <div>
                                     <label className="block text-sm font-medium text-gray-400 mb-2">Lookup Column (Excel)</label>
@@ -2,8 +2,9 @@ import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import { useConnection } from '../contexts/ConnectionContext';
-import { databaseAPI } from '../services/api';
+import { databaseAPI, historyAPI } from '../services/api';
 import ConnectionSelector from '../components/ConnectionSelector';
+import ImportStatusBadge, { formatDuration } from '../components/ImportStatusBadge';
 import {
     Database,
     Table2,
@@ -12,7 +13,8 @@ import {
     Server,
     Layers,
     TrendingUp,
-    Activity
+    Activity,
+    History
 } from 'lucide-react';
 
 const Dashboard = () => {
@@ -20,13 +22,32 @@ const Dashboard = () => {
     const { selectedConnection } = useConnection();
     const [dbStats, setDbStats] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [latestImports, setLatestImports] = useState([]);
 
     useEffect(() => {
         if (selectedConnection) {
             loadDashboardStats();
+            loadLatestImports();
         }
     }, [selectedConnection]);
 
+    const loadLatestImports = async () => {
+        try {
+            const res = await historyAPI.getLatest(selectedConnection.id, 10);
+            setLatestImports(res.data);
+        } catch (error) {
+            console.error('Failed to load latest imports:', error);
+        }
+    };
+
+    const formatRelative = (dateString) => {
+        const diffMins = Math.floor((new Date() - new Date(dateString)) / 60000);
+        if (diffMins < 1) return 'Just now';
+        if (diffMins < 60) return `${diffMins}m ago`;
+        if (diffMins < 1440) return `${Math.floor(diffMins / 60)}h ago`;
+        return `${Math.floor(diffMins / 1440)}d ago`;
+    };
+
     const loadDashboardStats = async () => {
         try {
             const res = await databaseAPI.getStats(selectedConnection.id);
@@ -215,6 +236,64 @@ const Dashboard = () => {
                 </div>
             </div>
 
+            {/* Last import per table */}
+            <div>
+                <h2 className="text-xl font-semibold text-white mb-4">Latest Imports</h2>
+                <div className="card overflow-hidden">
+                    {latestImports.length === 0 ? (
+                        <div className="p-8 text-center">
+                            <History className="w-10 h-10 text-gray-600 mx-auto mb-2" />
+                            <p className="text-gray-500 text-sm">No imports recorded for this connection yet</p>
+                        </div>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Table</th>
+                                        <th>Last Import</th>
+                                        <th>User</th>
+                                        <th>File</th>
+                                        <th className="text-right">Inserted</th>
+                                        <th className="text-right">Updated</th>
+                                        <th>Duration</th>
+                                        <th>Status</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {latestImports.map(item => (
+                                        <tr key={item.id}>
+                                            <td className="whitespace-nowrap">
+                                                <span className="text-gray-500">{item.database}.</span>
+                                                <span className="text-white">{item.table}</span>
+                                            </td>
+                                            <td className="whitespace-nowrap text-gray-400" title={new Date(item.completedAt).toLocaleString()}>
+                                                {formatRelative(item.completedAt)}
+                                            </td>
+                                            <td className="text-white">{item.username || '-'}</td>
+                                            <td className="text-gray-300 truncate max-w-[200px]" title={item.originalName}>{item.originalName}</td>
+                                            <td className="text-right text-green-400">{item.insertedRows.toLocaleString()}</td>
+                                            <td className="text-right text-blue-400">{item.updatedRows.toLocaleString()}</td>
+                                            <td className="whitespace-nowrap text-gray-400">{formatDuration(item.durationMs)}</td>
+                                            <td><ImportStatusBadge item={item} /></td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+
+                <div className="mt-4">
+                    <Link
+                        to="/history"
+                        className="text-brand-400 hover:text-brand-300 text-sm flex items-center gap-1"
+                    >
+                        View full import history <ArrowRight className="w-4 h-4" />
+                    </Link>
+                </div>
+            </div>
+
             {/* Quick Actions */}
             <div>
                 <h2 className="text-xl font-semibold text-white mb-4">Quick Actions</h2>
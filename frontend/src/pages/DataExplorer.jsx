@@ -5,6 +5,7 @@ import { useAuth } from '../hooks/useAuth';
 import { useConnection } from '../contexts/ConnectionContext';
 import { databaseAPI, dataAPI } from '../services/api';
 import ConnectionSelector from '../components/ConnectionSelector';
+import TimezoneSelect from '../components/TimezoneSelect';
 import {
     Database,
     Table2,
@@ -53,6 +54,8 @@ const DataExplorer = () => {
     const [dateTo, setDateTo] = useState('');
     const [sortBy, setSortBy] = useState('');
     const [sortOrder, setSortOrder] = useState('ASC');
+    // Timezone of the exported DATETIME values, empty = the connection's
+    const [exportTimezone, setExportTimezone] = useState('');
 
     // Debounced search state
     const [debouncedSearch, setDebouncedSearch] = useState('');
@@ -247,6 +250,7 @@ const DataExplorer = () => {
                 dateColumn: dateColumn || undefined,
                 dateFrom: dateFrom || undefined,
                 dateTo: dateTo || undefined,
+                timezone: exportTimezone || undefined,
                 connectionId: selectedConnection?.id
             });
             const url = window.URL.createObjectURL(new Blob([res.data]));
@@ -548,6 +552,12 @@ const DataExplorer = () => {
                             <button onClick={() => setShowColumnPicker(!showColumnPicker)} className="btn-ghost text-sm">
                                 <Filter className="w-4 h-4" />
                             </button>
+                            <TimezoneSelect
+                                value={exportTimezone}
+                                onChange={(e) => setExportTimezone(e.target.value)}
+                                emptyLabel={`Export in ${selectedConnection?.timezone || 'server timezone'}`}
+                                className="select-dark text-sm"
+                            />
                             <button onClick={handleExport} className="btn-secondary text-sm flex items-center gap-2">
                                 <Download className="w-4 h-4" />
                                 Export
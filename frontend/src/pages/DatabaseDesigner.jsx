@@ -3,6 +3,8 @@ import { useToast } from '../hooks/useToast';
 import { useConnection } from '../contexts/ConnectionContext';
 import { databaseAPI, schemaAPI } from '../services/api';
 import ConnectionSelector from '../components/ConnectionSelector';
+import SheetOptions, { DEFAULT_SHEET_OPTIONS, toSheetParams } from '../components/SheetOptions';
+import CsvOptions, { DEFAULT_CSV_OPTIONS, toCsvParams } from '../components/CsvOptions';
 import {
     Table2,
     Plus,
@@ -17,7 +19,8 @@ import {
     FileSpreadsheet,
     Key,
     Edit2,
-    Save
+    Save,
+    RefreshCw
 } from 'lucide-react';
 
 const DATA_TYPES = [
@@ -55,6 +58,11 @@ const DatabaseDesigner = () => {
 
     // File analysis state
     const [analyzing, setAnalyzing] = useState(false);
+    const [analyzedFile, setAnalyzedFile] = useState(null);
+    const [sheets, setSheets] = useState([]);
+    const [sheetOptions, setSheetOptions] = useState(DEFAULT_SHEET_OPTIONS);
+    const [csvDialect, setCsvDialect] = useState(null);
+    const [csvOptions, setCsvOptions] = useState(DEFAULT_CSV_OPTIONS);
 
     useEffect(() => {
         if (selectedConnection) {
@@ -111,18 +119,29 @@ const DatabaseDesigner = () => {
         const file = e.target.files?.[0];
         if (!file) return;
 
+        setAnalyzedFile(file);
+        setSheetOptions(DEFAULT_SHEET_OPTIONS);
+        setCsvOptions(DEFAULT_CSV_OPTIONS);
+        analyzeFile(file, DEFAULT_SHEET_OPTIONS, DEFAULT_CSV_OPTIONS);
+    };
+
+    const analyzeFile = async (file, options, csv) => {
         setAnalyzing(true);
         try {
-            const res = await schemaAPI.analyzeFile(file);
+            const res = await schemaAPI.analyzeFile(file, { ...toSheetParams(options), ...toCsvParams(csv) });
+            setSheets(res.data.sheets || []);
+            setCsvDialect(res.data.csvDialect || null);
             setColumns(res.data.columns.map((col, idx) => ({
                 ...col,
                 primaryKey: idx === 0,
                 autoIncrement: idx === 0 && col.type === 'INT'
             })));
-            setTableName(file.name.replace(/\.[^/.]+$/, '').replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase());
+            // fileName is the file inside a .gz / .zip
+            const sourceName = res.data.fileName || file.name;
+            setTableName(sourceName.replace(/\.[^/.]+$/, '').replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase());
             toast.success(`Analyzed ${res.data.totalRows} rows, ${res.data.columns.length} columns`);
         } catch (error) {
-            toast.error('Failed to analyze file');
+            toast.error(error.response?.data?.error || 'Failed to analyze file');
         } finally {
             setAnalyzing(false);
         }
@@ -283,12 +302,37 @@ const DatabaseDesigner = () => {
                                 <FileSpreadsheet className="w-6 h-6 text-brand-400" />
                             </div>
                             <div>
-                                <p className="font-medium text-white">Import from CSV/Excel</p>
+                                <p className="font-medium text-white">Import from CSV/Excel/JSON</p>
                                 <p className="text-sm text-gray-500">Auto-detect column names and types</p>
                             </div>
-                            <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFileUpload} className="hidden" />
+                            <input type="file" accept=".csv,.tsv,.xlsx,.xls,.ods,.json,.ndjson,.jsonl,.gz,.zip" onChange={handleFileUpload} className="hidden" />
                             {analyzing && <Loader2 className="w-5 h-5 animate-spin text-brand-400 ml-auto" />}
                         </label>
+
+                        {analyzedFile && (sheets.length > 0 || csvDialect) && (
+                            <div className="mt-4 space-y-3">
+                                <SheetOptions
+                                    sheets={sheets}
+                                    value={sheetOptions}
+                                    onChange={setSheetOptions}
+                                    disabled={analyzing}
+                                />
+                                <CsvOptions
+                                    dialect={csvDialect}
+                                    value={csvOptions}
+                                    onChange={setCsvOptions}
+                                    disabled={analyzing}
+                                />
+                                <button
+                                    onClick={() => analyzeFile(analyzedFile, sheetOptions, csvOptions)}
+                                    disabled={analyzing}
+                                    className="btn-secondary text-sm flex items-center gap-2 disabled:opacity-50"
+                                >
+                                    <RefreshCw className="w-4 h-4" />
+                                    Re-analyze
+                                </button>
+                            </div>
+                        )}
                     </div>
 
                     {/* Table Name */}
@@ -0,0 +1,754 @@
+import { useState, useEffect } from 'react';
+import { useToast } from '../hooks/useToast';
+import { useConnection } from '../contexts/ConnectionContext';
+import { dropFolderAPI, databaseAPI } from '../services/api';
+import TimezoneSelect from '../components/TimezoneSelect';
+import { DEFAULT_SHEET_OPTIONS, toSheetParams } from '../components/SheetOptions';
+import { DEFAULT_CSV_OPTIONS, toCsvParams } from '../components/CsvOptions';
+import {
+    FolderInput,
+    Plus,
+    Edit2,
+    Trash2,
+    X,
+    Loader2,
+    AlertTriangle,
+    RefreshCw,
+    FileText
+} from 'lucide-react';
+
+const DUPLICATE_MODE_LABELS = {
+    skip: 'Skip duplicates',
+    update: 'Update duplicates',
+    error: 'Error on duplicates',
+    replace: 'Replace entire table'
+};
+
+const FILE_DUPLICATE_POLICY_LABELS = {
+    report: 'Report only (import all rows)',
+    keep_first: 'Keep first row',
+    keep_last: 'Keep last row',
+    reject_all: 'Reject all rows with that key'
+};
+
+const CSV_ENCODINGS = [
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'utf-16le', label: 'UTF-16 LE' },
+    { value: 'utf-16be', label: 'UTF-16 BE' },
+    { value: 'windows-1252', label: 'Windows-1252' }
+];
+
+const CSV_DELIMITERS = [
+    { value: ',', label: 'Comma ( , )' },
+    { value: ';', label: 'Semicolon ( ; )' },
+    { value: '\t', label: 'Tab' },
+    { value: '|', label: 'Pipe ( | )' }
+];
+
+const FILE_STATUS_STYLES = {
+    importing: 'bg-blue-500/20 text-blue-400',
+    processed: 'bg-green-500/20 text-green-400',
+    failed: 'bg-red-500/20 text-red-400'
+};
+
+const EMPTY_FORM = {
+    name: '',
+    path: '',
+    pattern: '*',
+    connectionId: '',
+    database: '',
+    table: '',
+    duplicateMode: 'skip',
+    duplicateCheckFields: [],
+    fileDuplicatePolicy: 'report',
+    sheetOptions: DEFAULT_SHEET_OPTIONS,
+    csvOptions: DEFAULT_CSV_OPTIONS,
+    sourceTimezone: '',
+    atomic: false,
+    undoable: false,
+    isActive: true
+};
+
+const formatDateTime = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+};
+
+const FileStatusBadge = ({ status }) => (
+    <span className={`px-2 py-1 rounded text-xs font-medium ${FILE_STATUS_STYLES[status] || 'bg-gray-700 text-gray-300'}`}>
+        {status}
+    </span>
+);
+
+const rowSummary = (file) => {
+    if (file.totalRows == null) return '-';
+    const parts = [`${file.insertedRows || 0} inserted`];
+    if (file.updatedRows) parts.push(`${file.updatedRows} updated`);
+    if (file.skippedRows) parts.push(`${file.skippedRows} skipped`);
+    if (file.rejectedRows) parts.push(`${file.rejectedRows} rejected`);
+    return `${file.totalRows} rows: ${parts.join(', ')}`;
+};
+
+const DropFolders = () => {
+    const { selectedConnection, connections } = useConnection();
+    const toast = useToast();
+
+    const [folders, setFolders] = useState([]);
+    const [pollSeconds, setPollSeconds] = useState(null);
+    const [duplicateModes, setDuplicateModes] = useState(Object.keys(DUPLICATE_MODE_LABELS));
+    const [fileDuplicatePolicies, setFileDuplicatePolicies] = useState(Object.keys(FILE_DUPLICATE_POLICY_LABELS));
+    const [loading, setLoading] = useState(true);
+    const [showModal, setShowModal] = useState(false);
+    const [showDeleteModal, setShowDeleteModal] = useState(null);
+    const [editingFolder, setEditingFolder] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [databases, setDatabases] = useState([]);
+    const [tables, setTables] = useState([]);
+    const [tableColumns, setTableColumns] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [deleting, setDeleting] = useState(false);
+    const [logFolder, setLogFolder] = useState(null);
+    const [logFiles, setLogFiles] = useState([]);
+    const [logLoading, setLogLoading] = useState(false);
+
+    useEffect(() => {
+        loadFolders();
+    }, []);
+
+    // Target pickers follow the connection chosen in the form
+    useEffect(() => {
+        if (!showModal || !formData.connectionId) return;
+        databaseAPI.list(formData.connectionId)
+            .then(res => setDatabases(res.data))
+            .catch(() => toast.error('Failed to load databases'));
+    }, [showModal, formData.connectionId]);
+
+    useEffect(() => {
+        if (!showModal || !formData.connectionId || !formData.database) {
+            setTables([]);
+            return;
+        }
+        databaseAPI.getTables(formData.database, formData.connectionId)
+            .then(res => setTables(res.data))
+            .catch(() => toast.error('Failed to load tables'));
+    }, [showModal, formData.connectionId, formData.database]);
+
+    useEffect(() => {
+        if (!showModal || !formData.connectionId || !formData.database || !formData.table) {
+            setTableColumns([]);
+            return;
+        }
+        databaseAPI.getTableInfo(formData.database, formData.table, formData.connectionId)
+            .then(res => setTableColumns(res.data.columns || []))
+            .catch(() => toast.error('Failed to load table structure'));
+    }, [showModal, formData.connectionId, formData.database, formData.table]);
+
+    const loadFolders = async () => {
+        setLoading(true);
+        try {
+            const res = await dropFolderAPI.list();
+            setFolders(res.data.folders);
+            setPollSeconds(res.data.pollSeconds);
+            setDuplicateModes(res.data.duplicateModes);
+            setFileDuplicatePolicies(res.data.fileDuplicatePolicies);
+        } catch (error) {
+            toast.error(error.response?.data?.error || 'Failed to load drop folders');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const connectionName = (id) => {
+        const connection = connections.find(c => String(c.id) === String(id));
+        return connection ? connection.name : `Connection ${id}`;
+    };
+
+    const openCreateModal = () => {
+        setEditingFolder(null);
+        setFormData({ ...EMPTY_FORM, connectionId: selectedConnection ? String(selectedConnection.id) : '' });
+        setShowModal(true);
+    };
+
+    const openEditModal = (folder) => {
+        setEditingFolder(folder);
+        setFormData({
+            name: folder.name,
+            path: folder.path,
+            pattern: folder.pattern,
+            connectionId: folder.connectionId ? String(folder.connectionId) : '',
+            database: folder.database,
+            table: folder.table,
+            duplicateMode: folder.duplicateMode,
+            duplicateCheckFields: folder.duplicateCheckFields,
+            fileDuplicatePolicy: folder.fileDuplicatePolicy,
+            sheetOptions: {
+                sheet: folder.sheetOptions.sheet || '',
+                headerRow: folder.sheetOptions.headerRow || '',
+                skipFooterRows: folder.sheetOptions.skipFooterRows || 0
+            },
+            csvOptions: { ...DEFAULT_CSV_OPTIONS, ...folder.csvOptions },
+            sourceTimezone: folder.sourceTimezone || '',
+            atomic: folder.atomic,
+            undoable: folder.undoable,
+            isActive: folder.isActive
+        });
+        setShowModal(true);
+    };
+
+    const updateForm = (changes) => {
+        const next = { ...formData, ...changes };
+        // Replace mode swaps the whole table in and keeps its own backup
+        if (next.duplicateMode === 'replace') {
+            next.atomic = false;
+            next.undoable = false;
+        }
+        setFormData(next);
+    };
+
+    const toggleCheckField = (column) => {
+        const current = formData.duplicateCheckFields;
+        updateForm({
+            duplicateCheckFields: current.includes(column)
+                ? current.filter(c => c !== column)
+                : [...current, column]
+        });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const data = {
+                ...formData,
+                connectionId: formData.connectionId || null,
+                sheetOptions: toSheetParams(formData.sheetOptions),
+                csvOptions: toCsvParams(formData.csvOptions),
+                sourceTimezone: formData.sourceTimezone || null
+            };
+            if (editingFolder) {
+                await dropFolderAPI.update(editingFolder.id, data);
+                toast.success('Drop folder updated');
+            } else {
+                await dropFolderAPI.create(data);
+                toast.success('Drop folder created');
+            }
+            setShowModal(false);
+            loadFolders();
+        } catch (error) {
+            toast.error(error.response?.data?.error || 'Operation failed');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        setDeleting(true);
+        try {
+            await dropFolderAPI.delete(showDeleteModal.id);
+            toast.success('Drop folder deleted');
+            setShowDeleteModal(null);
+            if (logFolder?.id === showDeleteModal.id) setLogFolder(null);
+            loadFolders();
+        } catch (error) {
+            toast.error(error.response?.data?.error || 'Failed to delete drop folder');
+        } finally {
+            setDeleting(false);
+        }
+    };
+
+    const openLog = async (folder) => {
+        setLogFolder(folder);
+        setLogLoading(true);
+        try {
+            const res = await dropFolderAPI.getFiles(folder.id, 100);
+            setLogFiles(res.data.files);
+        } catch (error) {
+            toast.error(error.response?.data?.error || 'Failed to load files');
+        } finally {
+            setLogLoading(false);
+        }
+    };
+
+    const replaceMode = formData.duplicateMode === 'replace';
+
+    return (
+        <div className="space-y-6 animate-fade-in">
+            {/* Header */}
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-bold text-white">Drop Folders</h1>
+                    <p className="text-gray-400 mt-1">
+                        Server folders whose new files are imported automatically
+                        {pollSeconds && <span className="text-gray-500"> (checked every {pollSeconds}s)</span>}
+                    </p>
+                </div>
+                <div className="flex items-center gap-4">
+                    <button onClick={loadFolders} className="btn-secondary flex items-center gap-2" disabled={loading}>
+                        <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                        Refresh
+                    </button>
+                    <button onClick={openCreateModal} className="btn-primary flex items-center gap-2">
+                        <Plus className="w-5 h-5" />
+                        Add Folder
+                    </button>
+                </div>
+            </div>
+
+            {/* Folders List */}
+            <div className="card overflow-hidden">
+                {loading && folders.length === 0 ? (
+                    <div className="p-8 text-center">
+                        <Loader2 className="w-6 h-6 animate-spin mx-auto text-brand-400" />
+                    </div>
+                ) : folders.length === 0 ? (
+                    <div className="p-8 text-center text-gray-500">
+                        <FolderInput className="w-8 h-8 mx-auto mb-2" />
+                        No drop folders yet
+                    </div>
+                ) : (
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Folder</th>
+                                <th>Target</th>
+                                <th>Duplicates</th>
+                                <th>Last File</th>
+                                <th className="w-28">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {folders.map(folder => (
+                                <tr key={folder.id}>
+                                    <td>
+                                        <span className="font-medium text-white">{folder.name}</span>
+                                        {!folder.isActive && (
+                                            <span className="ml-2 px-2 py-0.5 rounded bg-gray-700 text-xs text-gray-400">paused</span>
+                                        )}
+                                    </td>
+                                    <td>
+                                        <div className="font-mono text-sm text-gray-300">{folder.path}</div>
+                                        <div className="text-xs text-gray-500">{folder.pattern}</div>
+                                    </td>
+                                    <td>
+                                        <div className="text-sm text-gray-300">{folder.database}.{folder.table}</div>
+                                        <div className="text-xs text-gray-500">
+                                            {folder.connectionId ? connectionName(folder.connectionId) : 'Localhost'}
+                                        </div>
+                                    </td>
+                                    <td className="text-sm text-gray-300">
+                                        {DUPLICATE_MODE_LABELS[folder.duplicateMode] || folder.duplicateMode}
+                                        {folder.duplicateCheckFields.length > 0 && (
+                                            <div className="text-xs text-gray-500">{folder.duplicateCheckFields.join(', ')}</div>
+                                        )}
+                                    </td>
+                                    <td>
+                                        {folder.lastFile ? (
+                                            <div className="space-y-1">
+                                                <FileStatusBadge status={folder.lastFile.status} />
+                                                <div className="text-xs text-gray-500">
+                                                    {folder.lastFile.fileName} · {formatDateTime(folder.lastFile.detectedAt)}
+                                                </div>
+                                            </div>
+                                        ) : (
+                                            <span className="text-gray-500 text-sm">None</span>
+                                        )}
+                                    </td>
+                                    <td>
+                                        <div className="flex gap-1">
+                                            <button
+                                                onClick={() => openLog(folder)}
+                                                className="p-1 rounded hover:bg-gray-700 text-gray-400 hover:text-white"
+                                                title="Files"
+                                            >
+                                                <FileText className="w-4 h-4" />
+                                            </button>
+                                            <button
+                                                onClick={() => openEditModal(folder)}
+                                                className="p-1 rounded hover:bg-gray-700 text-gray-400 hover:text-white"
+                                                title="Edit"
+                                            >
+                                                <Edit2 className="w-4 h-4" />
+                                            </button>
+                                            <button
+                                                onClick={() => setShowDeleteModal(folder)}
+                                                className="p-1 rounded hover:bg-red-500/20 text-gray-400 hover:text-red-400"
+                                                title="Delete"
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {/* Files Log */}
+            {logFolder && (
+                <div className="card overflow-hidden">
+                    <div className="flex items-center justify-between p-4 border-b border-gray-800">
+                        <h2 className="text-lg font-semibold text-white">Files from {logFolder.name}</h2>
+                        <div className="flex items-center gap-2">
+                            <button
+                                onClick={() => openLog(logFolder)}
+                                className="p-1 rounded hover:bg-gray-700 text-gray-400 hover:text-white"
+                                title="Refresh"
+                            >
+                                <RefreshCw className={`w-4 h-4 ${logLoading ? 'animate-spin' : ''}`} />
+                            </button>
+                            <button onClick={() => setLogFolder(null)} className="text-gray-400 hover:text-white">
+                                <X className="w-5 h-5" />
+                            </button>
+                        </div>
+                    </div>
+                    {logLoading && logFiles.length === 0 ? (
+                        <div className="p-8 text-center">
+                            <Loader2 className="w-6 h-6 animate-spin mx-auto text-brand-400" />
+                        </div>
+                    ) : logFiles.length === 0 ? (
+                        <div className="p-8 text-center text-gray-500">No files picked up yet</div>
+                    ) : (
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>File</th>
+                                    <th>Status</th>
+                                    <th>Rows</th>
+                                    <th>Detected</th>
+                                    <th>Finished</th>
+                                    <th>Message</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {logFiles.map(file => (
+                                    <tr key={file.id}>
+                                        <td>
+                                            <div className="text-sm text-white">{file.fileName}</div>
+                                            {file.movedTo && (
+                                                <div className="font-mono text-xs text-gray-500">{file.movedTo}</div>
+                                            )}
+                                        </td>
+                                        <td><FileStatusBadge status={file.status} /></td>
+                                        <td className="text-sm text-gray-300">{rowSummary(file)}</td>
+                                        <td className="text-sm text-gray-400">{formatDateTime(file.detectedAt)}</td>
+                                        <td className="text-sm text-gray-400">{formatDateTime(file.completedAt)}</td>
+                                        <td className="text-sm text-gray-400 max-w-xs truncate" title={file.message || ''}>
+                                            {file.message || '-'}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+
+            {/* Create/Edit Modal */}
+            {showModal && (
+                <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
+                    <div className="card p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto animate-fade-in">
+                        <div className="flex items-center justify-between mb-6">
+                            <h2 className="text-xl font-semibold text-white">
+                                {editingFolder ? 'Edit Drop Folder' : 'Add Drop Folder'}
+                            </h2>
+                            <button onClick={() => setShowModal(false)} className="text-gray-400 hover:text-white">
+                                <X className="w-5 h-5" />
+                            </button>
+                        </div>
+
+                        <form onSubmit={handleSubmit} className="space-y-4">
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-400 mb-2">Name</label>
+                                    <input
+                                        type="text"
+                                        value={formData.name}
+                                        onChange={(e) => updateForm({ name: e.target.value })}
+                                        className="input-dark w-full"
+                                        required
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-400 mb-2">File Pattern</label>
+                                    <input
+                                        type="text"
+                                        value={formData.pattern}
+                                        onChange={(e) => updateForm({ pattern: e.target.value })}
+                                        className="input-dark w-full"
+                                        placeholder="sales_*.csv, *.xlsx"
+                                    />
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-2">Folder Path (on the server)</label>
+                                <input
+                                    type="text"
+                                    value={formData.path}
+                                    onChange={(e) => updateForm({ path: e.target.value })}
+                                    className="input-dark w-full font-mono"
+                                    placeholder="/data/drop/sales"
+                                    required
+                                />
+                                <p className="text-xs text-gray-500 mt-1">
+                                    Files are moved to processing/, then processed/ or failed/ inside this folder.
+                                </p>
+                            </div>
+
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-400 mb-2">Connection</label>
+                                    <select
+                                        value={formData.connectionId}
+                                        onChange={(e) => updateForm({ connectionId: e.target.value, database: '', table: '', duplicateCheckFields: [] })}
+                                        className="select-dark w-full"
+                                        required
+                                    >
+                                        <option value="">Select connection</option>
+                                        {connections.map(c => (
+                                            <option key={c.id} value={String(c.id)}>{c.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-400 mb-2">Database</label>
+                                    <select
+                                        value={formData.database}
+                                        onChange={(e) => updateForm({ database: e.target.value, table: '', duplicateCheckFields: [] })}
+                                        className="select-dark w-full"
+                                        required
+                                    >
+                                        <option value="">Select database</option>
+                                        {databases.map(db => (
+                                            <option key={db} value={db}>{db}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-400 mb-2">Table</label>
+                                    <select
+                                        value={formData.table}
+                                        onChange={(e) => updateForm({ table: e.target.value, duplicateCheckFields: [] })}
+                                        className="select-dark w-full"
+                                        required
+                                    >
+                                        <option value="">Select table</option>
+                                        {tables.map(t => (
+                                            <option key={t} value={t}>{t}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+                            <p className="text-xs text-gray-500">
+                                Columns are matched with the mapping last saved for this table on the Upload page (by header name when none is saved).
+                            </p>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-2">Duplicate Handling</label>
+                                <select
+                                    value={formData.duplicateMode}
+                                    onChange={(e) => updateForm({ duplicateMode: e.target.value })}
+                                    className="select-dark w-full"
+                                >
+                                    {duplicateModes.map(mode => (
+                                        <option key={mode} value={mode}>{DUPLICATE_MODE_LABELS[mode] || mode}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            {tableColumns.length > 0 && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-400 mb-2">Check Fields</label>
+                                    <div className="max-h-40 overflow-y-auto border border-gray-800 rounded-lg p-3 grid grid-cols-2 gap-2">
+                                        {tableColumns.map(col => (
+                                            <label key={col.name} className="flex items-center gap-2 cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={formData.duplicateCheckFields.includes(col.name)}
+                                                    onChange={() => toggleCheckField(col.name)}
+                                                    className="rounded border-gray-600"
+                                                />
+                                                <span className="text-sm text-gray-300">{col.name}</span>
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-2">Duplicates within the file</label>
+                                <select
+                                    value={formData.fileDuplicatePolicy}
+                                    onChange={(e) => updateForm({ fileDuplicatePolicy: e.target.value })}
+                                    className="select-dark w-full"
+                                    disabled={formData.duplicateCheckFields.length === 0}
+                                >
+                                    {fileDuplicatePolicies.map(policy => (
+                                        <option key={policy} value={policy}>{FILE_DUPLICATE_POLICY_LABELS[policy] || policy}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div className="space-y-3 pt-4 border-t border-gray-800">
+                                <h3 className="text-sm font-medium text-gray-300">Reading the Files</h3>
+                                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                                    <div>
+                                        <label className="block text-xs text-gray-500 mb-1">Excel sheet</label>
+                                        <input
+                                            type="text"
+                                            value={formData.sheetOptions.sheet}
+                                            onChange={(e) => updateForm({ sheetOptions: { ...formData.sheetOptions, sheet: e.target.value } })}
+                                            className="input-dark w-full text-sm"
+                                            placeholder="First sheet"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-500 mb-1">Header row</label>
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            value={formData.sheetOptions.headerRow}
+                                            onChange={(e) => updateForm({ sheetOptions: { ...formData.sheetOptions, headerRow: e.target.value } })}
+                                            className="input-dark w-full text-sm"
+                                            placeholder="First used row"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-500 mb-1">Skip rows at the end</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={formData.sheetOptions.skipFooterRows}
+                                            onChange={(e) => updateForm({ sheetOptions: { ...formData.sheetOptions, skipFooterRows: parseInt(e.target.value) || 0 } })}
+                                            className="input-dark w-full text-sm"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-500 mb-1">CSV encoding</label>
+                                        <select
+                                            value={formData.csvOptions.encoding}
+                                            onChange={(e) => updateForm({ csvOptions: { ...formData.csvOptions, encoding: e.target.value } })}
+                                            className="select-dark w-full text-sm"
+                                        >
+                                            <option value="">Auto (detected per file)</option>
+                                            {CSV_ENCODINGS.map(c => (
+                                                <option key={c.value} value={c.value}>{c.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-500 mb-1">CSV delimiter</label>
+                                        <select
+                                            value={formData.csvOptions.delimiter}
+                                            onChange={(e) => updateForm({ csvOptions: { ...formData.csvOptions, delimiter: e.target.value } })}
+                                            className="select-dark w-full text-sm"
+                                        >
+                                            <option value="">Auto (detected per file)</option>
+                                            {CSV_DELIMITERS.map(c => (
+                                                <option key={c.value} value={c.value}>{c.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-500 mb-1">Times in the files are in</label>
+                                        <TimezoneSelect
+                                            value={formData.sourceTimezone}
+                                            onChange={(e) => updateForm({ sourceTimezone: e.target.value })}
+                                            emptyLabel="Connection timezone"
+                                            className="select-dark w-full text-sm"
+                                        />
+                                    </div>
+                                </div>
+                            </div>
+
+                            <div className="flex flex-wrap gap-6">
+                                <label className={`flex items-center gap-2 ${replaceMode ? 'opacity-50' : 'cursor-pointer'}`}>
+                                    <input
+                                        type="checkbox"
+                                        checked={formData.atomic}
+                                        onChange={(e) => updateForm({ atomic: e.target.checked })}
+                                        disabled={replaceMode}
+                                        className="rounded border-gray-600"
+                                    />
+                                    <span className="text-sm text-gray-300">All or nothing</span>
+                                </label>
+                                <label className={`flex items-center gap-2 ${replaceMode ? 'opacity-50' : 'cursor-pointer'}`}>
+                                    <input
+                                        type="checkbox"
+                                        checked={formData.undoable}
+                                        onChange={(e) => updateForm({ undoable: e.target.checked })}
+                                        disabled={replaceMode}
+                                        className="rounded border-gray-600"
+                                    />
+                                    <span className="text-sm text-gray-300">Undoable</span>
+                                </label>
+                                <label className="flex items-center gap-2 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={formData.isActive}
+                                        onChange={(e) => updateForm({ isActive: e.target.checked })}
+                                        className="rounded border-gray-600"
+                                    />
+                                    <span className="text-sm text-gray-300">Active</span>
+                                </label>
+                            </div>
+
+                            <div className="flex gap-3 pt-4">
+                                <button type="button" onClick={() => setShowModal(false)} className="btn-secondary flex-1">
+                                    Cancel
+                                </button>
+                                <button type="submit" disabled={saving} className="btn-primary flex-1 flex items-center justify-center gap-2">
+                                    {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                                    {editingFolder ? 'Update' : 'Create'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            {/* Delete Modal */}
+            {showDeleteModal && (
+                <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
+                    <div className="card p-6 w-full max-w-md animate-fade-in">
+                        <div className="flex items-center gap-3 mb-4">
+                            <div className="w-10 h-10 rounded-full bg-red-500/20 flex items-center justify-center">
+                                <AlertTriangle className="w-5 h-5 text-red-400" />
+                            </div>
+                            <div>
+                                <h2 className="text-xl font-semibold text-white">Delete Drop Folder</h2>
+                                <p className="text-gray-400 text-sm">Files on disk and queued imports are kept</p>
+                            </div>
+                        </div>
+                        <p className="text-gray-300 mb-6">
+                            Stop watching <span className="font-medium text-white">{showDeleteModal.path}</span>?
+                        </p>
+                        <div className="flex gap-3">
+                            <button onClick={() => setShowDeleteModal(null)} className="btn-secondary flex-1">
+                                Cancel
+                            </button>
+                            <button
+                                onClick={handleDelete}
+                                disabled={deleting}
+                                className="flex-1 bg-red-500 hover:bg-red-600 text-white font-medium px-4 py-2 rounded-lg transition-all flex items-center justify-center gap-2"
+                            >
+                                {deleting && <Loader2 className="w-4 h-4 animate-spin" />}
+                                Delete
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DropFolders;
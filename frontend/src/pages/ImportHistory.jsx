@@ -0,0 +1,331 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useToast } from '../hooks/useToast';
+import { useConnection } from '../contexts/ConnectionContext';
+import { historyAPI } from '../services/api';
+import ConnectionSelector from '../components/ConnectionSelector';
+import ImportStatusBadge, { formatDuration } from '../components/ImportStatusBadge';
+import {
+    History,
+    RefreshCw,
+    Loader2,
+    ChevronLeft,
+    ChevronRight,
+    X,
+    Undo2
+} from 'lucide-react';
+
+const PAGE_SIZE = 50;
+const EMPTY_FILTERS = { target: '', userId: '', from: '', to: '' };
+
+const formatDateTime = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+};
+
+const formatFileSize = (bytes) => {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+};
+
+const ImportHistory = () => {
+    const { selectedConnection } = useConnection();
+    const { isAdmin } = useAuth();
+    const toast = useToast();
+
+    const [items, setItems] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(1);
+    const [loading, setLoading] = useState(true);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [filterOptions, setFilterOptions] = useState({ tables: [], users: [] });
+    const [undoingId, setUndoingId] = useState(null);
+
+    useEffect(() => {
+        if (selectedConnection) {
+            setFilters(EMPTY_FILTERS);
+            setPage(1);
+            loadFilterOptions();
+        }
+    }, [selectedConnection]);
+
+    useEffect(() => {
+        if (selectedConnection) {
+            loadHistory();
+        }
+    }, [selectedConnection, filters, page]);
+
+    const loadFilterOptions = async () => {
+        try {
+            const res = await historyAPI.getFilters(selectedConnection.id);
+            setFilterOptions(res.data);
+        } catch (error) {
+            console.error('Failed to load history filters:', error);
+        }
+    };
+
+    const loadHistory = async () => {
+        setLoading(true);
+        try {
+            // target is "database.table"
+            const [database, table] = filters.target ? filters.target.split('.') : [];
+            const res = await historyAPI.list({
+                connectionId: selectedConnection.id,
+                database,
+                table,
+                userId: filters.userId || undefined,
+                from: filters.from || undefined,
+                to: filters.to || undefined,
+                page,
+                limit: PAGE_SIZE
+            });
+            setItems(res.data.items);
+            setTotal(res.data.total);
+        } catch (error) {
+            toast.error('Failed to load import history');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleUndo = async (item) => {
+        if (!confirm(`Undo the import of ${item.originalName} into ${item.database}.${item.table}?\n\nRows it inserted are deleted and rows it updated get their previous values back. Changes made to those rows after the import are lost.`)) {
+            return;
+        }
+
+        setUndoingId(item.id);
+        try {
+            const res = await historyAPI.undo(item.id);
+            toast.success(`Import undone: ${res.data.deletedRows.toLocaleString()} rows deleted, ${res.data.restoredRows.toLocaleString()} rows restored`);
+            loadHistory();
+        } catch (error) {
+            toast.error(error.response?.data?.error || 'Failed to undo import');
+        } finally {
+            setUndoingId(null);
+        }
+    };
+
+    const undoneTitle = (item) => {
+        const result = item.undoResult ? JSON.parse(item.undoResult) : null;
+        return `Undone by ${item.undoneBy || '-'} on ${formatDateTime(item.undoneAt)}`
+            + (result ? ` (${result.deletedRows} deleted, ${result.restoredRows} restored)` : '');
+    };
+
+    const updateFilter = (changes) => {
+        setFilters(prev => ({ ...prev, ...changes }));
+        setPage(1);
+    };
+
+    const hasFilters = Object.values(filters).some(Boolean);
+    const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+    return (
+        <div className="space-y-6 animate-fade-in">
+            {/* Header */}
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-bold text-white">Import History</h1>
+                    <p className="text-gray-400 mt-1">Every file imported into your tables, who loaded it and the result</p>
+                </div>
+                <div className="flex items-center gap-3">
+                    <div className="w-64">
+                        <ConnectionSelector />
+                    </div>
+                    <button onClick={loadHistory} className="btn-ghost">
+                        <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+                    </button>
+                </div>
+            </div>
+
+            {/* Filters */}
+            <div className="card p-4">
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+                    <div className="md:col-span-2">
+                        <label className="block text-xs text-gray-500 mb-1">Table</label>
+                        <select
+                            value={filters.target}
+                            onChange={(e) => updateFilter({ target: e.target.value })}
+                            className="select-dark w-full text-sm"
+                        >
+                            <option value="">All tables</option>
+                            {filterOptions.tables.map(t => (
+                                <option key={`${t.database}.${t.table}`} value={`${t.database}.${t.table}`}>
+                                    {t.database}.{t.table}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-xs text-gray-500 mb-1">User</label>
+                        <select
+                            value={filters.userId}
+                            onChange={(e) => updateFilter({ userId: e.target.value })}
+                            className="select-dark w-full text-sm"
+                        >
+                            <option value="">All users</option>
+                            {filterOptions.users.map(u => (
+                                <option key={u.id} value={u.id}>{u.username}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-xs text-gray-500 mb-1">From</label>
+                        <input
+                            type="date"
+                            value={filters.from}
+                            onChange={(e) => updateFilter({ from: e.target.value })}
+                            className="input-dark w-full text-sm"
+                        />
+                    </div>
+                    <div className="flex items-end gap-2">
+                        <div className="flex-1">
+                            <label className="block text-xs text-gray-500 mb-1">To</label>
+                            <input
+                                type="date"
+                                value={filters.to}
+                                onChange={(e) => updateFilter({ to: e.target.value })}
+                                className="input-dark w-full text-sm"
+                            />
+                        </div>
+                        {hasFilters && (
+                            <button
+                                onClick={() => updateFilter(EMPTY_FILTERS)}
+                                className="btn-ghost p-2"
+                                title="Clear filters"
+                            >
+                                <X className="w-4 h-4" />
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {/* History List */}
+            <div className="card overflow-hidden">
+                {loading ? (
+                    <div className="p-8 text-center">
+                        <Loader2 className="w-6 h-6 animate-spin mx-auto text-brand-400" />
+                    </div>
+                ) : items.length === 0 ? (
+                    <div className="p-12 text-center">
+                        <History className="w-12 h-12 text-gray-600 mx-auto mb-3" />
+                        <p className="text-gray-400">{hasFilters ? 'No imports match these filters' : 'No imports yet'}</p>
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Date</th>
+                                    <th>User</th>
+                                    <th>File</th>
+                                    <th>Table</th>
+                                    <th>Mode</th>
+                                    <th className="text-right">Inserted</th>
+                                    <th className="text-right">Updated</th>
+                                    <th className="text-right">Skipped</th>
+                                    <th className="text-right">Rejected</th>
+                                    <th>Duration</th>
+                                    <th>Status</th>
+                                    {isAdmin() && <th className="w-24">Actions</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {items.map(item => (
+                                    <tr key={item.id}>
+                                        <td className="whitespace-nowrap text-gray-400">{formatDateTime(item.completedAt)}</td>
+                                        <td className="text-white">{item.username || '-'}</td>
+                                        <td>
+                                            <p className="text-white truncate max-w-[220px]" title={item.originalName}>{item.originalName}</p>
+                                            <p className="text-xs text-gray-500" title={item.fileHash ? `SHA-256 ${item.fileHash}` : ''}>
+                                                {formatFileSize(item.fileSize)}{item.fileHash ? ` • ${item.fileHash.slice(0, 12)}` : ''}
+                                            </p>
+                                        </td>
+                                        <td className="whitespace-nowrap">
+                                            <span className="text-gray-500">{item.database}.</span>
+                                            <span className="text-white">{item.table}</span>
+                                        </td>
+                                        <td className="whitespace-nowrap">
+                                            <span className="text-gray-300">{item.duplicateMode || '-'}</span>
+                                            {!!item.atomic && (
+                                                <span className="ml-2 text-xs bg-brand-500/20 text-brand-400 px-1.5 py-0.5 rounded">atomic</span>
+                                            )}
+                                        </td>
+                                        <td className="text-right text-green-400">{item.insertedRows.toLocaleString()}</td>
+                                        <td className="text-right text-blue-400">{item.updatedRows.toLocaleString()}</td>
+                                        <td className="text-right text-yellow-400">{item.skippedRows.toLocaleString()}</td>
+                                        <td className="text-right text-red-400">{item.rejectedRows.toLocaleString()}</td>
+                                        <td className="whitespace-nowrap text-gray-400">{formatDuration(item.durationMs)}</td>
+                                        <td>
+                                            <ImportStatusBadge item={item} />
+                                            {item.undoneAt && (
+                                                <span className="ml-1 inline-block px-2 py-1 rounded text-xs font-medium bg-gray-700 text-gray-300" title={undoneTitle(item)}>
+                                                    Undone
+                                                </span>
+                                            )}
+                                        </td>
+                                        {isAdmin() && (
+                                            <td>
+                                                {!!item.undoable && !item.undoneAt && (
+                                                    <button
+                                                        onClick={() => handleUndo(item)}
+                                                        disabled={undoingId !== null}
+                                                        className="btn-ghost flex items-center gap-1 text-sm py-1 px-2 text-orange-400 hover:text-orange-300 disabled:opacity-40"
+                                                        title="Delete inserted rows and restore updated rows"
+                                                    >
+                                                        {undoingId === item.id ? (
+                                                            <Loader2 className="w-4 h-4 animate-spin" />
+                                                        ) : (
+                                                            <Undo2 className="w-4 h-4" />
+                                                        )}
+                                                        Undo
+                                                    </button>
+                                                )}
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {/* Pagination */}
+                {!loading && total > PAGE_SIZE && (
+                    <div className="flex items-center justify-between px-4 py-3 border-t border-gray-800 text-sm">
+                        <span className="text-gray-500">
+                            {((page - 1) * PAGE_SIZE + 1).toLocaleString()}-{Math.min(page * PAGE_SIZE, total).toLocaleString()} of {total.toLocaleString()}
+                        </span>
+                        <div className="flex items-center gap-2">
+                            <button
+                                onClick={() => setPage(p => p - 1)}
+                                disabled={page <= 1}
+                                className="btn-ghost p-2 disabled:opacity-40"
+                            >
+                                <ChevronLeft className="w-4 h-4" />
+                            </button>
+                            <span className="text-gray-400">Page {page} of {totalPages}</span>
+                            <button
+                                onClick={() => setPage(p => p + 1)}
+                                disabled={page >= totalPages}
+                                className="btn-ghost p-2 disabled:opacity-40"
+                            >
+                                <ChevronRight className="w-4 h-4" />
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ImportHistory;
@@ -3,6 +3,20 @@ import { useToast } from '../hooks/useToast';
 import { useConnection } from '../contexts/ConnectionContext';
 import { databaseAPI, uploadAPI } from '../services/api';
 import ConnectionSelector from '../components/ConnectionSelector';
+import ColumnMappingPanel from '../components/ColumnMappingPanel';
+import ValidationSummary from '../components/ValidationSummary';
+import FileDuplicatesSummary from '../components/FileDuplicatesSummary';
+import NumberErrorsSummary from '../components/NumberErrorsSummary';
+import WriteStatsSummary from '../components/WriteStatsSummary';
+import ReplaceSummary from '../components/ReplaceSummary';
+import MirrorOptions from '../components/MirrorOptions';
+import MirrorSummary from '../components/MirrorSummary';
+import DateFormatPanel from '../components/DateFormatPanel';
+import TransformRules from '../components/TransformRules';
+import SheetOptions, { DEFAULT_SHEET_OPTIONS, toSheetParams } from '../components/SheetOptions';
+import CsvOptions, { DEFAULT_CSV_OPTIONS, toCsvParams } from '../components/CsvOptions';
+import TaskControls from '../components/TaskControls';
+import { formatDuration } from '../components/ImportStatusBadge';
 import {
     Upload,
     FileSpreadsheet,
@@ -20,7 +34,8 @@ import {
     RefreshCw,
     UploadCloud,
     HardDrive,
-    ArrowRight
+    ArrowRight,
+    ShieldCheck
 } from 'lucide-react';
 
 const UploadData = () => {
@@ -40,9 +55,42 @@ const UploadData = () => {
 
     // Duplicate handling
     const [duplicateMode, setDuplicateMode] = useState('update');
+    const [atomicImport, setAtomicImport] = useState(false);
+    const [undoableImport, setUndoableImport] = useState(false);
+    const [bulkLoad, setBulkLoad] = useState(false);
     const [tableColumns, setTableColumns] = useState([]);
     const [duplicateCheckFields, setDuplicateCheckFields] = useState([]);
     const [primaryKeys, setPrimaryKeys] = useState([]);
+    const [duplicateCheckWarnings, setDuplicateCheckWarnings] = useState([]);
+    const [fileDuplicatePolicy, setFileDuplicatePolicy] = useState('report');
+    const [mirrorOptions, setMirrorOptions] = useState({ action: 'delete', flagColumn: '', flagValue: '', maxDeletePercent: 10 });
+    // Result of the dry run that previewed the mirror ({ taskId, missingRows, percent, ... })
+    const [mirrorPreview, setMirrorPreview] = useState(null);
+    const [mirrorConfirmed, setMirrorConfirmed] = useState(false);
+
+    // Column mapping (file header -> table column)
+    const [mappingInfo, setMappingInfo] = useState(null);
+    const [columnMapping, setColumnMapping] = useState({});
+    const [saveMappingEnabled, setSaveMappingEnabled] = useState(true);
+    const [loadingMapping, setLoadingMapping] = useState(false);
+    const [dateDetection, setDateDetection] = useState(null);
+    const [dateFormats, setDateFormats] = useState({});
+    const [detectingDates, setDetectingDates] = useState(false);
+    const [sourceTimezone, setSourceTimezone] = useState('');
+    const [numberLocale, setNumberLocale] = useState('auto');
+    // Cleaning steps per table column ({ [column]: [step, ...] }), previewed on the first file rows
+    const [transforms, setTransforms] = useState({});
+    const [transformPreview, setTransformPreview] = useState(null);
+    const [transformPreviewError, setTransformPreviewError] = useState(null);
+    const [previewingTransforms, setPreviewingTransforms] = useState(false);
+
+    // Excel sheet selection
+    const [sheets, setSheets] = useState([]);
+    const [sheetOptions, setSheetOptions] = useState(DEFAULT_SHEET_OPTIONS);
+
+    // CSV dialect: detected by the server, overrides picked here
+    const [csvDialect, setCsvDialect] = useState(null);
+    const [csvOptions, setCsvOptions] = useState(DEFAULT_CSV_OPTIONS);
 
     // File state
     const [file, setFile] = useState(null);
@@ -64,11 +112,13 @@ const UploadData = () => {
     // Active tasks state (for reconnection after browser refresh)
     const [activeTasks, setActiveTasks] = useState([]);
     const [activeTaskStatuses, setActiveTaskStatuses] = useState({});
+    const progressWatchers = useRef([]);
 
     // Constants
     const MAX_FILE_SIZE_MB = 500; // Increased for two-phase
     const MAX_FILE_SIZE_BYTES = MAX_FILE_SIZE_MB * 1024 * 1024;
-    const ALLOWED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+    // .gz / .zip are unpacked on the server; a zip may hold several files
+    const ALLOWED_EXTENSIONS = ['.csv', '.tsv', '.xlsx', '.xls', '.ods', '.json', '.ndjson', '.jsonl', '.gz', '.zip'];
 
     useEffect(() => {
         if (selectedConnection) {
@@ -89,6 +139,85 @@ const UploadData = () => {
         }
     }, [selectedDb, selectedTable]);
 
+    useEffect(() => {
+        // Replace mode never looks up existing rows, so index coverage doesn't matter
+        if (selectedDb && selectedTable && duplicateCheckFields.length > 0 && duplicateMode !== 'replace') {
+            checkDuplicateFields();
+        } else {
+            setDuplicateCheckWarnings([]);
+        }
+    }, [selectedDb, selectedTable, duplicateCheckFields, duplicateMode]);
+
+    const selectedFileId = selectedPendingFile?.fileId || selectedPendingFile?.id;
+    // Replace swaps in a staging copy of the table; atomic and undo don't apply to it.
+    // Mirror deletes rows the undo log can't bring back.
+    const replaceMode = duplicateMode === 'replace';
+    const mirrorMode = duplicateMode === 'mirror';
+    const atomicSelected = atomicImport && !replaceMode;
+    const undoableSelected = undoableImport && !replaceMode && !mirrorMode;
+    // A mirror import only starts after its dry-run preview was confirmed and is within the limit
+    const mirrorReady = !mirrorMode
+        || (mirrorPreview && mirrorConfirmed && mirrorPreview.percent <= Number(mirrorOptions.maxDeletePercent));
+
+    // The preview only holds for the file, table and key it was made with
+    useEffect(() => {
+        setMirrorPreview(null);
+        setMirrorConfirmed(false);
+    }, [selectedFileId, selectedDb, selectedTable, duplicateMode, duplicateCheckFields, mirrorOptions.action, mirrorOptions.flagColumn, mirrorOptions.flagValue]);
+
+    useEffect(() => {
+        setSheets([]);
+        setSheetOptions(DEFAULT_SHEET_OPTIONS);
+        setCsvDialect(null);
+        setCsvOptions(DEFAULT_CSV_OPTIONS);
+        if (selectedFileId && /\.(xlsx?|ods)$/i.test(selectedPendingFile?.name || '')) {
+            loadSheets(selectedFileId);
+        }
+    }, [selectedFileId]);
+
+    useEffect(() => {
+        if (selectedFileId && selectedDb && selectedTable) {
+            loadColumnMapping(selectedFileId, selectedDb, selectedTable);
+        } else {
+            setMappingInfo(null);
+            setColumnMapping({});
+            setDateDetection(null);
+            setDateFormats({});
+            setTransforms({});
+        }
+    }, [selectedFileId, selectedDb, selectedTable, sheetOptions.sheet, sheetOptions.headerRow, csvOptions]);
+
+    // Preview the transformations a moment after the last edit
+    useEffect(() => {
+        if (!mappingInfo || Object.keys(transforms).length === 0) {
+            setTransformPreview(null);
+            setTransformPreviewError(null);
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            setPreviewingTransforms(true);
+            try {
+                const res = await uploadAPI.previewTransforms(selectedFileId, selectedDb, selectedTable, columnMapping, transforms, selectedConnection?.id, { ...toSheetParams(sheetOptions), ...toCsvParams(csvOptions) });
+                if (cancelled) return;
+                setTransformPreview(res.data);
+                setTransformPreviewError(null);
+            } catch (error) {
+                if (cancelled) return;
+                setTransformPreview(null);
+                setTransformPreviewError(error.response?.data?.error || 'Gagal membuat pratinjau transformasi');
+            } finally {
+                if (!cancelled) setPreviewingTransforms(false);
+            }
+        }, 500);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [mappingInfo, columnMapping, transforms]);
+
     useEffect(() => {
         if (taskId && !polling) {
             pollProgress();
@@ -98,8 +227,17 @@ const UploadData = () => {
     // Check for active tasks on mount (reconnection after browser refresh)
     useEffect(() => {
         checkActiveTasks();
+        // Close open progress streams when leaving the page
+        return () => progressWatchers.current.forEach(stop => stop());
     }, []);
 
+    // Follow a task's progress (pushed over SSE, polled as fallback); returns a stop function
+    const watchTask = (watchedTaskId, handlers) => {
+        const stop = uploadAPI.watchProgress(watchedTaskId, handlers);
+        progressWatchers.current.push(stop);
+        return stop;
+    };
+
     const loadDatabases = async () => {
         if (!selectedConnection) return;
         try {
@@ -132,14 +270,87 @@ const UploadData = () => {
         }
     };
 
+    const checkDuplicateFields = async () => {
+        try {
+            const res = await uploadAPI.checkDuplicateFields(selectedDb, selectedTable, duplicateCheckFields, duplicateMode, selectedConnection?.id);
+            setDuplicateCheckWarnings(res.data.warnings || []);
+        } catch (error) {
+            console.error('Failed to check duplicate fields:', error);
+            setDuplicateCheckWarnings([]);
+        }
+    };
+
+    const loadColumnMapping = async (fileId, db, table) => {
+        setLoadingMapping(true);
+        try {
+            const res = await uploadAPI.getColumnMapping(fileId, db, table, selectedConnection?.id, { ...toSheetParams(sheetOptions), ...toCsvParams(csvOptions) });
+            const suggested = getSuggestedMapping(res.data);
+            setMappingInfo(res.data);
+            if (res.data.csvDialect) setCsvDialect(res.data.csvDialect);
+            setColumnMapping(suggested);
+            setNumberLocale(res.data.savedMapping?.numberLocale || 'auto');
+            setTransforms(res.data.savedMapping?.transforms || {});
+            detectDateFormats(fileId, db, table, res.data, suggested);
+        } catch (error) {
+            console.error('Failed to load column mapping:', error);
+            setMappingInfo(null);
+            setColumnMapping({});
+            setDateDetection(null);
+            setDateFormats({});
+            setTransforms({});
+            toast.error(error.response?.data?.error || 'Gagal membaca header file');
+        } finally {
+            setLoadingMapping(false);
+        }
+    };
+
+    const detectDateFormats = async (fileId, db, table, info, mapping) => {
+        setDetectingDates(true);
+        try {
+            const res = await uploadAPI.detectDateFormats(fileId, db, table, mapping, selectedConnection?.id, { ...toSheetParams(sheetOptions), ...toCsvParams(csvOptions) });
+            const detected = res.data.columns || {};
+            const saved = info?.savedMapping?.dateFormats || {};
+            const formats = {};
+            Object.entries(detected).forEach(([column, result]) => {
+                // A saved format wins; a detected one is only preset when it reads every value
+                formats[column] = saved[column] || (result.format && result.matched === result.total ? result.format : '');
+            });
+            setDateDetection(detected);
+            setDateFormats(formats);
+        } catch (error) {
+            console.error('Failed to detect date formats:', error);
+            setDateDetection(null);
+            setDateFormats({});
+        } finally {
+            setDetectingDates(false);
+        }
+    };
+
+    const loadSheets = async (fileId) => {
+        try {
+            const res = await uploadAPI.getSheets(fileId);
+            setSheets(res.data.sheets || []);
+        } catch (error) {
+            console.error('Failed to load sheets:', error);
+        }
+    };
+
+    const getSuggestedMapping = (info) => {
+        const mapping = {};
+        (info?.fileColumns || []).forEach(header => {
+            mapping[header] = info.suggestions?.[header]?.column || null;
+        });
+        return mapping;
+    };
+
     const loadPendingFiles = async () => {
         try {
             const res = await uploadAPI.getPendingUploads();
             const files = res.data || [];
             setPendingFiles(files);
 
-            // Auto-detect processing files and start polling their progress
-            const processingFiles = files.filter(f => f.status === 'processing' && f.taskId);
+            // Auto-detect queued/processing files and start polling their progress
+            const processingFiles = files.filter(f => (f.status === 'processing' || f.status === 'queued') && f.taskId);
             if (processingFiles.length > 0) {
                 setCurrentPhase(2);
                 processingFiles.forEach(file => {
@@ -173,7 +384,8 @@ const UploadData = () => {
             if (tasks.length > 0) {
                 setActiveTasks(tasks);
                 setCurrentPhase(2);
-                tasks.forEach(task => {
+                // Interrupted tasks wait for the user to resume them
+                tasks.filter(task => task.status === 'processing' || task.status === 'queued').forEach(task => {
                     pollActiveTask(task.taskId);
                 });
             }
@@ -185,32 +397,82 @@ const UploadData = () => {
 
     // Poll progress for an active task (from reconnection)
     const pollActiveTask = (activeTaskId) => {
-        const interval = setInterval(async () => {
-            try {
-                const res = await uploadAPI.getProgress(activeTaskId);
+        const stop = watchTask(activeTaskId, {
+            onProgress: (progress) => {
                 setActiveTaskStatuses(prev => ({
                     ...prev,
-                    [activeTaskId]: res.data
+                    [activeTaskId]: progress
                 }));
 
-                if (res.data.status === 'completed' || res.data.status === 'error') {
-                    clearInterval(interval);
+                // Paused: wait for Resume, which watches the task again
+                if (progress.status === 'interrupted') {
+                    stop();
+                    setActiveTasks(prev => prev.map(t => t.taskId === activeTaskId
+                        ? { ...t, status: 'interrupted', checkpointRows: progress.checkpoint?.rowsCommitted || 0, paused: progress.paused || null }
+                        : t));
+                    return;
+                }
+
+                if (progress.status === 'completed' || progress.status === 'error') {
                     // Remove from active tasks
                     setActiveTasks(prev => prev.filter(t => t.taskId !== activeTaskId));
                     loadPendingFiles();
 
-                    if (res.data.status === 'completed') {
-                        const msg = `Selesai! Insert: ${res.data.insertedRows}, Update: ${res.data.updatedRows || 0}, Skip: ${res.data.skippedRows || 0}, Error: ${res.data.errors?.length || 0}`;
+                    if (progress.status === 'completed') {
+                        const msg = `Selesai! Insert: ${progress.insertedRows}, Update: ${progress.updatedRows || 0}, Skip: ${progress.skippedRows || 0}, Error: ${progress.errors?.length || 0}${progress.rejectedRows ? `, Ditolak: ${progress.rejectedRows}` : ''}`;
                         toast.success(msg);
+                    } else if (progress.cancelled) {
+                        toast.info(cancelledMessage(progress));
+                    } else if (progress.rolledBack) {
+                        toast.error('Proses gagal. Semua perubahan dibatalkan (rollback), tabel tidak berubah.');
                     } else {
                         toast.error('Proses gagal');
                     }
                 }
-            } catch (error) {
-                clearInterval(interval);
+            },
+            onError: () => {
                 setActiveTasks(prev => prev.filter(t => t.taskId !== activeTaskId));
             }
-        }, 1500);
+        });
+    };
+
+    const cancelledMessage = (progress) => progress.cancelled.rolledBack
+        ? `Proses dibatalkan oleh ${progress.cancelled.by}. Perubahan dibatalkan (rollback).`
+        : `Proses dibatalkan oleh ${progress.cancelled.by}. File tetap tersimpan untuk diproses ulang.`;
+
+    const handlePauseTask = async (activeTaskId) => {
+        try {
+            await uploadAPI.pauseTask(activeTaskId);
+            toast.info('Proses akan dijeda setelah batch yang sedang berjalan');
+        } catch (error) {
+            toast.error(error.response?.data?.error || 'Gagal menjeda proses');
+        }
+    };
+
+    const handleCancelTask = async (activeTaskId, rollback = false) => {
+        const question = rollback
+            ? 'Batalkan proses dan hapus lagi baris yang sudah diimport?'
+            : 'Batalkan proses ini? Baris yang sudah diimport tetap ada (kecuali import atomic), file tetap tersimpan.';
+        if (!confirm(question)) return;
+        try {
+            await uploadAPI.cancelTask(activeTaskId, rollback);
+            toast.info('Proses sedang dibatalkan...');
+        } catch (error) {
+            toast.error(error.response?.data?.error || 'Gagal membatalkan proses');
+        }
+    };
+
+    const handleResumeTask = async (activeTaskId) => {
+        try {
+            const res = await uploadAPI.resumeTask(activeTaskId);
+            setActiveTasks(prev => prev.map(t => t.taskId === activeTaskId ? { ...t, status: 'queued', paused: null } : t));
+            setActiveTaskStatuses(prev => ({ ...prev, [activeTaskId]: { ...prev[activeTaskId], status: 'queued' } }));
+            toast.info(`Melanjutkan dari baris ${res.data.resumeFrom?.toLocaleString()}`);
+            pollActiveTask(activeTaskId);
+            loadPendingFiles();
+        } catch (error) {
+            toast.error(error.response?.data?.error || 'Gagal melanjutkan proses');
+        }
     };
 
     const handleFileSelect = (e) => {
@@ -262,7 +524,11 @@ const UploadData = () => {
             });
 
             setUploadedFileId(res.data.fileId);
-            toast.success('File berhasil diupload ke server! Siap untuk diproses.');
+            if (res.data.files?.length > 1) {
+                toast.success(`${res.data.files.length} file diekstrak dari arsip! Pilih file yang ingin diproses.`);
+            } else {
+                toast.success('File berhasil diupload ke server! Siap untuk diproses.');
+            }
             loadPendingFiles();
 
             // Auto switch to phase 2
@@ -280,7 +546,8 @@ const UploadData = () => {
     };
 
     // Phase 2: Process file to database
-    const handleProcessToDatabase = async (fileId = null, fileName = null) => {
+    // dryRun validates every row against the table without writing anything
+    const handleProcessToDatabase = async (fileId = null, fileName = null, dryRun = false) => {
         const targetFileId = fileId || uploadedFileId || selectedPendingFile?.id;
 
         if (!targetFileId) {
@@ -293,6 +560,11 @@ const UploadData = () => {
             return;
         }
 
+        if (!dryRun && selectedPendingFile?.status === 'interrupted'
+            && !confirm('File ini punya proses yang terputus. Mulai ulang dari awal? (Gunakan "Resume" di Proses Aktif untuk melanjutkan)')) {
+            return;
+        }
+
         setProcessing(true);
         setStatus(null);
         setUploadError(null);
@@ -305,11 +577,31 @@ const UploadData = () => {
                 batchSize,
                 duplicateMode,
                 duplicateCheckFields,
-                selectedConnection?.id
+                selectedConnection?.id,
+                {
+                    ...(mappingInfo ? { columnMapping, transforms, saveMapping: saveMappingEnabled } : {}),
+                    ...toSheetParams(sheetOptions),
+                    ...toCsvParams(csvOptions),
+                    dateFormats,
+                    sourceTimezone,
+                    numberLocale,
+                    dryRun,
+                    atomic: atomicSelected,
+                    undoable: undoableSelected,
+                    // Only for plain append imports (the checkbox is disabled otherwise)
+                    bulkLoad: bulkLoad && !undoableSelected && duplicateCheckFields.length === 0,
+                    fileDuplicatePolicy,
+                    mirror: mirrorMode ? { ...mirrorOptions, previewTaskId: mirrorPreview?.taskId } : undefined
+                }
             );
 
             setTaskId(res.data.taskId);
-            toast.info('Proses dimulai! Browser dapat ditutup dengan aman.');
+            toast.info(dryRun
+                ? 'Validasi dimulai! Data tidak akan ditulis ke tabel.'
+                : 'Proses dimulai! Browser dapat ditutup dengan aman.');
+            if (res.data.ignoredColumns?.length > 0) {
+                toast.info(`${res.data.ignoredColumns.length} kolom file diabaikan: ${res.data.ignoredColumns.join(', ')}`);
+            }
 
         } catch (error) {
             console.error('Process error:', error);
@@ -334,33 +626,65 @@ const UploadData = () => {
         }
     };
 
-    const pollProgress = async () => {
+    const pollProgress = () => {
         if (!taskId) return;
         setPolling(true);
 
-        const interval = setInterval(async () => {
-            try {
-                const res = await uploadAPI.getProgress(taskId);
-                setStatus(res.data);
+        const stop = watchTask(taskId, {
+            onProgress: (progress) => {
+                setStatus(progress);
+
+                // Paused: the task moves to Proses Aktif, where it can be resumed
+                if (progress.status === 'interrupted') {
+                    stop();
+                    setPolling(false);
+                    setProcessing(false);
+                    setStatus(null);
+                    setTaskId(null);
+                    setActiveTasks(prev => [...prev.filter(t => t.taskId !== taskId), {
+                        taskId,
+                        fileId: progress.fileId,
+                        fileName: progress.fileName,
+                        database: progress.database,
+                        table: progress.table,
+                        status: 'interrupted',
+                        checkpointRows: progress.checkpoint?.rowsCommitted || 0,
+                        paused: progress.paused || null
+                    }]);
+                    toast.info('Proses dijeda. Lanjutkan dari Proses Aktif.');
+                    return;
+                }
 
-                if (res.data.status === 'completed' || res.data.status === 'error') {
-                    clearInterval(interval);
+                if (progress.status === 'completed' || progress.status === 'error') {
                     setPolling(false);
                     setProcessing(false);
 
-                    if (res.data.status === 'completed') {
-                        const msg = `Selesai! Insert: ${res.data.insertedRows}, Update: ${res.data.updatedRows || 0}, Skip: ${res.data.skippedRows || 0}, Error: ${res.data.errors?.length || 0}`;
+                    if (progress.status === 'completed' && progress.dryRun) {
+                        if (progress.mirror) {
+                            setMirrorPreview({ taskId, ...progress.mirror });
+                            setMirrorConfirmed(false);
+                        }
+                        const { validRows = 0, invalidRows = 0 } = progress.validation || {};
+                        const msg = `Validasi selesai! Valid: ${validRows}, Invalid: ${invalidRows}`;
+                        if (invalidRows > 0) toast.error(msg);
+                        else toast.success(msg);
+                        loadPendingFiles();
+                    } else if (progress.status === 'completed') {
+                        const msg = `Selesai! Insert: ${progress.insertedRows}, Update: ${progress.updatedRows || 0}, Skip: ${progress.skippedRows || 0}, Error: ${progress.errors?.length || 0}${progress.rejectedRows ? `, Ditolak: ${progress.rejectedRows}` : ''}`;
                         toast.success(msg);
                         loadPendingFiles();
+                    } else if (progress.cancelled) {
+                        toast.info(cancelledMessage(progress));
+                        loadPendingFiles();
+                    } else if (progress.rolledBack) {
+                        toast.error('Proses gagal. Semua perubahan dibatalkan (rollback), tabel tidak berubah.');
                     } else {
                         toast.error('Proses gagal');
                     }
                 }
-            } catch (error) {
-                clearInterval(interval);
-                setPolling(false);
-            }
-        }, 1000);
+            },
+            onError: () => setPolling(false)
+        });
     };
 
     const getErrorDetails = (error) => {
@@ -368,7 +692,7 @@ const UploadData = () => {
             if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
                 return { type: 'TIMEOUT', message: 'Koneksi timeout', details: 'Upload memakan waktu terlalu lama.' };
             }
-            return { type: 'NETWORK', message: 'Error jaringan', details: error.message || 'Terjadi kesalahan koneksi.' };
+            return { type: 'NETWORK', message: 'Error jaringan', details: 'Koneksi terputus. Pilih file yang sama lalu upload lagi untuk melanjutkan dari bagian terakhir.' };
         }
 
         const status = error.response?.status;
@@ -389,6 +713,15 @@ const UploadData = () => {
         setUploadError(null);
         setUploadedFileId(null);
         setSelectedPendingFile(null);
+        setMappingInfo(null);
+        setColumnMapping({});
+        setDateDetection(null);
+        setDateFormats({});
+        setTransforms({});
+        setSheets([]);
+        setSheetOptions(DEFAULT_SHEET_OPTIONS);
+        setCsvDialect(null);
+        setCsvOptions(DEFAULT_CSV_OPTIONS);
         setProcessing(false);
         if (fileInputRef.current) fileInputRef.current.value = '';
     };
@@ -412,6 +745,27 @@ const UploadData = () => {
         }
     };
 
+    const handleDownloadReport = async (fileKey, format) => {
+        try {
+            const res = await uploadAPI.downloadReport(fileKey, format);
+            const url = window.URL.createObjectURL(new Blob([res.data]));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = format === 'xlsx' ? fileKey.replace(/\.csv$/, '.xlsx') : fileKey;
+            a.click();
+        } catch (error) {
+            toast.error('Gagal download laporan');
+        }
+    };
+
+    // Import speed and time left from the progress (rowsPerSecond, etaSeconds)
+    const formatThroughput = (progress) => {
+        const speed = `${progress.rowsPerSecond.toLocaleString()} baris/detik`;
+        return progress.status === 'processing' && progress.etaSeconds
+            ? `${speed} • sisa ~${formatDuration(progress.etaSeconds * 1000)}`
+            : speed;
+    };
+
     const formatFileSize = (bytes) => {
         if (bytes < 1024) return bytes + ' B';
         if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
@@ -425,8 +779,9 @@ const UploadData = () => {
         });
     };
 
+    // totalRows is an estimate while a CSV is still being read, so clamp at 100
     const progressPercent = status?.totalRows
-        ? ((status.processedRows / status.totalRows) * 100).toFixed(2)
+        ? Math.min((status.processedRows / status.totalRows) * 100, 100).toFixed(2)
         : '0.00';
 
     return (
@@ -486,11 +841,11 @@ const UploadData = () => {
                             <label className="flex flex-col items-center justify-center h-48 border-2 border-dashed border-gray-700 rounded-xl cursor-pointer hover:border-brand-500 transition-colors">
                                 <FileSpreadsheet className="w-12 h-12 text-gray-500 mb-4" />
                                 <p className="text-gray-300 font-medium">Drop file atau klik untuk memilih</p>
-                                <p className="text-sm text-gray-500 mt-1">CSV, XLSX, XLS (max {MAX_FILE_SIZE_MB}MB)</p>
+                                <p className="text-sm text-gray-500 mt-1">CSV, TSV, XLSX, XLS, ODS, JSON, NDJSON, atau arsip GZ/ZIP (max {MAX_FILE_SIZE_MB}MB)</p>
                                 <input
                                     ref={fileInputRef}
                                     type="file"
-                                    accept=".csv,.xlsx,.xls"
+                                    accept={ALLOWED_EXTENSIONS.join(',')}
                                     onChange={handleFileSelect}
                                     className="hidden"
                                     disabled={uploading}
@@ -615,8 +970,10 @@ const UploadData = () => {
                             <div className="space-y-4">
                                 {activeTasks.map((task) => {
                                     const taskStatus = activeTaskStatuses[task.taskId] || task;
+                                    const interrupted = task.status === 'interrupted';
+                                    const queued = taskStatus.status === 'queued';
                                     const percent = taskStatus.totalRows > 0
-                                        ? Math.round((taskStatus.processedRows / taskStatus.totalRows) * 100)
+                                        ? Math.min(Math.round((taskStatus.processedRows / taskStatus.totalRows) * 100), 100)
                                         : 0;
                                     return (
                                         <div key={task.taskId} className="p-4 bg-gray-800/50 rounded-lg space-y-3">
@@ -630,7 +987,37 @@ const UploadData = () => {
                                                         </p>
                                                     </div>
                                                 </div>
-                                                <span className="text-2xl font-bold text-brand-400">{percent}%</span>
+                                                <div className="flex items-center gap-3">
+                                                    {queued && (
+                                                        <span className="text-xs bg-gray-500/20 text-gray-400 px-2 py-1 rounded">
+                                                            Menunggu antrian...
+                                                        </span>
+                                                    )}
+                                                    {interrupted && (
+                                                        <>
+                                                            <span className="text-xs bg-orange-500/20 text-orange-400 px-2 py-1 rounded">
+                                                                {task.paused
+                                                                    ? `Dijeda oleh ${task.paused.by} di baris ${task.checkpointRows?.toLocaleString()}`
+                                                                    : `Terputus di baris ${task.checkpointRows?.toLocaleString()}`}
+                                                            </span>
+                                                            <button
+                                                                onClick={() => handleResumeTask(task.taskId)}
+                                                                className="btn-primary flex items-center gap-1 text-sm py-1 px-3"
+                                                            >
+                                                                <Play className="w-4 h-4" />
+                                                                Resume
+                                                            </button>
+                                                        </>
+                                                    )}
+                                                    {!interrupted && (
+                                                        <TaskControls
+                                                            task={{ ...task, ...taskStatus }}
+                                                            onPause={() => handlePauseTask(task.taskId)}
+                                                            onCancel={(rollback) => handleCancelTask(task.taskId, rollback)}
+                                                        />
+                                                    )}
+                                                    <span className="text-2xl font-bold text-brand-400">{percent}%</span>
+                                                </div>
                                             </div>
                                             <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
                                                 <div
@@ -639,7 +1026,10 @@ const UploadData = () => {
                                                 />
                                             </div>
                                             <div className="flex justify-between text-xs text-gray-500 mb-2">
-                                                <span>Progress: {taskStatus.processedRows?.toLocaleString() || 0} / {taskStatus.totalRows?.toLocaleString() || 0} baris</span>
+                                                <span>Progress: {taskStatus.processedRows?.toLocaleString() || 0} / {taskStatus.totalRowsEstimated ? '~' : ''}{taskStatus.totalRows?.toLocaleString() || 0} baris</span>
+                                                {taskStatus.status === 'processing' && taskStatus.rowsPerSecond > 0 && (
+                                                    <span>{formatThroughput(taskStatus)}</span>
+                                                )}
                                             </div>
                                             <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
                                                 <div className="bg-gray-900/40 p-2 rounded flex flex-col items-center justify-center">
@@ -719,12 +1109,27 @@ const UploadData = () => {
                                             </div>
                                         </div>
                                         <div className="flex items-center gap-2">
+                                            {pf.status === 'queued' && (
+                                                <span className="text-xs bg-gray-500/20 text-gray-400 px-2 py-1 rounded">
+                                                    Antri
+                                                </span>
+                                            )}
                                             {pf.status === 'processing' && (
                                                 <span className="text-xs bg-yellow-500/20 text-yellow-400 px-2 py-1 rounded">
                                                     Processing...
                                                 </span>
                                             )}
-                                            {pf.status === 'pending' && (
+                                            {pf.status === 'error' && (
+                                                <span className="text-xs bg-red-500/20 text-red-400 px-2 py-1 rounded">
+                                                    Gagal
+                                                </span>
+                                            )}
+                                            {pf.status === 'interrupted' && (
+                                                <span className="text-xs bg-orange-500/20 text-orange-400 px-2 py-1 rounded">
+                                                    Terputus
+                                                </span>
+                                            )}
+                                            {['pending', 'interrupted', 'error'].includes(pf.status) && (
                                                 <button
                                                     onClick={(e) => { e.stopPropagation(); handleDeletePendingFile(pf.fileId); }}
                                                     className="p-1 rounded hover:bg-red-500/20 text-gray-400 hover:text-red-400"
@@ -801,20 +1206,88 @@ const UploadData = () => {
                             </div>
                         </div>
 
-                        <div>
-                            <label className="block text-sm font-medium text-gray-400 mb-2">
-                                Batch Size
-                            </label>
+                        <div className="flex flex-wrap gap-6">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-2">
+                                    Batch Size
+                                </label>
+                                <input
+                                    type="number"
+                                    value={batchSize}
+                                    onChange={(e) => setBatchSize(parseInt(e.target.value) || 5000)}
+                                    min={100}
+                                    max={10000}
+                                    className="input-dark w-48"
+                                    disabled={processing}
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mb-2">
+                                    Format Angka
+                                </label>
+                                <select
+                                    value={numberLocale}
+                                    onChange={(e) => setNumberLocale(e.target.value)}
+                                    className="select-dark w-64"
+                                    disabled={processing}
+                                >
+                                    <option value="auto">Otomatis</option>
+                                    <option value="id">Indonesia (Rp 1.234.567,89)</option>
+                                    <option value="en">Inggris (1,234,567.89)</option>
+                                </select>
+                                <p className="text-xs text-gray-500 mt-1 max-w-xs">
+                                    Otomatis membaca 1.500 dan 1,500 sebagai seribu lima ratus. Pilih Indonesia atau Inggris bila file berisi desimal tiga angka (1,125).
+                                </p>
+                            </div>
+                        </div>
+
+                        <label className={`flex items-start gap-2 text-sm text-gray-400 ${replaceMode ? 'opacity-50' : 'cursor-pointer'}`}>
                             <input
-                                type="number"
-                                value={batchSize}
-                                onChange={(e) => setBatchSize(parseInt(e.target.value) || 5000)}
-                                min={100}
-                                max={10000}
-                                className="input-dark w-48"
-                                disabled={processing}
+                                type="checkbox"
+                                checked={atomicSelected}
+                                onChange={(e) => setAtomicImport(e.target.checked)}
+                                disabled={processing || replaceMode}
+                                className="rounded border-gray-700 bg-gray-800 mt-0.5"
                             />
-                        </div>
+                            <span>
+                                Atomic (semua atau tidak sama sekali)
+                                <span className="block text-xs text-gray-500">
+                                    Import berjalan dalam satu transaksi. Jika ada error, semua baris dibatalkan dan tabel tidak berubah. Tidak bisa di-resume.
+                                </span>
+                            </span>
+                        </label>
+
+                        <label className={`flex items-start gap-2 text-sm text-gray-400 ${replaceMode || mirrorMode ? 'opacity-50' : 'cursor-pointer'}`}>
+                            <input
+                                type="checkbox"
+                                checked={undoableSelected}
+                                onChange={(e) => setUndoableImport(e.target.checked)}
+                                disabled={processing || replaceMode || mirrorMode}
+                                className="rounded border-gray-700 bg-gray-800 mt-0.5"
+                            />
+                            <span>
+                                Bisa di-undo
+                                <span className="block text-xs text-gray-500">
+                                    Simpan primary key baris baru dan nilai lama baris yang di-update, agar admin bisa membatalkan import ini dari Import History. Tabel harus punya primary key yang ada di file, atau kolom import_batch_id. Import sedikit lebih lambat.
+                                </span>
+                            </span>
+                        </label>
+
+                        <label className={`flex items-start gap-2 text-sm text-gray-400 ${undoableSelected || duplicateCheckFields.length > 0 ? 'opacity-50' : 'cursor-pointer'}`}>
+                            <input
+                                type="checkbox"
+                                checked={bulkLoad && !undoableSelected && duplicateCheckFields.length === 0}
+                                onChange={(e) => setBulkLoad(e.target.checked)}
+                                disabled={processing || undoableSelected || duplicateCheckFields.length > 0}
+                                className="rounded border-gray-700 bg-gray-800 mt-0.5"
+                            />
+                            <span>
+                                Mode cepat (LOAD DATA)
+                                <span className="block text-xs text-gray-500">
+                                    Tulis baris dengan LOAD DATA LOCAL INFILE, jauh lebih cepat dari INSERT. Hanya untuk import biasa tanpa cek duplikat dan tanpa undo. Jika server tidak mengizinkan local_infile, otomatis memakai INSERT.
+                                </span>
+                            </span>
+                        </label>
 
                         {/* Duplicate Handling */}
                         <div className="space-y-4 pt-4 border-t border-gray-800">
@@ -831,7 +1304,19 @@ const UploadData = () => {
                                         <option value="skip">Skip duplicates</option>
                                         <option value="update">Update duplicates</option>
                                         <option value="error">Error on duplicates</option>
+                                        <option value="replace">Replace entire table</option>
+                                        <option value="mirror">Mirror file (remove rows not in file)</option>
                                     </select>
+                                    {replaceMode && (
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            Isi tabel diganti seluruhnya dengan isi file. File dimuat ke salinan tabel lalu ditukar sekaligus, jadi tabel tidak pernah terlihat setengah terisi. Isi lama disimpan sebagai tabel backup. Check Fields hanya mencari duplikat di dalam file.
+                                        </p>
+                                    )}
+                                    {mirrorMode && (
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            File menjadi sumber kebenaran: baris di-update/insert berdasarkan Check Fields (butuh UNIQUE key), lalu baris tabel yang key-nya tidak ada di file dihapus atau ditandai.
+                                        </p>
+                                    )}
                                 </div>
                                 <div>
                                     <label className="block text-sm font-medium text-gray-400 mb-2">Check Fields</label>
@@ -854,28 +1339,124 @@ const UploadData = () => {
                                             </option>
                                         ))}
                                     </select>
+                                    <label className="block text-sm font-medium text-gray-400 mt-3 mb-2">Duplicates within the file</label>
+                                    <select
+                                        value={fileDuplicatePolicy}
+                                        onChange={(e) => setFileDuplicatePolicy(e.target.value)}
+                                        className="select-dark w-full"
+                                        disabled={processing || duplicateCheckFields.length === 0}
+                                    >
+                                        <option value="report">Report only (import all rows)</option>
+                                        <option value="keep_first">Keep first row</option>
+                                        <option value="keep_last">Keep last row</option>
+                                        <option value="reject_all">Reject all rows with that key</option>
+                                    </select>
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Baris di file yang punya nilai Check Fields sama dengan baris lain di file yang sama.
+                                    </p>
+                                    {duplicateCheckWarnings.length > 0 && (
+                                        <div className="mt-2 p-2 bg-yellow-950/30 border border-yellow-500/30 rounded text-xs space-y-1">
+                                            {duplicateCheckWarnings.map((warning, i) => (
+                                                <p key={i} className="text-yellow-300 flex items-start gap-1">
+                                                    <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                                                    {warning}
+                                                </p>
+                                            ))}
+                                        </div>
+                                    )}
                                 </div>
                             </div>
+                            {mirrorMode && (
+                                <MirrorOptions
+                                    value={mirrorOptions}
+                                    onChange={setMirrorOptions}
+                                    columns={tableColumns}
+                                    checkFields={duplicateCheckFields}
+                                    preview={mirrorPreview}
+                                    confirmed={mirrorConfirmed}
+                                    onConfirmChange={setMirrorConfirmed}
+                                    disabled={processing}
+                                />
+                            )}
                         </div>
 
-                        {/* Process Button */}
-                        <button
-                            onClick={() => handleProcessToDatabase(selectedPendingFile?.fileId)}
-                            disabled={processing || !selectedPendingFile || !selectedDb || !selectedTable}
-                            className="btn-primary flex items-center gap-2 w-full justify-center disabled:opacity-50"
-                        >
-                            {processing ? (
-                                <>
-                                    <Loader2 className="w-5 h-5 animate-spin" />
-                                    Processing...
-                                </>
-                            ) : (
-                                <>
-                                    <Play className="w-5 h-5" />
-                                    Proses ke Database
-                                </>
-                            )}
-                        </button>
+                        <SheetOptions
+                            sheets={sheets}
+                            value={sheetOptions}
+                            onChange={setSheetOptions}
+                            disabled={processing}
+                        />
+
+                        <CsvOptions
+                            dialect={csvDialect}
+                            value={csvOptions}
+                            onChange={setCsvOptions}
+                            disabled={processing}
+                        />
+
+                        <ColumnMappingPanel
+                            mappingInfo={mappingInfo}
+                            mapping={columnMapping}
+                            onChange={setColumnMapping}
+                            saveMapping={saveMappingEnabled}
+                            onSaveMappingChange={setSaveMappingEnabled}
+                            onReset={() => setColumnMapping(getSuggestedMapping(mappingInfo))}
+                            loading={loadingMapping}
+                            disabled={processing}
+                        />
+
+                        <TransformRules
+                            mappingInfo={mappingInfo}
+                            mapping={columnMapping}
+                            transforms={transforms}
+                            onChange={setTransforms}
+                            preview={transformPreview}
+                            previewError={transformPreviewError}
+                            previewing={previewingTransforms}
+                            disabled={processing}
+                        />
+
+                        <DateFormatPanel
+                            detection={dateDetection}
+                            formats={dateFormats}
+                            onChange={setDateFormats}
+                            onDetect={() => detectDateFormats(selectedFileId, selectedDb, selectedTable, mappingInfo, columnMapping)}
+                            timezone={sourceTimezone}
+                            onTimezoneChange={setSourceTimezone}
+                            connectionTimezone={selectedConnection?.timezone}
+                            detecting={detectingDates}
+                            disabled={processing}
+                        />
+
+                        {/* Process Buttons */}
+                        <div className="flex flex-col sm:flex-row gap-3">
+                            <button
+                                onClick={() => handleProcessToDatabase(selectedFileId, null, true)}
+                                disabled={processing || !selectedPendingFile || !selectedDb || !selectedTable || loadingMapping || detectingDates}
+                                className="btn-secondary flex items-center gap-2 justify-center disabled:opacity-50 sm:w-1/3"
+                                title="Cek semua baris tanpa menulis ke tabel"
+                            >
+                                <ShieldCheck className="w-5 h-5" />
+                                Validasi (Dry Run)
+                            </button>
+                            <button
+                                onClick={() => handleProcessToDatabase(selectedFileId)}
+                                disabled={processing || !selectedPendingFile || !selectedDb || !selectedTable || loadingMapping || detectingDates || !mirrorReady}
+                                className="btn-primary flex items-center gap-2 flex-1 justify-center disabled:opacity-50"
+                            >
+                                {processing ? (
+                                    <>
+                                        <Loader2 className="w-5 h-5 animate-spin" />
+                                        Processing...
+                                    </>
+                                ) : (
+                                    <>
+                                        <Play className="w-5 h-5" />
+                                        Proses ke Database
+                                    </>
+                                )}
+                            </button>
+                        </div>
 
                         <p className="text-xs text-gray-500 text-center">
                             💡 Browser dapat ditutup setelah proses dimulai. Data akan tetap diproses di server.
@@ -894,9 +1475,21 @@ const UploadData = () => {
                                     <Loader2 className="w-6 h-6 text-brand-400 animate-spin" />
                                 )}
                                 <span className="font-medium text-white">
-                                    {status?.status === 'completed' ? 'Selesai!' :
-                                        status?.status === 'error' ? 'Gagal' : 'Memproses...'}
+                                    {status?.status === 'completed' ? (status.dryRun ? 'Validasi Selesai!' : 'Selesai!') :
+                                        status?.cancelled ? 'Dibatalkan' :
+                                        status?.status === 'error' ? 'Gagal' :
+                                            status?.status === 'queued' ? 'Menunggu antrian...' :
+                                                (status?.dryRun ? 'Memvalidasi...' : 'Memproses...')}
                                 </span>
+                                {status && taskId && (
+                                    <div className="ml-auto">
+                                        <TaskControls
+                                            task={status}
+                                            onPause={() => handlePauseTask(taskId)}
+                                            onCancel={(rollback) => handleCancelTask(taskId, rollback)}
+                                        />
+                                    </div>
+                                )}
                             </div>
 
                             {status && (
@@ -940,7 +1533,14 @@ const UploadData = () => {
                                                 <span className="text-xs text-gray-500">
                                                     {status.status === 'completed' ? 'Complete' :
                                                         status.status === 'error' ? 'Error' :
-                                                            status.phase === 'parsing' ? 'Parsing file...' : 'Inserting...'}
+                                                            status.status === 'queued' ? 'Queued...' :
+                                                            status.phase === 'parsing' ? 'Parsing file...' :
+                                                            status.phase === 'scanning' ? 'Mencari duplikat di file...' :
+                                                                status.phase === 'validating' ? 'Validating...' :
+                                                                    status.phase === 'committing' ? 'Committing...' :
+                                                                    status.phase === 'swapping' ? 'Swapping table...' :
+                                                                    status.phase === 'mirroring' ? 'Removing missing rows...' :
+                                                                        status.phase === 'rolling_back' ? 'Rolling back...' : 'Inserting...'}
                                                 </span>
                                             </div>
                                         </div>
@@ -951,9 +1551,14 @@ const UploadData = () => {
                                         <div className="flex justify-between text-sm">
                                             <span className="text-gray-400">Progress</span>
                                             <span className="text-white font-medium">
-                                                {status.processedRows?.toLocaleString()} / {status.totalRows?.toLocaleString()} rows
+                                                {status.processedRows?.toLocaleString()} / {status.totalRowsEstimated ? '~' : ''}{status.totalRows?.toLocaleString()} rows
                                             </span>
                                         </div>
+                                        {status.rowsPerSecond > 0 && (
+                                            <p className="text-xs text-gray-500 text-right">
+                                                {formatThroughput(status)}
+                                            </p>
+                                        )}
                                         <div className="h-3 bg-gray-800 rounded-full overflow-hidden">
                                             <div
                                                 className={`h-full transition-all duration-500 rounded-full ${status.status === 'completed' ? 'bg-green-500' :
@@ -964,20 +1569,78 @@ const UploadData = () => {
                                         </div>
                                     </div>
 
-                                    <div className="grid grid-cols-3 gap-4 pt-4 border-t border-gray-800">
-                                        <div className="text-center">
-                                            <p className="text-2xl font-bold text-white">{status.processedRows || 0}</p>
-                                            <p className="text-sm text-gray-500">Processed</p>
+                                    {status.dryRun ? (
+                                        <ValidationSummary
+                                            validation={status.validation}
+                                            reportFile={status.status === 'completed' ? status.reportFile : null}
+                                            onDownload={() => handleDownloadReport(status.reportFile)}
+                                        />
+                                    ) : (
+                                        <div className="grid grid-cols-3 gap-4 pt-4 border-t border-gray-800">
+                                            <div className="text-center">
+                                                <p className="text-2xl font-bold text-white">{status.processedRows || 0}</p>
+                                                <p className="text-sm text-gray-500">Processed</p>
+                                            </div>
+                                            <div className="text-center">
+                                                <p className="text-2xl font-bold text-green-400">{status.insertedRows || 0}</p>
+                                                <p className="text-sm text-gray-500">Inserted</p>
+                                            </div>
+                                            <div className="text-center">
+                                                <p className="text-2xl font-bold text-yellow-400">{status.skippedRows || 0}</p>
+                                                <p className="text-sm text-gray-500">Skipped</p>
+                                            </div>
                                         </div>
-                                        <div className="text-center">
-                                            <p className="text-2xl font-bold text-green-400">{status.insertedRows || 0}</p>
-                                            <p className="text-sm text-gray-500">Inserted</p>
+                                    )}
+
+                                    {status?.ignoredColumns?.length > 0 && (
+                                        <div className="p-3 bg-yellow-950/30 border border-yellow-500/30 rounded-lg">
+                                            <p className="text-sm font-medium text-yellow-400 mb-1">Kolom file diabaikan:</p>
+                                            <p className="text-xs text-yellow-300 font-mono">{status.ignoredColumns.join(', ')}</p>
                                         </div>
-                                        <div className="text-center">
-                                            <p className="text-2xl font-bold text-yellow-400">{status.skippedRows || 0}</p>
-                                            <p className="text-sm text-gray-500">Skipped</p>
+                                    )}
+
+                                    {status?.fileDuplicates?.duplicateKeys > 0 && (
+                                        <FileDuplicatesSummary summary={status.fileDuplicates} dryRun={status.dryRun} />
+                                    )}
+
+                                    {status?.mirror && (
+                                        <MirrorSummary summary={status.mirror} dryRun={status.dryRun} />
+                                    )}
+
+                                    {status?.numberErrors?.rows > 0 && (
+                                        <NumberErrorsSummary summary={status.numberErrors} />
+                                    )}
+
+                                    {status?.status === 'completed' && (
+                                        <WriteStatsSummary stats={status.writeStats} />
+                                    )}
+
+                                    {status?.replace?.backupTable && (
+                                        <ReplaceSummary replace={status.replace} />
+                                    )}
+
+                                    {status?.warnings?.length > 0 && (
+                                        <div className="p-3 bg-yellow-950/30 border border-yellow-500/30 rounded-lg">
+                                            <p className="text-sm font-medium text-yellow-400 mb-1">Peringatan:</p>
+                                            {status.warnings.map((warning, i) => (
+                                                <p key={i} className="text-xs text-yellow-300">{warning}</p>
+                                            ))}
                                         </div>
-                                    </div>
+                                    )}
+
+                                    {status?.rolledBack && (
+                                        <div className="p-4 bg-red-950/30 border border-red-500/30 rounded-lg">
+                                            <p className="text-sm font-medium text-red-400 flex items-center gap-2">
+                                                <AlertTriangle className="w-4 h-4" />
+                                                Import dibatalkan (rollback) - tabel tidak berubah
+                                            </p>
+                                            <p className="text-xs text-gray-400 mt-1">
+                                                {status.rolledBack.processedRows.toLocaleString()} baris sudah diproses sebelum error;
+                                                {' '}{status.rolledBack.insertedRows.toLocaleString()} insert dan {status.rolledBack.updatedRows.toLocaleString()} update dibatalkan.
+                                                Perbaiki error di bawah lalu proses ulang file ini.
+                                            </p>
+                                        </div>
+                                    )}
 
                                     {status?.errors?.length > 0 && (
                                         <div className="p-4 bg-red-950/30 border border-red-500/30 rounded-lg">
@@ -987,6 +1650,37 @@ const UploadData = () => {
                                             ))}
                                         </div>
                                     )}
+
+                                    {status?.rejectedRows > 0 && (
+                                        <div className="p-4 bg-orange-950/30 border border-orange-500/30 rounded-lg space-y-3">
+                                            <div>
+                                                <p className="text-sm font-medium text-orange-400">
+                                                    {status.rejectedRows.toLocaleString()} baris ditolak / diabaikan
+                                                </p>
+                                                <p className="text-xs text-gray-400 mt-1">
+                                                    Download, perbaiki baris sesuai kolom "Reject Reason", lalu upload ulang.
+                                                </p>
+                                            </div>
+                                            {status.rejectedFile && (
+                                                <div className="flex gap-2">
+                                                    <button
+                                                        onClick={() => handleDownloadReport(status.rejectedFile)}
+                                                        className="btn-secondary flex items-center gap-2 text-sm"
+                                                    >
+                                                        <Download className="w-4 h-4" />
+                                                        CSV
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleDownloadReport(status.rejectedFile, 'xlsx')}
+                                                        className="btn-secondary flex items-center gap-2 text-sm"
+                                                    >
+                                                        <Download className="w-4 h-4" />
+                                                        Excel
+                                                    </button>
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
                                 </>
                             )}
 
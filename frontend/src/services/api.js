@@ -1,4 +1,6 @@
 import axios from 'axios';
+import { uploadFileInChunks } from './chunkedUpload';
+import { watchProgress } from './progressStream';
 
 const api = axios.create({
     baseURL: '/api',
@@ -52,9 +54,11 @@ export const databaseAPI = {
 
 // Schema API
 export const schemaAPI = {
-    analyzeFile: (file) => {
+    // fileOptions: { sheet, headerRow, skipFooterRows } (Excel) or { encoding, delimiter, quote, escape, lineEnding } (CSV)
+    analyzeFile: (file, fileOptions = {}) => {
         const formData = new FormData();
         formData.append('file', file);
+        Object.entries(fileOptions).forEach(([key, value]) => formData.append(key, value));
         return api.post('/schema/analyze', formData, {
             headers: { 'Content-Type': 'multipart/form-data' }
         });
@@ -105,6 +109,8 @@ export const uploadAPI = {
         });
     },
     getProgress: (taskId) => api.get(`/upload/progress/${taskId}`, { skipLoading: true }),
+    // Live progress (Server-Sent Events, polling as fallback); returns a stop function
+    watchProgress: (taskId, handlers) => watchProgress(api, taskId, handlers),
     downloadTemplate: (database, table, connectionId) =>
         api.get(`/upload/template/${database}/${table}`, {
             params: { connectionId },
@@ -116,34 +122,67 @@ export const uploadAPI = {
     // =====================================================
 
     // Phase 1: Upload file to VPS only
-    uploadFile: (file, onProgress) => {
-        const formData = new FormData();
-        formData.append('file', file);
-        return api.post('/upload/file', formData, {
-            headers: { 'Content-Type': 'multipart/form-data' },
-            onUploadProgress: onProgress,
-            skipLoading: true
-        });
-    },
+    // Sent in chunks; selecting the same file again resumes an interrupted upload
+    uploadFile: (file, onProgress) => uploadFileInChunks(api, file, onProgress),
 
     // Get list of pending files
     getPendingUploads: () => api.get('/upload/pending', { skipLoading: true }),
 
     // Phase 2: Process file to database
-    processFile: (fileId, database, table, batchSize, duplicateMode, duplicateCheckFields, connectionId) => {
+    // options: { columnMapping, dateFormats, sourceTimezone, numberLocale, transforms, saveMapping, dryRun, atomic, undoable, bulkLoad, fileDuplicatePolicy, mirror, sheet, headerRow, skipFooterRows, encoding, delimiter, quote, escape, lineEnding }
+    processFile: (fileId, database, table, batchSize, duplicateMode, duplicateCheckFields, connectionId, options = {}) => {
         return api.post(`/upload/process/${fileId}`, {
             database,
             table,
             batchSize,
             duplicateMode,
             duplicateCheckFields,
-            connectionId
+            connectionId,
+            ...options
         }, { skipLoading: true });
     },
 
+    // Column mapping: file headers, table columns, saved mapping and suggestions (plus csvDialect for CSV)
+    // fileOptions: Excel sheet options or CSV dialect overrides, as for schemaAPI.analyzeFile
+    getColumnMapping: (fileId, database, table, connectionId, fileOptions = {}) =>
+        api.get(`/upload/mapping/${fileId}`, { params: { database, table, connectionId, ...fileOptions }, skipLoading: true }),
+
+    // Sheets of a pending Excel file with preview rows
+    getSheets: (fileId) => api.get(`/upload/file/${fileId}/sheets`, { skipLoading: true }),
+    saveColumnMapping: (database, table, columns, connectionId) =>
+        api.put(`/upload/mapping/${database}/${table}`, { columns, connectionId }, { skipLoading: true }),
+
+    // Detected format of each mapped date column, read from the whole file
+    detectDateFormats: (fileId, database, table, columnMapping, connectionId, fileOptions = {}) =>
+        api.post(`/upload/date-formats/${fileId}`, { database, table, columnMapping, connectionId, ...fileOptions }, { skipLoading: true }),
+
+    // First file rows before and after the column transformations: { columns, unusedColumns, rows }
+    previewTransforms: (fileId, database, table, columnMapping, transforms, connectionId, fileOptions = {}) =>
+        api.post(`/upload/transform-preview/${fileId}`, { database, table, columnMapping, transforms, connectionId, ...fileOptions }, { skipLoading: true }),
+
+    // Index coverage of duplicate check fields: { indexed, index, uniqueKey, warnings }
+    checkDuplicateFields: (database, table, fields, duplicateMode, connectionId) =>
+        api.get(`/upload/duplicate-check/${database}/${table}`, {
+            params: { fields: fields.join(','), duplicateMode, connectionId },
+            skipLoading: true
+        }),
+
+    // Dry-run validation report or rejected rows file; format 'xlsx' converts a CSV report
+    downloadReport: (fileKey, format) =>
+        api.get(`/upload/report/${fileKey}`, { params: { format }, responseType: 'blob', skipLoading: true }),
+
     // Get active processing tasks (for reconnection after browser refresh)
     getActiveTasks: () => api.get('/upload/active-tasks', { skipLoading: true }),
 
+    // Resume an import interrupted by a server restart or paused
+    resumeTask: (taskId) => api.post(`/upload/resume/${taskId}`, {}, { skipLoading: true }),
+
+    // Pause a running import after its current batch
+    pauseTask: (taskId) => api.post(`/upload/pause/${taskId}`, {}, { skipLoading: true }),
+
+    // Cancel a queued or running import; rollback removes what it wrote (atomic or undoable imports)
+    cancelTask: (taskId, rollback = false) => api.post(`/upload/cancel/${taskId}`, { rollback }, { skipLoading: true }),
+
     // Delete pending file
     deletePendingFile: (fileId) => api.delete(`/upload/file/${fileId}`, { skipLoading: true })
 };
@@ -163,4 +202,26 @@ export const lookupAPI = {
     })
 };
 
+// Import History API
+export const historyAPI = {
+    // params: { connectionId, database, table, userId, from, to, page, limit }
+    list: (params) => api.get('/history', { params, skipLoading: true }),
+    getFilters: (connectionId) => api.get('/history/filters', { params: { connectionId }, skipLoading: true }),
+    // Most recent import of each table
+    getLatest: (connectionId, limit) => api.get('/history/latest', { params: { connectionId, limit }, skipLoading: true }),
+    // Admin only: delete the rows an undoable import inserted and restore the ones it overwrote
+    undo: (id) => api.post(`/history/${id}/undo`)
+};
+
 export default api;
+
+// Drop Folders API (admin only): server folders whose new files are imported automatically
+export const dropFolderAPI = {
+    // { folders (with lastFile), pollSeconds, duplicateModes }
+    list: () => api.get('/drop-folders', { skipLoading: true }),
+    // data: { name, path, pattern, connectionId, database, table, duplicateMode, duplicateCheckFields, atomic, undoable, isActive }
+    create: (data) => api.post('/drop-folders', data),
+    update: (id, data) => api.put(`/drop-folders/${id}`, data),
+    delete: (id) => api.delete(`/drop-folders/${id}`),
+    getFiles: (id, limit) => api.get(`/drop-folders/${id}/files`, { params: { limit }, skipLoading: true })
+};
@@ -0,0 +1,127 @@
+// Chunked upload client for POST /upload/chunked/* (see backend/utils/chunkedUpload.js)
+// The upload id is remembered per file in localStorage, so choosing the same
+// file again after a network drop or page refresh continues where it stopped.
+
+const CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_RETRIES = 5;
+const STORAGE_PREFIX = 'chunkedUpload:';
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (bytes, crc = 0) => {
+    let c = (crc ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+};
+
+const toHex = (crc) => crc.toString(16).padStart(8, '0');
+
+const storageKey = (file) => `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitUntilOnline = () => {
+    if (navigator.onLine) return Promise.resolve();
+    return new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+};
+
+// Network errors, timeouts and 5xx are worth retrying; 4xx are not
+const isRetryable = (error) => !error.response || error.response.status >= 500;
+
+const withRetry = async (fn) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (!isRetryable(error) || attempt >= MAX_RETRIES) throw error;
+            await waitUntilOnline();
+            await sleep(Math.min(1000 * 2 ** (attempt - 1), 15000));
+        }
+    }
+};
+
+// Continue the upload remembered for this file, or start a new one
+const openSession = async (api, file) => {
+    const savedId = localStorage.getItem(storageKey(file));
+    if (savedId) {
+        try {
+            const res = await api.get(`/upload/chunked/${savedId}`, { skipLoading: true });
+            return res.data;
+        } catch (error) {
+            if (isRetryable(error)) throw error;
+            localStorage.removeItem(storageKey(file)); // expired or finished
+        }
+    }
+
+    const res = await api.post('/upload/chunked/init', {
+        fileName: file.name,
+        size: file.size,
+        chunkSize: CHUNK_SIZE
+    }, { skipLoading: true });
+    localStorage.setItem(storageKey(file), res.data.uploadId);
+    return res.data;
+};
+
+/**
+ * Upload a file in chunks and register it as a pending file.
+ * onProgress gets { loaded, total } like axios onUploadProgress;
+ * resolves with the finalize response ({ fileId, file }, same as POST /upload/file).
+ */
+export const uploadFileInChunks = async (api, file, onProgress) => {
+    const session = await openSession(api, file);
+    const { uploadId, chunkSize, totalChunks } = session;
+    const received = new Set(session.receivedChunks);
+
+    let uploadedBytes = 0;
+    const report = (extra = 0) => onProgress?.({ loaded: Math.min(uploadedBytes + extra, file.size), total: file.size });
+
+    // The whole-file CRC needs every chunk, including the ones uploaded before
+    let fileCrc = 0;
+    for (let index = 0; index < totalChunks; index++) {
+        const blob = file.slice(index * chunkSize, Math.min((index + 1) * chunkSize, file.size));
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const chunkCrc = crc32(bytes);
+        fileCrc = crc32(bytes, fileCrc);
+
+        if (!received.has(index)) {
+            await withRetry(() => api.put(`/upload/chunked/${uploadId}/chunk/${index}`, bytes, {
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'X-Chunk-Checksum': toHex(chunkCrc)
+                },
+                onUploadProgress: (e) => report(e.loaded),
+                skipLoading: true
+            }));
+        }
+
+        uploadedBytes += bytes.length;
+        report();
+    }
+
+    try {
+        // Safe to repeat: a finalized session answers with the same file
+        const res = await withRetry(() => api.post(`/upload/chunked/${uploadId}/finalize`, {
+            checksum: toHex(fileCrc)
+        }, { skipLoading: true }));
+        localStorage.removeItem(storageKey(file));
+        return res;
+    } catch (error) {
+        // A checksum mismatch discards the session on the server; start fresh next time
+        if (error.response?.status === 400 && !error.response.data?.missingChunks) {
+            localStorage.removeItem(storageKey(file));
+        }
+        throw error;
+    }
+};
@@ -0,0 +1,64 @@
+// Live upload progress from GET /upload/progress/:taskId/stream (Server-Sent Events).
+// Falls back to polling GET /upload/progress/:taskId when the browser has no
+// EventSource or the stream fails (e.g. a proxy that buffers responses).
+
+const POLL_INTERVAL = 1500;
+const FINAL_STATUSES = ['completed', 'error'];
+
+/**
+ * Call onProgress(progress) on every update until the task has completed or
+ * failed; onError(error) when polling fails too.
+ * Returns a function that stops watching.
+ */
+export const watchProgress = (api, taskId, { onProgress, onError, pollInterval = POLL_INTERVAL } = {}) => {
+    let stopped = false;
+    let source = null;
+    let timer = null;
+
+    const stop = () => {
+        stopped = true;
+        if (source) source.close();
+        clearInterval(timer);
+    };
+
+    const handle = (progress) => {
+        if (stopped) return;
+        if (FINAL_STATUSES.includes(progress.status)) stop();
+        onProgress(progress);
+    };
+
+    const startPolling = () => {
+        timer = setInterval(async () => {
+            try {
+                const res = await api.get(`/upload/progress/${taskId}`, { skipLoading: true });
+                handle(res.data);
+            } catch (error) {
+                stop();
+                if (onError) onError(error);
+            }
+        }, pollInterval);
+    };
+
+    if (typeof EventSource === 'undefined') {
+        startPolling();
+        return stop;
+    }
+
+    // EventSource cannot send the Authorization header
+    const token = localStorage.getItem('token');
+    source = new EventSource(`/api/upload/progress/${taskId}/stream?token=${encodeURIComponent(token || '')}`);
+    source.addEventListener('progress', (event) => handle(JSON.parse(event.data)));
+    source.addEventListener('end', () => {
+        // Ended without a final status: the task's file was deleted
+        if (stopped) return;
+        stop();
+        if (onError) onError(new Error('Task not found'));
+    });
+    source.onerror = () => {
+        source.close();
+        source = null;
+        if (!stopped) startPolling();
+    };
+
+    return stop;
+};